@@ -1,69 +1,338 @@
 /** @license CanvasTool.PngEncoder 2012 - imaya [ https://github.com/imaya/CanvasTool.PngEncoder ] The MIT License */
-(function() {'use strict';var aa=this;function j(a,c,b){a=a.split(".");b=b||aa;!(a[0]in b)&&b.execScript&&b.execScript("var "+a[0]);for(var e;a.length&&(e=a.shift());)!a.length&&void 0!==c?b[e]=c:b=b[e]?b[e]:b[e]={}}Math.floor(2147483648*Math.random()).toString(36);var m="undefined"!==typeof Uint8Array&&"undefined"!==typeof Uint16Array&&"undefined"!==typeof Uint32Array;function n(a,c){this.index="number"===typeof c?c:0;this.r=0;this.buffer=a instanceof(m?Uint8Array:Array)?a:new (m?Uint8Array:Array)(32768);if(2*this.buffer.length<=this.index)throw Error("invalid index");this.buffer.length<=this.index&&this.I()}n.prototype.I=function(){var a=this.buffer,c,b=a.length,e=new (m?Uint8Array:Array)(b<<1);if(m)e.set(a);else for(c=0;c<b;++c)e[c]=a[c];return this.buffer=e};
-n.prototype.d=function(a,c,b){var e=this.buffer,d=this.index,f=this.r,g=e[d];b&&1<c&&(a=8<c?(r[a&255]<<24|r[a>>>8&255]<<16|r[a>>>16&255]<<8|r[a>>>24&255])>>32-c:r[a]>>8-c);if(8>c+f)g=g<<c|a,f+=c;else for(b=0;b<c;++b)g=g<<1|a>>c-b-1&1,8===++f&&(f=0,e[d++]=r[g],g=0,d===e.length&&(e=this.I()));e[d]=g;this.buffer=e;this.r=f;this.index=d};n.prototype.finish=function(){var a=this.buffer,c=this.index;0<this.r&&(a[c]<<=8-this.r,a[c]=r[a[c]],c++);m?a=a.subarray(0,c):a.length=c;return a};
-var ba=new (m?Uint8Array:Array)(256),w;for(w=0;256>w;++w){for(var ca=ba,da=w,x=w,z=x,ea=7,x=x>>>1;x;x>>>=1)z<<=1,z|=x&1,--ea;ca[da]=(z<<ea&255)>>>0}var r=ba;var A={ca:function(a,c,b){return A.update(a,0,c,b)},update:function(a,c,b,e){for(var d=A.aa,f="number"===typeof b?b:b=0,e="number"===typeof e?e:a.length,c=c^4294967295,f=e&7;f--;++b)c=c>>>8^d[(c^a[b])&255];for(f=e>>3;f--;b+=8)c=c>>>8^d[(c^a[b])&255],c=c>>>8^d[(c^a[b+1])&255],c=c>>>8^d[(c^a[b+2])&255],c=c>>>8^d[(c^a[b+3])&255],c=c>>>8^d[(c^a[b+4])&255],c=c>>>8^d[(c^a[b+5])&255],c=c>>>8^d[(c^a[b+6])&255],c=c>>>8^d[(c^a[b+7])&255];return(c^4294967295)>>>0}},fa,ga=[0,1996959894,3993919788,2567524794,
-124634137,1886057615,3915621685,2657392035,249268274,2044508324,3772115230,2547177864,162941995,2125561021,3887607047,2428444049,498536548,1789927666,4089016648,2227061214,450548861,1843258603,4107580753,2211677639,325883990,1684777152,4251122042,2321926636,335633487,1661365465,4195302755,2366115317,997073096,1281953886,3579855332,2724688242,1006888145,1258607687,3524101629,2768942443,901097722,1119000684,3686517206,2898065728,853044451,1172266101,3705015759,2882616665,651767980,1373503546,3369554304,
-3218104598,565507253,1454621731,3485111705,3099436303,671266974,1594198024,3322730930,2970347812,795835527,1483230225,3244367275,3060149565,1994146192,31158534,2563907772,4023717930,1907459465,112637215,2680153253,3904427059,2013776290,251722036,2517215374,3775830040,2137656763,141376813,2439277719,3865271297,1802195444,476864866,2238001368,4066508878,1812370925,453092731,2181625025,4111451223,1706088902,314042704,2344532202,4240017532,1658658271,366619977,2362670323,4224994405,1303535960,984961486,
-2747007092,3569037538,1256170817,1037604311,2765210733,3554079995,1131014506,879679996,2909243462,3663771856,1141124467,855842277,2852801631,3708648649,1342533948,654459306,3188396048,3373015174,1466479909,544179635,3110523913,3462522015,1591671054,702138776,2966460450,3352799412,1504918807,783551873,3082640443,3233442989,3988292384,2596254646,62317068,1957810842,3939845945,2647816111,81470997,1943803523,3814918930,2489596804,225274430,2053790376,3826175755,2466906013,167816743,2097651377,4027552580,
-2265490386,503444072,1762050814,4150417245,2154129355,426522225,1852507879,4275313526,2312317920,282753626,1742555852,4189708143,2394877945,397917763,1622183637,3604390888,2714866558,953729732,1340076626,3518719985,2797360999,1068828381,1219638859,3624741850,2936675148,906185462,1090812512,3747672003,2825379669,829329135,1181335161,3412177804,3160834842,628085408,1382605366,3423369109,3138078467,570562233,1426400815,3317316542,2998733608,733239954,1555261956,3268935591,3050360625,752459403,1541320221,
-2607071920,3965973030,1969922972,40735498,2617837225,3943577151,1913087877,83908371,2512341634,3803740692,2075208622,213261112,2463272603,3855990285,2094854071,198958881,2262029012,4057260610,1759359992,534414190,2176718541,4139329115,1873836001,414664567,2282248934,4279200368,1711684554,285281116,2405801727,4167216745,1634467795,376229701,2685067896,3608007406,1308918612,956543938,2808555105,3495958263,1231636301,1047427035,2932959818,3654703836,1088359270,936918E3,2847714899,3736837829,1202900863,
-817233897,3183342108,3401237130,1404277552,615818150,3134207493,3453421203,1423857449,601450431,3009837614,3294710456,1567103746,711928724,3020668471,3272380065,1510334235,755167117];fa=m?new Uint32Array(ga):ga;A.aa=fa;function B(a){this.buffer=new (m?Uint16Array:Array)(2*a);this.length=0}B.prototype.getParent=function(a){return 2*((a-2)/4|0)};B.prototype.ra=function(a){return 2*a+2};B.prototype.push=function(a,c){var b,e,d=this.buffer,f;b=this.length;d[this.length++]=c;for(d[this.length++]=a;0<b;)if(e=this.getParent(b),d[b]>d[e])f=d[b],d[b]=d[e],d[e]=f,f=d[b+1],d[b+1]=d[e+1],d[e+1]=f,b=e;else break;return this.length};
-B.prototype.pop=function(){var a,c,b=this.buffer,e,d,f;c=b[0];a=b[1];this.length-=2;b[0]=b[this.length];b[1]=b[this.length+1];for(f=0;;){d=this.ra(f);if(d>=this.length)break;d+2<this.length&&b[d+2]>b[d]&&(d+=2);if(b[d]>b[f])e=b[f],b[f]=b[d],b[d]=e,e=b[f+1],b[f+1]=b[d+1],b[d+1]=e;else break;f=d}return{index:a,value:c,length:this.length}};function C(a){var c=a.length,b=0,e=Number.POSITIVE_INFINITY,d,f,g,h,k,p,l,o,i;for(o=0;o<c;++o)a[o]>b&&(b=a[o]),a[o]<e&&(e=a[o]);d=1<<b;f=new (m?Uint32Array:Array)(d);g=1;h=0;for(k=2;g<=b;){for(o=0;o<c;++o)if(a[o]===g){p=0;l=h;for(i=0;i<g;++i)p=p<<1|l&1,l>>=1;for(i=p;i<d;i+=k)f[i]=g<<16|o;++h}++g;h<<=1;k<<=1}return[f,b,e]};function D(a,c){this.p=E;this.P=0;this.input=a;this.h=0;if(c&&(c.lazy&&(this.P=c.lazy),"number"===typeof c.compressionType&&(this.p=c.compressionType),c.outputBuffer&&(this.b=m&&c.outputBuffer instanceof Array?new Uint8Array(c.outputBuffer):c.outputBuffer),"number"===typeof c.outputIndex))this.h=c.outputIndex;this.b||(this.b=new (m?Uint8Array:Array)(32768))}var E=2,ha={NONE:0,Z:1,F:E,ib:3},F=[],G;
-for(G=0;288>G;G++)switch(!0){case 143>=G:F.push([G+48,8]);break;case 255>=G:F.push([G-144+400,9]);break;case 279>=G:F.push([G-256+0,7]);break;case 287>=G:F.push([G-280+192,8]);break;default:throw"invalid literal: "+G;}
-D.prototype.o=function(){var a,c,b,e=this.input;switch(this.p){case 0:c=0;for(b=e.length;c<b;)a=m?e.subarray(c,c+65535):e.slice(c,c+65535),c+=a.length,this.Fa(a,c===b);break;case 1:this.b=this.Ba(e,!0);this.h=this.b.length;break;case E:this.b=this.Aa(e,!0);this.h=this.b.length;break;default:throw"invalid compression type";}return this.b};
-D.prototype.Fa=function(a,c){var b,e,d=this.b,f=this.h;if(m){for(d=new Uint8Array(this.b.buffer);d.length<=f+a.length+5;)d=new Uint8Array(d.length<<1);d.set(this.b)}d[f++]=(c?1:0)|0;b=a.length;e=~b+65536&65535;d[f++]=b&255;d[f++]=b>>>8&255;d[f++]=e&255;d[f++]=e>>>8&255;if(m)d.set(a,f),f+=a.length,d=d.subarray(0,f);else{b=0;for(e=a.length;b<e;++b)d[f++]=a[b];d.length=f}this.h=f;return this.b=d};
-D.prototype.Ba=function(a,c){var b=new n(new Uint8Array(this.b.buffer),this.h);b.d(c?1:0,1,!0);b.d(1,2,!0);this.la(this.Q(a),b);return b.finish()};
-D.prototype.Aa=function(a,c){var b=new n(new Uint8Array(this.b),this.h),e,d,f,g,h=[16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15],k,p,l,o,i,t,v=Array(19),u;e=E;b.d(c?1:0,1,!0);b.d(e,2,!0);e=this.Q(a);k=this.A(this.oa,15);p=this.z(k);l=this.A(this.na,7);o=this.z(l);for(d=286;257<d&&0===k[d-1];d--);for(f=30;1<f&&0===l[f-1];f--);i=this.va(d,k,f,l);t=this.A(i.ma,7);for(u=0;19>u;u++)v[u]=t[h[u]];for(g=19;4<g&&0===v[g-1];g--);h=this.z(t);b.d(d-257,5,!0);b.d(f-1,5,!0);b.d(g-4,4,!0);for(u=0;u<g;u++)b.d(v[u],
-3,!0);u=0;for(v=i.v.length;u<v;u++)if(d=i.v[u],b.d(h[d],t[d],!0),16<=d){u++;switch(d){case 16:d=2;break;case 17:d=3;break;case 18:d=7;break;default:throw"invalid code: "+d;}b.d(i.v[u],d,!0)}this.ea(e,[p,k],[o,l],b);return b.finish()};D.prototype.ea=function(a,c,b,e){var d,f,g,h,k;g=c[0];c=c[1];h=b[0];k=b[1];b=0;for(d=a.length;b<d;++b)if(f=a[b],e.d(g[f],c[f],!0),256<f)e.d(a[++b],a[++b],!0),f=a[++b],e.d(h[f],k[f],!0),e.d(a[++b],a[++b],!0);else if(256===f)break;return e};
-D.prototype.la=function(a,c){var b,e,d;b=0;for(e=a.length;b<e;b++)if(d=a[b],n.prototype.d.apply(c,F[d]),256<d)c.d(a[++b],a[++b],!0),c.d(a[++b],5),c.d(a[++b],a[++b],!0);else if(256===d)break;return c};function H(a,c){this.length=a;this.ba=c}
-function ia(a){switch(!0){case 3===a:return[257,a-3,0];case 4===a:return[258,a-4,0];case 5===a:return[259,a-5,0];case 6===a:return[260,a-6,0];case 7===a:return[261,a-7,0];case 8===a:return[262,a-8,0];case 9===a:return[263,a-9,0];case 10===a:return[264,a-10,0];case 12>=a:return[265,a-11,1];case 14>=a:return[266,a-13,1];case 16>=a:return[267,a-15,1];case 18>=a:return[268,a-17,1];case 22>=a:return[269,a-19,2];case 26>=a:return[270,a-23,2];case 30>=a:return[271,a-27,2];case 34>=a:return[272,a-31,2];case 42>=
-a:return[273,a-35,3];case 50>=a:return[274,a-43,3];case 58>=a:return[275,a-51,3];case 66>=a:return[276,a-59,3];case 82>=a:return[277,a-67,4];case 98>=a:return[278,a-83,4];case 114>=a:return[279,a-99,4];case 130>=a:return[280,a-115,4];case 162>=a:return[281,a-131,5];case 194>=a:return[282,a-163,5];case 226>=a:return[283,a-195,5];case 257>=a:return[284,a-227,5];case 258===a:return[285,a-258,0];default:throw"invalid length: "+a;}}var I=[],J,K;for(J=3;258>=J;J++)K=ia(J),I[J]=K[2]<<24|K[1]<<16|K[0];
-var ja=m?new Uint32Array(I):I;
-H.prototype.sa=function(a){switch(!0){case 1===a:a=[0,a-1,0];break;case 2===a:a=[1,a-2,0];break;case 3===a:a=[2,a-3,0];break;case 4===a:a=[3,a-4,0];break;case 6>=a:a=[4,a-5,1];break;case 8>=a:a=[5,a-7,1];break;case 12>=a:a=[6,a-9,2];break;case 16>=a:a=[7,a-13,2];break;case 24>=a:a=[8,a-17,3];break;case 32>=a:a=[9,a-25,3];break;case 48>=a:a=[10,a-33,4];break;case 64>=a:a=[11,a-49,4];break;case 96>=a:a=[12,a-65,5];break;case 128>=a:a=[13,a-97,5];break;case 192>=a:a=[14,a-129,6];break;case 256>=a:a=
-[15,a-193,6];break;case 384>=a:a=[16,a-257,7];break;case 512>=a:a=[17,a-385,7];break;case 768>=a:a=[18,a-513,8];break;case 1024>=a:a=[19,a-769,8];break;case 1536>=a:a=[20,a-1025,9];break;case 2048>=a:a=[21,a-1537,9];break;case 3072>=a:a=[22,a-2049,10];break;case 4096>=a:a=[23,a-3073,10];break;case 6144>=a:a=[24,a-4097,11];break;case 8192>=a:a=[25,a-6145,11];break;case 12288>=a:a=[26,a-8193,12];break;case 16384>=a:a=[27,a-12289,12];break;case 24576>=a:a=[28,a-16385,13];break;case 32768>=a:a=[29,a-
-24577,13];break;default:throw"invalid distance";}return a};H.prototype.fb=function(){var a=this.ba,c=[],b=0,e;e=ja[this.length];c[b++]=e&65535;c[b++]=e>>16&255;c[b++]=e>>24;e=this.sa(a);c[b++]=e[0];c[b++]=e[1];c[b++]=e[2];return c};
-D.prototype.Q=function(a){function c(a,b){var c=a.fb(),d,e;d=0;for(e=c.length;d<e;++d)p[l++]=c[d];i[c[0]]++;t[c[3]]++;o=a.length+b-1;k=null}var b,e,d,f,g,h={},k,p=m?new Uint16Array(2*a.length):[],l=0,o=0,i=new (m?Uint32Array:Array)(286),t=new (m?Uint32Array:Array)(30),v=this.P;if(!m){for(d=0;285>=d;)i[d++]=0;for(d=0;29>=d;)t[d++]=0}i[256]=1;b=0;for(e=a.length;b<e;++b){d=g=0;for(f=3;d<f&&b+d!==e;++d)g=g<<8|a[b+d];void 0===h[g]&&(h[g]=[]);d=h[g];if(!(0<o--)){for(;0<d.length&&32768<b-d[0];)d.shift();
-if(b+3>=e){k&&c(k,-1);d=0;for(f=e-b;d<f;++d)g=a[b+d],p[l++]=g,++i[g];break}0<d.length?(f=this.ab(a,b,d),k?k.length<f.length?(g=a[b-1],p[l++]=g,++i[g],c(f,0)):c(k,-1):f.length<v?k=f:c(f,0)):k?c(k,-1):(g=a[b],p[l++]=g,++i[g])}d.push(b)}p[l++]=256;i[256]++;this.oa=i;this.na=t;return m?p.subarray(0,l):p};
-D.prototype.ab=function(a,c,b){var e,d,f=0,g,h,k,p=a.length;h=0;k=b.length;a:for(;h<k;h++){e=b[k-h-1];g=3;if(3<f){for(g=f;3<g;g--)if(a[e+g-1]!==a[c+g-1])continue a;g=f}for(;258>g&&c+g<p&&a[e+g]===a[c+g];)++g;g>f&&(d=e,f=g);if(258===g)break}return new H(f,c-d)};
-D.prototype.va=function(a,c,b,e){var d=new (m?Uint32Array:Array)(a+b),f,g,h=new (m?Uint32Array:Array)(316),k=new (m?Uint8Array:Array)(19);for(f=g=0;f<a;f++)d[g++]=c[f];for(f=0;f<b;f++)d[g++]=e[f];if(!m){f=0;for(c=k.length;f<c;++f)k[f]=0}f=b=0;for(c=d.length;f<c;f+=g){for(g=1;f+g<c&&d[f+g]===d[f];++g);a=g;if(0===d[f])if(3>a)for(;0<a--;)h[b++]=0,k[0]++;else for(;0<a;)e=138>a?a:138,e>a-3&&e<a&&(e=a-3),10>=e?(h[b++]=17,h[b++]=e-3,k[17]++):(h[b++]=18,h[b++]=e-11,k[18]++),a-=e;else if(h[b++]=d[f],k[d[f]]++,
-a--,3>a)for(;0<a--;)h[b++]=d[f],k[d[f]]++;else for(;0<a;)e=6>a?a:6,e>a-3&&e<a&&(e=a-3),h[b++]=16,h[b++]=e-3,k[16]++,a-=e}return{v:m?h.subarray(0,b):h.slice(0,b),ma:k}};
-D.prototype.A=function(a,c){var b=a.length,e=new B(572),d=new (m?Uint8Array:Array)(b),f,g,h;if(!m)for(g=0;g<b;g++)d[g]=0;for(g=0;g<b;++g)0<a[g]&&e.push(g,a[g]);b=Array(e.length/2);f=new (m?Uint32Array:Array)(e.length/2);if(1===b.length)return d[e.pop().index]=1,d;g=0;for(h=e.length/2;g<h;++g)b[g]=e.pop(),f[g]=b[g].value;e=this.Ya(f,f.length,c);g=0;for(h=b.length;g<h;++g)d[b[g].index]=e[g];return d};
-D.prototype.Ya=function(a,c,b){function e(a){var b=k[a][p[a]];b===c?(e(a+1),e(a+1)):--g[b];++p[a]}var d=new (m?Uint16Array:Array)(b),f=new (m?Uint8Array:Array)(b),g=new (m?Uint8Array:Array)(c),h=Array(b),k=Array(b),p=Array(b),l=(1<<b)-c,o=1<<b-1,i,t;d[b-1]=c;for(i=0;i<b;++i)l<o?f[i]=0:(f[i]=1,l-=o),l<<=1,d[b-2-i]=(d[b-1-i]/2|0)+c;d[0]=f[0];h[0]=Array(d[0]);k[0]=Array(d[0]);for(i=1;i<b;++i)d[i]>2*d[i-1]+f[i]&&(d[i]=2*d[i-1]+f[i]),h[i]=Array(d[i]),k[i]=Array(d[i]);for(l=0;l<c;++l)g[l]=b;for(o=0;o<d[b-
-1];++o)h[b-1][o]=a[o],k[b-1][o]=o;for(l=0;l<b;++l)p[l]=0;1===f[b-1]&&(--g[0],++p[b-1]);for(i=b-2;0<=i;--i){b=l=0;t=p[i+1];for(o=0;o<d[i];o++)b=h[i+1][t]+h[i+1][t+1],b>a[l]?(h[i][o]=b,k[i][o]=c,t+=2):(h[i][o]=a[l],k[i][o]=l,++l);p[i]=0;1===f[i]&&e(i)}return g};
-D.prototype.z=function(a){var c=new (m?Uint16Array:Array)(a.length),b=[],e=[],d=0,f,g,h;f=0;for(g=a.length;f<g;f++)b[a[f]]=(b[a[f]]|0)+1;f=1;for(g=16;f<=g;f++){e[f]=d;d+=b[f]|0;if(d>1<<f)throw"overcommitted";d<<=1}if(65536>d)throw"undercommitted";f=0;for(g=a.length;f<g;f++){d=e[a[f]];e[a[f]]+=1;b=c[f]=0;for(h=a[f];b<h;b++)c[f]=c[f]<<1|d&1,d>>>=1}return c};function L(a,c){this.input=a;this.b=new (m?Uint8Array:Array)(32768);this.p=M.F;var b={},e;if((c||!(c={}))&&"number"===typeof c.compressionType)this.p=c.compressionType;for(e in c)b[e]=c[e];b.outputBuffer=this.b;this.U=new D(this.input,b)}var M=ha;
-L.prototype.o=function(){var a,c,b,e=0;b=this.b;a=N;switch(a){case N:c=Math.LOG2E*Math.log(32768)-8;break;default:throw Error("invalid compression method");}c=c<<4|a;b[e++]=c;switch(a){case N:switch(this.p){case M.NONE:a=0;break;case M.Z:a=1;break;case M.F:a=2;break;default:throw Error("unsupported compression type");}break;default:throw Error("invalid compression method");}a=a<<6|0;b[e++]=a|31-(256*c+a)%31;b=this.input;if("string"===typeof b){b=b.split("");c=0;for(a=b.length;c<a;c++)b[c]=(b[c].charCodeAt(0)&
-255)>>>0}c=1;a=0;for(var d=b.length,f,g=0;0<d;){f=1024<d?1024:d;d-=f;do c+=b[g++],a+=c;while(--f);c%=65521;a%=65521}c=(a<<16|c)>>>0;this.U.h=e;b=this.U.o();e=b.length;m&&(b=new Uint8Array(b.buffer),b.length<=e+4&&(this.b=new Uint8Array(b.length+4),this.b.set(b),b=this.b),b=b.subarray(0,e+4));b[e++]=c>>24&255;b[e++]=c>>16&255;b[e++]=c>>8&255;b[e++]=c&255;return b};var ka=[16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15];m&&new Uint16Array(ka);var la=[3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258,258,258];m&&new Uint16Array(la);var ma=[0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0,0,0];m&&new Uint8Array(ma);var na=[1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,12289,16385,24577];m&&new Uint16Array(na);
-var oa=[0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13];m&&new Uint8Array(oa);var O=new (m?Uint8Array:Array)(288),P,pa;P=0;for(pa=O.length;P<pa;++P)O[P]=143>=P?8:255>=P?9:279>=P?7:8;C(O);var qa=new (m?Uint8Array:Array)(30),Q,ra;Q=0;for(ra=qa.length;Q<ra;++Q)qa[Q]=5;C(qa);var sa=[16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15];m&&new Uint16Array(sa);var ta=[3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258,258,258];m&&new Uint16Array(ta);var ua=[0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0,0,0];m&&new Uint8Array(ua);var va=[1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,12289,16385,24577];m&&new Uint16Array(va);
-var wa=[0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13];m&&new Uint8Array(wa);var xa=new (m?Uint8Array:Array)(288),R,ya;R=0;for(ya=xa.length;R<ya;++R)xa[R]=143>=R?8:255>=R?9:279>=R?7:8;C(xa);var za=new (m?Uint8Array:Array)(30),S,Aa;S=0;for(Aa=za.length;S<Aa;++S)za[S]=5;C(za);var N=8;function T(a,c){var b,e,d;if(a instanceof Element)e=a.width,d=a.height,b=a.getContext("2d"),this.data=b.getImageData(0,0,e,d).data;else if("number"===typeof a.length){if("object"!==typeof c)throw Error("need opt_param object");if("number"!==typeof c.width)throw Error("width property not found");if("number"!==typeof c.height)throw Error("height property not found");e=c.width;d=c.height;this.data=a}else throw Error("invalid arguments");this.bb(e,d,c)}
-T.prototype.bb=function(a,c,b){"object"!==typeof b&&(b={});this.width=a;this.height=c;this.e="number"===typeof b.bitDepth?b.bitDepth:8;this.f="number"===typeof b.colourType?b.colourType:U;this.g="number"===typeof b.compressionMethod?b.compressionMethod:V;this.w="number"===typeof b.filterMethod?b.filterMethod:W;this.J="number"===typeof b.filterType?b.filterType:Ba;this.M="number"===typeof b.interlaceMethod?b.interlaceMethod:Ca;this.wa=!1;this.X=!0;this.t=b.deflateOption;this.q=null;this.s=[];this.B=
-[];this.hb()};var Da=X("IHDR"),Ea=X("PLTE"),Fa=X("IDAT"),Ga=X("IEND"),Ha=X("tRNS"),Ia=X("gAMA"),Ja=X("cHRM"),Ka=X("sBIT"),La=X("sRGB"),Ma=X("iCCP"),Na=X("bKGD"),Oa=X("hIST"),Pa=X("pHYs"),Qa=X("sPLT"),Ra=X("tEXt"),Sa=X("zTXt"),Ta=X("iTXt"),Ua=X("tIME"),V=0,U=6,W=0,Ba=0,Ca=0,Va=[137,80,78,71,13,10,26,10],Wa=[{i:0,k:0,j:8,l:8},{i:4,k:0,j:8,l:8},{i:0,k:4,j:4,l:8},{i:2,k:0,j:4,l:4},{i:0,k:2,j:2,l:4},{i:1,k:0,j:2,l:2},{i:0,k:1,j:1,l:2}];
-T.prototype.da=function(){for(var a=this.H(),c=[],b=0,e=a.length;b<e;b++)c[b]=String.fromCharCode(a[b]);return c.join("")};
-T.prototype.H=function(){var a=[],c;c=this.R(this.data);Y(a,Va);Y(a,this.Ea());"object"===typeof this.G&&null!==this.G&&Y(a,this.Ia(this.G));"number"===typeof this.pa&&Y(a,this.Ja(this.pa));"object"===typeof this.L&&null!==this.L&&Y(a,this.La(this.L));this.$a instanceof Array&&Y(a,this.Oa(this.$a));"number"===typeof this.cb&&Y(a,this.Qa(this.cb));switch(this.f){case 3:Y(a,this.Ga(c.u));this.C=c.u;this.m instanceof Array&&Y(a,this.Ha(this.m,this.C));this.wa&&Y(a,this.Ka(this.B));this.X&&Y(a,this.Ta(c.eb));
-break;case 0:case 2:case 4:case U:break;default:throw Error("unknown colour type");}"object"===typeof this.S&&null!==this.S&&Y(a,this.Na(this.S));"object"===typeof this.W&&null!==this.W&&Y(a,this.Pa(this.W,this.s));this.time instanceof Date&&Y(a,this.Sa(this.time));"object"===typeof this.text&&null!==this.text&&Y(a,this.Ra(this.text));"object"===typeof this.Y&&null!==this.Y&&Y(a,this.Ua(this.Y));"object"===typeof this.N&&null!==this.N&&Y(a,this.Ma(this.N));Y(a,this.Ca(c.$));Y(a,this.Da());return a};
-T.prototype.lb=function(){return this.C instanceof Array?this.C:this.R(this.data).u.map(function(a){return a.split("").map(function(a){return a.charCodeAt(0)})})};T.prototype.hb=function(){var a,c,b,e=!1;switch(this.f){case 0:a=[1,2,4,8,16];break;case 3:a=[1,2,4,8];break;case 2:case 4:case U:a=[8,16];break;default:throw Error("invalid colour type");}c=0;for(b=a.length;c<b;c++)if(this.e===a[c]){e=!0;break}if(!1===e)throw Error("invalid parameter");};
-T.prototype.Ea=function(){var a=[];Y(a,this.a(this.width,4));Y(a,this.a(this.height,4));Y(a,this.a(this.e,1));Y(a,this.a(this.f,1));Y(a,this.a(this.g,1));Y(a,this.a(this.w,1));Y(a,this.a(this.M,1));return this.c(Da,a)};
-T.prototype.R=function(a){var c=[],b=this.X,e=this.e,d=[],f=[],g={},h={},k=[],p=0,l=0,o=0,i=0,t={},v=0,u=0,s,q,y;q=0;for(y=a.length;q<y;q+=4)s=b?this.V(this.n(a,q,4)):this.D(this.n(a,q,3)),g[s]=(g[s]|0)+1,p=a[q],l=a[q+1],o=a[q+2],i=a[q+3],v=((p<<8|l)<<8|o)<<8|i,void 0===t[v]&&(u=this.s.length,this.s.push({red:p,green:l,blue:o,alpha:i,count:0}),t[v]=u),this.s[t[v]].count++;p=0<(this.f&4);switch(this.f){case 4:case 0:q=0;for(y=a.length;q<y;q+=4)s=this.Za.apply(this,this.n(a,q,3)),i=a[q+3],8>e&&(s>>>=
-8-e,i>>>=8-e),s=[s],p&&s.push(i),c.push(s);break;case 2:case U:q=0;for(y=a.length;q<y;q+=4)b=this.n(a,q,p?4:3),c.push(b);break;case 3:for(s in g)k.push(s);b&&k.sort(function(a,b){return a.charCodeAt(3)<b.charCodeAt(3)?-1:a.charCodeAt(3)>b.charCodeAt(3)?1:a.charCodeAt(0)<b.charCodeAt(0)?-1:a.charCodeAt(0)>b.charCodeAt(0)?1:a.charCodeAt(1)<b.charCodeAt(1)?-1:a.charCodeAt(1)>b.charCodeAt(1)?1:a.charCodeAt(2)<b.charCodeAt(2)?-1:a.charCodeAt(2)>b.charCodeAt(2)?1:0});q=0;for(y=k.length;q<y;q++)s=k[q],b?
-(255!==s.charCodeAt(3)&&(f[q]=s.charCodeAt(3)),h[s]=q):h[s.slice(0,3)]=q,d.push(s.charCodeAt(0)),d.push(s.charCodeAt(1)),d.push(s.charCodeAt(2));if(this.m instanceof Array){if(3!==this.m.length)throw Error("wrong background-color length");if(!(this.D(this.m)in g)){if(d.length/3===1<<this.e)throw Error("can not add background-color to palette");d.push(this.m[0]);d.push(this.m[1]);d.push(this.m[2])}}if(d.length/3>1<<this.e)throw Error("over "+(1<<this.e)+" colors: "+d.length/3);q=0;for(y=d.length/3;q<
-y;q++)this.B[q]=0;q=0;for(y=a.length;q<y;q+=4)s=b?this.V(this.n(a,q,4)):this.D(this.n(a,q,3)),this.B[h[s]]++,c.push([h[s]]);break;default:throw Error("invalid colour type");}return{u:d,eb:f,$:c}};T.prototype.Ia=function(a){var c=[];Y(c,this.a(1E4*a.rb|0,4));Y(c,this.a(1E4*a.sb|0,4));Y(c,this.a(1E4*a.ob|0,4));Y(c,this.a(1E4*a.pb|0,4));Y(c,this.a(1E4*a.mb|0,4));Y(c,this.a(1E4*a.nb|0,4));Y(c,this.a(1E4*a.jb|0,4));Y(c,this.a(1E4*a.kb|0,4));return this.c(Ja,c)};
-T.prototype.Ja=function(a){return this.c(Ia,this.a(1E5/a+0.5|0,4))};
-T.prototype.Oa=function(a){var c=[];switch(this.f){case 0:if(1!==a.length)throw Error("wrong sBIT length");Y(c,a.slice(0,1));break;case 2:if(3!==a.length)throw Error("wrong sBIT length");Y(c,a.slice(0,3));break;case 3:if(3!==a.length)throw Error("wrong sBIT length");Y(c,a.slice(0,3));break;case 4:if(2!==a.length)throw Error("wrong sBIT length");Y(c,a.slice(0,2));break;case U:if(4!==a.length)throw Error("wrong sBIT length");Y(c,a.slice(0,4));break;default:throw Error("unknown colour type");}return this.c(Ka,
-c)};T.prototype.Qa=function(a){return this.c(La,[a])};T.prototype.La=function(a){var c=[],b,e,d;b=X(a.name);d=b.length;if(79<d)throw Error("ICCP Profile name is over 79 characters");for(e=0;e<d;e++)if(32>b[e]||126<b[e]&&161>b[e]||255<b[e])throw Error("wrong iccp profile name.");Y(c,b);c.push(0);c.push(a.g);switch(a.g){case V:Y(c,(new L(a.profile,this.t)).o());break;default:throw Error("unknown ICC Profile compression method");}return this.c(Ma,c)};
-T.prototype.Ha=function(a,c){var b=[],e=null,d,f;switch(this.f){case 0:case 4:if(1!==a.length)throw Error("wrong background-color length");Y(b,this.a(a[0],2));break;case 2:case U:if(3!==a.length)throw Error("wrong background-color length");Y(b,this.a(a[0],2));Y(b,this.a(a[1],2));Y(b,this.a(a[2],2));break;case 3:if(3!==a.length)throw Error("wrong background-color length");d=0;for(f=c.length;d<f;d+=3)c[d+0]===a[0]&&(c[d+1]===a[1]&&c[d+2]===a[2])&&(e=d/3);if(null===e)return[];b.push(e);break;default:throw Error("unknown colour type");
-}return this.c(Na,b)};T.prototype.Ka=function(a){for(var c=[],b,e=b=0,d=a.length;e<d;e++)b=b<a[e]||0===e?a[e]:b;for(var d=e=0,f=a.length;d<f;d++)e=a[d],e=0===e?0:65534*(e/b)+1.5|0,Y(c,this.a(e,2));return this.c(Oa,c)};
-T.prototype.Pa=function(a,c){var b=[],e,d=0,f=0,g=0>a.Va?c.length:a.Va,h=0;if(0===g)return[];Y(b,X(a.name));b.push(0);switch(this.e){case 16:b.push(16);break;case 8:case 4:case 2:case 1:b.push(8);break;default:throw Error("invalid bit depth");}e=c.sort(function(a,b){return a.count<b.count?1:a.count>b.count?-1:0});for(d=e[0].count;f<g;f++){c=e[f];switch(this.e){case 16:Y(b,this.a(c.red<<8|c.red,2));Y(b,this.a(c.green<<8|c.green,2));Y(b,this.a(c.blue<<8|c.blue,2));Y(b,this.a(c.alpha<<8|c.alpha,2));
-break;case 8:case 4:case 2:case 1:b.push(c.red);b.push(c.green);b.push(c.blue);b.push(c.alpha);break;default:throw Error("invalid bit depth");}h=65535*(c.count/d)+0.5|0;Y(b,this.a(h,2))}return this.c(Qa,b)};T.prototype.Ga=function(a){if(256<a.length/3)throw Error("over 256 colors: "+a.length/3);return this.c(Ea,a)};T.prototype.Na=function(a){var c=[];Y(c,this.a(a.x,4));Y(c,this.a(a.y,4));c.push(a.qb);return this.c(Pa,c)};
-T.prototype.Ra=function(a){var c=[];Y(c,X(a.O));c.push(0);Y(c,X(a.text));return this.c(Ra,c)};T.prototype.Ua=function(a){var c=[];Y(c,X(a.O));c.push(0);c.push(a.g);switch(a.g){case V:Y(c,(new L(X(a.text),this.t)).o());break;default:throw Error("unknown compression method");}return this.c(Sa,c)};
-T.prototype.Ma=function(a){var c=[],b;Y(c,X(a.O));c.push(0);if("number"===typeof a.g)switch(c.push(1),c.push(a.g),a.g){case V:b=(new L(X(unescape(encodeURIComponent(a.text))),this.t)).o();break;default:throw Error("unknown compression method");}else c.push(0),c.push(0),b=X(unescape(encodeURIComponent(a.text)));Y(c,X(a.lang));c.push(0);"string"===typeof a.gb&&Y(c,X(unescape(encodeURIComponent(a.gb))));c.push(0);Y(c,b);return this.c(Ta,c)};
-T.prototype.Sa=function(a){var c=[];Y(c,this.a(a.getUTCFullYear(),2));c.push(a.getUTCMonth()+1);c.push(a.getUTCDate());c.push(a.getUTCHours());c.push(a.getUTCMinutes());c.push(a.getUTCSeconds());return this.c(Ua,c)};
-T.prototype.Ca=function(a){var c=[],b=this.w,e=this.J,d,f,g,h,k,p,l,o;this.za=this.ua();this.ka=this.ta();k=this.qa();p=this.za(a);l=0;for(o=p.length;l<o;l++)if(g=p[l],a=g.T,0!==a.length){d=g.width;this.q=null;f=0;for(g=g.height;f<g;f++){h=this.n(a,f*d,d);h=this.Xa(h);switch(b){case W:c.push(e);Y(c,this.ka(h,k));break;default:throw Error("unknown filter method");}this.q=h}}switch(this.g){case V:c=(new L(c,this.t)).o();break;default:throw Error("unknown compression method");}return this.c(Fa,c)};
-T.prototype.Da=function(){return this.c(Ga,[])};T.prototype.Ta=function(a){var c=[];switch(this.f){case 0:Y(c,this.a(a[0],2));break;case 2:Y(c,this.a(a[0],2));Y(c,this.a(a[1],2));Y(c,this.a(a[2],2));break;case 3:c=a;break;default:throw Error("invalid colour type");}return this.c(Ha,c)};
-T.prototype.qa=function(){var a,c=0<(this.f&4);switch(this.f){case 3:a=1;break;case 0:case 4:a=1;c&&(a+=1);16===this.e&&(a*=2);break;case 2:case U:a=3;c&&(a+=1);16===this.e&&(a*=2);break;default:throw Error("unknown colour type");}return a};T.prototype.ua=function(){var a;switch(this.M){case Ca:a=this.ya;break;case 1:a=this.xa;break;default:throw Error("unknown interlace method");}return a};function Z(a,c,b){this.width=a;this.height=c;this.T=b}
-T.prototype.ya=function(a){return[new Z(this.width,this.height,a)]};T.prototype.xa=function(a){var c=this.height,b=a.length/c,e,d,f,g,h,k,p,l,o,i,t,v;t=[new Z(0,0,[]),new Z(0,0,[]),new Z(0,0,[]),new Z(0,0,[]),new Z(0,0,[]),new Z(0,0,[]),new Z(0,0,[])];l=0;for(o=Wa.length;l<o;l++){v=t[l];i=Wa[l];for(d=h=k=0;d<c;d+=8)for(g=i.k;8>g;g+=i.l)for(e=0;e<b;e+=8)for(f=i.i;8>f;f+=i.j)if(p=a[e+f+(d+g)*b])h=(e+f-i.i)/i.j,k=(d+g-i.k)/i.l,v.T.push(p);v.width=h+1;v.height=k+1}return t};
-T.prototype.Xa=function(a){var c=[],b,e,d,f,g,h,k=this.e,p,l;p=8/k;d=0;for(f=a.length;d<f;d++)if(b=a[d],8>k)0===d%p&&(l=d/p,c[l]=0),c[l]|=b[0]<<(p-d%p-1)*k;else{g=0;for(h=b.length;g<h;g++)e=b[g],c.push(e),16===k&&c.push(e)}return c};
-T.prototype.ta=function(){var a;switch(this.w){case W:switch(this.J){case Ba:a=this.ga;break;case 1:a=this.ia;break;case 2:a=this.ja;break;case 3:a=this.fa;break;case 4:a=this.ha;break;default:throw Error("unknown filter type");}break;default:throw Error("unknown filter method");}return a};T.prototype.ga=function(a){return a};T.prototype.ia=function(a,c){var b=[],e=0,d,f;d=0;for(f=a.length;d<f;d++)e=a[d-c]||0,b.push(a[d]-e+256&255);return b};
-T.prototype.ja=function(a){var c=[],b,e=this.q,d,f;d=0;for(f=a.length;d<f;d++)b=e&&e[d]?e[d]:0,c.push(a[d]-b+256&255);return c};T.prototype.fa=function(a,c){var b=[],e,d,f=this.q,g,h;g=0;for(h=a.length;g<h;g++)e=a[g-c]||0,d=f&&f[g]||0,e=e+d>>>1,b.push(a[g]+256-e&255);return b};T.prototype.ha=function(a,c){var b=[],e,d,f,g=this.q,h,k;h=0;for(k=a.length;h<k;h++)e=a[h-c]||0,d=g&&g[h]||0,f=g&&g[h-c]||0,e=this.Wa(e,d,f),b.push(a[h]-e+256&255);return b};
-T.prototype.Wa=function(a,c,b){var e,d,f;e=a+c-b;d=Math.abs(e-a);f=Math.abs(e-c);e=Math.abs(e-b);return d<=f&&d<=e?a:f<=e?c:b};T.prototype.n=function(a,c,b){return"function"===typeof a.slice?a.slice(c,c+b):Array.prototype.slice.call(a,c,c+b)};T.prototype.c=function(a,c){var b=[],e=[];Y(b,this.a(c.length,4));Y(b,a);Y(b,c);Y(e,a);Y(e,c);Y(b,this.a(A.ca(e),4));return b};T.prototype.a=function(a,c){var b=[],e;do e=a&255,b.push(e),a>>>=8;while(0<a);if("number"===typeof c)for(;b.length<c;)b.push(0);return b.reverse()};
-T.prototype.Za=function(a,c,b){a=0.29891*a+0.58661*c+0.11448*b+1.0E-4;return(255<a?255:a)|0};T.prototype.D=function(a){return a.slice(0,3).map(this.K).join("")};T.prototype.V=function(a){return a.map(this.K).join("")};T.prototype.K=function(a){return String.fromCharCode(a).charAt(0)};function Y(a,c){var b=0,e=c.length,d=c.length;if(a.push)for(;b<d;b++)a.push(c[b]);else for(;b<d;b++)a[e+b]=c[b];return a.length}
-function X(a){var a=a.split(""),c=[],b,e;b=0;for(e=a.length;b<e;b++)c[b]=a[b].charCodeAt(0);return c}function $(a,c){for(var b in c){var e=[a,b].join(".");j(e,c[b],void 0)}}j("CanvasTool.PngEncoder",T,void 0);$("CanvasTool.PngEncoder.CompressionMethod",{DEFLATE:V});$("CanvasTool.PngEncoder.ColourType",{GRAYSCALE:0,TRUECOLOR:2,INDEXED_COLOR:3,GRAYSCALE_WITH_ALPHA:4,TRUECOLOR_WITH_ALPHA:U});$("CanvasTool.PngEncoder.FilterMethod",{BASIC:W});
-$("CanvasTool.PngEncoder.BasicFilterType",{NONE:Ba,SUB:1,UP:2,AVERAGE:3,PAETH:4});$("CanvasTool.PngEncoder.InterlaceMethod",{NONE:Ca,ADAM7:1});j("CanvasTool.PngEncoder.prototype.convert",T.prototype.da,void 0);j("CanvasTool.PngEncoder.prototype.convertToArray",T.prototype.H,void 0);}).call(this);
+(function() {var COMPILED=!0,goog=goog||{};goog.global=this;goog.DEBUG=!1;goog.LOCALE="en";goog.provide=function(a){if(!COMPILED){if(goog.isProvided_(a))throw Error('Namespace "'+a+'" already declared.');delete goog.implicitNamespaces_[a];for(var b=a;(b=b.substring(0,b.lastIndexOf(".")))&&!goog.getObjectByName(b);)goog.implicitNamespaces_[b]=!0}goog.exportPath_(a)};goog.setTestOnly=function(a){if(COMPILED&&!goog.DEBUG)throw a=a||"",Error("Importing test-only code into non-debug environment"+a?": "+a:".");};
+COMPILED||(goog.isProvided_=function(a){return!goog.implicitNamespaces_[a]&&!!goog.getObjectByName(a)},goog.implicitNamespaces_={});goog.exportPath_=function(a,b,c){a=a.split(".");c=c||goog.global;a[0]in c||!c.execScript||c.execScript("var "+a[0]);for(var d;a.length&&(d=a.shift());)!a.length&&goog.isDef(b)?c[d]=b:c=c[d]?c[d]:c[d]={}};goog.getObjectByName=function(a,b){a=a.split(".");b=b||goog.global;for(var c;c=a.shift();)if(goog.isDefAndNotNull(b[c]))b=b[c];else return null;return b};
+goog.globalize=function(a,b){b=b||goog.global;for(var c in a)b[c]=a[c]};goog.addDependency=function(a,b,c){if(!COMPILED){var d;a=a.replace(/\\/g,"/");for(var e=goog.dependencies_,f=0;d=b[f];f++)e.nameToPath[d]=a,a in e.pathToNames||(e.pathToNames[a]={}),e.pathToNames[a][d]=!0;for(d=0;b=c[d];d++)a in e.requires||(e.requires[a]={}),e.requires[a][b]=!0}};goog.ENABLE_DEBUG_LOADER=!0;
+goog.require=function(a){if(!COMPILED&&!goog.isProvided_(a)){if(goog.ENABLE_DEBUG_LOADER){var b=goog.getPathFromDeps_(a);if(b){goog.included_[b]=!0;goog.writeScripts_();return}}a="goog.require could not find: "+a;goog.global.console&&goog.global.console.error(a);throw Error(a);}};goog.basePath="";goog.nullFunction=function(){};goog.identityFunction=function(a,b){return a};goog.abstractMethod=function(){throw Error("unimplemented abstract method");};
+goog.addSingletonGetter=function(a){a.getInstance=function(){if(a.instance_)return a.instance_;goog.DEBUG&&(goog.instantiatedSingletons_[goog.instantiatedSingletons_.length]=a);return a.instance_=new a}};goog.instantiatedSingletons_=[];
+!COMPILED&&goog.ENABLE_DEBUG_LOADER&&(goog.included_={},goog.dependencies_={pathToNames:{},nameToPath:{},requires:{},visited:{},written:{}},goog.inHtmlDocument_=function(){var a=goog.global.document;return typeof a!="undefined"&&"write"in a},goog.findBasePath_=function(){if(goog.global.CLOSURE_BASE_PATH)goog.basePath=goog.global.CLOSURE_BASE_PATH;else if(goog.inHtmlDocument_())for(var a=goog.global.document.getElementsByTagName("script"),b=a.length-1;b>=0;--b){var c=a[b].src,d=c.lastIndexOf("?");
+d=d==-1?c.length:d;if(c.substr(d-7,7)=="base.js"){goog.basePath=c.substr(0,d-7);break}}},goog.importScript_=function(a){var b=goog.global.CLOSURE_IMPORT_SCRIPT||goog.writeScriptTag_;!goog.dependencies_.written[a]&&b(a)&&(goog.dependencies_.written[a]=!0)},goog.writeScriptTag_=function(a){return goog.inHtmlDocument_()?(goog.global.document.write('<script type="text/javascript" src="'+a+'">\x3c/script>'),!0):!1},goog.writeScripts_=function(){function a(f){if(!(f in d.written)){if(!(f in d.visited)&&
+(d.visited[f]=!0,f in d.requires))for(var g in d.requires[f])if(!goog.isProvided_(g))if(g in d.nameToPath)a(d.nameToPath[g]);else throw Error("Undefined nameToPath for "+g);f in c||(c[f]=!0,b.push(f))}}var b=[],c={},d=goog.dependencies_,e;for(e in goog.included_)d.written[e]||a(e);for(e=0;e<b.length;e++)if(b[e])goog.importScript_(goog.basePath+b[e]);else throw Error("Undefined script input");},goog.getPathFromDeps_=function(a){return a in goog.dependencies_.nameToPath?goog.dependencies_.nameToPath[a]:
+null},goog.findBasePath_(),goog.global.CLOSURE_NO_DEPS||goog.importScript_(goog.basePath+"deps.js"));
+goog.typeOf=function(a){var b=typeof a;if(b=="object")if(a){if(a instanceof Array)return"array";if(a instanceof Object)return b;var c=Object.prototype.toString.call(a);if(c=="[object Window]")return"object";if(c=="[object Array]"||typeof a.length=="number"&&typeof a.splice!="undefined"&&typeof a.propertyIsEnumerable!="undefined"&&!a.propertyIsEnumerable("splice"))return"array";if(c=="[object Function]"||typeof a.call!="undefined"&&typeof a.propertyIsEnumerable!="undefined"&&!a.propertyIsEnumerable("call"))return"function"}else return"null";
+else if(b=="function"&&typeof a.call=="undefined")return"object";return b};goog.isDef=function(a){return a!==void 0};goog.isNull=function(a){return a===null};goog.isDefAndNotNull=function(a){return a!=null};goog.isArray=function(a){return goog.typeOf(a)=="array"};goog.isArrayLike=function(a){var b=goog.typeOf(a);return b=="array"||b=="object"&&typeof a.length=="number"};goog.isDateLike=function(a){return goog.isObject(a)&&typeof a.getFullYear=="function"};
+goog.isString=function(a){return typeof a=="string"};goog.isBoolean=function(a){return typeof a=="boolean"};goog.isNumber=function(a){return typeof a=="number"};goog.isFunction=function(a){return goog.typeOf(a)=="function"};goog.isObject=function(a){var b=typeof a;return b=="object"&&a!=null||b=="function"};goog.getUid=function(a){return a[goog.UID_PROPERTY_]||(a[goog.UID_PROPERTY_]=++goog.uidCounter_)};goog.removeUid=function(a){"removeAttribute"in a&&a.removeAttribute(goog.UID_PROPERTY_);try{delete a[goog.UID_PROPERTY_]}catch(b){}};
+goog.UID_PROPERTY_="closure_uid_"+Math.floor(Math.random()*2147483648).toString(36);goog.uidCounter_=0;goog.getHashCode=goog.getUid;goog.removeHashCode=goog.removeUid;goog.cloneObject=function(a){var b=goog.typeOf(a);if(b=="object"||b=="array"){if(a.clone)return a.clone();b=b=="array"?[]:{};for(var c in a)b[c]=goog.cloneObject(a[c]);return b}return a};goog.bindNative_=function(a,b,c){return a.call.apply(a.bind,arguments)};
+goog.bindJs_=function(a,b,c){if(!a)throw Error();if(arguments.length>2){var d=Array.prototype.slice.call(arguments,2);return function(){var e=Array.prototype.slice.call(arguments);Array.prototype.unshift.apply(e,d);return a.apply(b,e)}}return function(){return a.apply(b,arguments)}};goog.bind=function(a,b,c){Function.prototype.bind&&Function.prototype.bind.toString().indexOf("native code")!=-1?goog.bind=goog.bindNative_:goog.bind=goog.bindJs_;return goog.bind.apply(null,arguments)};
+goog.partial=function(a,b){var c=Array.prototype.slice.call(arguments,1);return function(){var d=Array.prototype.slice.call(arguments);d.unshift.apply(d,c);return a.apply(this,d)}};goog.mixin=function(a,b){for(var c in b)a[c]=b[c]};goog.now=Date.now||function(){return+new Date};
+goog.globalEval=function(a){if(goog.global.execScript)goog.global.execScript(a,"JavaScript");else if(goog.global.eval)if(goog.evalWorksForGlobals_==null&&(goog.global.eval("var _et_ = 1;"),typeof goog.global._et_!="undefined"?(delete goog.global._et_,goog.evalWorksForGlobals_=!0):goog.evalWorksForGlobals_=!1),goog.evalWorksForGlobals_)goog.global.eval(a);else{var b=goog.global.document,c=b.createElement("script");c.type="text/javascript";c.defer=!1;c.appendChild(b.createTextNode(a));b.body.appendChild(c);
+b.body.removeChild(c)}else throw Error("goog.globalEval not available");};goog.evalWorksForGlobals_=null;goog.getCssName=function(a,b){var c=function(e){return goog.cssNameMapping_[e]||e},d=function(e){e=e.split("-");for(var f=[],g=0;g<e.length;g++)f.push(c(e[g]));return f.join("-")};d=goog.cssNameMapping_?goog.cssNameMappingStyle_=="BY_WHOLE"?c:d:function(e){return e};return b?a+"-"+d(b):d(a)};goog.setCssNameMapping=function(a,b){goog.cssNameMapping_=a;goog.cssNameMappingStyle_=b};
+!COMPILED&&goog.global.CLOSURE_CSS_NAME_MAPPING&&(goog.cssNameMapping_=goog.global.CLOSURE_CSS_NAME_MAPPING);goog.getMsg=function(a,b){b=b||{};for(var c in b){var d=(""+b[c]).replace(/\$/g,"$$$$");a=a.replace(new RegExp("\\{\\$"+c+"\\}","gi"),d)}return a};goog.exportSymbol=function(a,b,c){goog.exportPath_(a,b,c)};goog.exportProperty=function(a,b,c){a[b]=c};goog.inherits=function(a,b){function c(){}c.prototype=b.prototype;a.superClass_=b.prototype;a.prototype=new c;a.prototype.constructor=a};
+goog.base=function(a,b,c){var d=arguments.callee.caller;if(d.superClass_)return d.superClass_.constructor.apply(a,Array.prototype.slice.call(arguments,1));for(var e=Array.prototype.slice.call(arguments,2),f=!1,g=a.constructor;g;g=g.superClass_&&g.superClass_.constructor)if(g.prototype[b]===d)f=!0;else if(f)return g.prototype[b].apply(a,e);if(a[b]===d)return a.constructor.prototype[b].apply(a,e);throw Error("goog.base called from a method of one name to a method of a different name");};
+goog.scope=function(a){a.call(goog.global)};var USE_TYPEDARRAY=typeof Uint8Array!=="undefined"&&typeof Uint16Array!=="undefined"&&typeof Uint32Array!=="undefined";var Zlib={Util:{}};Zlib.Util.stringToByteArray=function(a){a=a.split("");var b;var c=0;for(b=a.length;c<b;c++)a[c]=(a[c].charCodeAt(0)&255)>>>0;return a};Zlib.Adler32=function(a){typeof a==="string"&&(a=Zlib.Util.stringToByteArray(a));return Zlib.Adler32.update(1,a)};Zlib.Adler32.update=function(a,b){var c=a&65535;a=a>>>16&65535;for(var d=b.length,e,f=0;d>0;){e=d>Zlib.Adler32.OptimizationParameter?Zlib.Adler32.OptimizationParameter:d;d-=e;do c+=b[f++],a+=c;while(--e);c%=65521;a%=65521}return(a<<16|c)>>>0};Zlib.Adler32.OptimizationParameter=1024;Zlib.BitStream=function(a,b){this.index=typeof b==="number"?b:0;this.bitindex=0;this.buffer=a instanceof(USE_TYPEDARRAY?Uint8Array:Array)?a:new (USE_TYPEDARRAY?Uint8Array:Array)(Zlib.BitStream.DefaultBlockSize);if(this.buffer.length*2<=this.index)throw Error("invalid index");this.buffer.length<=this.index&&this.expandBuffer()};Zlib.BitStream.DefaultBlockSize=32768;
+Zlib.BitStream.prototype.expandBuffer=function(){var a=this.buffer,b,c=a.length,d=new (USE_TYPEDARRAY?Uint8Array:Array)(c<<1);if(USE_TYPEDARRAY)d.set(a);else for(b=0;b<c;++b)d[b]=a[b];return this.buffer=d};
+Zlib.BitStream.prototype.writeBits=function(a,b,c){var d=this.buffer,e=this.index,f=this.bitindex,g=d[e];c&&b>1&&(a=b>8?(Zlib.BitStream.ReverseTable[a&255]<<24|Zlib.BitStream.ReverseTable[a>>>8&255]<<16|Zlib.BitStream.ReverseTable[a>>>16&255]<<8|Zlib.BitStream.ReverseTable[a>>>24&255])>>32-b:Zlib.BitStream.ReverseTable[a]>>8-b);if(b+f<8)g=g<<b|a,f+=b;else for(c=0;c<b;++c)g=g<<1|a>>b-c-1&1,++f===8&&(f=0,d[e++]=Zlib.BitStream.ReverseTable[g],g=0,e===d.length&&(d=this.expandBuffer()));d[e]=g;this.buffer=
+d;this.bitindex=f;this.index=e};Zlib.BitStream.prototype.finish=function(){var a=this.buffer,b=this.index;this.bitindex>0&&(a[b]<<=8-this.bitindex,a[b]=Zlib.BitStream.ReverseTable[a[b]],b++);USE_TYPEDARRAY?a=a.subarray(0,b):a.length=b;return a};Zlib.BitStream.ReverseTable=function(a){return a}(function(){var a=new (USE_TYPEDARRAY?Uint8Array:Array)(256),b;for(b=0;b<256;++b){var c=b,d=b,e=d,f=7;for(d>>>=1;d;d>>>=1)e<<=1,e|=d&1,--f;a[c]=(e<<f&255)>>>0}return a}());Zlib.CRC32={};var ZLIB_CRC32_COMPACT=!1;Zlib.CRC32.calc=function(a,b,c){return Zlib.CRC32.update(a,0,b,c)};
+Zlib.CRC32.update=function(a,b,c,d){var e=Zlib.CRC32.Table;typeof c==="number"||(c=0);var f=typeof d==="number"?d:a.length;b^=4294967295;for(d=f&7;d--;++c)b=b>>>8^e[(b^a[c])&255];for(d=f>>3;d--;c+=8)b=b>>>8^e[(b^a[c])&255],b=b>>>8^e[(b^a[c+1])&255],b=b>>>8^e[(b^a[c+2])&255],b=b>>>8^e[(b^a[c+3])&255],b=b>>>8^e[(b^a[c+4])&255],b=b>>>8^e[(b^a[c+5])&255],b=b>>>8^e[(b^a[c+6])&255],b=b>>>8^e[(b^a[c+7])&255];return(b^4294967295)>>>0};
+Zlib.CRC32.single=function(a,b){return(Zlib.CRC32.Table[(a^b)&255]^a>>>8)>>>0};
+Zlib.CRC32.Table_=[0,1996959894,3993919788,2567524794,124634137,1886057615,3915621685,2657392035,249268274,2044508324,3772115230,2547177864,162941995,2125561021,3887607047,2428444049,498536548,1789927666,4089016648,2227061214,450548861,1843258603,4107580753,2211677639,325883990,1684777152,4251122042,2321926636,335633487,1661365465,4195302755,2366115317,997073096,1281953886,3579855332,2724688242,1006888145,1258607687,3524101629,2768942443,901097722,1119000684,3686517206,2898065728,853044451,1172266101,
+3705015759,2882616665,651767980,1373503546,3369554304,3218104598,565507253,1454621731,3485111705,3099436303,671266974,1594198024,3322730930,2970347812,795835527,1483230225,3244367275,3060149565,1994146192,31158534,2563907772,4023717930,1907459465,112637215,2680153253,3904427059,2013776290,251722036,2517215374,3775830040,2137656763,141376813,2439277719,3865271297,1802195444,476864866,2238001368,4066508878,1812370925,453092731,2181625025,4111451223,1706088902,314042704,2344532202,4240017532,1658658271,
+366619977,2362670323,4224994405,1303535960,984961486,2747007092,3569037538,1256170817,1037604311,2765210733,3554079995,1131014506,879679996,2909243462,3663771856,1141124467,855842277,2852801631,3708648649,1342533948,654459306,3188396048,3373015174,1466479909,544179635,3110523913,3462522015,1591671054,702138776,2966460450,3352799412,1504918807,783551873,3082640443,3233442989,3988292384,2596254646,62317068,1957810842,3939845945,2647816111,81470997,1943803523,3814918930,2489596804,225274430,2053790376,
+3826175755,2466906013,167816743,2097651377,4027552580,2265490386,503444072,1762050814,4150417245,2154129355,426522225,1852507879,4275313526,2312317920,282753626,1742555852,4189708143,2394877945,397917763,1622183637,3604390888,2714866558,953729732,1340076626,3518719985,2797360999,1068828381,1219638859,3624741850,2936675148,906185462,1090812512,3747672003,2825379669,829329135,1181335161,3412177804,3160834842,628085408,1382605366,3423369109,3138078467,570562233,1426400815,3317316542,2998733608,733239954,
+1555261956,3268935591,3050360625,752459403,1541320221,2607071920,3965973030,1969922972,40735498,2617837225,3943577151,1913087877,83908371,2512341634,3803740692,2075208622,213261112,2463272603,3855990285,2094854071,198958881,2262029012,4057260610,1759359992,534414190,2176718541,4139329115,1873836001,414664567,2282248934,4279200368,1711684554,285281116,2405801727,4167216745,1634467795,376229701,2685067896,3608007406,1308918612,956543938,2808555105,3495958263,1231636301,1047427035,2932959818,3654703836,
+1088359270,936918E3,2847714899,3736837829,1202900863,817233897,3183342108,3401237130,1404277552,615818150,3134207493,3453421203,1423857449,601450431,3009837614,3294710456,1567103746,711928724,3020668471,3272380065,1510334235,755167117];Zlib.CRC32.Table=ZLIB_CRC32_COMPACT?function(){var a=new (USE_TYPEDARRAY?Uint32Array:Array)(256),b,c;for(b=0;b<256;++b){var d=b;for(c=0;c<8;++c)d=d&1?3988292384^d>>>1:d>>>1;a[b]=d>>>0}return a}():USE_TYPEDARRAY?new Uint32Array(Zlib.CRC32.Table_):Zlib.CRC32.Table_;Zlib.CompressionMethod={DEFLATE:8,RESERVED:15};Zlib.Heap=function(a){this.buffer=new (USE_TYPEDARRAY?Uint16Array:Array)(a*2);this.length=0};Zlib.Heap.prototype.getParent=function(a){return((a-2)/4|0)*2};Zlib.Heap.prototype.getChild=function(a){return 2*a+2};Zlib.Heap.prototype.push=function(a,b){var c=this.buffer;var d=this.length;c[this.length++]=b;for(c[this.length++]=a;d>0;)if(a=this.getParent(d),c[d]>c[a])b=c[d],c[d]=c[a],c[a]=b,b=c[d+1],c[d+1]=c[a+1],c[a+1]=b,d=a;else break;return this.length};
+Zlib.Heap.prototype.pop=function(){var a=this.buffer,b;var c=a[0];var d=a[1];this.length-=2;a[0]=a[this.length];a[1]=a[this.length+1];for(b=0;;){var e=this.getChild(b);if(e>=this.length)break;e+2<this.length&&a[e+2]>a[e]&&(e+=2);if(a[e]>a[b]){var f=a[b];a[b]=a[e];a[e]=f;f=a[b+1];a[b+1]=a[e+1];a[e+1]=f}else break;b=e}return{index:d,value:c,length:this.length}};Zlib.RawDeflate=function(a,b){this.compressionType=Zlib.RawDeflate.CompressionType.DYNAMIC;this.lazy=0;this.input=USE_TYPEDARRAY&&a instanceof Array?new Uint8Array(a):a;this.op=0;b&&(b.lazy&&(this.lazy=b.lazy),typeof b.compressionType==="number"&&(this.compressionType=b.compressionType),b.outputBuffer&&(this.output=USE_TYPEDARRAY&&b.outputBuffer instanceof Array?new Uint8Array(b.outputBuffer):b.outputBuffer),typeof b.outputIndex==="number"&&(this.op=b.outputIndex));this.output||(this.output=new (USE_TYPEDARRAY?
+Uint8Array:Array)(32768))};Zlib.RawDeflate.CompressionType={NONE:0,FIXED:1,DYNAMIC:2,RESERVED:3};Zlib.RawDeflate.Lz77MinLength=3;Zlib.RawDeflate.Lz77MaxLength=258;Zlib.RawDeflate.WindowSize=32768;Zlib.RawDeflate.MaxCodeLength=16;Zlib.RawDeflate.HUFMAX=286;
+Zlib.RawDeflate.FixedHuffmanTable=function(){var a=[],b;for(b=0;b<288;b++)switch(!0){case b<=143:a.push([b+48,8]);break;case b<=255:a.push([b-144+400,9]);break;case b<=279:a.push([b-256,7]);break;case b<=287:a.push([b-280+192,8]);break;default:throw"invalid literal: "+b;}return a}();
+Zlib.RawDeflate.prototype.compress=function(){var a,b=this.input;switch(this.compressionType){case Zlib.RawDeflate.CompressionType.NONE:var c=0;for(a=b.length;c<a;){var d=USE_TYPEDARRAY?b.subarray(c,c+65535):b.slice(c,c+65535);c+=d.length;this.makeNocompressBlock(d,c===a)}break;case Zlib.RawDeflate.CompressionType.FIXED:this.output=this.makeFixedHuffmanBlock(b,!0);this.op=this.output.length;break;case Zlib.RawDeflate.CompressionType.DYNAMIC:this.output=this.makeDynamicHuffmanBlock(b,!0);this.op=this.output.length;
+break;default:throw"invalid compression type";}return this.output};
+Zlib.RawDeflate.prototype.makeNocompressBlock=function(a,b){var c=this.output,d=this.op;if(USE_TYPEDARRAY){for(c=new Uint8Array(this.output.buffer);c.length<=d+a.length+5;)c=new Uint8Array(c.length<<1);c.set(this.output)}var e=Zlib.RawDeflate.CompressionType.NONE;c[d++]=(b?1:0)|e<<1;b=a.length;e=~b+65536&65535;c[d++]=b&255;c[d++]=b>>>8&255;c[d++]=e&255;c[d++]=e>>>8&255;if(USE_TYPEDARRAY)c.set(a,d),d+=a.length,c=c.subarray(0,d);else{b=0;for(e=a.length;b<e;++b)c[d++]=a[b];c.length=d}this.op=d;return this.output=
+c};Zlib.RawDeflate.prototype.makeFixedHuffmanBlock=function(a,b){var c=new Zlib.BitStream(USE_TYPEDARRAY?new Uint8Array(this.output.buffer):this.output,this.op);var d=Zlib.RawDeflate.CompressionType.FIXED;c.writeBits(b?1:0,1,!0);c.writeBits(d,2,!0);a=this.lz77(a);this.fixedHuffman(a,c);return c.finish()};
+Zlib.RawDeflate.prototype.makeDynamicHuffmanBlock=function(a,b){var c=new Zlib.BitStream(USE_TYPEDARRAY?new Uint8Array(this.output.buffer):this.output,this.op),d,e,f,g=[16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15],h=Array(19),k;var l=Zlib.RawDeflate.CompressionType.DYNAMIC;c.writeBits(b?1:0,1,!0);c.writeBits(l,2,!0);a=this.lz77(a);b=this.getLengths_(this.freqsLitLen,15);l=this.getCodesFromLengths_(b);var m=this.getLengths_(this.freqsDist,7);var p=this.getCodesFromLengths_(m);for(d=286;d>257&&b[d-
+1]===0;d--);for(e=30;e>1&&m[e-1]===0;e--);var n=this.getTreeSymbols_(d,b,e,m);var q=this.getLengths_(n.freqs,7);for(k=0;k<19;k++)h[k]=q[g[k]];for(f=19;f>4&&h[f-1]===0;f--);g=this.getCodesFromLengths_(q);c.writeBits(d-257,5,!0);c.writeBits(e-1,5,!0);c.writeBits(f-4,4,!0);for(k=0;k<f;k++)c.writeBits(h[k],3,!0);k=0;for(h=n.codes.length;k<h;k++)if(d=n.codes[k],c.writeBits(g[d],q[d],!0),d>=16){k++;switch(d){case 16:d=2;break;case 17:d=3;break;case 18:d=7;break;default:throw"invalid code: "+d;}c.writeBits(n.codes[k],
+d,!0)}this.dynamicHuffman(a,[l,b],[p,m],c);return c.finish()};Zlib.RawDeflate.prototype.dynamicHuffman=function(a,b,c,d){var e;var f=b[0];b=b[1];var g=c[0];var h=c[1];c=0;for(e=a.length;c<e;++c){var k=a[c];d.writeBits(f[k],b[k],!0);if(k>256)d.writeBits(a[++c],a[++c],!0),k=a[++c],d.writeBits(g[k],h[k],!0),d.writeBits(a[++c],a[++c],!0);else if(k===256)break}return d};
+Zlib.RawDeflate.prototype.fixedHuffman=function(a,b){var c;var d=0;for(c=a.length;d<c;d++){var e=a[d];Zlib.BitStream.prototype.writeBits.apply(b,Zlib.RawDeflate.FixedHuffmanTable[e]);if(e>256)b.writeBits(a[++d],a[++d],!0),b.writeBits(a[++d],5),b.writeBits(a[++d],a[++d],!0);else if(e===256)break}return b};Zlib.RawDeflate.Lz77Match=function(a,b){this.length=a;this.backwardDistance=b};
+Zlib.RawDeflate.Lz77Match.LengthCodeTable=function(a){return USE_TYPEDARRAY?new Uint32Array(a):a}(function(){function a(e){switch(!0){case e===3:return[257,e-3,0];case e===4:return[258,e-4,0];case e===5:return[259,e-5,0];case e===6:return[260,e-6,0];case e===7:return[261,e-7,0];case e===8:return[262,e-8,0];case e===9:return[263,e-9,0];case e===10:return[264,e-10,0];case e<=12:return[265,e-11,1];case e<=14:return[266,e-13,1];case e<=16:return[267,e-15,1];case e<=18:return[268,e-17,1];case e<=22:return[269,
+e-19,2];case e<=26:return[270,e-23,2];case e<=30:return[271,e-27,2];case e<=34:return[272,e-31,2];case e<=42:return[273,e-35,3];case e<=50:return[274,e-43,3];case e<=58:return[275,e-51,3];case e<=66:return[276,e-59,3];case e<=82:return[277,e-67,4];case e<=98:return[278,e-83,4];case e<=114:return[279,e-99,4];case e<=130:return[280,e-115,4];case e<=162:return[281,e-131,5];case e<=194:return[282,e-163,5];case e<=226:return[283,e-195,5];case e<=257:return[284,e-227,5];case e===258:return[285,e-258,0];
+default:throw"invalid length: "+e;}}var b=[],c;for(c=3;c<=258;c++){var d=a(c);b[c]=d[2]<<24|d[1]<<16|d[0]}return b}());
+Zlib.RawDeflate.Lz77Match.prototype.getDistanceCode_=function(a){switch(!0){case a===1:a=[0,a-1,0];break;case a===2:a=[1,a-2,0];break;case a===3:a=[2,a-3,0];break;case a===4:a=[3,a-4,0];break;case a<=6:a=[4,a-5,1];break;case a<=8:a=[5,a-7,1];break;case a<=12:a=[6,a-9,2];break;case a<=16:a=[7,a-13,2];break;case a<=24:a=[8,a-17,3];break;case a<=32:a=[9,a-25,3];break;case a<=48:a=[10,a-33,4];break;case a<=64:a=[11,a-49,4];break;case a<=96:a=[12,a-65,5];break;case a<=128:a=[13,a-97,5];break;case a<=192:a=
+[14,a-129,6];break;case a<=256:a=[15,a-193,6];break;case a<=384:a=[16,a-257,7];break;case a<=512:a=[17,a-385,7];break;case a<=768:a=[18,a-513,8];break;case a<=1024:a=[19,a-769,8];break;case a<=1536:a=[20,a-1025,9];break;case a<=2048:a=[21,a-1537,9];break;case a<=3072:a=[22,a-2049,10];break;case a<=4096:a=[23,a-3073,10];break;case a<=6144:a=[24,a-4097,11];break;case a<=8192:a=[25,a-6145,11];break;case a<=12288:a=[26,a-8193,12];break;case a<=16384:a=[27,a-12289,12];break;case a<=24576:a=[28,a-16385,
+13];break;case a<=32768:a=[29,a-24577,13];break;default:throw"invalid distance";}return a};Zlib.RawDeflate.Lz77Match.prototype.toLz77Array=function(){var a=this.backwardDistance,b=[],c=0;var d=Zlib.RawDeflate.Lz77Match.LengthCodeTable[this.length];b[c++]=d&65535;b[c++]=d>>16&255;b[c++]=d>>24;d=this.getDistanceCode_(a);b[c++]=d[0];b[c++]=d[1];b[c++]=d[2];return b};
+Zlib.RawDeflate.prototype.lz77=function(a){function b(v,w){var u=v.toLz77Array(),z;var x=0;for(z=u.length;x<z;++x)l[m++]=u[x];n[u[0]]++;q[u[3]]++;p=v.length+w-1;k=null}var c,d,e,f,g={},h=Zlib.RawDeflate.WindowSize,k,l=USE_TYPEDARRAY?new Uint16Array(a.length*2):[],m=0,p=0,n=new (USE_TYPEDARRAY?Uint32Array:Array)(286),q=new (USE_TYPEDARRAY?Uint32Array:Array)(30),r=this.lazy;if(!USE_TYPEDARRAY){for(d=0;d<=285;)n[d++]=0;for(d=0;d<=29;)q[d++]=0}n[256]=1;var t=0;for(c=a.length;t<c;++t){d=f=0;for(e=Zlib.RawDeflate.Lz77MinLength;d<
+e&&t+d!==c;++d)f=f<<8|a[t+d];g[f]===void 0&&(g[f]=[]);d=g[f];if(!(p-- >0)){for(;d.length>0&&t-d[0]>h;)d.shift();if(t+Zlib.RawDeflate.Lz77MinLength>=c){k&&b(k,-1);d=0;for(e=c-t;d<e;++d)f=a[t+d],l[m++]=f,++n[f];break}d.length>0?(e=this.searchLongestMatch_(a,t,d),k?k.length<e.length?(f=a[t-1],l[m++]=f,++n[f],b(e,0)):b(k,-1):e.length<r?k=e:b(e,0)):k?b(k,-1):(f=a[t],l[m++]=f,++n[f])}d.push(t)}l[m++]=256;n[256]++;this.freqsLitLen=n;this.freqsDist=q;return USE_TYPEDARRAY?l.subarray(0,m):l};
+Zlib.RawDeflate.prototype.searchLongestMatch_=function(a,b,c){var d=0,e=a.length;var f=0;var g=c.length;a:for(;f<g;f++){var h=c[g-f-1];var k=Zlib.RawDeflate.Lz77MinLength;if(d>Zlib.RawDeflate.Lz77MinLength){for(k=d;k>Zlib.RawDeflate.Lz77MinLength;k--)if(a[h+k-1]!==a[b+k-1])continue a;k=d}for(;k<Zlib.RawDeflate.Lz77MaxLength&&b+k<e&&a[h+k]===a[b+k];)++k;if(k>d){var l=h;d=k}if(k===Zlib.RawDeflate.Lz77MaxLength)break}return new Zlib.RawDeflate.Lz77Match(d,b-l)};
+Zlib.RawDeflate.prototype.getTreeSymbols_=function(a,b,c,d){var e=new (USE_TYPEDARRAY?Uint32Array:Array)(a+c),f,g,h=new (USE_TYPEDARRAY?Uint32Array:Array)(316),k=new (USE_TYPEDARRAY?Uint8Array:Array)(19);for(f=g=0;f<a;f++)e[g++]=b[f];for(f=0;f<c;f++)e[g++]=d[f];if(!USE_TYPEDARRAY)for(f=0,b=k.length;f<b;++f)k[f]=0;f=c=0;for(b=e.length;f<b;f+=g){for(g=1;f+g<b&&e[f+g]===e[f];++g);a=g;if(e[f]===0)if(a<3)for(;a-- >0;)h[c++]=0,k[0]++;else for(;a>0;)d=a<138?a:138,d>a-3&&d<a&&(d=a-3),d<=10?(h[c++]=17,h[c++]=
+d-3,k[17]++):(h[c++]=18,h[c++]=d-11,k[18]++),a-=d;else if(h[c++]=e[f],k[e[f]]++,a--,a<3)for(;a-- >0;)h[c++]=e[f],k[e[f]]++;else for(;a>0;)d=a<6?a:6,d>a-3&&d<a&&(d=a-3),h[c++]=16,h[c++]=d-3,k[16]++,a-=d}return{codes:USE_TYPEDARRAY?h.subarray(0,c):h.slice(0,c),freqs:k}};
+Zlib.RawDeflate.prototype.getLengths_=function(a,b){var c=a.length,d=new Zlib.Heap(2*Zlib.RawDeflate.HUFMAX),e=new (USE_TYPEDARRAY?Uint8Array:Array)(c),f;if(!USE_TYPEDARRAY)for(f=0;f<c;f++)e[f]=0;for(f=0;f<c;++f)a[f]>0&&d.push(f,a[f]);a=Array(d.length/2);var g=new (USE_TYPEDARRAY?Uint32Array:Array)(d.length/2);if(a.length===1)return e[d.pop().index]=1,e;f=0;for(c=d.length/2;f<c;++f)a[f]=d.pop(),g[f]=a[f].value;b=this.reversePackageMerge_(g,g.length,b);f=0;for(c=a.length;f<c;++f)e[a[f].index]=b[f];
+return e};
+Zlib.RawDeflate.prototype.reversePackageMerge_=function(a,b,c){function d(r){var t=k[r][l[r]];t===b?(d(r+1),d(r+1)):--g[t];++l[r]}var e=new (USE_TYPEDARRAY?Uint16Array:Array)(c),f=new (USE_TYPEDARRAY?Uint8Array:Array)(c),g=new (USE_TYPEDARRAY?Uint8Array:Array)(b),h=Array(c),k=Array(c),l=Array(c),m=(1<<c)-b,p=1<<c-1,n;e[c-1]=b;for(n=0;n<c;++n)m<p?f[n]=0:(f[n]=1,m-=p),m<<=1,e[c-2-n]=(e[c-1-n]/2|0)+b;e[0]=f[0];h[0]=Array(e[0]);k[0]=Array(e[0]);for(n=1;n<c;++n)e[n]>2*e[n-1]+f[n]&&(e[n]=2*e[n-1]+f[n]),
+h[n]=Array(e[n]),k[n]=Array(e[n]);for(m=0;m<b;++m)g[m]=c;for(p=0;p<e[c-1];++p)h[c-1][p]=a[p],k[c-1][p]=p;for(m=0;m<c;++m)l[m]=0;f[c-1]===1&&(--g[0],++l[c-1]);for(n=c-2;n>=0;--n){c=m=0;var q=l[n+1];for(p=0;p<e[n];p++)c=h[n+1][q]+h[n+1][q+1],c>a[m]?(h[n][p]=c,k[n][p]=b,q+=2):(h[n][p]=a[m],k[n][p]=m,++m);l[n]=0;f[n]===1&&d(n)}return g};
+Zlib.RawDeflate.prototype.getCodesFromLengths_=function(a){var b=new (USE_TYPEDARRAY?Uint16Array:Array)(a.length),c=[],d=[],e=0,f,g;var h=0;for(f=a.length;h<f;h++)c[a[h]]=(c[a[h]]|0)+1;h=1;for(f=Zlib.RawDeflate.MaxCodeLength;h<=f;h++)d[h]=e,e+=c[h]|0,e<<=1;h=0;for(f=a.length;h<f;h++)for(e=d[a[h]],d[a[h]]+=1,c=b[h]=0,g=a[h];c<g;c++)b[h]=b[h]<<1|e&1,e>>>=1;return b};Zlib.Deflate=function(a,b){this.input=a;this.output=new (USE_TYPEDARRAY?Uint8Array:Array)(Zlib.Deflate.DefaultBufferSize);this.compressionType=Zlib.Deflate.CompressionType.DYNAMIC;a={};var c;!b&&(b={})||typeof b.compressionType!=="number"||(this.compressionType=b.compressionType);for(c in b)a[c]=b[c];a.outputBuffer=this.output;this.rawDeflate=new Zlib.RawDeflate(this.input,a)};Zlib.Deflate.DefaultBufferSize=32768;Zlib.Deflate.CompressionType=Zlib.RawDeflate.CompressionType;
+Zlib.Deflate.compress=function(a,b){return(new Zlib.Deflate(a,b)).compress()};
+Zlib.Deflate.prototype.compress=function(){var a=0;var b=this.output;var c=Zlib.CompressionMethod.DEFLATE;switch(c){case Zlib.CompressionMethod.DEFLATE:var d=Math.LOG2E*Math.log(Zlib.RawDeflate.WindowSize)-8;break;default:throw Error("invalid compression method");}d=d<<4|c;b[a++]=d;switch(c){case Zlib.CompressionMethod.DEFLATE:switch(this.compressionType){case Zlib.Deflate.CompressionType.NONE:c=0;break;case Zlib.Deflate.CompressionType.FIXED:c=1;break;case Zlib.Deflate.CompressionType.DYNAMIC:c=
+2;break;default:throw Error("unsupported compression type");}break;default:throw Error("invalid compression method");}c=c<<6|0;b[a++]=c|31-(d*256+c)%31;d=Zlib.Adler32(this.input);this.rawDeflate.op=a;b=this.rawDeflate.compress();a=b.length;USE_TYPEDARRAY&&(b=new Uint8Array(b.buffer),b.length<=a+4&&(this.output=new Uint8Array(b.length+4),this.output.set(b),b=this.output),b=b.subarray(0,a+4));b[a++]=d>>24&255;b[a++]=d>>16&255;b[a++]=d>>8&255;b[a++]=d&255;return b};Zlib.Huffman={};Zlib.Huffman.buildHuffmanTable=function(a){var b=a.length,c=0,d=Number.POSITIVE_INFINITY,e,f,g;for(f=0;f<b;++f)a[f]>c&&(c=a[f]),a[f]<d&&(d=a[f]);var h=1<<c;var k=new (USE_TYPEDARRAY?Uint32Array:Array)(h);var l=1;var m=0;for(e=2;l<=c;){for(f=0;f<b;++f)if(a[f]===l){var p=0;var n=m;for(g=0;g<l;++g)p=p<<1|n&1,n>>=1;n=l<<16|f;for(g=p;g<h;g+=e)k[g]=n;++m}++l;m<<=1;e<<=1}return[k,c,d]};var ZLIB_RAW_INFLATE_BUFFER_SIZE=32768;
+Zlib.RawInflate=function(a,b){this.blocks=[];this.bufferSize=ZLIB_RAW_INFLATE_BUFFER_SIZE;this.bitsbuflen=this.bitsbuf=this.ip=this.totalpos=0;this.input=USE_TYPEDARRAY?new Uint8Array(a):a;this.bfinal=!1;this.bufferType=Zlib.RawInflate.BufferType.ADAPTIVE;this.resize=!1;if(b||!(b={}))b.index&&(this.ip=b.index),b.bufferSize&&(this.bufferSize=b.bufferSize),b.bufferType&&(this.bufferType=b.bufferType),b.resize&&(this.resize=b.resize);switch(this.bufferType){case Zlib.RawInflate.BufferType.BLOCK:this.op=Zlib.RawInflate.MaxBackwardLength;
+this.output=new (USE_TYPEDARRAY?Uint8Array:Array)(Zlib.RawInflate.MaxBackwardLength+this.bufferSize+Zlib.RawInflate.MaxCopyLength);break;case Zlib.RawInflate.BufferType.ADAPTIVE:this.op=0;this.output=new (USE_TYPEDARRAY?Uint8Array:Array)(this.bufferSize);this.expandBuffer=this.expandBufferAdaptive;this.concatBuffer=this.concatBufferDynamic;this.decodeHuffman=this.decodeHuffmanAdaptive;break;default:throw Error("invalid inflate mode");}};Zlib.RawInflate.BufferType={BLOCK:0,ADAPTIVE:1};
+Zlib.RawInflate.prototype.decompress=function(){for(;!this.bfinal;)this.parseBlock();return this.concatBuffer()};Zlib.RawInflate.MaxBackwardLength=32768;Zlib.RawInflate.MaxCopyLength=258;Zlib.RawInflate.Order=function(a){return USE_TYPEDARRAY?new Uint16Array(a):a}([16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15]);Zlib.RawInflate.LengthCodeTable=function(a){return USE_TYPEDARRAY?new Uint16Array(a):a}([3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258,258,258]);
+Zlib.RawInflate.LengthExtraTable=function(a){return USE_TYPEDARRAY?new Uint8Array(a):a}([0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0,0,0]);Zlib.RawInflate.DistCodeTable=function(a){return USE_TYPEDARRAY?new Uint16Array(a):a}([1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,12289,16385,24577]);
+Zlib.RawInflate.DistExtraTable=function(a){return USE_TYPEDARRAY?new Uint8Array(a):a}([0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13]);Zlib.RawInflate.FixedLiteralLengthTable=function(a){return a}(function(){var a=new (USE_TYPEDARRAY?Uint8Array:Array)(288),b;var c=0;for(b=a.length;c<b;++c)a[c]=c<=143?8:c<=255?9:c<=279?7:8;return(0,Zlib.Huffman.buildHuffmanTable)(a)}());
+Zlib.RawInflate.FixedDistanceTable=function(a){return a}(function(){var a=new (USE_TYPEDARRAY?Uint8Array:Array)(30),b;var c=0;for(b=a.length;c<b;++c)a[c]=5;return(0,Zlib.Huffman.buildHuffmanTable)(a)}());Zlib.RawInflate.prototype.parseBlock=function(){var a=this.readBits(3);a&1&&(this.bfinal=!0);a>>>=1;switch(a){case 0:this.parseUncompressedBlock();break;case 1:this.parseFixedHuffmanBlock();break;case 2:this.parseDynamicHuffmanBlock();break;default:throw Error("unknown BTYPE: "+a);}};
+Zlib.RawInflate.prototype.readBits=function(a){for(var b=this.bitsbuf,c=this.bitsbuflen,d=this.input,e=this.ip,f=d.length;c<a;){if(e>=f)throw Error("input buffer is broken");b|=d[e++]<<c;c+=8}d=b&(1<<a)-1;c-=a;this.bitsbuf=b>>>a;this.bitsbuflen=c;this.ip=e;return d};
+Zlib.RawInflate.prototype.readCodeByTable=function(a){var b=this.bitsbuf,c=this.bitsbuflen,d=this.input,e=this.ip,f=d.length,g=a[0];for(a=a[1];c<a&&!(e>=f);)b|=d[e++]<<c,c+=8;d=g[b&(1<<a)-1];f=d>>>16;if(f>c)throw Error("invalid code length: "+f);this.bitsbuf=b>>f;this.bitsbuflen=c-f;this.ip=e;return d&65535};
+Zlib.RawInflate.prototype.parseUncompressedBlock=function(){var a=this.input,b=this.ip,c=this.output,d=this.op,e=a.length,f=c.length;this.bitsbuflen=this.bitsbuf=0;if(b+1>=e)throw Error("invalid uncompressed block header: LEN");var g=a[b++]|a[b++]<<8;if(b+1>=e)throw Error("invalid uncompressed block header: NLEN");e=a[b++]|a[b++]<<8;if(g===~e)throw Error("invalid uncompressed block header: length verify");if(b+g>a.length)throw Error("input buffer is broken");switch(this.bufferType){case Zlib.RawInflate.BufferType.BLOCK:for(;d+
+g>c.length;){e=f-d;g-=e;if(USE_TYPEDARRAY)c.set(a.subarray(b,b+e),d),d+=e,b+=e;else for(;e--;)c[d++]=a[b++];this.op=d;c=this.expandBuffer();d=this.op}break;case Zlib.RawInflate.BufferType.ADAPTIVE:for(;d+g>c.length;)c=this.expandBuffer({fixRatio:2});break;default:throw Error("invalid inflate mode");}if(USE_TYPEDARRAY)c.set(a.subarray(b,b+g),d),d+=g,b+=g;else for(;g--;)c[d++]=a[b++];this.ip=b;this.op=d;this.output=c};
+Zlib.RawInflate.prototype.parseFixedHuffmanBlock=function(){this.decodeHuffman(Zlib.RawInflate.FixedLiteralLengthTable,Zlib.RawInflate.FixedDistanceTable)};
+Zlib.RawInflate.prototype.parseDynamicHuffmanBlock=function(){var a=this.readBits(5)+257,b=this.readBits(5)+1,c=this.readBits(4)+4,d=new (USE_TYPEDARRAY?Uint8Array:Array)(Zlib.RawInflate.Order.length),e;for(e=0;e<c;++e)d[Zlib.RawInflate.Order[e]]=this.readBits(3);if(!USE_TYPEDARRAY)for(e=c,c=d.length;e<c;++e)d[Zlib.RawInflate.Order[e]]=0;d=(0,Zlib.Huffman.buildHuffmanTable)(d);c=new (USE_TYPEDARRAY?Uint8Array:Array)(a+b);e=0;for(b=a+b;e<b;){var f=this.readCodeByTable(d);switch(f){case 16:for(f=3+
+this.readBits(2);f--;)c[e++]=g;break;case 17:for(f=3+this.readBits(3);f--;)c[e++]=0;var g=0;break;case 18:for(f=11+this.readBits(7);f--;)c[e++]=0;g=0;break;default:g=c[e++]=f}}g=USE_TYPEDARRAY?(0,Zlib.Huffman.buildHuffmanTable)(c.subarray(0,a)):(0,Zlib.Huffman.buildHuffmanTable)(c.slice(0,a));a=USE_TYPEDARRAY?(0,Zlib.Huffman.buildHuffmanTable)(c.subarray(a)):(0,Zlib.Huffman.buildHuffmanTable)(c.slice(a));this.decodeHuffman(g,a)};
+Zlib.RawInflate.prototype.decodeHuffman=function(a,b){var c=this.output,d=this.op;this.currentLitlenTable=a;for(var e=c.length-Zlib.RawInflate.MaxCopyLength,f,g,h;(f=this.readCodeByTable(a))!==256;)if(f<256)d>=e&&(this.op=d,c=this.expandBuffer(),d=this.op),c[d++]=f;else for(f-=257,h=Zlib.RawInflate.LengthCodeTable[f],Zlib.RawInflate.LengthExtraTable[f]>0&&(h+=this.readBits(Zlib.RawInflate.LengthExtraTable[f])),f=this.readCodeByTable(b),g=Zlib.RawInflate.DistCodeTable[f],Zlib.RawInflate.DistExtraTable[f]>
+0&&(g+=this.readBits(Zlib.RawInflate.DistExtraTable[f])),d>=e&&(this.op=d,c=this.expandBuffer(),d=this.op);h--;)c[d]=c[d++-g];for(;this.bitsbuflen>=8;)this.bitsbuflen-=8,this.ip--;this.op=d};
+Zlib.RawInflate.prototype.decodeHuffmanAdaptive=function(a,b){var c=this.output,d=this.op;this.currentLitlenTable=a;for(var e=c.length,f,g,h;(f=this.readCodeByTable(a))!==256;)if(f<256)d>=e&&(c=this.expandBuffer(),e=c.length),c[d++]=f;else for(f-=257,h=Zlib.RawInflate.LengthCodeTable[f],Zlib.RawInflate.LengthExtraTable[f]>0&&(h+=this.readBits(Zlib.RawInflate.LengthExtraTable[f])),f=this.readCodeByTable(b),g=Zlib.RawInflate.DistCodeTable[f],Zlib.RawInflate.DistExtraTable[f]>0&&(g+=this.readBits(Zlib.RawInflate.DistExtraTable[f])),
+d+h>e&&(c=this.expandBuffer(),e=c.length);h--;)c[d]=c[d++-g];for(;this.bitsbuflen>=8;)this.bitsbuflen-=8,this.ip--;this.op=d};
+Zlib.RawInflate.prototype.expandBuffer=function(a){a=new (USE_TYPEDARRAY?Uint8Array:Array)(this.op-Zlib.RawInflate.MaxBackwardLength);var b=this.op-Zlib.RawInflate.MaxBackwardLength,c,d=this.output;if(USE_TYPEDARRAY)a.set(d.subarray(Zlib.RawInflate.MaxBackwardLength,a.length));else{var e=0;for(c=a.length;e<c;++e)a[e]=d[e+Zlib.RawInflate.MaxBackwardLength]}this.blocks.push(a);this.totalpos+=a.length;if(USE_TYPEDARRAY)d.set(d.subarray(b,b+Zlib.RawInflate.MaxBackwardLength));else for(e=0;e<Zlib.RawInflate.MaxBackwardLength;++e)d[e]=
+d[b+e];this.op=Zlib.RawInflate.MaxBackwardLength;return d};Zlib.RawInflate.prototype.expandBufferAdaptive=function(a){var b=this.input.length/this.ip+1|0,c=this.input,d=this.output;a&&(typeof a.fixRatio==="number"&&(b=a.fixRatio),typeof a.addRatio==="number"&&(b+=a.addRatio));b<2?(a=(c.length-this.ip)/this.currentLitlenTable[2],a=a/2*258|0,a=a<d.length?d.length+a:d.length<<1):a=d.length*b;USE_TYPEDARRAY?(a=new Uint8Array(a),a.set(d)):a=d;return this.output=a};
+Zlib.RawInflate.prototype.concatBuffer=function(){var a=0,b=this.output,c=this.blocks,d=new (USE_TYPEDARRAY?Uint8Array:Array)(this.totalpos+(this.op-Zlib.RawInflate.MaxBackwardLength)),e,f;if(c.length===0)return USE_TYPEDARRAY?this.output.subarray(Zlib.RawInflate.MaxBackwardLength,this.op):this.output.slice(Zlib.RawInflate.MaxBackwardLength,this.op);var g=0;for(e=c.length;g<e;++g){var h=c[g];var k=0;for(f=h.length;k<f;++k)d[a++]=h[k]}g=Zlib.RawInflate.MaxBackwardLength;for(e=this.op;g<e;++g)d[a++]=
+b[g];this.blocks=[];return this.buffer=d};Zlib.RawInflate.prototype.concatBufferDynamic=function(){var a=this.op;if(USE_TYPEDARRAY)if(this.resize){var b=new Uint8Array(a);b.set(this.output.subarray(0,a))}else b=this.output.subarray(0,a);else this.output.length>a&&(this.output.length=a),b=this.output;return this.buffer=b};Zlib.Inflate=function(a,b){this.input=a;this.ip=0;if(b||!(b={}))b.index&&(this.ip=b.index),b.verify&&(this.verify=b.verify);var c=a[this.ip++];var d=a[this.ip++];switch(c&15){case Zlib.CompressionMethod.DEFLATE:this.method=Zlib.CompressionMethod.DEFLATE;break;default:throw Error("unsupported compression method");}if(((c<<8)+d)%31!==0)throw Error("invalid fcheck flag:"+((c<<8)+d)%31);if(d&32)throw Error("fdict flag is not supported");this.rawinflate=new Zlib.RawInflate(a,{index:this.ip,bufferSize:b.bufferSize,
+bufferType:b.bufferType,resize:b.resize})};Zlib.Inflate.BufferType=Zlib.RawInflate.BufferType;Zlib.Inflate.prototype.decompress=function(){var a=this.input;var b=this.rawinflate.decompress();this.ip=this.rawinflate.ip;if(this.verify&&(a=(a[this.ip++]<<24|a[this.ip++]<<16|a[this.ip++]<<8|a[this.ip++])>>>0,a!==Zlib.Adler32(b)))throw Error("invalid adler-32 checksum");return b};var CanvasTool={},$jscomp$scope$1860505088$0$set_=function(a,b,c,d,e){var f;if(USE_TYPEDARRAY&&typeof b.subarray==="function")a.set(b.subarray(c,c+d),e);else for(f=0;f<d;f++)a[e+f]=b[c+f]};
+CanvasTool.DeflateStream=function(a){var b=Zlib.RawDeflate.CompressionType,c;this.compressionType_=b.DYNAMIC;this.lazy_=0;if(typeof a==="object"&&a!==null){for(c in a)if(c!=="compressionType"&&c!=="lazy"&&a[c]!==void 0)throw Error("unsupported deflate option: "+c);a.compressionType!==void 0&&(this.compressionType_=a.compressionType);a.lazy!==void 0&&(this.lazy_=a.lazy)}switch(this.compressionType_){case b.NONE:a=0;break;case b.FIXED:a=1;break;case b.DYNAMIC:a=2;break;default:throw Error("invalid compression type");
+}this.input_=new (USE_TYPEDARRAY?Uint8Array:Array)(CanvasTool.DeflateStream.BlockSize);this.inputLength_=0;this.output_=[];this.adler32_=1;this.finished_=!1;a<<=6;this.output_.push([120,a|(31-(30720+a)%31)%31])};CanvasTool.DeflateStream.BlockSize=65535;CanvasTool.DeflateStream.SyncFlush=[0,0,255,255];
+CanvasTool.DeflateStream.prototype.write=function(a){var b=this.input_,c=0,d=a.length;if(this.finished_)throw Error("stream already finished");for(this.adler32_=Zlib.Adler32.update(this.adler32_,a);c<d;){var e=Math.min(d-c,b.length-this.inputLength_);$jscomp$scope$1860505088$0$set_(b,a,c,e,this.inputLength_);this.inputLength_+=e;c+=e;this.inputLength_===b.length&&this.writeBlock_(!1)}return this.take_()};
+CanvasTool.DeflateStream.prototype.finish=function(){var a=this.adler32_;if(this.finished_)throw Error("stream already finished");this.finished_=!0;this.writeBlock_(!0);this.output_.push([a>>>24&255,a>>>16&255,a>>>8&255,a&255]);return this.take_()};
+CanvasTool.DeflateStream.prototype.writeBlock_=function(a){var b=Zlib.RawDeflate.CompressionType,c=USE_TYPEDARRAY?this.input_.subarray(0,this.inputLength_):this.input_.slice(0,this.inputLength_),d=new CanvasTool.DeflateStream.BlockDeflate_(c,{compressionType:this.compressionType_,lazy:this.lazy_});this.inputLength_=0;switch(c.length>0?this.compressionType_:b.NONE){case b.NONE:this.output_.push(d.makeNocompressBlock(c,a));return;case b.FIXED:this.output_.push(d.makeFixedHuffmanBlock(c,a));break;case b.DYNAMIC:this.output_.push(d.makeDynamicHuffmanBlock(c,
+a))}a||(d.padding<3&&this.output_.push([0]),this.output_.push(CanvasTool.DeflateStream.SyncFlush))};CanvasTool.DeflateStream.prototype.take_=function(){var a=this.output_,b=0,c,d;var e=0;for(d=a.length;e<d;e++)b+=a[e].length;b=new (USE_TYPEDARRAY?Uint8Array:Array)(b);for(e=c=0;e<d;e++)$jscomp$scope$1860505088$0$set_(b,a[e],0,a[e].length,c),c+=a[e].length;this.output_=[];return b};CanvasTool.DeflateStream.BlockDeflate_=function(a,b){goog.base(this,a,b);this.padding=0};
+goog.inherits(CanvasTool.DeflateStream.BlockDeflate_,Zlib.RawDeflate);CanvasTool.DeflateStream.BlockDeflate_.prototype.fixedHuffman=function(a,b){Zlib.RawDeflate.prototype.fixedHuffman.call(this,a,b);this.padding=(8-b.bitindex)%8;return b};CanvasTool.DeflateStream.BlockDeflate_.prototype.dynamicHuffman=function(a,b,c,d){Zlib.RawDeflate.prototype.dynamicHuffman.call(this,a,b,c,d);this.padding=(8-d.bitindex)%8;return d};CanvasTool.MedianCut=function(a,b){this.colours=a;this.withAlpha=!!b;this.palette=[];this.cache_={};this.boxes_=null};CanvasTool.MedianCut.Channels_=["red","green","blue","alpha"];CanvasTool.MedianCut.prototype.quantize=function(a){this.quantizeUntil(a,Infinity);return this.palette};
+CanvasTool.MedianCut.prototype.quantizeUntil=function(a,b){var c=this.boxes_,d=[],e=0,f,g;c===null&&(c=this.boxes_=[new CanvasTool.MedianCut.Box_(this.colours,this.withAlpha)]);for(;c.length<a;){if(e>0&&Date.now()>=b)return!1;var h=-1;var k=f=0;for(g=c.length;k<g;k++){var l=c[k];l.colours.length<2||(l=l.range*l.count,l>f&&(f=l,h=k))}if(h===-1)break;f=c[h].divide();c.splice(h,1,f[0],f[1]);e++}k=0;for(g=c.length;k<g;k++)d.push(c[k].average());this.palette=d;this.cache_={};this.boxes_=null;return!0};
+CanvasTool.MedianCut.prototype.nearest=function(a,b,c,d){var e=this.palette,f=((a<<8|b)<<8|c)<<8|d,g=this.cache_[f],h=Infinity,k;if(g!==void 0)return g;this.withAlpha||(d=255);var l=0;for(k=e.length;l<k;l++){var m=e[l];var p=m[0]-a;var n=m[1]-b;var q=m[2]-c;m=m[3]-d;p=p*p+n*n+q*q+m*m;p<h&&(h=p,g=l)}return this.cache_[f]=g};
+CanvasTool.MedianCut.Box_=function(a,b){var c=CanvasTool.MedianCut.Channels_,d=b?4:3,e,f,g;this.colours=a;this.withAlpha=b;this.range=this.count=0;this.channel=c[0];var h=0;for(f=a.length;h<f;h++)this.count+=a[h].count;for(g=0;g<d;g++){var k=c[g];b=255;h=e=0;for(f=a.length;h<f;h++){var l=a[h][k];b=l<b?l:b;e=l>e?l:e}e-b>this.range&&(this.range=e-b,this.channel=k)}};
+CanvasTool.MedianCut.Box_.prototype.divide=function(){var a=this.channel,b=this.colours.slice(),c=this.count/2,d=0,e;b.sort(function(g,h){return g[a]-h[a]});var f=0;for(e=b.length-1;f<e&&!(d+=b[f].count,d>=c);f++);return[new CanvasTool.MedianCut.Box_(b.slice(0,f+1),this.withAlpha),new CanvasTool.MedianCut.Box_(b.slice(f+1),this.withAlpha)]};
+CanvasTool.MedianCut.Box_.prototype.average=function(){var a=this.colours,b=this.count,c=0,d=0,e=0,f=0,g;var h=0;for(g=a.length;h<g;h++){var k=a[h];c+=k.red*k.count;d+=k.green*k.count;e+=k.blue*k.count;f+=k.alpha*k.count}return[c/b+.5|0,d/b+.5|0,e/b+.5|0,this.withAlpha?f/b+.5|0:255]};CanvasTool.Dither=function(a,b,c,d,e){this.method=a;this.width=b;this.channels=c;this.max=d;this.spread=e;this.errors_=[];this.errorLine_=0;switch(a){case CanvasTool.Dither.Method.FLOYD_STEINBERG:this.kernel_=CanvasTool.Dither.FloydSteinberg_;break;case CanvasTool.Dither.Method.ATKINSON:this.kernel_=CanvasTool.Dither.Atkinson_;break;case CanvasTool.Dither.Method.ORDERED:this.kernel_=null;break;default:throw Error("unknown dither method");}this.kernel_!==null&&(this.errors_=[this.makeErrorLine_(),
+this.makeErrorLine_(),this.makeErrorLine_()])};CanvasTool.Dither.Method={NONE:0,FLOYD_STEINBERG:1,ATKINSON:2,ORDERED:3};CanvasTool.Dither.FloydSteinberg_=[[1,0,.4375],[-1,1,.1875],[0,1,.3125],[1,1,.0625]];CanvasTool.Dither.Atkinson_=[[1,0,.125],[2,0,.125],[-1,1,.125],[0,1,.125],[1,1,.125],[0,2,.125]];CanvasTool.Dither.Bayer_=[[0,8,2,10],[12,4,14,6],[3,11,1,9],[15,7,13,5]];
+CanvasTool.Dither.prototype.adjust=function(a,b,c){var d=[],e=this.channels,f=this.max,g;if(this.kernel_===null)var h=((CanvasTool.Dither.Bayer_[c&3][b&3]+.5)/16-.5)*this.spread;else{this.advance_(c);var k=this.errors_[0]}for(g=0;g<e;g++)c=a[g]+(k?k[b*e+g]:h),c=c+.5|0,d[g]=c<0?0:c>f?f:c;return d};
+CanvasTool.Dither.prototype.diffuse=function(a,b,c){var d=this.kernel_,e=this.channels,f=this.width,g,h;if(d!==null)for(h=0;h<e;h++){var k=a[h]-b[h];if(k!==0){var l=0;for(g=d.length;l<g;l++){var m=c+d[l][0];if(!(m<0||m>=f)){var p=this.errors_[d[l][1]];p[m*e+h]+=k*d[l][2]}}}}};CanvasTool.Dither.prototype.advance_=function(a){for(;this.errorLine_<a;)this.errors_.shift(),this.errors_.push(this.makeErrorLine_()),this.errorLine_++};
+CanvasTool.Dither.prototype.makeErrorLine_=function(){var a=[],b;var c=0;for(b=this.width*this.channels;c<b;c++)a[c]=0;return a};var $jscomp$scope$m1142740512$6$utf8_=function(a){return unescape(encodeURIComponent(a))},$jscomp$scope$m1142740512$5$bytearray_=function(a){var b=[],c;var d=0;for(c=a.length;d<c;d++)b[d]=a.charCodeAt(d)&255;return b},$jscomp$scope$m1142740512$4$set_=function(a,b,c){var d;var e=0;for(d=b.length;e<d;e++)a[c+e]=b[e]},$jscomp$scope$m1142740512$3$pad_=function(a){return(a<10?"0":"")+a},$jscomp$scope$m1142740512$2$degreesToDms_=function(a){var b=Math.floor(a),c=Math.floor((a-b)*60);a=Math.round(((a-b)*
+60-c)*60*1E3);a>=6E4&&(a-=6E4,c++);c>=60&&(c-=60,b++);return[[b,1],[c,1],[a,1E3]]},$jscomp$scope$m1142740512$1$toRational_=function(a,b){var c=1,d;if(b instanceof Array){var e=b[0];c=b[1]}else if(typeof b==="number"&&b>=0&&isFinite(b)){for(;c<1E6&&Math.abs(b*c-Math.round(b*c))>1E-9;)c*=10;b=e=Math.round(b*c);for(d=c;d>0;){var f=b%d;b=d;d=f}b>1&&(e/=b,c/=b)}if(typeof e!=="number"||typeof c!=="number"||e<0||e>4294967295||Math.floor(e)!==e||c<1||c>4294967295||Math.floor(c)!==c)throw Error("invalid rational value for exif tag "+
+a);return[e,c]},$jscomp$scope$m1142740512$0$ifdSize_=function(a){var b=2+a.length*12+4,c;var d=0;for(c=a.length;d<c;d++){var e=a[d].data.length;e>4&&(b+=e+(e&1))}return b};
+CanvasTool.ExifBuilder=function(a,b){if(typeof a!=="object"||a===null)throw Error("need tags object");if(typeof b!=="object"||b===null)b={};this.tags=a;this.byteOrder=typeof b.byteOrder==="number"?b.byteOrder:CanvasTool.ExifBuilder.ByteOrder.BIG_ENDIAN;if(this.byteOrder!==CanvasTool.ExifBuilder.ByteOrder.BIG_ENDIAN&&this.byteOrder!==CanvasTool.ExifBuilder.ByteOrder.LITTLE_ENDIAN)throw Error("invalid byte order");};CanvasTool.ExifBuilder.ByteOrder={BIG_ENDIAN:19789,LITTLE_ENDIAN:18761};
+CanvasTool.ExifBuilder.FieldType={BYTE:1,ASCII:2,SHORT:3,LONG:4,RATIONAL:5,UNDEFINED:7};CanvasTool.ExifBuilder.Ifd_={IFD0:0,EXIF:1,GPS:2};CanvasTool.ExifBuilder.TagInfo_=function(a,b,c,d){this.ifd=a;this.id=b;this.type=c;this.count=d};CanvasTool.ExifBuilder.Entry_=function(a,b,c,d){this.id=a;this.type=b;this.count=c;this.data=d};
+CanvasTool.ExifBuilder.Tags_=function(){var a=CanvasTool.ExifBuilder.Ifd_,b=CanvasTool.ExifBuilder.FieldType,c=CanvasTool.ExifBuilder.TagInfo_;return{ImageDescription:new c(a.IFD0,270,b.ASCII,0),Make:new c(a.IFD0,271,b.ASCII,0),Model:new c(a.IFD0,272,b.ASCII,0),Orientation:new c(a.IFD0,274,b.SHORT,1),XResolution:new c(a.IFD0,282,b.RATIONAL,1),YResolution:new c(a.IFD0,283,b.RATIONAL,1),ResolutionUnit:new c(a.IFD0,296,b.SHORT,1),Software:new c(a.IFD0,305,b.ASCII,0),DateTime:new c(a.IFD0,306,b.ASCII,
+20),Artist:new c(a.IFD0,315,b.ASCII,0),Copyright:new c(a.IFD0,33432,b.ASCII,0),ExifIFDPointer:new c(a.IFD0,34665,b.LONG,1),GPSInfoIFDPointer:new c(a.IFD0,34853,b.LONG,1),ExposureTime:new c(a.EXIF,33434,b.RATIONAL,1),FNumber:new c(a.EXIF,33437,b.RATIONAL,1),ISOSpeedRatings:new c(a.EXIF,34855,b.SHORT,0),ExifVersion:new c(a.EXIF,36864,b.UNDEFINED,4),DateTimeOriginal:new c(a.EXIF,36867,b.ASCII,20),DateTimeDigitized:new c(a.EXIF,36868,b.ASCII,20),OffsetTime:new c(a.EXIF,36880,b.ASCII,7),OffsetTimeOriginal:new c(a.EXIF,
+36881,b.ASCII,7),OffsetTimeDigitized:new c(a.EXIF,36882,b.ASCII,7),FocalLength:new c(a.EXIF,37386,b.RATIONAL,1),SubSecTimeOriginal:new c(a.EXIF,37521,b.ASCII,0),ColorSpace:new c(a.EXIF,40961,b.SHORT,1),PixelXDimension:new c(a.EXIF,40962,b.LONG,1),PixelYDimension:new c(a.EXIF,40963,b.LONG,1),LensModel:new c(a.EXIF,42036,b.ASCII,0),GPSVersionID:new c(a.GPS,0,b.BYTE,4),GPSLatitudeRef:new c(a.GPS,1,b.ASCII,2),GPSLatitude:new c(a.GPS,2,b.RATIONAL,3),GPSLongitudeRef:new c(a.GPS,3,b.ASCII,2),GPSLongitude:new c(a.GPS,
+4,b.RATIONAL,3),GPSAltitudeRef:new c(a.GPS,5,b.BYTE,1),GPSAltitude:new c(a.GPS,6,b.RATIONAL,1),GPSTimeStamp:new c(a.GPS,7,b.RATIONAL,3),GPSImgDirectionRef:new c(a.GPS,16,b.ASCII,2),GPSImgDirection:new c(a.GPS,17,b.RATIONAL,1),GPSDateStamp:new c(a.GPS,29,b.ASCII,11)}}();
+CanvasTool.ExifBuilder.prototype.build=function(){var a=CanvasTool.ExifBuilder.Ifd_,b=this.normalizeTags_(this.tags),c=[[],[],[]],d=[],e;for(g in b){var f=CanvasTool.ExifBuilder.Tags_[g];c[f.ifd].push(this.makeEntry_(g,f,b[g]))}c[a.EXIF].length>0&&(b.hasOwnProperty("ExifVersion")||c[a.EXIF].push(this.makeEntry_("ExifVersion",CanvasTool.ExifBuilder.Tags_.ExifVersion,"0232")),f=this.makeEntry_("ExifIFDPointer",CanvasTool.ExifBuilder.Tags_.ExifIFDPointer,0),c[a.IFD0].push(f),d[a.EXIF]=f);c[a.GPS].length>
+0&&(b.hasOwnProperty("GPSVersionID")||c[a.GPS].push(this.makeEntry_("GPSVersionID",CanvasTool.ExifBuilder.Tags_.GPSVersionID,[2,3,0,0])),f=this.makeEntry_("GPSInfoIFDPointer",CanvasTool.ExifBuilder.Tags_.GPSInfoIFDPointer,0),c[a.IFD0].push(f),d[a.GPS]=f);b=8;f=[];var g=0;for(e=c.length;g<e;g++){c[g].sort(function(h,k){return h.id-k.id});if(g===a.IFD0||c[g].length>0)f[g]=b,b+=$jscomp$scope$m1142740512$0$ifdSize_(c[g]);d[g]!==void 0&&(d[g].data=this.bytes_(f[g],4))}d=new (USE_TYPEDARRAY?Uint8Array:
+Array)(b);if(!USE_TYPEDARRAY)for(g=0;g<b;g++)d[g]=0;$jscomp$scope$m1142740512$4$set_(d,this.bytes_(this.byteOrder,2),0);$jscomp$scope$m1142740512$4$set_(d,this.bytes_(42,2),2);$jscomp$scope$m1142740512$4$set_(d,this.bytes_(f[a.IFD0],4),4);g=0;for(e=c.length;g<e;g++)f[g]!==void 0&&this.writeIfd_(d,c[g],f[g]);return d};
+CanvasTool.ExifBuilder.prototype.normalizeTags_=function(a){var b={},c;for(c in a){if(!CanvasTool.ExifBuilder.Tags_.hasOwnProperty(c)||c==="ExifIFDPointer"||c==="GPSInfoIFDPointer")throw Error("unknown exif tag: "+c);var d=a[c];if(d!==void 0&&d!==null){switch(c){case "DateTime":case "DateTimeOriginal":case "DateTimeDigitized":d instanceof Date&&(d=[d.getFullYear(),":",$jscomp$scope$m1142740512$3$pad_(d.getMonth()+1),":",$jscomp$scope$m1142740512$3$pad_(d.getDate())," ",$jscomp$scope$m1142740512$3$pad_(d.getHours()),
+":",$jscomp$scope$m1142740512$3$pad_(d.getMinutes()),":",$jscomp$scope$m1142740512$3$pad_(d.getSeconds())].join(""));break;case "GPSTimeStamp":d instanceof Date&&(d=[d.getUTCHours(),d.getUTCMinutes(),d.getUTCSeconds()]);break;case "GPSDateStamp":d instanceof Date&&(d=[d.getUTCFullYear(),":",$jscomp$scope$m1142740512$3$pad_(d.getUTCMonth()+1),":",$jscomp$scope$m1142740512$3$pad_(d.getUTCDate())].join(""));break;case "GPSLatitude":case "GPSLongitude":typeof d==="number"&&(a.hasOwnProperty(c+"Ref")||
+(b[c+"Ref"]=c==="GPSLatitude"?d<0?"S":"N":d<0?"W":"E"),d=$jscomp$scope$m1142740512$2$degreesToDms_(Math.abs(d)));break;case "GPSAltitude":typeof d==="number"&&(a.hasOwnProperty("GPSAltitudeRef")||(b.GPSAltitudeRef=d<0?1:0),d=Math.abs(d))}b[c]=d}}return b};
+CanvasTool.ExifBuilder.prototype.makeEntry_=function(a,b,c){var d=CanvasTool.ExifBuilder.FieldType,e=[],f;switch(b.type){case d.ASCII:if(typeof c!=="string"&&typeof c!=="number")throw Error("exif tag "+a+" must be a string");e=$jscomp$scope$m1142740512$5$bytearray_($jscomp$scope$m1142740512$6$utf8_(String(c)));e.push(0);d=e.length;break;case d.UNDEFINED:if(typeof c==="string")e=$jscomp$scope$m1142740512$5$bytearray_(c);else if(typeof c==="object"&&c!==null&&typeof c.length==="number")e=Array.prototype.slice.call(c);
+else throw Error("exif tag "+a+" must be a string or bytes");d=e.length;break;case d.RATIONAL:c=b.count===1&&c instanceof Array&&c.length===2&&typeof c[0]==="number"?[c]:c instanceof Array?c:[c];var g=0;for(f=c.length;g<f;g++)d=$jscomp$scope$m1142740512$1$toRational_(a,c[g]),e=e.concat(this.bytes_(d[0],4),this.bytes_(d[1],4));d=c.length;break;case d.BYTE:case d.SHORT:case d.LONG:c=c instanceof Array?c:[c];var h=b.type===d.BYTE?255:b.type===d.SHORT?65535:4294967295;g=0;for(f=c.length;g<f;g++){if(typeof c[g]!==
+"number"||c[g]<0||c[g]>h||Math.floor(c[g])!==c[g])throw Error("invalid value for exif tag "+a);e=e.concat(this.bytes_(c[g],b.type===d.BYTE?1:b.type===d.SHORT?2:4))}d=c.length;break;default:throw Error("unknown field type");}if(d===0||b.count>0&&d!==b.count)throw Error("invalid value count for exif tag "+a);return new CanvasTool.ExifBuilder.Entry_(b.id,b.type,d,e)};
+CanvasTool.ExifBuilder.prototype.writeIfd_=function(a,b,c){var d=c;c=c+2+b.length*12+4;var e;$jscomp$scope$m1142740512$4$set_(a,this.bytes_(b.length,2),d);d+=2;var f=0;for(e=b.length;f<e;f++){var g=b[f];$jscomp$scope$m1142740512$4$set_(a,this.bytes_(g.id,2),d);$jscomp$scope$m1142740512$4$set_(a,this.bytes_(g.type,2),d+2);$jscomp$scope$m1142740512$4$set_(a,this.bytes_(g.count,4),d+4);g.data.length<=4?$jscomp$scope$m1142740512$4$set_(a,g.data,d+8):($jscomp$scope$m1142740512$4$set_(a,this.bytes_(c,4),
+d+8),$jscomp$scope$m1142740512$4$set_(a,g.data,c),c+=g.data.length+(g.data.length&1));d+=12}$jscomp$scope$m1142740512$4$set_(a,this.bytes_(0,4),d)};CanvasTool.ExifBuilder.prototype.bytes_=function(a,b){var c=[];for(--b;b>=0;b--)c.push(a/Math.pow(2,b*8)&255);return this.byteOrder===CanvasTool.ExifBuilder.ByteOrder.LITTLE_ENDIAN?c.reverse():c};var $jscomp$scope$1231227907$2$escape_=function(a){return a.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;")},$jscomp$scope$1231227907$1$toText_=function(a,b){if(typeof b!=="string"&&typeof b!=="number")throw Error("xmp property "+a+" must be a string");return String(b)},$jscomp$scope$1231227907$0$langItem_=function(a,b){if(!/^[A-Za-z0-9-]+$/.test(a))throw Error("invalid language tag: "+a);return'     <rdf:li xml:lang="'+a+'">'+$jscomp$scope$1231227907$2$escape_(b)+
+"</rdf:li>"};CanvasTool.XmpBuilder=function(a){if(typeof a!=="object"||a===null)throw Error("need properties object");this.properties=a};CanvasTool.XmpBuilder.Keyword="XML:com.adobe.xmp";CanvasTool.XmpBuilder.Namespaces_={dc:"http://purl.org/dc/elements/1.1/",xmpRights:"http://ns.adobe.com/xap/1.0/rights/"};CanvasTool.XmpBuilder.ValueType_={TEXT:0,BOOLEAN:1,LANG_ALT:2,SEQ:3,BAG:4,DATE_SEQ:5};
+CanvasTool.XmpBuilder.Properties_=function(){var a=CanvasTool.XmpBuilder.ValueType_;return{"dc:contributor":a.BAG,"dc:coverage":a.TEXT,"dc:creator":a.SEQ,"dc:date":a.DATE_SEQ,"dc:description":a.LANG_ALT,"dc:format":a.TEXT,"dc:identifier":a.TEXT,"dc:language":a.BAG,"dc:publisher":a.BAG,"dc:relation":a.BAG,"dc:rights":a.LANG_ALT,"dc:source":a.TEXT,"dc:subject":a.BAG,"dc:title":a.LANG_ALT,"dc:type":a.BAG,"xmpRights:Certificate":a.TEXT,"xmpRights:Marked":a.BOOLEAN,"xmpRights:Owner":a.BAG,"xmpRights:UsageTerms":a.LANG_ALT,
+"xmpRights:WebStatement":a.TEXT}}();
+CanvasTool.XmpBuilder.prototype.build=function(){var a=this.properties,b=CanvasTool.XmpBuilder.Namespaces_,c={},d=[],e,f;for(e in a){if(!CanvasTool.XmpBuilder.Properties_.hasOwnProperty(e))throw Error("unknown xmp property: "+e);a[e]!==void 0&&a[e]!==null&&(c[e.split(":")[0]]=!0,d.push(this.serializeProperty_(e,a[e])))}a=['  <rdf:Description rdf:about=""'];for(f in b)c[f]&&a.push("    xmlns:"+f+'="'+b[f]+'"');return['<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>','<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',a.join("\n")+">"].concat(d,["  </rdf:Description>"," </rdf:RDF>","</x:xmpmeta>",'<?xpacket end="w"?>']).join("\n")};
+CanvasTool.XmpBuilder.prototype.serializeProperty_=function(a,b){var c=CanvasTool.XmpBuilder.ValueType_,d=CanvasTool.XmpBuilder.Properties_[a],e=[];switch(d){case c.TEXT:return"   <"+a+">"+$jscomp$scope$1231227907$2$escape_($jscomp$scope$1231227907$1$toText_(a,b))+"</"+a+">";case c.BOOLEAN:if(typeof b!=="boolean")throw Error("xmp property "+a+" must be a boolean");return"   <"+a+">"+(b?"True":"False")+"</"+a+">";case c.LANG_ALT:c="rdf:Alt";b=typeof b==="object"&&b!==null?b:{"x-default":$jscomp$scope$1231227907$1$toText_(a,
+b)};b.hasOwnProperty("x-default")&&e.push($jscomp$scope$1231227907$0$langItem_("x-default",$jscomp$scope$1231227907$1$toText_(a,b["x-default"])));for(f in b)f!=="x-default"&&e.push($jscomp$scope$1231227907$0$langItem_(f,$jscomp$scope$1231227907$1$toText_(a,b[f])));break;case c.SEQ:case c.BAG:case c.DATE_SEQ:c=d===c.BAG?"rdf:Bag":"rdf:Seq";b=b instanceof Array?b:[b];var f=0;for(d=b.length;f<d;f++)e.push("     <rdf:li>"+$jscomp$scope$1231227907$2$escape_(b[f]instanceof Date?b[f].toISOString():$jscomp$scope$1231227907$1$toText_(a,
+b[f]))+"</rdf:li>");break;default:throw Error("unknown xmp value type");}if(e.length===0)throw Error("xmp property "+a+" is empty");return["   <"+a+">","    <"+c+">"].concat(e,["    </"+c+">","   </"+a+">"]).join("\n")};var $jscomp$scope$m1621417104$23$utf8_=function(a){return unescape(encodeURIComponent(a))},$jscomp$scope$m1621417104$22$validateKeyword_=function(a){var b;if(typeof a!=="string"||a.length<1||a.length>79)throw Error("keyword must be 1-79 characters: "+a);var c=0;for(b=a.length;c<b;c++)if(!$jscomp$scope$m1621417104$12$isLatin1Printable_(a.charCodeAt(c)))throw Error("invalid character in keyword: "+a);if(/^ | $|  /.test(a))throw Error("invalid space in keyword: "+a);},$jscomp$scope$m1621417104$21$validateLanguageTag_=
+function(a){if(a!==void 0&&(typeof a!=="string"||!/^[A-Za-z0-9-]*$/.test(a)))throw Error("invalid language tag: "+a);},$jscomp$scope$m1621417104$20$validateLatin1Text_=function(a,b){if(!$jscomp$scope$m1621417104$13$isLatin1_(b))throw Error(a+" text must be Latin-1");if(b.indexOf("\x00")!==-1)throw Error(a+" text must not contain a null character (U+0000)");},$jscomp$scope$m1621417104$19$validateText_=function(a,b){$jscomp$scope$m1621417104$16$validateObject_(a,b);$jscomp$scope$m1621417104$22$validateKeyword_(b.keyword);
+if(typeof b.text!=="string")throw Error(a+".text must be a string");},$jscomp$scope$m1621417104$18$validateColour_=function(a,b){var c;if(!(b instanceof Array)||b.length!==1&&b.length!==3)throw Error(a+" must be [gray] or [red, green, blue]");var d=0;for(c=b.length;d<c;d++)if(!$jscomp$scope$m1621417104$15$isUint_(b[d],65535))throw Error(a+" must be 0-65535: "+b[d]);},$jscomp$scope$m1621417104$17$validateChromaticity_=function(a,b){if(!(typeof b==="number"&&b>=0&&b<=1))throw Error(a+" must be 0-1: "+
+b);},$jscomp$scope$m1621417104$16$validateObject_=function(a,b){if(typeof b!=="object"||b===null)throw Error(a+" must be an object");},$jscomp$scope$m1621417104$15$isUint_=function(a,b){return typeof a==="number"&&a%1===0&&a>=0&&a<=b},$jscomp$scope$m1621417104$14$validateChunkType_=function(a,b){var c;if(typeof a!=="string"||!/^[A-Za-z]{4}$/.test(a))throw Error("chunk type must be 4 ASCII letters: "+a);if(/^[A-Z]/.test(a))throw Error("critical chunk can not be added: "+a);if(/^..[a-z]/.test(a))throw Error("reserved bit must not be set: "+
+a);if(/^.[A-Z]/.test(a))for(c in CanvasTool.PngEncoder.ChunkType)if(a===String.fromCharCode.apply(null,CanvasTool.PngEncoder.ChunkType[c]))throw Error("chunk type is written by the encoder: "+a);if(/^...[a-z]/.test(a)!==b)throw Error((b?"chunk type is not safe to copy: ":"chunk type is safe to copy: ")+a);},$jscomp$scope$m1621417104$13$isLatin1_=function(a){return!/[^\u0000-\u00ff]/.test(a)},$jscomp$scope$m1621417104$12$isLatin1Printable_=function(a){return!(a<32||a>126&&a<161||a>255)},$jscomp$scope$m1621417104$11$base64_=
+function(a){for(var b=[],c=CanvasTool.PngEncoder.Base64Table_,d=0,e=a.length,f;d+2<e;d+=3)f=a[d]<<16|a[d+1]<<8|a[d+2],b.push(c.charAt(f>>18&63)+c.charAt(f>>12&63)+c.charAt(f>>6&63)+c.charAt(f&63));switch(e-d){case 1:f=a[d]<<16;b.push(c.charAt(f>>18&63)+c.charAt(f>>12&63)+"==");break;case 2:f=a[d]<<16|a[d+1]<<8,b.push(c.charAt(f>>18&63)+c.charAt(f>>12&63)+c.charAt(f>>6&63)+"=")}return b.join("")},$jscomp$scope$m1621417104$10$str_=function(a){for(var b=[],c=0,d=a.length;c<d;c++)b[c]=String.fromCharCode(a[c]);
+return b.join("")},$jscomp$scope$m1621417104$9$max_=function(a){for(var b=0,c=0,d=a.length;c<d;c++)b=b<a[c]||c===0?a[c]:b;return b},$jscomp$scope$m1621417104$8$bytearray_=function(a){a=a.split("");var b=[],c;var d=0;for(c=a.length;d<c;d++)b[d]=a[d].charCodeAt(0);return b},$jscomp$scope$m1621417104$7$prependFilterType_=function(a,b){var c=new (USE_TYPEDARRAY?Uint8Array:Array)(b.length+1);c[0]=a;$jscomp$scope$m1621417104$5$set_(c,b,1);return c},$jscomp$scope$m1621417104$6$concat_=function(a){var b=
+0,c=0,d;var e=0;for(d=a.length;e<d;e++)b+=a[e].length;b=new (USE_TYPEDARRAY?Uint8Array:Array)(b);e=0;for(d=a.length;e<d;e++)$jscomp$scope$m1621417104$5$set_(b,a[e],c),c+=a[e].length;return b},$jscomp$scope$m1621417104$5$set_=function(a,b,c){var d=0,e=b.length;if(USE_TYPEDARRAY)a.set(b,c);else for(;d<e;d++)a[c+d]=b[d]},$jscomp$scope$m1621417104$4$newPixelArray_=function(a,b){return typeof Uint16Array!=="undefined"&&a instanceof Uint16Array?new Uint16Array(b):new (USE_TYPEDARRAY?Uint8Array:Array)(b)},
+$jscomp$scope$m1621417104$3$convertPixels_=function(a,b,c,d,e,f){var g=b*4,h=$jscomp$scope$m1621417104$4$newPixelArray_(a,g*c),k=0,l,m,p;for(l=0;l<c;l++){var n=(d?c-1-l:l)*g;for(m=0;m<b;m++,n+=4,k+=4){var q=a[n+3];if(e&&q!==f)if(q===0)for(p=0;p<4;p++)h[k+p]=0;else{for(p=0;p<3;p++)h[k+p]=Math.min(f,a[n+p]*f/q+.5|0);h[k+3]=q}else for(p=0;p<4;p++)h[k+p]=a[n+p]}}return h},$jscomp$scope$m1621417104$2$cropPixels_=function(a,b,c){var d=c.width*4,e=$jscomp$scope$m1621417104$4$newPixelArray_(a,d*c.height),
+f=0,g,h;for(g=0;g<c.height;g++){var k=((c.y+g)*b+c.x)*4;for(h=0;h<d;h++)e[f++]=a[k++]}return e},$jscomp$scope$m1621417104$1$normalizeRect_=function(a,b,c){if(a===void 0)return{x:0,y:0,width:b,height:c};if(typeof a!=="object"||a===null)throw Error("invalid source rect");var d=a.x;var e=a.y;var f=a.width;a=a.height;if((d|0)!==d||(e|0)!==e||(f|0)!==f||(a|0)!==a||d<0||e<0||f<=0||a<=0||d+f>b||e+a>c)throw Error("invalid source rect");return{x:d,y:e,width:f,height:a}},$jscomp$scope$m1621417104$0$push_=function(a,
+b){var c=0,d=b.length,e=b.length;if(a.push)for(;c<e;c++)a.push(b[c]);else for(;c<e;c++)a[d+c]=b[c];return a.length};
+CanvasTool.PngEncoder=function(a,b){var c;this.sampleDepth=8;this.customChunks_=[];typeof b==="object"&&b!==null&&(c=b.sourceRect);var d=CanvasTool.PngEncoder.getImageData(a,c);if(d!==null){var e=d.width;var f=d.height;this.data=d.data}else if(typeof a.length==="number"){if(typeof b!=="object")throw Error("need opt_param object");if(typeof b.width!=="number")throw Error("width property not found");if(typeof b.height!=="number")throw Error("height property not found");e=b.width;f=b.height;this.data=
+a;c!==void 0&&(c=$jscomp$scope$m1621417104$1$normalizeRect_(c,e,f),this.data=$jscomp$scope$m1621417104$2$cropPixels_(this.data,e,c),e=c.width,f=c.height);typeof b.sampleDepth==="number"?this.sampleDepth=b.sampleDepth:typeof Uint16Array!=="undefined"&&a instanceof Uint16Array&&(this.sampleDepth=16)}else throw Error("invalid arguments");typeof b!=="object"||b===null||b.flipY!==!0&&b.premultipliedAlpha!==!0||(this.data=$jscomp$scope$m1621417104$3$convertPixels_(this.data,e,f,b.flipY===!0,b.premultipliedAlpha===
+!0,(1<<this.sampleDepth)-1));this.setParameters(e,f,b)};
+CanvasTool.PngEncoder.getImageData=function(a,b){if(typeof a!=="object"||a===null)return null;if(typeof ImageData!=="undefined"&&a instanceof ImageData){if(b===void 0)return{data:a.data,width:a.width,height:a.height};b=$jscomp$scope$m1621417104$1$normalizeRect_(b,a.width,a.height);return{data:$jscomp$scope$m1621417104$2$cropPixels_(a.data,a.width,b),width:b.width,height:b.height}}if(typeof ImageBitmap!=="undefined"&&a instanceof ImageBitmap){b=$jscomp$scope$m1621417104$1$normalizeRect_(b,a.width,
+a.height);if(typeof OffscreenCanvas!=="undefined")var c=new OffscreenCanvas(b.width,b.height);else c=document.createElement("canvas"),c.width=b.width,c.height=b.height;var d=c.getContext("2d");d.drawImage(a,b.x,b.y,b.width,b.height,0,0,b.width,b.height);return{data:d.getImageData(0,0,b.width,b.height).data,width:b.width,height:b.height}}if(typeof a.getImageData==="function")d=a,c=a.canvas;else if(typeof a.getContext==="function"){if(d=a.getContext("2d"),c=a,!d)throw Error("2d context not available");
+}else return null;b=$jscomp$scope$m1621417104$1$normalizeRect_(b,c.width,c.height);return{data:d.getImageData(b.x,b.y,b.width,b.height).data,width:b.width,height:b.height}};
+CanvasTool.PngEncoder.prototype.setParameters=function(a,b,c){typeof c!=="object"&&(c={});this.width=a;this.height=b;this.bitDepth=typeof c.bitDepth==="number"?c.bitDepth:8;this.colourType=typeof c.colourType==="number"?c.colourType:CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA;this.compressionMethod=typeof c.compressionMethod==="number"?c.compressionMethod:CanvasTool.PngEncoder.CompressionMethod.DEFLATE;this.filterMethod=typeof c.filterMethod==="number"?c.filterMethod:CanvasTool.PngEncoder.FilterMethod.BASIC;
+this.filterType=typeof c.filterType==="number"||c.filterType instanceof Array?c.filterType:CanvasTool.PngEncoder.BasicFilterType.NONE;this.interlaceMethod=typeof c.interlaceMethod==="number"?c.interlaceMethod:CanvasTool.PngEncoder.InterlaceMethod.NONE;this.gamma=c.gamma;this.chrm=c.chrm;this.splt=c.splt;this.srgb=c.srgb;this.sbit=c.sbit;this.iccp=c.iccp;this.bkgd=c.bkgd;this.hist=c.hist!==void 0?c.hist:!1;this.phys=c.phys;this.time=c.time;this.text=c.text;this.ztxt=c.ztxt;this.itxt=c.itxt;this.textEntries=
+c.textEntries;this.exif=c.exif;this.xmp=c.xmp;this.trns=c.trns!==void 0?c.trns:!0;this.quantize=c.quantize===!0;this.dither=typeof c.dither==="number"?c.dither:CanvasTool.Dither.Method.NONE;this.trnsKey=c.trnsKey;this.deflateOption=c.deflateOption;this.idatChunkSize=typeof c.idatChunkSize==="number"?c.idatChunkSize:0;this.prevLine_=null;this.colourHistogram_=[];this.paletteHistogram_=[];this.quantizer_=null;this.validateBackground_();c.auto===!0&&this.selectLosslessFormat_();this.validate_()};
+CanvasTool.PngEncoder.ChunkType={IHDR:$jscomp$scope$m1621417104$8$bytearray_("IHDR"),PLTE:$jscomp$scope$m1621417104$8$bytearray_("PLTE"),IDAT:$jscomp$scope$m1621417104$8$bytearray_("IDAT"),IEND:$jscomp$scope$m1621417104$8$bytearray_("IEND"),TRNS:$jscomp$scope$m1621417104$8$bytearray_("tRNS"),GAMA:$jscomp$scope$m1621417104$8$bytearray_("gAMA"),CHRM:$jscomp$scope$m1621417104$8$bytearray_("cHRM"),SBIT:$jscomp$scope$m1621417104$8$bytearray_("sBIT"),SRGB:$jscomp$scope$m1621417104$8$bytearray_("sRGB"),
+ICCP:$jscomp$scope$m1621417104$8$bytearray_("iCCP"),BKGD:$jscomp$scope$m1621417104$8$bytearray_("bKGD"),HIST:$jscomp$scope$m1621417104$8$bytearray_("hIST"),PHYS:$jscomp$scope$m1621417104$8$bytearray_("pHYs"),SPLT:$jscomp$scope$m1621417104$8$bytearray_("sPLT"),TEXT:$jscomp$scope$m1621417104$8$bytearray_("tEXt"),ZTXT:$jscomp$scope$m1621417104$8$bytearray_("zTXt"),ITXT:$jscomp$scope$m1621417104$8$bytearray_("iTXt"),TIME:$jscomp$scope$m1621417104$8$bytearray_("tIME"),EXIF:$jscomp$scope$m1621417104$8$bytearray_("eXIf"),
+ACTL:$jscomp$scope$m1621417104$8$bytearray_("acTL"),FCTL:$jscomp$scope$m1621417104$8$bytearray_("fcTL"),FDAT:$jscomp$scope$m1621417104$8$bytearray_("fdAT")};CanvasTool.PngEncoder.ChunkPosition={AFTER_IHDR:"afterIHDR",BEFORE_PLTE:"beforePLTE",BEFORE_IDAT:"beforeIDAT",AFTER_IDAT:"afterIDAT"};CanvasTool.PngEncoder.CompressionFlag={UNCOMPRESSED:0,COMPRESSED:1};CanvasTool.PngEncoder.CompressionMethod={DEFLATE:0};
+CanvasTool.PngEncoder.ColourType={GRAYSCALE:0,TRUECOLOR:2,INDEXED_COLOR:3,GRAYSCALE_WITH_ALPHA:4,TRUECOLOR_WITH_ALPHA:6};CanvasTool.PngEncoder.FilterMethod={BASIC:0};CanvasTool.PngEncoder.BasicFilterType={NONE:0,SUB:1,UP:2,AVERAGE:3,PAETH:4,ADAPTIVE:5,BRUTE_FORCE:6};CanvasTool.PngEncoder.InterlaceMethod={NONE:0,ADAM7:1};CanvasTool.PngEncoder.RenderingIntent={PERCEPTUAL:0,RELATIVE:1,SATURATION:2,ABSOLUTE:3};CanvasTool.PngEncoder.UnitSpecifier={UNKNOWN:0,METRE:1};
+CanvasTool.PngEncoder.Signature=[137,80,78,71,13,10,26,10];CanvasTool.PngEncoder.RedWeight_=.29891;CanvasTool.PngEncoder.GreenWeight_=.58661;CanvasTool.PngEncoder.BlueWeight_=.11448;CanvasTool.PngEncoder.Adam7Table_=[{xStart:0,yStart:0,xStep:8,yStep:8},{xStart:4,yStart:0,xStep:8,yStep:8},{xStart:0,yStart:4,xStep:4,yStep:8},{xStart:2,yStart:0,xStep:4,yStep:4},{xStart:0,yStart:2,xStep:2,yStep:4},{xStart:1,yStart:0,xStep:2,yStep:2},{xStart:0,yStart:1,xStep:1,yStep:2}];
+CanvasTool.PngEncoder.prototype.convert=function(a){return $jscomp$scope$m1621417104$10$str_(this.makePng_())};CanvasTool.PngEncoder.prototype.convertToArray=function(){var a=this.makePng_();return USE_TYPEDARRAY?Array.prototype.slice.call(a):a};CanvasTool.PngEncoder.prototype.convertToUint8Array=function(){var a=this.makePng_();return USE_TYPEDARRAY?a:new Uint8Array(a)};CanvasTool.PngEncoder.prototype.convertToBlob=function(){return new Blob([this.convertToUint8Array()],{type:"image/png"})};
+CanvasTool.PngEncoder.prototype.convertToDataURL=function(){return"data:image/png;base64,"+$jscomp$scope$m1621417104$11$base64_(this.makePng_())};
+CanvasTool.PngEncoder.prototype.addChunk=function(a,b,c){var d=CanvasTool.PngEncoder.ChunkPosition.BEFORE_IDAT,e=!0;typeof c==="object"&&c!==null&&(c.position!==void 0&&(d=c.position),c.safeToCopy!==void 0&&(e=c.safeToCopy));switch(d){case CanvasTool.PngEncoder.ChunkPosition.AFTER_IHDR:case CanvasTool.PngEncoder.ChunkPosition.BEFORE_PLTE:case CanvasTool.PngEncoder.ChunkPosition.BEFORE_IDAT:case CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT:break;default:throw Error("invalid chunk position: "+d);
+}if(typeof e!=="boolean")throw Error("safeToCopy must be a boolean");$jscomp$scope$m1621417104$14$validateChunkType_(a,e);if(typeof b!=="object"||b===null||typeof b.length!=="number")throw Error("chunk data must be a byte array");if(b.length>2147483647)throw Error("chunk data too long: "+b.length);c=0;for(e=b.length;c<e;c++)if(!$jscomp$scope$m1621417104$15$isUint_(b[c],255))throw Error("invalid byte in chunk data: "+b[c]);this.customChunks_.push({chunk:this.makeChunk_($jscomp$scope$m1621417104$8$bytearray_(a),
+b),position:d})};CanvasTool.PngEncoder.prototype.pushCustomChunks_=function(a,b){var c=this.customChunks_,d;var e=0;for(d=c.length;e<d;e++)c[e].position===b&&a.push(c[e].chunk)};CanvasTool.PngEncoder.prototype.makePng_=function(){var a=this.makeImageArray(this.data),b=this.getImageRegions_(a.IDAT),c=[],d;var e=0;for(d=b.length;e<d;e++){var f=b[e];c[e]=this.makeImageData_(f.pixelArray,f.width,f.height)}return this.assemblePng_(a,c)};
+CanvasTool.PngEncoder.prototype.encodeAsync=function(a){var b=this;a=a||{};var c=a.signal,d=a.onProgress,e=typeof a.timeSlice==="number"?a.timeSlice:CanvasTool.PngEncoder.TimeSlice;return new Promise(function(f,g){function h(){if(r===null){var y=x[w];r=b.beginImageData_(y.pixelArray,y.width,y.height)}return r}function k(y){typeof d==="function"&&d(y)}function l(y){k(.1+.9*(v+x[w].height*y)/t)}function m(){var y;if(c&&c.aborted)g(c.reason!==void 0?c.reason:Error("encode aborted"));else{try{switch(n){case p.IMAGE_ARRAY:var C=
+b.continueImageArray_;u===null&&(u=b.beginImageArray_(b.data));if(!C.call(b,u,Date.now()+e)){k(.1*u.progress());break}z={PLTE:u.palette,tRNS:u.alphaPalette,IDAT:u.pixelArray};x=b.getImageRegions_(z.IDAT);var A=0;for(y=x.length;A<y;A++)t+=x[A].height;l(0);n=p.FILTER;break;case p.FILTER:b.filterImageData_(h(),Date.now()+e)&&(n=p.COMPRESS);l(r.rows>0?.8*r.row/r.rows:.8);break;case p.COMPRESS:if(!b.deflateImageData_(h(),Date.now()+e)){l(.8+.2*r.deflatePos/r.idat.length);break}q[w]=r.compressed[0];r=null;
+l(1);v+=x[w].height;w+1<x.length?(w++,n=p.FILTER):n=p.ASSEMBLE;break;case p.ASSEMBLE:var B=b.assemblePng_(z,q);f(USE_TYPEDARRAY?B:new Uint8Array(B));return;default:throw Error("unknown phase");}}catch(D){g(D);return}setTimeout(m,0)}}var p=CanvasTool.PngEncoder.AsyncPhase_,n=p.IMAGE_ARRAY,q=[],r=null,t=0,v=0,w=0,u=null,z,x;m()})};CanvasTool.PngEncoder.AsyncPhase_={IMAGE_ARRAY:0,FILTER:1,COMPRESS:2,ASSEMBLE:3};CanvasTool.PngEncoder.TimeSlice=16;CanvasTool.PngEncoder.DeflateSliceSize=32768;
+CanvasTool.PngEncoder.TextCompressionThreshold=1024;CanvasTool.PngEncoder.prototype.getRegionSizes_=function(){return[{width:this.width,height:this.height}]};CanvasTool.PngEncoder.prototype.getImageRegions_=function(a){return[{pixelArray:a,width:this.width,height:this.height}]};
+CanvasTool.PngEncoder.prototype.assemblePng_=function(a,b){a=this.makeLeadingChunks_(a);var c;b=this.makeImageChunks_(b);var d=0;for(c=b.length;d<c;d++)a.push(b[d]);this.pushCustomChunks_(a,CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT);a.push(this.makeIEND_());return $jscomp$scope$m1621417104$6$concat_(a)};
+CanvasTool.PngEncoder.prototype.makeLeadingChunks_=function(a){var b=[],c;b.push(CanvasTool.PngEncoder.Signature);b.push(this.makeIHDR_());this.pushCustomChunks_(b,CanvasTool.PngEncoder.ChunkPosition.AFTER_IHDR);typeof this.chrm==="object"&&this.chrm!==null&&b.push(this.makecHRM_(this.chrm));typeof this.gamma==="number"&&b.push(this.makegAMA_(this.gamma));typeof this.iccp==="object"&&this.iccp!==null&&b.push(this.makeiCCP_(this.iccp));this.sbit instanceof Array&&b.push(this.makesBIT_(this.sbit));
+typeof this.srgb==="number"&&b.push(this.makesRGB_(this.srgb));this.pushCustomChunks_(b,CanvasTool.PngEncoder.ChunkPosition.BEFORE_PLTE);switch(this.colourType){case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:b.push(this.makePLTE_(a.PLTE));this.palette_=a.PLTE;this.bkgd instanceof Array&&b.push(this.makebKGD_(this.bkgd,this.palette_));this.hist&&b.push(this.makehIST_(this.paletteHistogram_));this.trns&&b.push(this.maketRNS_(a.tRNS));break;case CanvasTool.PngEncoder.ColourType.GRAYSCALE:case CanvasTool.PngEncoder.ColourType.TRUECOLOR:this.trnsKey instanceof
+Array&&b.push(this.maketRNS_(this.trnsKey));break;case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:break;default:throw Error("unknown colour type");}this.colourType!==CanvasTool.PngEncoder.ColourType.INDEXED_COLOR&&this.bkgd instanceof Array&&b.push(this.makebKGD_(this.bkgd,[]));typeof this.phys==="object"&&this.phys!==null&&b.push(this.makepHYs_(this.phys));typeof this.splt==="object"&&this.splt!==null&&b.push(this.makesPLT_(this.splt,
+this.colourHistogram_));this.time instanceof Date&&b.push(this.maketIME_(this.time));typeof this.exif==="object"&&this.exif!==null&&b.push(this.makeeXIf_(this.exif));(typeof this.xmp==="string"||typeof this.xmp==="object"&&this.xmp!==null)&&b.push(this.makeXmp_(this.xmp));typeof this.text==="object"&&this.text!==null&&b.push(this.maketEXt_(this.text));typeof this.ztxt==="object"&&this.ztxt!==null&&b.push(this.makezTXt_(this.ztxt));typeof this.itxt==="object"&&this.itxt!==null&&b.push(this.makeiTXt_(this.itxt));
+if(this.textEntries instanceof Array)for(a=0,c=this.textEntries.length;a<c;a++)b.push(this.makeTextChunk_(this.textEntries[a]));this.pushCustomChunks_(b,CanvasTool.PngEncoder.ChunkPosition.BEFORE_IDAT);return b};CanvasTool.PngEncoder.prototype.getPalette=function(){return this.palette_ instanceof Array?this.palette_:this.makeImageArray(this.data).PLTE.map(function(a){return a.split("").map(function(b){return b.charCodeAt(0)})})};
+CanvasTool.PngEncoder.prototype.validate_=function(){var a,b=!1;if(this.sampleDepth!==8&&this.sampleDepth!==16)throw Error("invalid sample depth");switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:var c=[1,2,4,8,16];break;case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:c=[1,2,4,8];break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:c=[8,16];break;default:throw Error("invalid colour type");
+}var d=0;for(a=c.length;d<a;d++)if(this.bitDepth===c[d]){b=!0;break}if(b===!1)throw Error("invalid parameter");switch(this.dither){case CanvasTool.Dither.Method.NONE:case CanvasTool.Dither.Method.FLOYD_STEINBERG:case CanvasTool.Dither.Method.ATKINSON:case CanvasTool.Dither.Method.ORDERED:break;default:throw Error("unknown dither method");}if(!(this.idatChunkSize>=0&&this.idatChunkSize<=2147483647)||this.idatChunkSize%1!==0)throw Error("invalid idat chunk size");this.validateAncillaryChunks_()};
+CanvasTool.PngEncoder.prototype.validateBackground_=function(){var a=CanvasTool.PngEncoder.ColourType;if(this.bkgd!==void 0&&($jscomp$scope$m1621417104$18$validateColour_("bkgd",this.bkgd),a=this.colourType===a.GRAYSCALE||this.colourType===a.GRAYSCALE_WITH_ALPHA?1:3,this.bkgd.length!==a))throw Error("bkgd must be "+(a===1?"[gray]":"[red, green, blue]")+" for colour type "+this.colourType);};
+CanvasTool.PngEncoder.prototype.validateAncillaryChunks_=function(){var a=CanvasTool.PngEncoder.ColourType,b=this.getChannels_(),c=this.chrm,d=this.iccp,e=this.phys,f=this.splt,g=this.itxt;if(this.gamma!==void 0&&!(typeof this.gamma==="number"&&this.gamma>0&&isFinite(this.gamma)))throw Error("gamma must be a positive number: "+this.gamma);c!==void 0&&($jscomp$scope$m1621417104$16$validateObject_("chrm",c),$jscomp$scope$m1621417104$17$validateChromaticity_("chrm.whitePointX",c.whitePointX),$jscomp$scope$m1621417104$17$validateChromaticity_("chrm.whitePointY",
+c.whitePointY),$jscomp$scope$m1621417104$17$validateChromaticity_("chrm.redX",c.redX),$jscomp$scope$m1621417104$17$validateChromaticity_("chrm.redY",c.redY),$jscomp$scope$m1621417104$17$validateChromaticity_("chrm.greenX",c.greenX),$jscomp$scope$m1621417104$17$validateChromaticity_("chrm.greenY",c.greenY),$jscomp$scope$m1621417104$17$validateChromaticity_("chrm.blueX",c.blueX),$jscomp$scope$m1621417104$17$validateChromaticity_("chrm.blueY",c.blueY));if(this.srgb!==void 0&&!$jscomp$scope$m1621417104$15$isUint_(this.srgb,
+3))throw Error("invalid srgb rendering intent: "+this.srgb);if(this.sbit!==void 0){b=this.colourType===a.INDEXED_COLOR?3:b;if(!(this.sbit instanceof Array)||this.sbit.length!==b)throw Error("sbit must be an array of "+b+" bit counts");a=0;for(b=this.sbit.length;a<b;a++)if(!$jscomp$scope$m1621417104$15$isUint_(this.sbit[a],16)||this.sbit[a]===0)throw Error("sbit must be 1-16: "+this.sbit[a]);}if(d!==void 0){$jscomp$scope$m1621417104$16$validateObject_("iccp",d);$jscomp$scope$m1621417104$22$validateKeyword_(d.name);
+if(d.compressionMethod!==CanvasTool.PngEncoder.CompressionMethod.DEFLATE)throw Error("unknown ICC Profile compression method");if(typeof d.profile!=="object"||d.profile===null||typeof d.profile.length!=="number")throw Error("iccp.profile must be a byte array");}this.trnsKey!==void 0&&$jscomp$scope$m1621417104$18$validateColour_("trnsKey",this.trnsKey);if(typeof this.trns!=="boolean")throw Error("trns must be a boolean");if(typeof this.hist!=="boolean")throw Error("hist must be a boolean");if(e!==
+void 0){$jscomp$scope$m1621417104$16$validateObject_("phys",e);if(!$jscomp$scope$m1621417104$15$isUint_(e.x,4294967295)||!$jscomp$scope$m1621417104$15$isUint_(e.y,4294967295))throw Error("phys.x and phys.y must be 0-4294967295");if(e.unit!==CanvasTool.PngEncoder.UnitSpecifier.UNKNOWN&&e.unit!==CanvasTool.PngEncoder.UnitSpecifier.METRE)throw Error("invalid phys.unit: "+e.unit);}if(f!==void 0&&($jscomp$scope$m1621417104$16$validateObject_("splt",f),$jscomp$scope$m1621417104$22$validateKeyword_(f.name),
+typeof f.num!=="number"||f.num%1!==0))throw Error("splt.num must be an integer: "+f.num);if(!(this.time===void 0||this.time instanceof Date&&!isNaN(this.time.getTime())))throw Error("time must be a valid Date");this.text!==void 0&&($jscomp$scope$m1621417104$19$validateText_("text",this.text),$jscomp$scope$m1621417104$20$validateLatin1Text_("tEXt",this.text.text));if(this.ztxt!==void 0&&($jscomp$scope$m1621417104$19$validateText_("ztxt",this.ztxt),$jscomp$scope$m1621417104$20$validateLatin1Text_("zTXt",
+this.ztxt.text),this.ztxt.compressionMethod!==CanvasTool.PngEncoder.CompressionMethod.DEFLATE))throw Error("unknown compression method");if(g!==void 0){$jscomp$scope$m1621417104$19$validateText_("itxt",g);$jscomp$scope$m1621417104$21$validateLanguageTag_(g.lang);if(g.translatedKeyword!==void 0&&typeof g.translatedKeyword!=="string")throw Error("itxt.translatedKeyword must be a string");if(g.compressionMethod!==void 0&&g.compressionMethod!==null&&g.compressionMethod!==CanvasTool.PngEncoder.CompressionMethod.DEFLATE)throw Error("unknown compression method");
+}if(this.textEntries!==void 0){if(!(this.textEntries instanceof Array))throw Error("textEntries must be an array");a=0;for(b=this.textEntries.length;a<b;a++){$jscomp$scope$m1621417104$16$validateObject_("text entry",this.textEntries[a]);$jscomp$scope$m1621417104$22$validateKeyword_(this.textEntries[a].keyword);if(typeof this.textEntries[a].text!=="string")throw Error("text entry needs keyword and text");$jscomp$scope$m1621417104$21$validateLanguageTag_(this.textEntries[a].lang);if(this.textEntries[a].compressed!==
+void 0&&typeof this.textEntries[a].compressed!=="boolean")throw Error("text entry compressed must be a boolean");if(this.textEntries[a].translatedKeyword!==void 0&&typeof this.textEntries[a].translatedKeyword!=="string")throw Error("text entry translatedKeyword must be a string");}}if(this.exif!==void 0&&(typeof this.exif!=="object"||this.exif===null))throw Error("exif must be a byte array or a tag object");if(this.xmp!==void 0&&typeof this.xmp!=="string"&&(typeof this.xmp!=="object"||this.xmp===
+null))throw Error("xmp must be a packet string or a property object");};
+CanvasTool.PngEncoder.prototype.makeIHDR_=function(){var a=[];$jscomp$scope$m1621417104$0$push_(a,this.networkByteOrder_(this.width,4));$jscomp$scope$m1621417104$0$push_(a,this.networkByteOrder_(this.height,4));$jscomp$scope$m1621417104$0$push_(a,this.networkByteOrder_(this.bitDepth,1));$jscomp$scope$m1621417104$0$push_(a,this.networkByteOrder_(this.colourType,1));$jscomp$scope$m1621417104$0$push_(a,this.networkByteOrder_(this.compressionMethod,1));$jscomp$scope$m1621417104$0$push_(a,this.networkByteOrder_(this.filterMethod,
+1));$jscomp$scope$m1621417104$0$push_(a,this.networkByteOrder_(this.interlaceMethod,1));return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.IHDR,a)};CanvasTool.PngEncoder.prototype.makeImageArray=function(a){a=this.beginImageArray_(a);this.continueImageArray_(a,Infinity);return{PLTE:a.palette,tRNS:a.alphaPalette,IDAT:a.pixelArray}};CanvasTool.PngEncoder.ImageArrayStep_={HISTOGRAM:0,QUANTIZE:1,QUANTIZE_TABLE:2,PALETTE:3,PIXELS:4,DONE:5};
+CanvasTool.PngEncoder.ImageArrayState_=function(a,b){this.canvasArray=a;this.pixelArray=b;this.step=CanvasTool.PngEncoder.ImageArrayStep_.HISTOGRAM;this.pos=this.index=0;this.histogramIndex={};this.paletteTemp={};this.colours=[];this.colourKeys=[];this.quantizeKeys=[];this.quantizeTable=null;this.revTable={};this.palette=[];this.alphaPalette=[];this.regionDither=null};
+CanvasTool.PngEncoder.ImageArrayState_.prototype.progress=function(){var a=CanvasTool.PngEncoder.ImageArrayStep_,b=this.canvasArray.length;b=b>0?this.index/b:1;switch(this.step){case a.HISTOGRAM:return.5*b;case a.PIXELS:return.5+.5*b;case a.DONE:return 1;default:return.5}};
+CanvasTool.PngEncoder.prototype.beginImageArray_=function(a){var b=CanvasTool.PngEncoder.ImageArrayStep_,c=this.dither;a=new CanvasTool.PngEncoder.ImageArrayState_(a,new (USE_TYPEDARRAY?this.bitDepth===16?Uint16Array:Uint8Array:Array)((a.length>>2)*this.getChannels_()));typeof this.splt==="object"&&this.splt!==null?this.colourHistogram_=[]:this.colourType!==CanvasTool.PngEncoder.ColourType.INDEXED_COLOR&&(a.step=b.PIXELS);if(c!==CanvasTool.Dither.Method.NONE&&this.colourType===CanvasTool.PngEncoder.ColourType.GRAYSCALE&&
+this.bitDepth<8){var d=(1<<this.bitDepth)-1;var e=(1<<this.sampleDepth)-1;a.regionDither=new CanvasTool.PngEncoder.RegionDither_(this.getRegionSizes_(),function(f){return new CanvasTool.Dither(c,f,1,e,e/d)})}return a};
+CanvasTool.PngEncoder.prototype.continueImageArray_=function(a,b){for(var c=CanvasTool.PngEncoder.ImageArrayStep_;a.step!==c.DONE;)switch(a.step){case c.HISTOGRAM:if(!this.eachImageRow_(a,b,this.countColours_))return!1;a.index=0;a.step=this.beginQuantize_(a)?c.QUANTIZE:c.PALETTE;break;case c.QUANTIZE:if(!this.quantizer_.quantizeUntil(this.getMaxPaletteColours_(),b))return!1;this.beginQuantizeTable_(a);a.step=c.QUANTIZE_TABLE;break;case c.QUANTIZE_TABLE:if(!this.makeQuantizeTable_(a,b))return!1;a.step=
+c.PALETTE;break;case c.PALETTE:this.colourType===CanvasTool.PngEncoder.ColourType.INDEXED_COLOR&&this.makePalette_(a);a.step=c.PIXELS;break;case c.PIXELS:if(!this.eachImageRow_(a,b,this.convertPixels_))return!1;a.step=c.DONE;break;default:throw Error("unknown image array step");}return!0};
+CanvasTool.PngEncoder.prototype.eachImageRow_=function(a,b,c){for(var d=a.canvasArray.length,e=this.width*4,f=0,g;a.index<d;){if(f>0&&Date.now()>=b)return!1;g=Math.min(a.index+e,d);c.call(this,a,a.index,g);a.index=g;f++}return!0};
+CanvasTool.PngEncoder.prototype.countColours_=function(a,b,c){var d=a.canvasArray,e=a.paletteTemp,f=this.trns;typeof this.splt==="object"&&this.splt!==null&&this.addColourHistogram_(this.colourHistogram_,a.histogramIndex,d,b,c);if(this.colourType===CanvasTool.PngEncoder.ColourType.INDEXED_COLOR)for(;b<c;b+=4)a=this.pixelKey_(d,b,f),e[a]=(e[a]|0)+1};CanvasTool.PngEncoder.prototype.getMaxPaletteColours_=function(){return(1<<this.bitDepth)-(this.bkgd instanceof Array?1:0)};
+CanvasTool.PngEncoder.prototype.beginQuantize_=function(a){var b=a.paletteTemp,c=this.trns,d;if(!this.quantize||this.colourType!==CanvasTool.PngEncoder.ColourType.INDEXED_COLOR)return!1;for(d in b){var e=this.keyToColour_(+d,c);a.colourKeys.push(+d);a.colours.push({red:e[0],green:e[1],blue:e[2],alpha:e[3],count:b[+d]})}if(a.colours.length<=this.getMaxPaletteColours_())return!1;this.quantizer_=new CanvasTool.MedianCut(a.colours,c);return!0};
+CanvasTool.PngEncoder.prototype.beginQuantizeTable_=function(a){var b=this.quantizer_.palette,c;var d=0;for(c=b.length;d<c;d++){var e=b[d];a.quantizeKeys[d]=this.colourKey_(e[0],e[1],e[2],e[3],this.trns)}a.quantizeTable={}};
+CanvasTool.PngEncoder.prototype.makeQuantizeTable_=function(a,b){var c=a.colours,d=a.quantizeTable,e=this.quantizer_,f=0,g;for(g=c.length;a.index<g;a.index++){if(f>0&&Date.now()>=b)return!1;var h=c[a.index];d[a.colourKeys[a.index]]=a.quantizeKeys[e.nearest(h.red,h.green,h.blue,h.alpha)];f++}a.index=0;return!0};
+CanvasTool.PngEncoder.prototype.makePalette_=function(a){var b=this.trns,c=this.dither,d=a.quantizeTable,e=a.paletteTemp,f=a.palette,g=a.alphaPalette,h=a.revTable,k=[],l;if(d!==null){var m=e;e={};for(n in m)e[d[+n]]=(e[d[+n]]|0)+m[+n]}for(n in e)k.push(+n);b&&k.sort(function(r,t){return(r&255)-(t&255)||r-t});var p=0;for(l=k.length;p<l;p++){var n=k[p];m=this.keyToColour_(n,b);m[3]!==255&&(g[p]=m[3]);h[n]=p;f.push(m[0]);f.push(m[1]);f.push(m[2])}if(this.bkgd instanceof Array){if(this.bkgd.length!==
+3)throw Error("wrong background-color length");n=this.colourKey_(this.bkgd[0],this.bkgd[1],this.bkgd[2],255,b);if(!(n in e)){if(f.length/3===1<<this.bitDepth)throw Error("can not add background-color to palette");f.push(this.bkgd[0]);f.push(this.bkgd[1]);f.push(this.bkgd[2])}}if(f.length/3>1<<this.bitDepth)throw Error("over "+(1<<this.bitDepth)+" colors: "+f.length/3);p=0;for(l=f.length/3;p<l;p++)this.paletteHistogram_[p]=0;if(d!==null&&c!==CanvasTool.Dither.Method.NONE){var q=255/Math.pow(this.quantizer_.palette.length,
+1/3);a.regionDither=new CanvasTool.PngEncoder.RegionDither_(this.getRegionSizes_(),function(r){return new CanvasTool.Dither(c,r,b?4:3,255,q)})}};
+CanvasTool.PngEncoder.prototype.convertPixels_=function(a,b,c){var d=a.canvasArray,e=a.pixelArray,f=a.regionDither,g=this.trns,h=(this.colourType&4)>0,k=a.pos,l;switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:case CanvasTool.PngEncoder.ColourType.GRAYSCALE:g=(1<<this.bitDepth)-1;for(l=(1<<this.sampleDepth)-1;b<c;b+=4){var m=this.rgb2y_(d[b],d[b+1],d[b+2]);if(f!==null){var p=f.moveTo(b>>2);var n=p.adjust([m],f.x,f.y);m=n[0]*g/l+.5|0;p.diffuse(n,[m*l/g],f.x)}else m=
+this.scaleSample_(m);e[k++]=m;h&&(e[k++]=this.scaleSample_(d[b+3]))}break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:for(;b<c;b+=4)e[k++]=this.scaleSample_(d[b]),e[k++]=this.scaleSample_(d[b+1]),e[k++]=this.scaleSample_(d[b+2]),h&&(e[k++]=this.scaleSample_(d[b+3]));break;case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:for(;b<c;b+=4)f!==null?(p=f.moveTo(b>>2),n=p.adjust(this.sliceSample8_(d,b,g?4:3),f.x,f.y),m=this.quantizer_.nearest(n[0],
+n[1],n[2],g?n[3]:255),p.diffuse(n,this.quantizer_.palette[m],f.x),h=a.quantizeKeys[m]):(h=this.pixelKey_(d,b,g),a.quantizeTable!==null&&(h=a.quantizeTable[h])),m=a.revTable[h],this.paletteHistogram_[m]++,e[k++]=m;break;default:throw Error("invalid colour type");}a.pos=k};CanvasTool.PngEncoder.prototype.colourKey_=function(a,b,c,d,e){a=a<<16|b<<8|c;return e?a*256+d:a};
+CanvasTool.PngEncoder.prototype.pixelKey_=function(a,b,c){var d=this.sampleDepth-8;return this.colourKey_(a[b]>>>d,a[b+1]>>>d,a[b+2]>>>d,a[b+3]>>>d,c)};CanvasTool.PngEncoder.prototype.keyToColour_=function(a,b){var c=255;b&&(c=a%256,a=(a-c)/256);return[a>>>16&255,a>>>8&255,a&255,c]};CanvasTool.PngEncoder.prototype.makeColourHistogram_=function(a){var b=[];this.addColourHistogram_(b,{},a,0,a.length);return b};
+CanvasTool.PngEncoder.prototype.addColourHistogram_=function(a,b,c,d,e){var f=this.sampleDepth===16,g;for(g=d;g<e;g+=4){d=c[g];var h=c[g+1];var k=c[g+2];var l=c[g+3];var m=f?[d,h,k,l].join():((d<<8|h)<<8|k)<<8|l;if(b[m]===void 0){var p=a.length;a.push({red:d,green:h,blue:k,alpha:l,count:0});b[m]=p}a[b[m]].count++}};
+CanvasTool.PngEncoder.prototype.selectLosslessFormat_=function(){var a=this.makeColourHistogram_(this.data),b=this.sampleDepth===16,c=(1<<this.sampleDepth)-1,d=!0,e=!0,f=!0,g=!0,h=[],k={},l=1,m=null,p;if(this.bkgd instanceof Array){m={red:this.bkgd[0],green:this.bkgd[this.bkgd.length===3?1:0],blue:this.bkgd[this.bkgd.length===3?2:0],alpha:c,count:0};var n=0;for(p=a.length;n<p;n++){var q=a[n];if(q.red===m.red&&q.green===m.green&&q.blue===m.blue&&q.alpha===c)break}n===p&&a.push(m)}n=0;for(p=a.length;n<
+p;n++){q=a[n];b&&(q.red%257||q.green%257||q.blue%257||q.alpha%257)&&(d=!1);if(q.red!==q.green||q.red!==q.blue)e=!1;q.alpha===c?k[[q.red,q.green,q.blue].join()]=!0:(f=!1,q.alpha===0?h.push(q):g=!1)}q=d?8:16;g=!f&&g&&h.length===1&&!k[[h[0].red,h[0].green,h[0].blue].join()];if(e&&d)for(n=0,p=a.length;n<p;n++)k=b?a[n].red>>>8:a[n].red,k=k===0||k===255?1:k%85===0?2:k%17===0?4:8,l=k>l?k:l;else l=q;f||g?(n=CanvasTool.PngEncoder.ColourType.TRUECOLOR,c=q*3):(n=CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA,
+c=q*4);var r=q;e&&(f||g?(n=CanvasTool.PngEncoder.ColourType.GRAYSCALE,r=c=l):(n=CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA,c=q*2));d&&a.length<=256&&(p=a.length,k=p<=2?1:p<=4?2:p<=16?4:8,a=this.width*this.height,a*k/8+p*(f?3:4)<a*c/8&&(n=CanvasTool.PngEncoder.ColourType.INDEXED_COLOR,r=c=k,g=!1,this.trns=!f));this.colourType=n;this.bitDepth=r;if(m!==null)switch(n){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:this.bkgd=[this.scaleSample_(m.red)];
+break;case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:this.bkgd=[m.red,m.green,m.blue];b&&(this.bkgd=this.bkgd.map(function(t){return t>>>8}));break;default:this.bkgd=[this.scaleSample_(m.red),this.scaleSample_(m.green),this.scaleSample_(m.blue)]}g&&(q=h[0],this.trnsKey=n===CanvasTool.PngEncoder.ColourType.GRAYSCALE?[this.scaleSample_(q.red)]:[this.scaleSample_(q.red),this.scaleSample_(q.green),this.scaleSample_(q.blue)])};
+CanvasTool.PngEncoder.prototype.makecHRM_=function(a){var b=[],c="whitePointX whitePointY redX redY greenX greenY blueX blueY".split(" "),d;var e=0;for(d=c.length;e<d;e++)$jscomp$scope$m1621417104$0$push_(b,this.networkByteOrder_(a[c[e]]*1E5+.5|0,4));return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.CHRM,b)};CanvasTool.PngEncoder.prototype.makegAMA_=function(a){return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.GAMA,this.networkByteOrder_(1E5/a+.5|0,4))};
+CanvasTool.PngEncoder.prototype.makesBIT_=function(a){var b=[];switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:if(a.length!==1)throw Error("wrong sBIT length");$jscomp$scope$m1621417104$0$push_(b,a.slice(0,1));break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:if(a.length!==3)throw Error("wrong sBIT length");$jscomp$scope$m1621417104$0$push_(b,a.slice(0,3));break;case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:if(a.length!==3)throw Error("wrong sBIT length");$jscomp$scope$m1621417104$0$push_(b,
+a.slice(0,3));break;case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:if(a.length!==2)throw Error("wrong sBIT length");$jscomp$scope$m1621417104$0$push_(b,a.slice(0,2));break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:if(a.length!==4)throw Error("wrong sBIT length");$jscomp$scope$m1621417104$0$push_(b,a.slice(0,4));break;default:throw Error("unknown colour type");}return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.SBIT,b)};
+CanvasTool.PngEncoder.prototype.makesRGB_=function(a){return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.SRGB,[a])};
+CanvasTool.PngEncoder.prototype.makeiCCP_=function(a){var b=[];$jscomp$scope$m1621417104$22$validateKeyword_(a.name);$jscomp$scope$m1621417104$0$push_(b,$jscomp$scope$m1621417104$8$bytearray_(a.name));b.push(0);b.push(a.compressionMethod);switch(a.compressionMethod){case CanvasTool.PngEncoder.CompressionMethod.DEFLATE:$jscomp$scope$m1621417104$0$push_(b,(new Zlib.Deflate(a.profile,this.deflateOption)).compress());break;default:throw Error("unknown ICC Profile compression method");}return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.ICCP,
+b)};
+CanvasTool.PngEncoder.prototype.makebKGD_=function(a,b){var c=[],d=null,e;switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:if(a.length!==1)throw Error("wrong background-color length");$jscomp$scope$m1621417104$0$push_(c,this.networkByteOrder_(a[0],2));break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:if(a.length!==3)throw Error("wrong background-color length");$jscomp$scope$m1621417104$0$push_(c,
+this.networkByteOrder_(a[0],2));$jscomp$scope$m1621417104$0$push_(c,this.networkByteOrder_(a[1],2));$jscomp$scope$m1621417104$0$push_(c,this.networkByteOrder_(a[2],2));break;case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:if(a.length!==3)throw Error("wrong background-color length");var f=0;for(e=b.length;f<e;f+=3)b[f+0]===a[0]&&b[f+1]===a[1]&&b[f+2]===a[2]&&(d=f/3);if(d===null)return[];c.push(d);break;default:throw Error("unknown colour type");}return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.BKGD,
+c)};CanvasTool.PngEncoder.prototype.makehIST_=function(a){for(var b=[],c=$jscomp$scope$m1621417104$9$max_(a),d,e=0,f=a.length;e<f;e++)d=a[e],d=d===0?0:d/c*65534+1+.5|0,$jscomp$scope$m1621417104$0$push_(b,this.networkByteOrder_(d,2));return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.HIST,b)};
+CanvasTool.PngEncoder.prototype.makesPLT_=function(a,b){var c=[],d=0,e=0,f=a.num<0?b.length:a.num,g=0,h=this.sampleDepth===16;if(f===0)return[];$jscomp$scope$m1621417104$0$push_(c,$jscomp$scope$m1621417104$8$bytearray_(a.name));c.push(0);switch(this.bitDepth){case 16:c.push(16);break;case 8:case 4:case 2:case 1:c.push(8);break;default:throw Error("invalid bit depth");}a=b.sort(function(p,n){return p.count<n.count?1:p.count>n.count?-1:0});for(d=a[0].count;e<f;e++){b=a[e];switch(this.bitDepth){case 16:g=
+h?b.red:b.red<<8|b.red;var k=h?b.green:b.green<<8|b.green;var l=h?b.blue:b.blue<<8|b.blue;var m=h?b.alpha:b.alpha<<8|b.alpha;$jscomp$scope$m1621417104$0$push_(c,this.networkByteOrder_(g,2));$jscomp$scope$m1621417104$0$push_(c,this.networkByteOrder_(k,2));$jscomp$scope$m1621417104$0$push_(c,this.networkByteOrder_(l,2));$jscomp$scope$m1621417104$0$push_(c,this.networkByteOrder_(m,2));break;case 8:case 4:case 2:case 1:c.push(h?b.red>>>8:b.red);c.push(h?b.green>>>8:b.green);c.push(h?b.blue>>>8:b.blue);
+c.push(h?b.alpha>>>8:b.alpha);break;default:throw Error("invalid bit depth");}g=b.count/d*65535+.5|0;$jscomp$scope$m1621417104$0$push_(c,this.networkByteOrder_(g,2))}return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.SPLT,c)};CanvasTool.PngEncoder.prototype.makePLTE_=function(a){if(a.length/3>256)throw Error("over 256 colors: "+a.length/3);return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.PLTE,a)};
+CanvasTool.PngEncoder.prototype.makepHYs_=function(a){var b=[];$jscomp$scope$m1621417104$0$push_(b,this.networkByteOrder_(a.x,4));$jscomp$scope$m1621417104$0$push_(b,this.networkByteOrder_(a.y,4));b.push(a.unit);return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.PHYS,b)};
+CanvasTool.PngEncoder.prototype.maketEXt_=function(a){var b=[];$jscomp$scope$m1621417104$20$validateLatin1Text_("tEXt",a.text);$jscomp$scope$m1621417104$22$validateKeyword_(a.keyword);$jscomp$scope$m1621417104$0$push_(b,$jscomp$scope$m1621417104$8$bytearray_(a.keyword));b.push(0);$jscomp$scope$m1621417104$0$push_(b,$jscomp$scope$m1621417104$8$bytearray_(a.text));return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.TEXT,b)};
+CanvasTool.PngEncoder.prototype.makezTXt_=function(a){var b=[];$jscomp$scope$m1621417104$20$validateLatin1Text_("zTXt",a.text);$jscomp$scope$m1621417104$22$validateKeyword_(a.keyword);$jscomp$scope$m1621417104$0$push_(b,$jscomp$scope$m1621417104$8$bytearray_(a.keyword));b.push(0);b.push(a.compressionMethod);switch(a.compressionMethod){case CanvasTool.PngEncoder.CompressionMethod.DEFLATE:$jscomp$scope$m1621417104$0$push_(b,(new Zlib.Deflate($jscomp$scope$m1621417104$8$bytearray_(a.text),this.deflateOption)).compress());
+break;default:throw Error("unknown compression method");}return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.ZTXT,b)};
+CanvasTool.PngEncoder.prototype.makeiTXt_=function(a){var b=[],c=typeof a.lang==="string"?a.lang:"";if(!/^[A-Za-z0-9-]*$/.test(c))throw Error("invalid language tag: "+c);$jscomp$scope$m1621417104$22$validateKeyword_(a.keyword);$jscomp$scope$m1621417104$0$push_(b,$jscomp$scope$m1621417104$8$bytearray_(a.keyword));b.push(0);if(typeof a.compressionMethod==="number")switch(b.push(CanvasTool.PngEncoder.CompressionFlag.COMPRESSED),b.push(a.compressionMethod),a.compressionMethod){case CanvasTool.PngEncoder.CompressionMethod.DEFLATE:var d=
+(new Zlib.Deflate($jscomp$scope$m1621417104$8$bytearray_($jscomp$scope$m1621417104$23$utf8_(a.text)),this.deflateOption)).compress();break;default:throw Error("unknown compression method");}else b.push(CanvasTool.PngEncoder.CompressionFlag.UNCOMPRESSED),b.push(0),d=$jscomp$scope$m1621417104$8$bytearray_($jscomp$scope$m1621417104$23$utf8_(a.text));$jscomp$scope$m1621417104$0$push_(b,$jscomp$scope$m1621417104$8$bytearray_(c));b.push(0);typeof a.translatedKeyword==="string"&&$jscomp$scope$m1621417104$0$push_(b,
+$jscomp$scope$m1621417104$8$bytearray_($jscomp$scope$m1621417104$23$utf8_(a.translatedKeyword)));b.push(0);$jscomp$scope$m1621417104$0$push_(b,d);return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.ITXT,b)};
+CanvasTool.PngEncoder.prototype.makeTextChunk_=function(a){var b=a.keyword,c=a.text,d=a.compressed,e=a.lang;a=a.translatedKeyword;if(typeof b!=="string"||typeof c!=="string")throw Error("text entry needs keyword and text");typeof d!=="boolean"&&(d=$jscomp$scope$m1621417104$23$utf8_(c).length>=CanvasTool.PngEncoder.TextCompressionThreshold);return typeof e!=="string"&&typeof a!=="string"&&$jscomp$scope$m1621417104$13$isLatin1_(c)?d?this.makezTXt_({keyword:b,text:c,compressionMethod:CanvasTool.PngEncoder.CompressionMethod.DEFLATE}):
+this.maketEXt_({keyword:b,text:c}):this.makeiTXt_({keyword:b,text:c,lang:e,translatedKeyword:a,compressionMethod:d?CanvasTool.PngEncoder.CompressionMethod.DEFLATE:null})};CanvasTool.PngEncoder.prototype.makeeXIf_=function(a){a=typeof a.length==="number"?a:(new CanvasTool.ExifBuilder(a)).build();if(a.length<8||!(a[0]===77&&a[1]===77&&a[2]===0&&a[3]===42||a[0]===73&&a[1]===73&&a[2]===42&&a[3]===0))throw Error("invalid exif data");return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.EXIF,a)};
+CanvasTool.PngEncoder.prototype.makeXmp_=function(a){a=typeof a==="string"?a:(new CanvasTool.XmpBuilder(a)).build();return this.makeiTXt_({keyword:CanvasTool.XmpBuilder.Keyword,text:a,compressionMethod:null})};
+CanvasTool.PngEncoder.prototype.maketIME_=function(a){var b=[];$jscomp$scope$m1621417104$0$push_(b,this.networkByteOrder_(a.getUTCFullYear(),2));b.push(a.getUTCMonth()+1);b.push(a.getUTCDate());b.push(a.getUTCHours());b.push(a.getUTCMinutes());b.push(a.getUTCSeconds());return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.TIME,b)};CanvasTool.PngEncoder.prototype.makeImageChunks_=function(a){var b=[];a=this.splitImageData_(a[0]);var c;var d=0;for(c=a.length;d<c;d++)b.push(this.makeIDAT_(a[d]));return b};
+CanvasTool.PngEncoder.prototype.splitImageData_=function(a){var b=this.idatChunkSize,c=a.length,d=[],e;if(b===0||c<=b)return[a];for(e=0;e<c;e+=b)d.push(USE_TYPEDARRAY?a.subarray(e,e+b):a.slice(e,e+b));return d};CanvasTool.PngEncoder.prototype.makeIDAT_=function(a){return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.IDAT,a)};CanvasTool.PngEncoder.prototype.makeImageData_=function(a,b,c){a=this.beginImageData_(a,b,c);this.filterImageData_(a,Infinity);return this.compressImageData_(a)};
+CanvasTool.PngEncoder.ImageDataState_=function(a,b,c){this.passlist=a;this.idat=b;this.rows=c;this.pos=this.y=this.pass=this.row=0;this.deflate=this.prevLine=null;this.deflatePos=0;this.compressed=[]};
+CanvasTool.PngEncoder.prototype.beginImageData_=function(a,b,c){var d=this.filterType,e=0,f=0,g;this.interlace_=this.getInterlace_();a=this.interlace_(a,b,c);c=0;for(g=a.length;c<g;c++)b=a[c],b.pixelArray.length>0&&(e+=(this.getLineLength_(b.width)+1)*b.height,f+=b.height);d instanceof Array&&this.validateFilterTypeList_(d,f);return new CanvasTool.PngEncoder.ImageDataState_(a,new (USE_TYPEDARRAY?Uint8Array:Array)(e),f)};
+CanvasTool.PngEncoder.prototype.filterImageData_=function(a,b){var c=this.filterMethod,d=this.filterType,e=this.getChannels_(),f=a.passlist,g=a.idat,h=0;var k=this.getBytesPerCompletePixel_();for(this.prevLine_=a.prevLine;a.pass<f.length;a.pass++,a.y=0){var l=f[a.pass];var m=l.pixelArray;if(m.length!==0){var p=l.width;a.y===0&&(this.prevLine_=null);for(;a.y<l.height;a.y++){if(h>0&&Date.now()>=b)return a.prevLine=this.prevLine_,!1;var n=this.pixelArrayToByteArray_(m,a.y*p*e,p);switch(c){case CanvasTool.PngEncoder.FilterMethod.BASIC:var q=
+this.filterLine_(n,k,d instanceof Array?d[a.row]:d);break;default:throw Error("unknown filter method");}$jscomp$scope$m1621417104$5$set_(g,q,a.pos);a.pos+=q.length;this.prevLine_=n;a.row++;h++}}}a.prevLine=this.prevLine_;return!0};CanvasTool.PngEncoder.prototype.compressImageData_=function(a){this.deflateImageData_(a,Infinity);return a.compressed[0]};
+CanvasTool.PngEncoder.prototype.deflateImageData_=function(a,b){var c=a.idat,d=CanvasTool.PngEncoder.DeflateSliceSize,e=0;switch(this.compressionMethod){case CanvasTool.PngEncoder.CompressionMethod.DEFLATE:break;default:throw Error("unknown compression method");}a.deflate===null&&(a.deflate=new CanvasTool.DeflateStream(this.deflateOption));for(;a.deflatePos<c.length;){if(e>0&&Date.now()>=b)return!1;var f=Math.min(a.deflatePos+d,c.length);a.compressed.push(a.deflate.write(USE_TYPEDARRAY?c.subarray(a.deflatePos,
+f):c.slice(a.deflatePos,f)));a.deflatePos=f;e++}a.compressed.push(a.deflate.finish());a.compressed=[$jscomp$scope$m1621417104$6$concat_(a.compressed)];return!0};
+CanvasTool.PngEncoder.prototype.filterRows_=function(a,b){var c=this.filterType,d=this.width,e=this.getChannels_(),f=this.getBytesPerCompletePixel_();a=this.makeImageArray(a).IDAT;var g=a.length/(d*e),h=new (USE_TYPEDARRAY?Uint8Array:Array)((this.getLineLength_(d)+1)*g),k=0,l;for(l=0;l<g;l++){var m=this.pixelArrayToByteArray_(a,l*d*e,d);switch(this.filterMethod){case CanvasTool.PngEncoder.FilterMethod.BASIC:var p=this.filterLine_(m,f,c instanceof Array?c[b+l]:c);break;default:throw Error("unknown filter method");
+}$jscomp$scope$m1621417104$5$set_(h,p,k);k+=p.length;this.prevLine_=m}return h};
+CanvasTool.PngEncoder.prototype.validateFilterTypeList_=function(a,b){var c;if(a.length!==b)throw Error("wrong filter type list length: "+a.length+" (expected "+b+")");var d=0;for(c=a.length;d<c;d++)if(b=a[d],b!==CanvasTool.PngEncoder.BasicFilterType.NONE&&b!==CanvasTool.PngEncoder.BasicFilterType.SUB&&b!==CanvasTool.PngEncoder.BasicFilterType.UP&&b!==CanvasTool.PngEncoder.BasicFilterType.AVERAGE&&b!==CanvasTool.PngEncoder.BasicFilterType.PAETH)throw Error("unknown filter type at scanline "+d+": "+
+b);};CanvasTool.PngEncoder.prototype.makeIEND_=function(){return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.IEND,[])};
+CanvasTool.PngEncoder.prototype.maketRNS_=function(a){var b=[];switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:$jscomp$scope$m1621417104$0$push_(b,this.networkByteOrder_(a[0],2));break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:$jscomp$scope$m1621417104$0$push_(b,this.networkByteOrder_(a[0],2));$jscomp$scope$m1621417104$0$push_(b,this.networkByteOrder_(a[1],2));$jscomp$scope$m1621417104$0$push_(b,this.networkByteOrder_(a[2],2));break;case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:b=
+a;break;default:throw Error("invalid colour type");}return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.TRNS,b)};
+CanvasTool.PngEncoder.prototype.getBytesPerCompletePixel_=function(){var a=(this.colourType&4)>0;switch(this.colourType){case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:var b=1;break;case CanvasTool.PngEncoder.ColourType.GRAYSCALE:case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:b=1;a&&(b+=1);this.bitDepth===16&&(b*=2);break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:b=3;a&&(b+=1);this.bitDepth===16&&(b*=2);break;default:throw Error("unknown colour type");
+}return b};CanvasTool.PngEncoder.prototype.getChannels_=function(){switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:return 1;case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:return 2;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:return 3;case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:return 4;default:throw Error("unknown colour type");}};
+CanvasTool.PngEncoder.prototype.getInterlace_=function(){switch(this.interlaceMethod){case CanvasTool.PngEncoder.InterlaceMethod.NONE:var a=this.interlaceNone_;break;case CanvasTool.PngEncoder.InterlaceMethod.ADAM7:a=this.interlaceAdam7_;break;default:throw Error("unknown interlace method");}return a};CanvasTool.PngEncoder.Pass_=function(a,b,c){this.width=a;this.height=b;this.pixelArray=c};
+CanvasTool.PngEncoder.RegionDither_=function(a,b){this.regions_=a;this.create_=b;this.index_=-1;this.end_=this.start_=0;this.dither_=null;this.y=this.x=0};CanvasTool.PngEncoder.RegionDither_.prototype.moveTo=function(a){for(var b=this.regions_[this.index_<0?0:this.index_].width,c;a>=this.end_;)c=this.regions_[++this.index_],b=c.width,this.start_=this.end_,this.end_+=b*c.height,this.dither_=this.create_(b);a-=this.start_;this.x=a%b;this.y=a/b|0;return this.dither_};
+CanvasTool.PngEncoder.prototype.interlaceNone_=function(a,b,c){return[new CanvasTool.PngEncoder.Pass_(b,c,a)]};
+CanvasTool.PngEncoder.prototype.interlaceAdam7_=function(a,b,c){var d=this.getChannels_(),e=CanvasTool.PngEncoder.Adam7Table_,f=[],g,h,k,l,m;var p=0;for(m=e.length;p<m;p++){var n=e[p];var q=Math.ceil((b-n.xStart)/n.xStep);var r=Math.ceil((c-n.yStart)/n.yStep);if(q<=0||r<=0)f.push(new CanvasTool.PngEncoder.Pass_(0,0,[]));else{var t=new (USE_TYPEDARRAY?a.constructor:Array)(q*r*d);for(k=h=0;h<r;h++)for(g=0;g<q;g++){var v=((n.yStart+h*n.yStep)*b+n.xStart+g*n.xStep)*d;for(l=0;l<d;l++)t[k++]=a[v+l]}f.push(new CanvasTool.PngEncoder.Pass_(q,
+r,t))}}return f};CanvasTool.PngEncoder.prototype.pixelArrayToByteArray_=function(a,b,c){var d=this.bitDepth,e=c*this.getChannels_();c=new (USE_TYPEDARRAY?Uint8Array:Array)(this.getLineLength_(c));var f;if(d<8){var g=8/d;for(f=0;f<e;f++){if(f%g===0){var h=f/g;c[h]=0}c[h]|=a[b+f]<<(g-f%g-1)*d}return c}if(d===16){for(f=0;f<e;f++)d=a[b+f],c[f*2]=d>>>8&255,c[f*2+1]=d&255;return c}for(f=0;f<e;f++)c[f]=a[b+f];return c};
+CanvasTool.PngEncoder.prototype.getLineLength_=function(a){return a*this.getChannels_()*this.bitDepth+7>>3};CanvasTool.PngEncoder.prototype.filterLine_=function(a,b,c){switch(c){case CanvasTool.PngEncoder.BasicFilterType.ADAPTIVE:return this.filterAdaptive_(a,b);case CanvasTool.PngEncoder.BasicFilterType.BRUTE_FORCE:return this.filterBruteForce_(a,b)}return $jscomp$scope$m1621417104$7$prependFilterType_(c,this.getFilter_(c).call(this,a,b))};
+CanvasTool.PngEncoder.prototype.filterAdaptive_=function(a,b){var c=CanvasTool.PngEncoder.BasicFilterType.NONE,d=null,e=Infinity,f,g,h;for(f=CanvasTool.PngEncoder.BasicFilterType.NONE;f<=CanvasTool.PngEncoder.BasicFilterType.PAETH;f++){var k=this.getFilter_(f).call(this,a,b);var l=g=0;for(h=k.length;l<h&&g<e;l++){var m=k[l];g+=m<128?m:256-m}g<e&&(e=g,c=f,d=k)}return $jscomp$scope$m1621417104$7$prependFilterType_(c,d)};
+CanvasTool.PngEncoder.prototype.filterBruteForce_=function(a,b){var c=null,d=Infinity,e;for(e=CanvasTool.PngEncoder.BasicFilterType.NONE;e<=CanvasTool.PngEncoder.BasicFilterType.PAETH;e++){var f=$jscomp$scope$m1621417104$7$prependFilterType_(e,this.getFilter_(e).call(this,a,b));var g=(new Zlib.Deflate(f,this.deflateOption)).compress().length;g<d&&(d=g,c=f)}return c};
+CanvasTool.PngEncoder.prototype.getFilter_=function(a){switch(this.filterMethod){case CanvasTool.PngEncoder.FilterMethod.BASIC:switch(a){case CanvasTool.PngEncoder.BasicFilterType.NONE:a=this.filterNone_;break;case CanvasTool.PngEncoder.BasicFilterType.SUB:a=this.filterSub_;break;case CanvasTool.PngEncoder.BasicFilterType.UP:a=this.filterUp_;break;case CanvasTool.PngEncoder.BasicFilterType.AVERAGE:a=this.filterAverage_;break;case CanvasTool.PngEncoder.BasicFilterType.PAETH:a=this.filterPaeth_;break;
+default:throw Error("unknown filter type");}break;default:throw Error("unknown filter method");}return a};CanvasTool.PngEncoder.prototype.filterNone_=function(a,b){return a};CanvasTool.PngEncoder.prototype.filterSub_=function(a,b){var c=a.length,d=new (USE_TYPEDARRAY?Uint8Array:Array)(c),e;for(e=0;e<c;e++){var f=e>=b?a[e-b]:0;d[e]=a[e]-f+256&255}return d};
+CanvasTool.PngEncoder.prototype.filterUp_=function(a,b){b=a.length;var c=new (USE_TYPEDARRAY?Uint8Array:Array)(b),d=this.prevLine_,e;for(e=0;e<b;e++){var f=d?d[e]:0;c[e]=a[e]-f+256&255}return c};CanvasTool.PngEncoder.prototype.filterAverage_=function(a,b){var c=a.length,d=new (USE_TYPEDARRAY?Uint8Array:Array)(c),e=this.prevLine_,f;for(f=0;f<c;f++){var g=f>=b?a[f-b]:0;var h=e?e[f]:0;g=g+h>>>1;d[f]=a[f]+256-g&255}return d};
+CanvasTool.PngEncoder.prototype.filterPaeth_=function(a,b){var c=a.length,d=new (USE_TYPEDARRAY?Uint8Array:Array)(c),e=this.prevLine_,f;for(f=0;f<c;f++){var g=f>=b?a[f-b]:0;var h=e?e[f]:0;var k=e&&f>=b?e[f-b]:0;var l=g+h-k;var m=l>g?l-g:g-l;var p=l>h?l-h:h-l;l=l>k?l-k:k-l;g=m<=p&&m<=l?g:p<=l?h:k;d[f]=a[f]-g+256&255}return d};CanvasTool.PngEncoder.prototype.slice_=function(a,b,c){return typeof a.slice==="function"?a.slice(b,b+c):Array.prototype.slice.call(a,b,b+c)};
+CanvasTool.PngEncoder.prototype.scaleSample_=function(a){var b=this.sampleDepth,c=this.bitDepth;return b>c?a>>>b-c:b<c?a<<8|a:a};CanvasTool.PngEncoder.prototype.sliceSample8_=function(a,b,c){var d=[],e;if(this.sampleDepth!==16)return this.slice_(a,b,c);for(e=0;e<c;e++)d[e]=a[b+e]>>>8;return d};
+CanvasTool.PngEncoder.prototype.makeChunk_=function(a,b){var c=b.length,d=new (USE_TYPEDARRAY?Uint8Array:Array)(c+12);$jscomp$scope$m1621417104$5$set_(d,this.networkByteOrder_(c,4),0);$jscomp$scope$m1621417104$5$set_(d,a,4);$jscomp$scope$m1621417104$5$set_(d,b,8);a=Zlib.CRC32.calc(USE_TYPEDARRAY?d.subarray(4,c+8):d.slice(4,c+8));$jscomp$scope$m1621417104$5$set_(d,this.networkByteOrder_(a,4),c+8);return d};
+CanvasTool.PngEncoder.prototype.networkByteOrder_=function(a,b){var c=[];do{var d=a&255;c.push(d);a>>>=8}while(a>0);if(typeof b==="number")for(;c.length<b;)c.push(0);return c.reverse()};CanvasTool.PngEncoder.prototype.rgb2y_=function(a,b,c){var d=(1<<this.sampleDepth)-1;a=a*CanvasTool.PngEncoder.RedWeight_+b*CanvasTool.PngEncoder.GreenWeight_+c*CanvasTool.PngEncoder.BlueWeight_+1E-4;return(a>d?d:a)|0};CanvasTool.PngEncoder.Base64Table_="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+function exportEnum(a,b){for(var c in b)goog.exportSymbol([a,c].join("."),b[c])}CanvasTool.PngEncoder.NO_EXPORT=!1;
+CanvasTool.PngEncoder.NO_EXPORT||(goog.exportSymbol("CanvasTool.PngEncoder",CanvasTool.PngEncoder),exportEnum("CanvasTool.PngEncoder.CompressionMethod",{DEFLATE:CanvasTool.PngEncoder.CompressionMethod.DEFLATE}),exportEnum("CanvasTool.PngEncoder.ColourType",{GRAYSCALE:CanvasTool.PngEncoder.ColourType.GRAYSCALE,TRUECOLOR:CanvasTool.PngEncoder.ColourType.TRUECOLOR,INDEXED_COLOR:CanvasTool.PngEncoder.ColourType.INDEXED_COLOR,GRAYSCALE_WITH_ALPHA:CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA,TRUECOLOR_WITH_ALPHA:CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA}),
+exportEnum("CanvasTool.PngEncoder.FilterMethod",{BASIC:CanvasTool.PngEncoder.FilterMethod.BASIC}),exportEnum("CanvasTool.PngEncoder.BasicFilterType",{NONE:CanvasTool.PngEncoder.BasicFilterType.NONE,SUB:CanvasTool.PngEncoder.BasicFilterType.SUB,UP:CanvasTool.PngEncoder.BasicFilterType.UP,AVERAGE:CanvasTool.PngEncoder.BasicFilterType.AVERAGE,PAETH:CanvasTool.PngEncoder.BasicFilterType.PAETH,ADAPTIVE:CanvasTool.PngEncoder.BasicFilterType.ADAPTIVE,BRUTE_FORCE:CanvasTool.PngEncoder.BasicFilterType.BRUTE_FORCE}),
+exportEnum("CanvasTool.Dither.Method",{NONE:CanvasTool.Dither.Method.NONE,FLOYD_STEINBERG:CanvasTool.Dither.Method.FLOYD_STEINBERG,ATKINSON:CanvasTool.Dither.Method.ATKINSON,ORDERED:CanvasTool.Dither.Method.ORDERED}),goog.exportSymbol("CanvasTool.ExifBuilder",CanvasTool.ExifBuilder),goog.exportSymbol("CanvasTool.ExifBuilder.prototype.build",CanvasTool.ExifBuilder.prototype.build),exportEnum("CanvasTool.ExifBuilder.ByteOrder",{BIG_ENDIAN:CanvasTool.ExifBuilder.ByteOrder.BIG_ENDIAN,LITTLE_ENDIAN:CanvasTool.ExifBuilder.ByteOrder.LITTLE_ENDIAN}),
+goog.exportSymbol("CanvasTool.XmpBuilder",CanvasTool.XmpBuilder),goog.exportSymbol("CanvasTool.XmpBuilder.prototype.build",CanvasTool.XmpBuilder.prototype.build),goog.exportSymbol("CanvasTool.XmpBuilder.Keyword",CanvasTool.XmpBuilder.Keyword),exportEnum("CanvasTool.PngEncoder.InterlaceMethod",{NONE:CanvasTool.PngEncoder.InterlaceMethod.NONE,ADAM7:CanvasTool.PngEncoder.InterlaceMethod.ADAM7}),goog.exportSymbol("CanvasTool.PngEncoder.prototype.convert",CanvasTool.PngEncoder.prototype.convert),goog.exportSymbol("CanvasTool.PngEncoder.prototype.convertToArray",
+CanvasTool.PngEncoder.prototype.convertToArray),goog.exportSymbol("CanvasTool.PngEncoder.prototype.convertToUint8Array",CanvasTool.PngEncoder.prototype.convertToUint8Array),goog.exportSymbol("CanvasTool.PngEncoder.prototype.convertToBlob",CanvasTool.PngEncoder.prototype.convertToBlob),goog.exportSymbol("CanvasTool.PngEncoder.prototype.convertToDataURL",CanvasTool.PngEncoder.prototype.convertToDataURL),goog.exportSymbol("CanvasTool.PngEncoder.prototype.encodeAsync",CanvasTool.PngEncoder.prototype.encodeAsync),
+goog.exportSymbol("CanvasTool.PngEncoder.prototype.addChunk",CanvasTool.PngEncoder.prototype.addChunk),exportEnum("CanvasTool.PngEncoder.ChunkPosition",{AFTER_IHDR:CanvasTool.PngEncoder.ChunkPosition.AFTER_IHDR,BEFORE_PLTE:CanvasTool.PngEncoder.ChunkPosition.BEFORE_PLTE,BEFORE_IDAT:CanvasTool.PngEncoder.ChunkPosition.BEFORE_IDAT,AFTER_IDAT:CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT}),goog.exportSymbol("CanvasTool.PngEncoder.TimeSlice",CanvasTool.PngEncoder.TimeSlice),goog.exportSymbol("CanvasTool.PngEncoder.getImageData",
+CanvasTool.PngEncoder.getImageData),goog.exportSymbol("CanvasTool.PngEncoder.TextCompressionThreshold",CanvasTool.PngEncoder.TextCompressionThreshold));var $jscomp$scope$2048502743$0$push_=function(a,b){for(var c=0,d=b.length;c<d;c++)a.push(b[c]);return a.length};
+CanvasTool.ApngEncoder=function(a,b){var c={},d,e=d=!0,f,g,h,k;if(!(a instanceof Array)||a.length===0)throw Error("need at least one frame");typeof b!=="object"&&(b={});if(b.sourceRect!==void 0)throw Error("sourceRect is not supported for animation");if(b.flipY===!0)throw Error("flipY is not supported for animation");if(b.premultipliedAlpha===!0)throw Error("premultipliedAlpha is not supported for animation");this.frames=[];var l=0;for(f=a.length;l<f;l++)this.frames.push(this.makeFrame_(a[l])),typeof Uint16Array!==
+"undefined"&&a[l].image instanceof Uint16Array?e=!1:d=!1;if(!d&&!e&&typeof b.sampleDepth!=="number")throw Error("frames must have the same sample depth");a=typeof b.width==="number"?b.width:this.frames[0].width;e=typeof b.height==="number"?b.height:this.frames[0].height;this.validateFrames_(a,e);b.optimize===!0&&(l=typeof b.sampleDepth==="number"?b.sampleDepth:d?16:8,f=typeof b.colourType==="number"?b.colourType:CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA,this.optimizeFrames_(a,e,l,b.auto===
+!0||(f&4)>0||f===CanvasTool.PngEncoder.ColourType.INDEXED_COLOR));this.numPlays=typeof b.numPlays==="number"?b.numPlays:0;for(l=f=0;l<this.frames.length;l++)f+=this.frames[l].data.length;d=d?new Uint16Array(f):[];for(h=l=0;l<this.frames.length;l++){f=this.frames[l];var m=0;for(k=f.data.length;m<k;m++)d[h++]=f.data[m]}for(g in b)c[g]=b[g];c.width=a;c.height=e;goog.base(this,d,c);if(this.filterType instanceof Array)throw Error("filter type list is not supported for animation");};
+goog.inherits(CanvasTool.ApngEncoder,CanvasTool.PngEncoder);CanvasTool.ApngEncoder.DisposeOp={NONE:0,BACKGROUND:1,PREVIOUS:2};CanvasTool.ApngEncoder.BlendOp={SOURCE:0,OVER:1};CanvasTool.ApngEncoder.Frame_=function(a,b,c,d,e,f,g,h){this.data=a;this.width=b;this.height=c;this.x=d;this.y=e;this.delay=f;this.disposeOp=g;this.blendOp=h};
+CanvasTool.ApngEncoder.prototype.makeFrame_=function(a){var b=a.image,c=CanvasTool.PngEncoder.getImageData(b);if(c!==null){var d=c.width;var e=c.height;b=c.data}else if(b&&typeof b.length==="number"){if(typeof a.width!=="number")throw Error("width property not found");if(typeof a.height!=="number")throw Error("height property not found");d=a.width;e=a.height}else throw Error("invalid frame image");if(b.length!==d*e*4)throw Error("wrong frame data length");return new CanvasTool.ApngEncoder.Frame_(b,
+d,e,typeof a.x==="number"?a.x:0,typeof a.y==="number"?a.y:0,typeof a.delay==="number"?a.delay:0,typeof a.disposeOp==="number"?a.disposeOp:CanvasTool.ApngEncoder.DisposeOp.NONE,typeof a.blendOp==="number"?a.blendOp:CanvasTool.ApngEncoder.BlendOp.SOURCE)};
+CanvasTool.ApngEncoder.prototype.validateFrames_=function(a,b){var c=this.frames,d;var e=c[0];if(e.x!==0||e.y!==0||e.width!==a||e.height!==b)throw Error("first frame must cover the whole image");var f=0;for(d=c.length;f<d;f++){e=c[f];if(e.width<=0||e.height<=0||e.x<0||e.y<0||e.x+e.width>a||e.y+e.height>b)throw Error("frame "+f+" is out of image bounds");if(e.delay<0||e.delay>65535)throw Error("invalid delay of frame "+f);switch(e.disposeOp){case CanvasTool.ApngEncoder.DisposeOp.NONE:case CanvasTool.ApngEncoder.DisposeOp.BACKGROUND:case CanvasTool.ApngEncoder.DisposeOp.PREVIOUS:break;
+default:throw Error("unknown dispose op of frame "+f);}switch(e.blendOp){case CanvasTool.ApngEncoder.BlendOp.SOURCE:case CanvasTool.ApngEncoder.BlendOp.OVER:break;default:throw Error("unknown blend op of frame "+f);}}};
+CanvasTool.ApngEncoder.prototype.optimizeFrames_=function(a,b,c,d){var e=this.frames,f=[e[0]],g=(1<<c)-1,h=e[0].data,k=this.makeCanvas_(a,b),l={x:0,y:0,width:a,height:b},m,p,n;var q=0;for(m=e.length;q<m;q++){var r=e[q];if(r.x!==0||r.y!==0||r.width!==a||r.height!==b)throw Error("optimize requires frames that cover the whole image");}var t=[CanvasTool.ApngEncoder.BlendOp.SOURCE];d&&t.push(CanvasTool.ApngEncoder.BlendOp.OVER);q=1;for(m=e.length;q<m;q++){r=e[q];var v=[{disposeOp:CanvasTool.ApngEncoder.DisposeOp.NONE,
+canvas:h}];d&&(v.push({disposeOp:CanvasTool.ApngEncoder.DisposeOp.BACKGROUND,canvas:this.clearRegion_(h,a,l)}),q>1&&v.push({disposeOp:CanvasTool.ApngEncoder.DisposeOp.PREVIOUS,canvas:k}));l=null;for(p=0;p<v.length;p++)for(h=v[p],k=this.diffRegion_(h.canvas,r.data,a,b),n=0;n<t.length;n++){var w=t[n];var u=this.cropFrame_(r.data,h.canvas,a,k,w,g);if(u!==null){var z=this.estimateSize_(u,c);if(l===null||z<l.size)l={size:z,base:h,box:k,blendOp:w,data:u}}}f[q-1].disposeOp=l.base.disposeOp;f[q]=new CanvasTool.ApngEncoder.Frame_(l.data,
+l.box.width,l.box.height,l.box.x,l.box.y,r.delay,CanvasTool.ApngEncoder.DisposeOp.NONE,l.blendOp);k=l.base.canvas;h=r.data;l=l.box}this.frames=f};CanvasTool.ApngEncoder.prototype.makeCanvas_=function(a,b){var c=[];var d=0;for(a=a*b*4;d<a;d++)c[d]=0;return c};CanvasTool.ApngEncoder.prototype.clearRegion_=function(a,b,c){a=Array.prototype.slice.call(a);var d,e;for(e=c.y;e<c.y+c.height;e++)for(d=c.x;d<c.x+c.width;d++){var f=(e*b+d)*4;a[f]=a[f+1]=a[f+2]=a[f+3]=0}return a};
+CanvasTool.ApngEncoder.prototype.diffRegion_=function(a,b,c,d){var e=c,f=d,g=-1,h=-1,k,l;for(l=0;l<d;l++)for(k=0;k<c;k++){var m=(l*c+k)*4;if(a[m]!==b[m]||a[m+1]!==b[m+1]||a[m+2]!==b[m+2]||a[m+3]!==b[m+3])e=k<e?k:e,g=k>g?k:g,f=l<f?l:f,h=l>h?l:h}return g<0?{x:0,y:0,width:1,height:1}:{x:e,y:f,width:g-e+1,height:h-f+1}};
+CanvasTool.ApngEncoder.prototype.cropFrame_=function(a,b,c,d,e,f){var g=[];e=e===CanvasTool.ApngEncoder.BlendOp.OVER;var h,k,l;for(k=d.y;k<d.y+d.height;k++)for(h=d.x;h<d.x+d.width;h++){var m=(k*c+h)*4;if(e){if(l=a[m]===b[m]&&a[m+1]===b[m+1]&&a[m+2]===b[m+2]&&a[m+3]===b[m+3]){g.push(0,0,0,0);continue}if(a[m+3]!==f&&b[m+3]!==0)return null}g.push(a[m],a[m+1],a[m+2],a[m+3])}return g};
+CanvasTool.ApngEncoder.prototype.estimateSize_=function(a,b){var c=[],d;var e=0;for(d=a.length;e<d;e++)c[e]=a[e]>>>b-8;return(new Zlib.Deflate(c)).compress().length};CanvasTool.ApngEncoder.prototype.getRegionSizes_=function(){var a=[],b=this.frames,c;var d=0;for(c=b.length;d<c;d++)a.push({width:b[d].width,height:b[d].height});return a};
+CanvasTool.ApngEncoder.prototype.getImageRegions_=function(a){var b=[],c=this.frames,d=this.getChannels_(),e=0,f;var g=0;for(f=c.length;g<f;g++){var h=c[g];var k=h.width*h.height*d;b.push({pixelArray:USE_TYPEDARRAY?a.subarray(e,e+k):a.slice(e,e+k),width:h.width,height:h.height});e+=k}return b};
+CanvasTool.ApngEncoder.prototype.makeImageChunks_=function(a){var b=[],c=this.frames,d=0,e,f;b.push(this.makeacTL_());var g=0;for(e=c.length;g<e;g++){b.push(this.makefcTL_(c[g],d++));var h=this.splitImageData_(a[g]);var k=0;for(f=h.length;k<f;k++)g===0?b.push(this.makeIDAT_(h[k])):b.push(this.makefdAT_(h[k],d++))}return b};
+CanvasTool.ApngEncoder.prototype.makeacTL_=function(){var a=[];$jscomp$scope$2048502743$0$push_(a,this.networkByteOrder_(this.frames.length,4));$jscomp$scope$2048502743$0$push_(a,this.networkByteOrder_(this.numPlays,4));return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.ACTL,a)};
+CanvasTool.ApngEncoder.prototype.makefcTL_=function(a,b){var c=[];$jscomp$scope$2048502743$0$push_(c,this.networkByteOrder_(b,4));$jscomp$scope$2048502743$0$push_(c,this.networkByteOrder_(a.width,4));$jscomp$scope$2048502743$0$push_(c,this.networkByteOrder_(a.height,4));$jscomp$scope$2048502743$0$push_(c,this.networkByteOrder_(a.x,4));$jscomp$scope$2048502743$0$push_(c,this.networkByteOrder_(a.y,4));$jscomp$scope$2048502743$0$push_(c,this.networkByteOrder_(a.delay,2));$jscomp$scope$2048502743$0$push_(c,
+this.networkByteOrder_(1E3,2));c.push(a.disposeOp);c.push(a.blendOp);return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.FCTL,c)};CanvasTool.ApngEncoder.prototype.makefdAT_=function(a,b){var c=new (USE_TYPEDARRAY?Uint8Array:Array)(a.length+4),d=this.networkByteOrder_(b,4);for(b=0;b<4;b++)c[b]=d[b];b=0;for(d=a.length;b<d;b++)c[b+4]=a[b];return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.FDAT,c)};
+CanvasTool.PngEncoder.NO_EXPORT||(goog.exportSymbol("CanvasTool.ApngEncoder",CanvasTool.ApngEncoder),goog.exportSymbol("CanvasTool.ApngEncoder.DisposeOp.NONE",CanvasTool.ApngEncoder.DisposeOp.NONE),goog.exportSymbol("CanvasTool.ApngEncoder.DisposeOp.BACKGROUND",CanvasTool.ApngEncoder.DisposeOp.BACKGROUND),goog.exportSymbol("CanvasTool.ApngEncoder.DisposeOp.PREVIOUS",CanvasTool.ApngEncoder.DisposeOp.PREVIOUS),goog.exportSymbol("CanvasTool.ApngEncoder.BlendOp.SOURCE",CanvasTool.ApngEncoder.BlendOp.SOURCE),
+goog.exportSymbol("CanvasTool.ApngEncoder.BlendOp.OVER",CanvasTool.ApngEncoder.BlendOp.OVER));var $jscomp$scope$1957284680$5$paethPredictor_=function(a,b,c){var d=a+b-c,e=Math.abs(d-a),f=Math.abs(d-b);d=Math.abs(d-c);return e<=f&&e<=d?a:f<=d?b:c},$jscomp$scope$1957284680$4$utf16_=function(a){return decodeURIComponent(escape(a))},$jscomp$scope$1957284680$3$str_=function(a){for(var b=[],c=0,d=a.length;c<d;c++)b[c]=String.fromCharCode(a[c]);return b.join("")},$jscomp$scope$1957284680$2$toArray_=function(a){return Array.prototype.slice.call(a)},$jscomp$scope$1957284680$1$slice_=function(a,b,c){return Array.prototype.slice.call(a,
+b,b+c)},$jscomp$scope$1957284680$0$push_=function(a,b){for(var c=0,d=b.length;c<d;c++)a.push(b[c]);return a.length};CanvasTool.PngDecoder=function(a){this.input=a;this.pos_=0;this.sampleDepth=8;this.trns=this.palette=null;this.splt=[];this.text=[];this.ztxt=[];this.itxt=[];this.fctl=[];this.idat_=[]};
+CanvasTool.PngDecoder.Adam7Table_=[{xStart:0,yStart:0,xStep:8,yStep:8},{xStart:4,yStart:0,xStep:8,yStep:8},{xStart:0,yStart:4,xStep:4,yStep:8},{xStart:2,yStart:0,xStep:4,yStep:4},{xStart:0,yStart:2,xStep:2,yStep:4},{xStart:1,yStart:0,xStep:2,yStep:2},{xStart:0,yStart:1,xStep:1,yStep:2}];
+CanvasTool.PngDecoder.prototype.decode=function(){var a=this.input,b=CanvasTool.PngEncoder.Signature,c;var d=0;for(c=b.length;d<c;d++)if(a[d]!==b[d])throw Error("invalid png signature");this.pos_=b.length;do a=this.readChunk_(),this.parseChunk_(a.type,a.data);while(a.type!=="IEND");if(typeof this.width!=="number")throw Error("IHDR chunk not found");if(this.idat_.length===0)throw Error("IDAT chunk not found");if(this.colourType===CanvasTool.PngEncoder.ColourType.INDEXED_COLOR&&this.palette===null)throw Error("PLTE chunk not found");
+return this.decodeImage_((new Zlib.Inflate(this.idat_)).decompress())};
+CanvasTool.PngDecoder.prototype.readChunk_=function(){var a=this.input,b=this.pos_;if(b+12>a.length)throw Error("unexpected end of data");var c=this.readUint32_(a,b);b+=4;if(b+c+8>a.length)throw Error("unexpected end of data");var d=Zlib.CRC32.calc($jscomp$scope$1957284680$1$slice_(a,b,c+4));var e=$jscomp$scope$1957284680$3$str_($jscomp$scope$1957284680$1$slice_(a,b,4));b+=4;var f=$jscomp$scope$1957284680$1$slice_(a,b,c);b+=c;if(d!==this.readUint32_(a,b))throw Error("wrong crc: "+e);this.pos_=b+4;
+return{type:e,data:f}};
+CanvasTool.PngDecoder.prototype.parseChunk_=function(a,b){if(a!=="IHDR"&&typeof this.width!=="number")throw Error("first chunk must be IHDR");switch(a){case "IHDR":this.parseIHDR_(b);break;case "PLTE":this.parsePLTE_(b);break;case "IDAT":$jscomp$scope$1957284680$0$push_(this.idat_,b);break;case "IEND":break;case "tRNS":this.parsetRNS_(b);break;case "gAMA":this.gamma=1E5/this.readUint32_(b,0);break;case "cHRM":this.parsecHRM_(b);break;case "sBIT":this.sbit=b;break;case "sRGB":this.srgb=b[0];break;
+case "iCCP":this.parseiCCP_(b);break;case "bKGD":this.parsebKGD_(b);break;case "hIST":this.parsehIST_(b);break;case "pHYs":this.phys={x:this.readUint32_(b,0),y:this.readUint32_(b,4),unit:b[8]};break;case "sPLT":this.parsesPLT_(b);break;case "tIME":this.time=new Date(Date.UTC(b[0]<<8|b[1],b[2]-1,b[3],b[4],b[5],b[6]));break;case "tEXt":this.parsetEXt_(b);break;case "zTXt":this.parsezTXt_(b);break;case "iTXt":this.parseiTXt_(b);break;case "eXIf":this.exif=b;break;case "acTL":this.actl={numFrames:this.readUint32_(b,
+0),numPlays:this.readUint32_(b,4)};break;case "fcTL":this.parsefcTL_(b);break;case "fdAT":break;default:if((a.charCodeAt(0)&32)===0)throw Error("unknown critical chunk: "+a);}};
+CanvasTool.PngDecoder.prototype.parseIHDR_=function(a){this.width=this.readUint32_(a,0);this.height=this.readUint32_(a,4);this.bitDepth=a[8];this.colourType=a[9];this.compressionMethod=a[10];this.filterMethod=a[11];this.interlaceMethod=a[12];this.sampleDepth=this.bitDepth===16?16:8;if(this.width===0||this.height===0)throw Error("invalid image size");switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:a=[1,2,4,8,16];break;case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:a=[1,
+2,4,8];break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:a=[8,16];break;default:throw Error("invalid colour type");}if(a.indexOf(this.bitDepth)===-1)throw Error("invalid bit depth");if(this.compressionMethod!==CanvasTool.PngEncoder.CompressionMethod.DEFLATE)throw Error("unknown compression method");if(this.filterMethod!==CanvasTool.PngEncoder.FilterMethod.BASIC)throw Error("unknown filter method");
+switch(this.interlaceMethod){case CanvasTool.PngEncoder.InterlaceMethod.NONE:case CanvasTool.PngEncoder.InterlaceMethod.ADAM7:break;default:throw Error("unknown interlace method");}};CanvasTool.PngDecoder.prototype.parsePLTE_=function(a){var b=[],c;if(a.length%3!==0||a.length/3>256)throw Error("wrong PLTE length");var d=0;for(c=a.length;d<c;d+=3)b.push([a[d],a[d+1],a[d+2]]);this.palette=b};
+CanvasTool.PngDecoder.prototype.parsetRNS_=function(a){switch(this.colourType){case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:this.trns=a;break;case CanvasTool.PngEncoder.ColourType.GRAYSCALE:this.trns=[this.readUint16_(a,0)];break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:this.trns=[this.readUint16_(a,0),this.readUint16_(a,2),this.readUint16_(a,4)];break;default:throw Error("tRNS chunk is not allowed for this colour type");}};
+CanvasTool.PngDecoder.prototype.parsecHRM_=function(a){this.chrm={whitePointX:this.readUint32_(a,0)/1E5,whitePointY:this.readUint32_(a,4)/1E5,redX:this.readUint32_(a,8)/1E5,redY:this.readUint32_(a,12)/1E5,greenX:this.readUint32_(a,16)/1E5,greenY:this.readUint32_(a,20)/1E5,blueX:this.readUint32_(a,24)/1E5,blueY:this.readUint32_(a,28)/1E5}};
+CanvasTool.PngDecoder.prototype.parseiCCP_=function(a){var b=this.indexOfNull_(a,0),c=a[b+1];if(c!==CanvasTool.PngEncoder.CompressionMethod.DEFLATE)throw Error("unknown ICC Profile compression method");this.iccp={name:$jscomp$scope$1957284680$3$str_(a.slice(0,b)),compressionMethod:c,profile:$jscomp$scope$1957284680$2$toArray_((new Zlib.Inflate(a.slice(b+2))).decompress())}};
+CanvasTool.PngDecoder.prototype.parsebKGD_=function(a){switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:this.bkgd=[this.readUint16_(a,0)];break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:this.bkgd=[this.readUint16_(a,0),this.readUint16_(a,2),this.readUint16_(a,4)];break;case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:if(this.palette===null||a[0]>=this.palette.length)throw Error("wrong bKGD palette index");
+this.bkgd=this.palette[a[0]].slice();break;default:throw Error("unknown colour type");}};CanvasTool.PngDecoder.prototype.parsehIST_=function(a){var b=[],c;var d=0;for(c=a.length;d<c;d+=2)b.push(this.readUint16_(a,d));this.hist=b};
+CanvasTool.PngDecoder.prototype.parsesPLT_=function(a){var b=this.indexOfNull_(a,0),c=a[b+1],d=[],e;switch(c){case 8:var f=b+2;for(e=a.length;f+6<=e;f+=6)d.push([a[f],a[f+1],a[f+2],a[f+3],this.readUint16_(a,f+4)]);break;case 16:f=b+2;for(e=a.length;f+10<=e;f+=10)d.push([this.readUint16_(a,f),this.readUint16_(a,f+2),this.readUint16_(a,f+4),this.readUint16_(a,f+6),this.readUint16_(a,f+8)]);break;default:throw Error("wrong sPLT sample depth");}this.splt.push({name:$jscomp$scope$1957284680$3$str_(a.slice(0,
+b)),sampleDepth:c,entries:d})};CanvasTool.PngDecoder.prototype.parsetEXt_=function(a){var b=this.indexOfNull_(a,0);this.text.push({keyword:$jscomp$scope$1957284680$3$str_(a.slice(0,b)),text:$jscomp$scope$1957284680$3$str_(a.slice(b+1))})};
+CanvasTool.PngDecoder.prototype.parsezTXt_=function(a){var b=this.indexOfNull_(a,0),c=a[b+1];if(c!==CanvasTool.PngEncoder.CompressionMethod.DEFLATE)throw Error("unknown compression method");this.ztxt.push({keyword:$jscomp$scope$1957284680$3$str_(a.slice(0,b)),text:$jscomp$scope$1957284680$3$str_((new Zlib.Inflate(a.slice(b+2))).decompress()),compressionMethod:c})};
+CanvasTool.PngDecoder.prototype.parseiTXt_=function(a){var b=this.indexOfNull_(a,0),c=a[b+1],d=a[b+2],e=this.indexOfNull_(a,b+3),f=this.indexOfNull_(a,e+1),g=a.slice(f+1);if(c===CanvasTool.PngEncoder.CompressionFlag.COMPRESSED){if(d!==CanvasTool.PngEncoder.CompressionMethod.DEFLATE)throw Error("unknown compression method");g=(new Zlib.Inflate(g)).decompress()}else d=null;this.itxt.push({keyword:$jscomp$scope$1957284680$3$str_(a.slice(0,b)),text:$jscomp$scope$1957284680$4$utf16_($jscomp$scope$1957284680$3$str_(g)),
+lang:$jscomp$scope$1957284680$3$str_(a.slice(b+3,e)),translatedKeyword:$jscomp$scope$1957284680$4$utf16_($jscomp$scope$1957284680$3$str_(a.slice(e+1,f))),compressionMethod:d})};CanvasTool.PngDecoder.prototype.parsefcTL_=function(a){var b=this.readUint16_(a,20),c=this.readUint16_(a,22);c===0&&(c=100);this.fctl.push({width:this.readUint32_(a,4),height:this.readUint32_(a,8),x:this.readUint32_(a,12),y:this.readUint32_(a,16),delay:b*1E3/c,disposeOp:a[24],blendOp:a[25]})};
+CanvasTool.PngDecoder.prototype.decodeImage_=function(a){var b=this.width,c=this.height,d=0,e;b=this.sampleDepth===16?typeof Uint16Array!=="undefined"?new Uint16Array(b*c*4):[]:typeof Uint8Array!=="undefined"?new Uint8Array(b*c*4):[];c=this.interlaceMethod===CanvasTool.PngEncoder.InterlaceMethod.ADAM7?CanvasTool.PngDecoder.Adam7Table_:[{xStart:0,yStart:0,xStep:1,yStep:1}];var f=0;for(e=c.length;f<e;f++){var g=c[f];d=this.decodePass_(a,d,b,g)}return b};
+CanvasTool.PngDecoder.prototype.decodePass_=function(a,b,c,d){var e=Math.ceil((this.width-d.xStart)/d.xStep),f=Math.ceil((this.height-d.yStart)/d.yStep),g=this.bitDepth*this.getChannels_(),h=e*g+7>>3;g=g+7>>3;var k=null,l;if(e<=0||f<=0)return b;for(l=0;l<f;l++){if(b+1+h>a.length)throw Error("unexpected end of image data");var m=a[b++];var p=$jscomp$scope$1957284680$1$slice_(a,b,h);b+=h;this.unfilter_(m,p,k,g);k=p;for(m=0;m<e;m++)this.writePixel_(c,((d.yStart+l*d.yStep)*this.width+d.xStart+m*d.xStep)*
+4,p,m)}return b};
+CanvasTool.PngDecoder.prototype.unfilter_=function(a,b,c,d){var e,f=b.length;for(e=0;e<f;e++){var g=e>=d?b[e-d]:0;var h=c?c[e]:0;var k=c&&e>=d?c[e-d]:0;switch(a){case CanvasTool.PngEncoder.BasicFilterType.NONE:return;case CanvasTool.PngEncoder.BasicFilterType.SUB:b[e]=b[e]+g&255;break;case CanvasTool.PngEncoder.BasicFilterType.UP:b[e]=b[e]+h&255;break;case CanvasTool.PngEncoder.BasicFilterType.AVERAGE:b[e]=b[e]+(g+h>>>1)&255;break;case CanvasTool.PngEncoder.BasicFilterType.PAETH:b[e]=b[e]+$jscomp$scope$1957284680$5$paethPredictor_(g,
+h,k)&255;break;default:throw Error("unknown filter type: "+a);}}};
+CanvasTool.PngDecoder.prototype.writePixel_=function(a,b,c,d){var e=this.getChannels_(),f=(1<<this.sampleDepth)-1,g=this.trns,h=[],k;for(k=0;k<e;k++)h[k]=this.readSample_(c,d*e+k);switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:c=this.scaleSample_(h[0]);a[b]=c;a[b+1]=c;a[b+2]=c;a[b+3]=g!==null&&g[0]===h[0]?0:f;break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:a[b]=h[0];a[b+1]=h[1];a[b+2]=h[2];a[b+3]=g!==null&&g[0]===h[0]&&g[1]===h[1]&&g[2]===h[2]?0:f;break;case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:if(h[0]>=
+this.palette.length)throw Error("palette index out of range");c=this.palette[h[0]];a[b]=c[0];a[b+1]=c[1];a[b+2]=c[2];a[b+3]=g!==null&&h[0]<g.length?g[h[0]]:f;break;case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:a[b]=h[0];a[b+1]=h[0];a[b+2]=h[0];a[b+3]=h[1];break;case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:a[b]=h[0];a[b+1]=h[1];a[b+2]=h[2];a[b+3]=h[3];break;default:throw Error("unknown colour type");}};
+CanvasTool.PngDecoder.prototype.readSample_=function(a,b){var c=this.bitDepth;switch(c){case 16:return a[b*2]<<8|a[b*2+1];case 8:return a[b];default:return b*=c,a[b>>3]>>8-c-(b&7)&(1<<c)-1}};CanvasTool.PngDecoder.prototype.scaleSample_=function(a){var b=this.bitDepth;return b>=8?a:a*255/((1<<b)-1)+.5|0};
+CanvasTool.PngDecoder.prototype.getChannels_=function(){switch(this.colourType){case CanvasTool.PngEncoder.ColourType.GRAYSCALE:case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:return 1;case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:return 2;case CanvasTool.PngEncoder.ColourType.TRUECOLOR:return 3;case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:return 4;default:throw Error("unknown colour type");}};
+CanvasTool.PngDecoder.prototype.readUint32_=function(a,b){return(a[b]<<24|a[b+1]<<16|a[b+2]<<8|a[b+3])>>>0};CanvasTool.PngDecoder.prototype.readUint16_=function(a,b){return a[b]<<8|a[b+1]};CanvasTool.PngDecoder.prototype.indexOfNull_=function(a,b){a=a.indexOf(0,b);if(a===-1)throw Error("null separator not found");return a};CanvasTool.PngEncoder.NO_EXPORT||(goog.exportSymbol("CanvasTool.PngDecoder",CanvasTool.PngDecoder),goog.exportSymbol("CanvasTool.PngDecoder.prototype.decode",CanvasTool.PngDecoder.prototype.decode));var $jscomp$scope$m464750478$2$abortReason_=function(a){return a.reason!==void 0?a.reason:Error("encode aborted")},$jscomp$scope$m464750478$1$removeListener_=function(a,b,c){typeof a.on==="function"?a.removeListener(b,c):a.removeEventListener(b,c)},$jscomp$scope$m464750478$0$addListener_=function(a,b,c){if(typeof a.on==="function")a.on(b,c);else b==="message"?a.addEventListener(b,function(d){c(d.data)}):a.addEventListener(b,c)};
+CanvasTool.PngEncoderWorker=function(a){var b=this;typeof a==="string"&&(a=typeof Worker!=="undefined"?new Worker(a):new (require("worker_threads").Worker)(a));this.worker=a;this.requests_={};this.nextId_=0;$jscomp$scope$m464750478$0$addListener_(a,"message",function(c){b.onMessage_(c)});$jscomp$scope$m464750478$0$addListener_(a,"error",function(c){b.rejectAll_(c instanceof Error?c:Error(c.message||"worker error"))});$jscomp$scope$m464750478$0$addListener_(a,"exit",function(c){b.rejectAll_(Error("worker exited with code "+
+c))})};CanvasTool.PngEncoderWorker.MessageType={ENCODE:"encode",ABORT:"abort",PROGRESS:"progress",DONE:"done",ERROR:"error"};CanvasTool.PngEncoderWorker.Request_=function(a,b,c){this.resolve=a;this.reject=b;this.onProgress=c;this.detach=null};
+CanvasTool.PngEncoderWorker.prototype.encode=function(a,b,c){var d=this,e=c||{},f=e.signal,g=this.nextId_++,h={},k=[],l;if(typeof b==="object")for(l in b)h[l]=b[l];b=CanvasTool.PngEncoder.getImageData(a,h.sourceRect);if(b!==null){delete h.sourceRect;h.width=b.width;h.height=b.height;var m=b.data;m===a.data&&e.transfer!==!0||k.push(m.buffer)}else if(typeof a.length==="number")m=a,e.transfer===!0&&a.buffer instanceof ArrayBuffer&&k.push(a.buffer);else throw Error("invalid arguments");return new Promise(function(p,
+n){if(f&&f.aborted)n($jscomp$scope$m464750478$2$abortReason_(f));else{p=d.requests_[g]=new CanvasTool.PngEncoderWorker.Request_(p,n,e.onProgress);if(f){var q=function(){d.removeRequest_(g)!==void 0&&(d.worker.postMessage({type:CanvasTool.PngEncoderWorker.MessageType.ABORT,id:g}),n($jscomp$scope$m464750478$2$abortReason_(f)))};$jscomp$scope$m464750478$0$addListener_(f,"abort",q);p.detach=function(){$jscomp$scope$m464750478$1$removeListener_(f,"abort",q)}}d.worker.postMessage({type:CanvasTool.PngEncoderWorker.MessageType.ENCODE,
+id:g,data:m,param:h},k)}})};CanvasTool.PngEncoderWorker.prototype.terminate=function(){this.rejectAll_(Error("worker terminated"));this.worker.terminate()};
+CanvasTool.PngEncoderWorker.prototype.onMessage_=function(a){var b=a.id,c=this.requests_[b];if(c!==void 0)switch(a.type){case CanvasTool.PngEncoderWorker.MessageType.PROGRESS:if(typeof c.onProgress==="function")c.onProgress(a.ratio);break;case CanvasTool.PngEncoderWorker.MessageType.DONE:this.removeRequest_(b);c.resolve(a.png);break;case CanvasTool.PngEncoderWorker.MessageType.ERROR:this.removeRequest_(b);c.reject(Error(a.message));break;default:this.removeRequest_(b),c.reject(Error("unknown message type: "+
+a.type))}};CanvasTool.PngEncoderWorker.prototype.removeRequest_=function(a){var b=this.requests_[a];b!==void 0&&(delete this.requests_[a],b.detach!==null&&b.detach());return b};CanvasTool.PngEncoderWorker.prototype.rejectAll_=function(a){var b=Object.keys(this.requests_),c;var d=0;for(c=b.length;d<c;d++){var e=this.removeRequest_(+b[d]);e!==void 0&&e.reject(a)}};
+CanvasTool.PngEncoderWorker.listen=function(a){var b=a,c={};b===void 0&&(b=typeof self!=="undefined"&&typeof self.postMessage==="function"?self:require("worker_threads").parentPort);$jscomp$scope$m464750478$0$addListener_(b,"message",function(d){var e=d.id;switch(d.type){case CanvasTool.PngEncoderWorker.MessageType.ENCODE:var f=c[e]={aborted:!1};(new Promise(function(g){g(new CanvasTool.PngEncoder(d.data,d.param))})).then(function(g){return g.encodeAsync({signal:f,onProgress:function(h){b.postMessage({type:CanvasTool.PngEncoderWorker.MessageType.PROGRESS,
+id:e,ratio:h})}})}).then(function(g){delete c[e];b.postMessage({type:CanvasTool.PngEncoderWorker.MessageType.DONE,id:e,png:g},[g.buffer])},function(g){delete c[e];f.aborted||b.postMessage({type:CanvasTool.PngEncoderWorker.MessageType.ERROR,id:e,message:g instanceof Error?g.message:String(g)})});break;case CanvasTool.PngEncoderWorker.MessageType.ABORT:e in c&&(c[e].aborted=!0);break;default:b.postMessage({type:CanvasTool.PngEncoderWorker.MessageType.ERROR,id:e,message:"unknown message type: "+d.type})}})};
+CanvasTool.PngEncoder.NO_EXPORT||(goog.exportSymbol("CanvasTool.PngEncoderWorker",CanvasTool.PngEncoderWorker),goog.exportSymbol("CanvasTool.PngEncoderWorker.listen",CanvasTool.PngEncoderWorker.listen),goog.exportSymbol("CanvasTool.PngEncoderWorker.prototype.encode",CanvasTool.PngEncoderWorker.prototype.encode),goog.exportSymbol("CanvasTool.PngEncoderWorker.prototype.terminate",CanvasTool.PngEncoderWorker.prototype.terminate));CanvasTool.PngStreamEncoder=function(a){if(typeof a!=="function")throw Error("need onChunk function");this.onChunk_=a;this.deflate_=null;this.row_=0;this.pending_=[];this.customChunks_=[]};goog.inherits(CanvasTool.PngStreamEncoder,CanvasTool.PngEncoder);
+CanvasTool.PngStreamEncoder.prototype.begin=function(a){var b;if(this.deflate_!==null)throw Error("stream already started");if(typeof a!=="object"||a===null)throw Error("need header object");if(typeof a.width!=="number")throw Error("width property not found");if(typeof a.height!=="number")throw Error("height property not found");if(a.auto===!0)throw Error("auto is not supported in streaming");if(a.quantize===!0)throw Error("quantize is not supported in streaming");this.sampleDepth=typeof a.sampleDepth===
+"number"?a.sampleDepth:8;this.setParameters(a.width,a.height,a);this.validateStreamParameters_();this.filterType instanceof Array&&this.validateFilterTypeList_(this.filterType,this.height);this.prevLine_=null;this.row_=0;this.pending_=[];this.deflate_=new CanvasTool.DeflateStream(this.deflateOption);a=this.makeLeadingChunks_({PLTE:[],tRNS:[]});var c=0;for(b=a.length;c<b;c++)this.onChunk_(a[c])};
+CanvasTool.PngStreamEncoder.prototype.writeRows=function(a){var b=this.width*4;if(this.deflate_===null)throw Error("stream not started");if(a.length%b!==0)throw Error("rows length must be a multiple of width * 4");b=a.length/b;if(this.row_+b>this.height)throw Error("too many rows: "+(this.row_+b));this.writeImageData_(this.deflate_.write(this.filterRows_(a,this.row_)));this.row_+=b};
+CanvasTool.PngStreamEncoder.prototype.addChunk=function(a,b,c){if(this.deflate_!==null&&(typeof c!=="object"||c===null||c.position!==CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT))throw Error("stream already started");CanvasTool.PngEncoder.prototype.addChunk.call(this,a,b,c)};
+CanvasTool.PngStreamEncoder.prototype.finish=function(){var a=this.deflate_,b;if(a===null)throw Error("stream not started");if(this.row_!==this.height)throw Error("missing rows: "+this.row_+" of "+this.height);this.deflate_=null;this.writeImageData_(a.finish(),!0);a=[];this.pushCustomChunks_(a,CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT);var c=0;for(b=a.length;c<b;c++)this.onChunk_(a[c]);this.onChunk_(this.makeIEND_())};
+CanvasTool.PngStreamEncoder.prototype.validateStreamParameters_=function(){if(this.colourType===CanvasTool.PngEncoder.ColourType.INDEXED_COLOR)throw Error("indexed colour is not supported in streaming");if(this.interlaceMethod!==CanvasTool.PngEncoder.InterlaceMethod.NONE)throw Error("interlace is not supported in streaming");if(this.compressionMethod!==CanvasTool.PngEncoder.CompressionMethod.DEFLATE)throw Error("unknown compression method");if(typeof this.splt==="object"&&this.splt!==null)throw Error("sPLT is not supported in streaming");
+if(this.dither!==CanvasTool.Dither.Method.NONE)throw Error("dither is not supported in streaming");};
+CanvasTool.PngStreamEncoder.prototype.writeImageData_=function(a,b){var c=this.idatChunkSize,d=this.pending_,e;if(c===0){if(a.length>0)this.onChunk_(this.makeIDAT_(a))}else{var f=new (USE_TYPEDARRAY?Uint8Array:Array)(d.length+a.length);var g=0;for(e=d.length;g<e;g++)f[g]=d[g];g=0;for(e=a.length;g<e;g++)f[d.length+g]=a[g];a=this.splitImageData_(f);e=a.length;this.pending_=!b&&a[e-1].length<c?a[--e]:[];for(g=0;g<e;g++)if(a[g].length>0)this.onChunk_(this.makeIDAT_(a[g]))}};
+CanvasTool.PngEncoder.NO_EXPORT||(goog.exportSymbol("CanvasTool.PngStreamEncoder",CanvasTool.PngStreamEncoder),goog.exportSymbol("CanvasTool.PngStreamEncoder.prototype.begin",CanvasTool.PngStreamEncoder.prototype.begin),goog.exportSymbol("CanvasTool.PngStreamEncoder.prototype.writeRows",CanvasTool.PngStreamEncoder.prototype.writeRows),goog.exportSymbol("CanvasTool.PngStreamEncoder.prototype.finish",CanvasTool.PngStreamEncoder.prototype.finish),goog.exportSymbol("CanvasTool.PngStreamEncoder.prototype.addChunk",
+CanvasTool.PngStreamEncoder.prototype.addChunk));}).call(this);
\ No newline at end of file
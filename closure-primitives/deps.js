@@ -3,7 +3,16 @@
 goog.addDependency('../closure-primitives/base.js', ['goog'], []);
 goog.addDependency('../define/typedarray/hybrid.js', ['USE_TYPEDARRAY'], []);
 goog.addDependency('../define/typedarray/use.js', ['USE_TYPEDARRAY'], []);
-goog.addDependency('../src/CanvasTool/pngencoder.js', ['CanvasTool.PngEncoder'], ['Zlib.CRC32', 'Zlib.Deflate']);
+goog.addDependency('../src/CanvasTool/apngencoder.js', ['CanvasTool.ApngEncoder'], ['CanvasTool.PngEncoder', 'USE_TYPEDARRAY', 'Zlib.Deflate']);
+goog.addDependency('../src/CanvasTool/deflatestream.js', ['CanvasTool.DeflateStream'], ['USE_TYPEDARRAY', 'Zlib.Adler32', 'Zlib.BitStream', 'Zlib.RawDeflate']);
+goog.addDependency('../src/CanvasTool/dither.js', ['CanvasTool.Dither'], []);
+goog.addDependency('../src/CanvasTool/exifbuilder.js', ['CanvasTool.ExifBuilder'], ['USE_TYPEDARRAY']);
+goog.addDependency('../src/CanvasTool/mediancut.js', ['CanvasTool.MedianCut'], []);
+goog.addDependency('../src/CanvasTool/pngdecoder.js', ['CanvasTool.PngDecoder'], ['CanvasTool.PngEncoder', 'Zlib.CRC32', 'Zlib.Inflate']);
+goog.addDependency('../src/CanvasTool/pngencoder.js', ['CanvasTool.PngEncoder'], ['CanvasTool.DeflateStream', 'CanvasTool.Dither', 'CanvasTool.ExifBuilder', 'CanvasTool.MedianCut', 'CanvasTool.XmpBuilder', 'USE_TYPEDARRAY', 'Zlib.CRC32', 'Zlib.Deflate']);
+goog.addDependency('../src/CanvasTool/pngencoderworker.js', ['CanvasTool.PngEncoderWorker'], ['CanvasTool.PngEncoder']);
+goog.addDependency('../src/CanvasTool/pngstreamencoder.js', ['CanvasTool.PngStreamEncoder'], ['CanvasTool.DeflateStream', 'CanvasTool.Dither', 'CanvasTool.PngEncoder']);
+goog.addDependency('../src/CanvasTool/xmpbuilder.js', ['CanvasTool.XmpBuilder'], []);
 goog.addDependency('../vendor/zlib.js/closure-primitives/base.js', ['goog'], []);
 goog.addDependency('../vendor/zlib.js/define/typedarray/hybrid.js', ['USE_TYPEDARRAY'], []);
 goog.addDependency('../vendor/zlib.js/define/typedarray/use.js', ['USE_TYPEDARRAY'], []);
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Node.js の externs.
+ * Node.js でのみ使用する関数を Closure Compiler に宣言する.
+ * @externs
+ */
+
+/**
+ * CommonJS のモジュールの読み込み
+ * @param {string} id モジュール ID.
+ * @return {?} モジュール.
+ */
+function require(id) {}
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Node.js から CanvasTool.PngEncoder を使用するためのモジュール.
+ * ビルド済みの bin/canvastool.pngencoder.min.js を読み込むため,
+ * closure-primitives/base.js や vm コンテキストは不要となる.
+ * ソースを更新した場合は ant でビルドし直すこと.
+ */
+
+'use strict';
+
+var stream = require('stream');
+var util = require('util');
+
+/**
+ * ビルド済みのライブラリ
+ * ビルド時の output_wrapper により this (module.exports) にエクスポートされる.
+ * @type {!Object}
+ */
+var CanvasTool = require('../bin/canvastool.pngencoder.min.js').CanvasTool;
+
+/**
+ * byte array を Buffer に変換する
+ * Uint8Array の場合は同じメモリを参照する.
+ * @param {!(Array|Uint8Array)} bytes 変換する byte array.
+ * @return {!Buffer} Buffer.
+ */
+function toBuffer(bytes) {
+  return ArrayBuffer.isView(bytes) ?
+    Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length) :
+    Buffer.from(bytes);
+}
+
+/**
+ * RGBA のピクセルデータを PNG に変換する
+ * @param {!(Buffer|Uint8Array|Uint16Array|Array)} buffer RGBA のピクセルデータ.
+ * @param {!Object} options CanvasTool.PngEncoder の変換オプション.
+ *     width と height が必要となる.
+ * @return {!Buffer} PNG バイナリ.
+ */
+function encode(buffer, options) {
+  return toBuffer(
+    new CanvasTool.PngEncoder(buffer, options).convertToUint8Array()
+  );
+}
+
+/**
+ * RGBA のピクセルデータを受け取り PNG バイナリを出力する Transform ストリーム
+ * 入力は上から順に並んだ 8 ビットの RGBA で, 任意の位置で分割されていて良い.
+ * 行が揃う毎に CanvasTool.PngStreamEncoder で圧縮し, 作成したチャンクを
+ * 順に出力する.
+ * @param {!Object} options CanvasTool.PngStreamEncoder の begin に渡す
+ *     変換オプション. width と height が必要となる.
+ * @constructor
+ * @extends {stream.Transform}
+ */
+function EncodeStream(options) {
+  var self = this;
+
+  if (!(this instanceof EncodeStream)) {
+    return new EncodeStream(options);
+  }
+
+  stream.Transform.call(this);
+
+  /**
+   * 逐次入力による PNG Encoder
+   * @type {!CanvasTool.PngStreamEncoder}
+   * @private
+   */
+  this.encoder_ = new CanvasTool.PngStreamEncoder(function(chunk) {
+    self.push(toBuffer(chunk));
+  });
+
+  /**
+   * 1 行あたりの byte 数
+   * @type {number}
+   * @private
+   */
+  this.rowLength_ = options.width * 4;
+
+  /**
+   * 1 行に満たないため書き込んでいない入力データ
+   * @type {!Buffer}
+   * @private
+   */
+  this.pending_ = Buffer.alloc(0);
+
+  this.encoder_.begin(options);
+}
+util.inherits(EncodeStream, stream.Transform);
+
+/**
+ * 入力データの処理
+ * @param {!Buffer} chunk 入力データ.
+ * @param {string} encoding 文字列の場合のエンコーディング (未使用).
+ * @param {function(Error=)} callback 処理完了時に呼び出す関数.
+ * @private
+ */
+EncodeStream.prototype._transform = function(chunk, encoding, callback) {
+  var data = this.pending_.length > 0 ?
+        Buffer.concat([this.pending_, chunk]) : chunk,
+      size = data.length - data.length % this.rowLength_;
+
+  try {
+    if (size > 0) {
+      this.encoder_.writeRows(data.subarray(0, size));
+    }
+  } catch (e) {
+    callback(e);
+    return;
+  }
+
+  // 次の入力と連結するため, 端数はコピーして保持する
+  this.pending_ = Buffer.from(data.subarray(size));
+  callback();
+};
+
+/**
+ * 入力終了時の処理
+ * @param {function(Error=)} callback 処理完了時に呼び出す関数.
+ * @private
+ */
+EncodeStream.prototype._flush = function(callback) {
+  try {
+    if (this.pending_.length > 0) {
+      throw new Error('incomplete row: ' + this.pending_.length + ' bytes');
+    }
+    this.encoder_.finish();
+  } catch (e) {
+    callback(e);
+    return;
+  }
+
+  callback();
+};
+
+/**
+ * EncodeStream の作成
+ * @param {!Object} options 変換オプション.
+ * @return {!EncodeStream} Transform ストリーム.
+ */
+function createEncodeStream(options) {
+  return new EncodeStream(options);
+}
+
+module.exports = {
+  CanvasTool: CanvasTool,
+  PngEncoder: CanvasTool.PngEncoder,
+  ApngEncoder: CanvasTool.ApngEncoder,
+  PngDecoder: CanvasTool.PngDecoder,
+  PngStreamEncoder: CanvasTool.PngStreamEncoder,
+  PngEncoderWorker: CanvasTool.PngEncoderWorker,
+  encode: encode,
+  EncodeStream: EncodeStream,
+  createEncodeStream: createEncodeStream
+};
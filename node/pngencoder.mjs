@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Node.js の ES Modules から CanvasTool.PngEncoder を使用する
+ * ためのモジュール. 実装は CommonJS の node/pngencoder.js を読み込む.
+ */
+
+import pngencoder from './pngencoder.js';
+
+export var CanvasTool = pngencoder.CanvasTool;
+export var PngEncoder = pngencoder.PngEncoder;
+export var ApngEncoder = pngencoder.ApngEncoder;
+export var PngDecoder = pngencoder.PngDecoder;
+export var PngStreamEncoder = pngencoder.PngStreamEncoder;
+export var PngEncoderWorker = pngencoder.PngEncoderWorker;
+export var encode = pngencoder.encode;
+export var EncodeStream = pngencoder.EncodeStream;
+export var createEncodeStream = pngencoder.createEncodeStream;
+
+export default pngencoder;
@@ -0,0 +1,728 @@
+/**
+ * @fileoverview JavaScript による APNG (Animated PNG) Encoder の実装.
+ * @see https://wiki.mozilla.org/APNG_Specification
+ */
+
+goog.provide('CanvasTool.ApngEncoder');
+
+goog.require('CanvasTool.PngEncoder');
+goog.require('USE_TYPEDARRAY');
+goog.require('Zlib.Deflate');
+
+goog.scope(function() {
+
+/**
+ * Canvas to APNG converter
+ * 先頭のフレームはデフォルトイメージ (IDAT) としても使用される.
+ * @param {!Array.<!Object>} frames フレームのリスト. 各フレームは以下の
+ *     プロパティを持つオブジェクト.
+ *     image: Canvas エレメント, OffscreenCanvas, ImageData, ImageBitmap,
+ *       2D コンテキスト, もしくは CanvasPixelArray 互換の配列.
+ *     width, height: フレームの大きさ (image が配列の場合は必須).
+ *     x, y: フレームの描画位置 (省略時は 0).
+ *     delay: 次のフレームまでの時間 (ミリ秒, 省略時は 0).
+ *     disposeOp: CanvasTool.ApngEncoder.DisposeOp (省略時は NONE).
+ *     blendOp: CanvasTool.ApngEncoder.BlendOp (省略時は SOURCE).
+ * @param {!Object=} opt_param 変換オプション. CanvasTool.PngEncoder の
+ *     オプションに加えて numPlays (繰り返し回数, 0 で無限) と
+ *     optimize (前フレームとの差分のみを書き出す) を指定できる.
+ *     width, height を省略した場合は先頭のフレームの大きさとなる.
+ *     sourceRect, flipY, premultipliedAlpha は指定できない.
+ *     sampleDepth を省略した場合は Uint16Array のフレームと
+ *     それ以外のフレームを混在させることはできない.
+ * @constructor
+ * @extends {CanvasTool.PngEncoder}
+ */
+CanvasTool.ApngEncoder = function(frames, opt_param) {
+  var param = {}, data, wideSample = true, narrowSample = true, sampleDepth,
+      colourType, frame, width, height, key, offset, index, length, i, l;
+
+  if (!(frames instanceof Array) || frames.length === 0) {
+    throw new Error('need at least one frame');
+  }
+  if (typeof opt_param !== 'object') {
+    opt_param = {};
+  }
+
+  // 入力データの変換は連結したフレームのデータには適用できない
+  if (opt_param['sourceRect'] !== void 0) {
+    throw new Error('sourceRect is not supported for animation');
+  }
+  if (opt_param['flipY'] === true) {
+    throw new Error('flipY is not supported for animation');
+  }
+  if (opt_param['premultipliedAlpha'] === true) {
+    throw new Error('premultipliedAlpha is not supported for animation');
+  }
+
+  /**
+   * フレームのリスト
+   * @type {!Array.<!CanvasTool.ApngEncoder.Frame_>}
+   */
+  this.frames = [];
+
+  for (index = 0, length = frames.length; index < length; index++) {
+    this.frames.push(this.makeFrame_(frames[index]));
+    if (typeof Uint16Array !== 'undefined' &&
+        frames[index]['image'] instanceof Uint16Array) {
+      narrowSample = false;
+    } else {
+      wideSample = false;
+    }
+  }
+
+  // 連結したデータは 1 つのサンプル深度として扱うため混在はできない
+  if (!wideSample && !narrowSample &&
+      typeof opt_param['sampleDepth'] !== 'number') {
+    throw new Error('frames must have the same sample depth');
+  }
+
+  width = (typeof opt_param['width'] === 'number') ?
+    opt_param['width'] : this.frames[0].width;
+  height = (typeof opt_param['height'] === 'number') ?
+    opt_param['height'] : this.frames[0].height;
+
+  this.validateFrames_(width, height);
+
+  // 前フレームとの差分のみを書き出すようにフレームを最適化する
+  if (opt_param['optimize'] === true) {
+    sampleDepth = (typeof opt_param['sampleDepth'] === 'number') ?
+      opt_param['sampleDepth'] : wideSample ? 16 : 8;
+    colourType = (typeof opt_param['colourType'] === 'number') ?
+      opt_param['colourType'] :
+      CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA;
+
+    // 透明なピクセルを使用する最適化はαチャンネルを保存できる場合のみ行う
+    this.optimizeFrames_(
+      width,
+      height,
+      sampleDepth,
+      opt_param['auto'] === true ||
+        (colourType & 0x04) > 0 ||
+        colourType === CanvasTool.PngEncoder.ColourType.INDEXED_COLOR
+    );
+  }
+
+  /**
+   * 繰り返し回数 (0 で無限)
+   * @type {number}
+   */
+  this.numPlays = (typeof opt_param['numPlays'] === 'number') ?
+    opt_param['numPlays'] : 0;
+
+  // パレットや色数の判定を全フレーム共通で行うため、
+  // 全フレームのピクセルを連結したものを入力データとする
+  length = 0;
+  for (index = 0; index < this.frames.length; index++) {
+    length += this.frames[index].data.length;
+  }
+  data = wideSample ? new Uint16Array(length) : [];
+  for (index = 0, offset = 0; index < this.frames.length; index++) {
+    frame = this.frames[index];
+    for (i = 0, l = frame.data.length; i < l; i++) {
+      data[offset++] = frame.data[i];
+    }
+  }
+
+  for (key in opt_param) {
+    param[key] = opt_param[key];
+  }
+  param['width'] = width;
+  param['height'] = height;
+
+  goog.base(this, data, param);
+
+  if (this.filterType instanceof Array) {
+    throw new Error('filter type list is not supported for animation');
+  }
+};
+goog.inherits(CanvasTool.ApngEncoder, CanvasTool.PngEncoder);
+
+/**
+ * フレーム描画前の領域の処理方法
+ * @enum {number}
+ */
+CanvasTool.ApngEncoder.DisposeOp = {
+  NONE: 0,
+  BACKGROUND: 1,
+  PREVIOUS: 2
+};
+
+/**
+ * フレームの合成方法
+ * @enum {number}
+ */
+CanvasTool.ApngEncoder.BlendOp = {
+  SOURCE: 0,
+  OVER: 1
+};
+
+/**
+ * Frame
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} data
+ *     フレームのピクセルデータ.
+ * @param {number} width フレームの横幅.
+ * @param {number} height フレームの縦幅.
+ * @param {number} x フレームの描画位置 (横方向).
+ * @param {number} y フレームの描画位置 (縦方向).
+ * @param {number} delay 次のフレームまでの時間 (ミリ秒).
+ * @param {CanvasTool.ApngEncoder.DisposeOp} disposeOp 処理方法.
+ * @param {CanvasTool.ApngEncoder.BlendOp} blendOp 合成方法.
+ * @constructor
+ */
+CanvasTool.ApngEncoder.Frame_ =
+function(data, width, height, x, y, delay, disposeOp, blendOp) {
+  this.data = data;
+  this.width = width;
+  this.height = height;
+  this.x = x;
+  this.y = y;
+  this.delay = delay;
+  this.disposeOp = disposeOp;
+  this.blendOp = blendOp;
+};
+
+/**
+ * フレーム指定オブジェクトから Frame を作成する
+ * @param {!Object} frame フレーム指定オブジェクト.
+ * @return {!CanvasTool.ApngEncoder.Frame_} フレーム.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.makeFrame_ = function(frame) {
+  var image = frame['image'],
+      imageData = CanvasTool.PngEncoder.getImageData(image),
+      data, width, height;
+
+  if (imageData !== null) {
+    width = imageData.width;
+    height = imageData.height;
+    data = imageData.data;
+  } else if (image && typeof(image.length) === 'number') {
+    if (typeof frame['width'] !== 'number') {
+      throw new Error('width property not found');
+    }
+    if (typeof frame['height'] !== 'number') {
+      throw new Error('height property not found');
+    }
+    width = frame['width'];
+    height = frame['height'];
+    data = image;
+  } else {
+    throw new Error('invalid frame image');
+  }
+
+  if (data.length !== width * height * 4) {
+    throw new Error('wrong frame data length');
+  }
+
+  return new CanvasTool.ApngEncoder.Frame_(
+    data,
+    width,
+    height,
+    (typeof frame['x'] === 'number') ? frame['x'] : 0,
+    (typeof frame['y'] === 'number') ? frame['y'] : 0,
+    (typeof frame['delay'] === 'number') ? frame['delay'] : 0,
+    (typeof frame['disposeOp'] === 'number') ?
+      frame['disposeOp'] : CanvasTool.ApngEncoder.DisposeOp.NONE,
+    (typeof frame['blendOp'] === 'number') ?
+      frame['blendOp'] : CanvasTool.ApngEncoder.BlendOp.SOURCE
+  );
+};
+
+/**
+ * フレームのバリデーション
+ * @param {number} width 画像全体の横幅.
+ * @param {number} height 画像全体の縦幅.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.validateFrames_ = function(width, height) {
+  var frames = this.frames, frame, index, length;
+
+  // 先頭のフレームはデフォルトイメージと同じ大きさでなければならない
+  frame = frames[0];
+  if (frame.x !== 0 || frame.y !== 0 ||
+      frame.width !== width || frame.height !== height) {
+    throw new Error('first frame must cover the whole image');
+  }
+
+  for (index = 0, length = frames.length; index < length; index++) {
+    frame = frames[index];
+
+    if (frame.width <= 0 || frame.height <= 0 ||
+        frame.x < 0 || frame.y < 0 ||
+        frame.x + frame.width > width || frame.y + frame.height > height) {
+      throw new Error('frame ' + index + ' is out of image bounds');
+    }
+    if (frame.delay < 0 || frame.delay > 0xffff) {
+      throw new Error('invalid delay of frame ' + index);
+    }
+
+    switch (frame.disposeOp) {
+      case CanvasTool.ApngEncoder.DisposeOp.NONE:
+      case CanvasTool.ApngEncoder.DisposeOp.BACKGROUND:
+      case CanvasTool.ApngEncoder.DisposeOp.PREVIOUS:
+        break;
+      default:
+        throw new Error('unknown dispose op of frame ' + index);
+    }
+
+    switch (frame.blendOp) {
+      case CanvasTool.ApngEncoder.BlendOp.SOURCE:
+      case CanvasTool.ApngEncoder.BlendOp.OVER:
+        break;
+      default:
+        throw new Error('unknown blend op of frame ' + index);
+    }
+  }
+};
+
+/**
+ * フレームの最適化
+ * 各フレームを前フレームから変化した領域に切り詰め、データが最も小さくなる
+ * 直前のフレームの disposeOp と blendOp の組み合わせを選択する.
+ * 全てのフレームは画像全体の大きさでなければならない.
+ * @param {number} width 画像全体の横幅.
+ * @param {number} height 画像全体の縦幅.
+ * @param {number} sampleDepth サンプル毎のビット数.
+ * @param {boolean} allowAlpha 透明なピクセルを使用できるか.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.optimizeFrames_ =
+function(width, height, sampleDepth, allowAlpha) {
+  var frames = this.frames,
+      optimized = [frames[0]],
+      maxAlpha = (1 << sampleDepth) - 1,
+      previous = frames[0].data,
+      before = this.makeCanvas_(width, height),
+      region = {x: 0, y: 0, width: width, height: height},
+      bases, base, box, data, size, best, blendOp, blendOps,
+      frame, index, length, i, l;
+
+  for (index = 0, length = frames.length; index < length; index++) {
+    frame = frames[index];
+    if (frame.x !== 0 || frame.y !== 0 ||
+        frame.width !== width || frame.height !== height) {
+      throw new Error('optimize requires frames that cover the whole image');
+    }
+  }
+
+  blendOps = [CanvasTool.ApngEncoder.BlendOp.SOURCE];
+  if (allowAlpha) {
+    blendOps.push(CanvasTool.ApngEncoder.BlendOp.OVER);
+  }
+
+  for (index = 1, length = frames.length; index < length; index++) {
+    frame = frames[index];
+
+    // 直前のフレームの disposeOp 毎の描画前の状態
+    bases = [
+      {disposeOp: CanvasTool.ApngEncoder.DisposeOp.NONE, canvas: previous}
+    ];
+    if (allowAlpha) {
+      bases.push({
+        disposeOp: CanvasTool.ApngEncoder.DisposeOp.BACKGROUND,
+        canvas: this.clearRegion_(previous, width, region)
+      });
+      // 先頭のフレームの PREVIOUS は BACKGROUND と同じ扱いになる
+      if (index > 1) {
+        bases.push({
+          disposeOp: CanvasTool.ApngEncoder.DisposeOp.PREVIOUS,
+          canvas: before
+        });
+      }
+    }
+
+    best = null;
+    for (i = 0; i < bases.length; i++) {
+      base = bases[i];
+      box = this.diffRegion_(base.canvas, frame.data, width, height);
+
+      for (l = 0; l < blendOps.length; l++) {
+        blendOp = blendOps[l];
+        data = this.cropFrame_(
+          frame.data, base.canvas, width, box, blendOp, maxAlpha
+        );
+        if (data === null) {
+          continue;
+        }
+
+        size = this.estimateSize_(data, sampleDepth);
+        if (best === null || size < best.size) {
+          best = {
+            size: size,
+            base: base,
+            box: box,
+            blendOp: blendOp,
+            data: data
+          };
+        }
+      }
+    }
+
+    optimized[index - 1].disposeOp = best.base.disposeOp;
+    optimized[index] = new CanvasTool.ApngEncoder.Frame_(
+      best.data,
+      best.box.width,
+      best.box.height,
+      best.box.x,
+      best.box.y,
+      frame.delay,
+      CanvasTool.ApngEncoder.DisposeOp.NONE,
+      best.blendOp
+    );
+
+    before = best.base.canvas;
+    previous = frame.data;
+    region = best.box;
+  }
+
+  this.frames = optimized;
+};
+
+/**
+ * 全て透明な黒で初期化された画像を作成する
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
+ * @return {!Array.<number>} RGBA のピクセルデータ.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.makeCanvas_ = function(width, height) {
+  var canvas = [], i, l;
+
+  for (i = 0, l = width * height * 4; i < l; i++) {
+    canvas[i] = 0;
+  }
+
+  return canvas;
+};
+
+/**
+ * 指定した領域を透明な黒にした画像を作成する (APNG_DISPOSE_OP_BACKGROUND)
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} canvas 元の画像.
+ * @param {number} width 画像の横幅.
+ * @param {!{x: number, y: number, width: number, height: number}} region
+ *     透明にする領域.
+ * @return {!Array.<number>} RGBA のピクセルデータ.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.clearRegion_ =
+function(canvas, width, region) {
+  var cleared = Array.prototype.slice.call(canvas), x, y, pos;
+
+  for (y = region.y; y < region.y + region.height; y++) {
+    for (x = region.x; x < region.x + region.width; x++) {
+      pos = (y * width + x) * 4;
+      cleared[pos] = cleared[pos + 1] = cleared[pos + 2] = cleared[pos + 3] = 0;
+    }
+  }
+
+  return cleared;
+};
+
+/**
+ * 2 つの画像で異なるピクセルを含む最小の領域を求める
+ * 全て同じ場合は左上の 1 ピクセルとする (フレームは空にできないため).
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} a 画像.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} b 画像.
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
+ * @return {!{x: number, y: number, width: number, height: number}} 領域.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.diffRegion_ = function(a, b, width, height) {
+  var left = width, top = height, right = -1, bottom = -1, x, y, pos;
+
+  for (y = 0; y < height; y++) {
+    for (x = 0; x < width; x++) {
+      pos = (y * width + x) * 4;
+      if (a[pos] !== b[pos] || a[pos + 1] !== b[pos + 1] ||
+          a[pos + 2] !== b[pos + 2] || a[pos + 3] !== b[pos + 3]) {
+        left = x < left ? x : left;
+        right = x > right ? x : right;
+        top = y < top ? y : top;
+        bottom = y > bottom ? y : bottom;
+      }
+    }
+  }
+
+  if (right < 0) {
+    return {x: 0, y: 0, width: 1, height: 1};
+  }
+
+  return {x: left, y: top, width: right - left + 1, height: bottom - top + 1};
+};
+
+/**
+ * フレームを指定した領域に切り詰める
+ * blendOp が OVER の場合、描画前の状態から変化しないピクセルは透明にする.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} target
+ *     フレーム描画後の画像.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} base
+ *     フレーム描画前の画像.
+ * @param {number} width 画像の横幅.
+ * @param {!{x: number, y: number, width: number, height: number}} box 領域.
+ * @param {CanvasTool.ApngEncoder.BlendOp} blendOp 合成方法.
+ * @param {number} maxAlpha 不透明を表すα値.
+ * @return {Array.<number>} 切り詰めたフレームのピクセルデータ.
+ *     OVER で描画後の画像を再現できない場合は null.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.cropFrame_ =
+function(target, base, width, box, blendOp, maxAlpha) {
+  var data = [], over = (blendOp === CanvasTool.ApngEncoder.BlendOp.OVER),
+      x, y, pos, same;
+
+  for (y = box.y; y < box.y + box.height; y++) {
+    for (x = box.x; x < box.x + box.width; x++) {
+      pos = (y * width + x) * 4;
+
+      if (over) {
+        same = target[pos] === base[pos] &&
+               target[pos + 1] === base[pos + 1] &&
+               target[pos + 2] === base[pos + 2] &&
+               target[pos + 3] === base[pos + 3];
+
+        if (same) {
+          data.push(0, 0, 0, 0);
+          continue;
+        }
+
+        // OVER で元の色をそのまま再現できるのは、不透明な色を描画する場合か
+        // 透明な領域に描画する場合のみ
+        if (target[pos + 3] !== maxAlpha && base[pos + 3] !== 0) {
+          return null;
+        }
+      }
+
+      data.push(
+        target[pos], target[pos + 1], target[pos + 2], target[pos + 3]
+      );
+    }
+  }
+
+  return data;
+};
+
+/**
+ * フレームの圧縮後のサイズを見積もる
+ * @param {!Array.<number>} data RGBA のピクセルデータ.
+ * @param {number} sampleDepth サンプル毎のビット数.
+ * @return {number} Deflate 圧縮後のサイズ.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.estimateSize_ = function(data, sampleDepth) {
+  var bytes = [], i, l;
+
+  for (i = 0, l = data.length; i < l; i++) {
+    bytes[i] = data[i] >>> (sampleDepth - 8);
+  }
+
+  return new Zlib.Deflate(bytes).compress().length;
+};
+
+/**
+ * 入力データを構成する領域の大きさのリストを取得する
+ * 各フレームをそれぞれ 1 領域とする.
+ * @return {!Array.<{width: number, height: number}>} 領域の大きさのリスト.
+ * @protected
+ * @override
+ */
+CanvasTool.ApngEncoder.prototype.getRegionSizes_ = function() {
+  var sizes = [], frames = this.frames, index, length;
+
+  for (index = 0, length = frames.length; index < length; index++) {
+    sizes.push({width: frames[index].width, height: frames[index].height});
+  }
+
+  return sizes;
+};
+
+/**
+ * イメージデータを作成する領域のリストを取得する
+ * 各フレームをそれぞれ 1 領域とする.
+ * @param {!(Array|Uint8Array|Uint16Array)} pixelArray
+ *     全フレームを連結したイメージのサンプル配列.
+ * @return {!Array.<{
+ *   pixelArray: !(Array|Uint8Array|Uint16Array),
+ *   width: number,
+ *   height: number
+ * }>} 領域のリスト.
+ * @protected
+ * @override
+ */
+CanvasTool.ApngEncoder.prototype.getImageRegions_ = function(pixelArray) {
+  var regions = [],
+      frames = this.frames,
+      channels = this.getChannels_(),
+      offset = 0,
+      frame, size, index, length;
+
+  for (index = 0, length = frames.length; index < length; index++) {
+    frame = frames[index];
+    size = frame.width * frame.height * channels;
+
+    regions.push({
+      pixelArray: USE_TYPEDARRAY ?
+        pixelArray.subarray(offset, offset + size) :
+        pixelArray.slice(offset, offset + size),
+      width: frame.width,
+      height: frame.height
+    });
+    offset += size;
+  }
+
+  return regions;
+};
+
+/**
+ * 画像データを格納するチャンクの作成
+ * acTL, 各フレームの fcTL と IDAT (先頭のフレーム) もしくは fdAT を作成する.
+ * idatChunkSize を指定した場合は fdAT も同じ長さで分割する.
+ * @param {!Array.<!(Array|Uint8Array)>} imageData
+ *     フレーム毎の圧縮したイメージデータ.
+ * @return {!Array.<!(Array|Uint8Array)>} チャンクバイナリのリスト.
+ * @protected
+ * @override
+ */
+CanvasTool.ApngEncoder.prototype.makeImageChunks_ = function(imageData) {
+  var chunks = [],
+      frames = this.frames,
+      sequence = 0,
+      list, index, length, i, l;
+
+  // acTL
+  chunks.push(this.makeacTL_());
+
+  for (index = 0, length = frames.length; index < length; index++) {
+    // fcTL
+    chunks.push(this.makefcTL_(frames[index], sequence++));
+
+    // 先頭のフレームはデフォルトイメージとして IDAT に格納する
+    list = this.splitImageData_(imageData[index]);
+    for (i = 0, l = list.length; i < l; i++) {
+      if (index === 0) {
+        chunks.push(this.makeIDAT_(list[i]));
+      } else {
+        chunks.push(this.makefdAT_(list[i], sequence++));
+      }
+    }
+  }
+
+  return chunks;
+};
+
+/**
+ * Animation Control
+ * @return {!(Array|Uint8Array)} acTL チャンクバイナリ byte array.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.makeacTL_ = function() {
+  var data = [];
+
+  push_(data, this.networkByteOrder_(this.frames.length, 4));
+  push_(data, this.networkByteOrder_(this.numPlays, 4));
+
+  return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.ACTL, data);
+};
+
+/**
+ * Frame Control
+ * @param {!CanvasTool.ApngEncoder.Frame_} frame フレーム.
+ * @param {number} sequence シーケンス番号.
+ * @return {!(Array|Uint8Array)} fcTL チャンクバイナリ byte array.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.makefcTL_ = function(frame, sequence) {
+  var data = [];
+
+  push_(data, this.networkByteOrder_(sequence, 4));
+  push_(data, this.networkByteOrder_(frame.width, 4));
+  push_(data, this.networkByteOrder_(frame.height, 4));
+  push_(data, this.networkByteOrder_(frame.x, 4));
+  push_(data, this.networkByteOrder_(frame.y, 4));
+  // delay: ミリ秒なので分母は 1000
+  push_(data, this.networkByteOrder_(frame.delay, 2));
+  push_(data, this.networkByteOrder_(1000, 2));
+  data.push(frame.disposeOp);
+  data.push(frame.blendOp);
+
+  return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.FCTL, data);
+};
+
+/**
+ * Frame Data
+ * @param {!(Array|Uint8Array)} imageData 圧縮したイメージデータ.
+ * @param {number} sequence シーケンス番号.
+ * @return {!(Array|Uint8Array)} fdAT チャンクバイナリ byte array.
+ * @private
+ */
+CanvasTool.ApngEncoder.prototype.makefdAT_ = function(imageData, sequence) {
+  var data = new (USE_TYPEDARRAY ? Uint8Array : Array)(imageData.length + 4),
+      header = this.networkByteOrder_(sequence, 4),
+      i, l;
+
+  // sequence number
+  for (i = 0; i < 4; i++) {
+    data[i] = header[i];
+  }
+
+  // frame data
+  for (i = 0, l = imageData.length; i < l; i++) {
+    data[i + 4] = imageData[i];
+  }
+
+  return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.FDAT, data);
+};
+
+/**
+ * 配列の末尾への結合を破壊的に行う.
+ * @param {!Array} dst 結合先となる配列.
+ * @param {!(Array|Uint8Array)} src 結合元となる配列.
+ * @return {number} 結合後の配列の長さ.
+ */
+function push_(dst, src) {
+  var i = 0, l = src.length;
+
+  for (; i < l; i++) {
+    dst.push(src[i]);
+  }
+
+  return dst.length;
+}
+
+// end of scope
+});
+
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+
+if (!CanvasTool.PngEncoder.NO_EXPORT) {
+  goog.exportSymbol(
+    'CanvasTool.ApngEncoder',
+    CanvasTool.ApngEncoder
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.ApngEncoder.DisposeOp.NONE',
+    CanvasTool.ApngEncoder.DisposeOp.NONE
+  );
+  goog.exportSymbol(
+    'CanvasTool.ApngEncoder.DisposeOp.BACKGROUND',
+    CanvasTool.ApngEncoder.DisposeOp.BACKGROUND
+  );
+  goog.exportSymbol(
+    'CanvasTool.ApngEncoder.DisposeOp.PREVIOUS',
+    CanvasTool.ApngEncoder.DisposeOp.PREVIOUS
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.ApngEncoder.BlendOp.SOURCE',
+    CanvasTool.ApngEncoder.BlendOp.SOURCE
+  );
+  goog.exportSymbol(
+    'CanvasTool.ApngEncoder.BlendOp.OVER',
+    CanvasTool.ApngEncoder.BlendOp.OVER
+  );
+}
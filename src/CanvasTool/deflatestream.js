@@ -0,0 +1,326 @@
+/**
+ * @fileoverview 逐次入力に対応した Deflate (zlib 形式) 圧縮.
+ * Zlib.Deflate は入力全体を一度に圧縮するため, 入力を分割して与える
+ * ストリーミング処理ではこちらを使用する.
+ * 入力を一定の大きさ毎に Zlib.RawDeflate でブロックとして圧縮し,
+ * zlib ヘッダと Adler-32 を付加する.
+ * @see http://tools.ietf.org/html/rfc1950
+ * @see http://tools.ietf.org/html/rfc1951
+ */
+
+goog.provide('CanvasTool.DeflateStream');
+
+goog.require('USE_TYPEDARRAY');
+goog.require('Zlib.Adler32');
+goog.require('Zlib.BitStream');
+goog.require('Zlib.RawDeflate');
+
+goog.scope(function() {
+
+/**
+ * 逐次入力に対応した Deflate 圧縮
+ * 入力が BlockSize に達する毎にブロックとして書き出す.
+ * LZ77 はブロック内でのみ参照する.
+ * @param {Object=} opt_param 圧縮オプション. Zlib.Deflate と同様に
+ *     compressionType (Zlib.RawDeflate.CompressionType) と lazy を
+ *     指定できる. それ以外のオプションには対応しない.
+ * @constructor
+ */
+CanvasTool.DeflateStream = function(opt_param) {
+  var CompressionType = Zlib.RawDeflate.CompressionType,
+      flevel, flg, key;
+
+  /**
+   * 圧縮タイプ
+   * @type {Zlib.RawDeflate.CompressionType}
+   * @private
+   */
+  this.compressionType_ = CompressionType.DYNAMIC;
+
+  /**
+   * Zlib.RawDeflate の lazy オプション
+   * @type {number}
+   * @private
+   */
+  this.lazy_ = 0;
+
+  if (typeof opt_param === 'object' && opt_param !== null) {
+    for (key in opt_param) {
+      if (key !== 'compressionType' && key !== 'lazy' &&
+          opt_param[key] !== void 0) {
+        throw new Error('unsupported deflate option: ' + key);
+      }
+    }
+    if (opt_param['compressionType'] !== void 0) {
+      this.compressionType_ = opt_param['compressionType'];
+    }
+    if (opt_param['lazy'] !== void 0) {
+      this.lazy_ = opt_param['lazy'];
+    }
+  }
+
+  switch (this.compressionType_) {
+    case CompressionType.NONE: flevel = 0; break;
+    case CompressionType.FIXED: flevel = 1; break;
+    case CompressionType.DYNAMIC: flevel = 2; break;
+    default: throw new Error('invalid compression type');
+  }
+
+  /**
+   * 圧縮前の入力バッファ
+   * @type {!(Array.<number>|Uint8Array)}
+   * @private
+   */
+  this.input_ = new (USE_TYPEDARRAY ? Uint8Array : Array)(
+    CanvasTool.DeflateStream.BlockSize
+  );
+
+  /**
+   * 入力バッファ内の byte 数
+   * @type {number}
+   * @private
+   */
+  this.inputLength_ = 0;
+
+  /**
+   * 出力待ちの圧縮データ
+   * @type {!Array.<!(Array.<number>|Uint8Array)>}
+   * @private
+   */
+  this.output_ = [];
+
+  /**
+   * 入力データの Adler-32
+   * @type {number}
+   * @private
+   */
+  this.adler32_ = 1;
+
+  /**
+   * 圧縮を終了したか
+   * @type {boolean}
+   * @private
+   */
+  this.finished_ = false;
+
+  // zlib ヘッダ (CM = 8, CINFO = 7)
+  flg = flevel << 6;
+  flg |= (31 - (0x78 * 256 + flg) % 31) % 31;
+  this.output_.push([0x78, flg]);
+};
+
+/**
+ * ブロック毎の入力の長さ (非圧縮ブロックの最大長)
+ * @type {number}
+ * @const
+ */
+CanvasTool.DeflateStream.BlockSize = 0xffff;
+
+/**
+ * ブロックの後に置く空の非圧縮ブロック (ヘッダを除く LEN と NLEN)
+ * @type {!Array.<number>}
+ * @const
+ */
+CanvasTool.DeflateStream.SyncFlush = [0x00, 0x00, 0xff, 0xff];
+
+/**
+ * データを圧縮する
+ * @param {!(Array.<number>|Uint8Array)} data 入力データ.
+ * @return {!(Array.<number>|Uint8Array)} 出力可能になった圧縮データ.
+ *     ブロックの区切りに達していない場合は空となる.
+ */
+CanvasTool.DeflateStream.prototype.write = function(data) {
+  var input = this.input_,
+      offset = 0,
+      length = data.length,
+      size;
+
+  if (this.finished_) {
+    throw new Error('stream already finished');
+  }
+
+  this.adler32_ = Zlib.Adler32.update(this.adler32_, data);
+
+  while (offset < length) {
+    size = Math.min(length - offset, input.length - this.inputLength_);
+    set_(input, data, offset, size, this.inputLength_);
+    this.inputLength_ += size;
+    offset += size;
+
+    if (this.inputLength_ === input.length) {
+      this.writeBlock_(false);
+    }
+  }
+
+  return this.take_();
+};
+
+/**
+ * 残りのデータを圧縮して終了する
+ * @return {!(Array.<number>|Uint8Array)} 残りの圧縮データと Adler-32.
+ */
+CanvasTool.DeflateStream.prototype.finish = function() {
+  var adler32 = this.adler32_;
+
+  if (this.finished_) {
+    throw new Error('stream already finished');
+  }
+  this.finished_ = true;
+
+  this.writeBlock_(true);
+
+  // Adler-32
+  this.output_.push([
+    adler32 >>> 24 & 0xff,
+    adler32 >>> 16 & 0xff,
+    adler32 >>> 8 & 0xff,
+    adler32 & 0xff
+  ]);
+
+  return this.take_();
+};
+
+/**
+ * 入力バッファのデータを Zlib.RawDeflate でブロックとして圧縮する
+ * 最終ブロック以外では, 次のブロックをバイト境界から始められるよう
+ * 空の非圧縮ブロックを続ける.
+ * @param {boolean} isFinal 最終ブロックか.
+ * @private
+ */
+CanvasTool.DeflateStream.prototype.writeBlock_ = function(isFinal) {
+  var CompressionType = Zlib.RawDeflate.CompressionType,
+      input = USE_TYPEDARRAY ?
+        this.input_.subarray(0, this.inputLength_) :
+        this.input_.slice(0, this.inputLength_),
+      deflate = new CanvasTool.DeflateStream.BlockDeflate_(input, {
+        'compressionType': this.compressionType_,
+        'lazy': this.lazy_
+      });
+
+  this.inputLength_ = 0;
+
+  // Zlib.RawDeflate.prototype.lz77 は空の入力では終端符号を出力しないため,
+  // 空のブロックは非圧縮ブロックとする
+  switch (input.length > 0 ? this.compressionType_ : CompressionType.NONE) {
+    case CompressionType.NONE:
+      // 非圧縮ブロックはバイト境界で終わる
+      this.output_.push(deflate.makeNocompressBlock(input, isFinal));
+      return;
+    case CompressionType.FIXED:
+      this.output_.push(deflate.makeFixedHuffmanBlock(input, isFinal));
+      break;
+    case CompressionType.DYNAMIC:
+      this.output_.push(deflate.makeDynamicHuffmanBlock(input, isFinal));
+      break;
+  }
+
+  if (isFinal) {
+    return;
+  }
+
+  // 非圧縮ブロックのヘッダ (3 bit) がパディングに収まらない場合は
+  // 次の byte に書き込む (ヘッダとパディングは全て 0)
+  if (deflate.padding < 3) {
+    this.output_.push([0]);
+  }
+  this.output_.push(CanvasTool.DeflateStream.SyncFlush);
+};
+
+/**
+ * 出力待ちの圧縮データを取り出す
+ * @return {!(Array.<number>|Uint8Array)} 圧縮データ.
+ * @private
+ */
+CanvasTool.DeflateStream.prototype.take_ = function() {
+  var output = this.output_,
+      length = 0,
+      result, pos, i, l;
+
+  for (i = 0, l = output.length; i < l; i++) {
+    length += output[i].length;
+  }
+
+  result = new (USE_TYPEDARRAY ? Uint8Array : Array)(length);
+  for (pos = 0, i = 0; i < l; i++) {
+    set_(result, output[i], 0, output[i].length, pos);
+    pos += output[i].length;
+  }
+  this.output_ = [];
+
+  return result;
+};
+
+/**
+ * ブロック毎の圧縮に使用する Zlib.RawDeflate
+ * ハフマン符号化の終了時にブロック末尾のパディングのビット数を記録する.
+ * @param {!(Array.<number>|Uint8Array)} input 符号化する対象の byte array.
+ * @param {Object=} opt_params Zlib.RawDeflate のオプション.
+ * @constructor
+ * @extends {Zlib.RawDeflate}
+ * @private
+ */
+CanvasTool.DeflateStream.BlockDeflate_ = function(input, opt_params) {
+  goog.base(this, input, opt_params);
+
+  /**
+   * ブロック末尾のバイト境界までのパディングのビット数
+   * @type {number}
+   */
+  this.padding = 0;
+};
+goog.inherits(CanvasTool.DeflateStream.BlockDeflate_, Zlib.RawDeflate);
+
+/**
+ * @param {!(Array.<number>|Uint16Array)} dataArray LZ77 符号化済み byte array.
+ * @param {!Zlib.BitStream} stream 書き込み用ビットストリーム.
+ * @return {!Zlib.BitStream} ハフマン符号化済みビットストリームオブジェクト.
+ * @override
+ */
+CanvasTool.DeflateStream.BlockDeflate_.prototype.fixedHuffman =
+function(dataArray, stream) {
+  Zlib.RawDeflate.prototype.fixedHuffman.call(this, dataArray, stream);
+  this.padding = (8 - stream.bitindex) % 8;
+
+  return stream;
+};
+
+/**
+ * @param {!(Array.<number>|Uint16Array)} dataArray LZ77 符号化済み byte array.
+ * @param {!Array} litLen リテラルと長さ符号の符号と符号長.
+ * @param {!Array} dist 距離符号の符号と符号長.
+ * @param {!Zlib.BitStream} stream 書き込み用ビットストリーム.
+ * @return {!Zlib.BitStream} ハフマン符号化済みビットストリームオブジェクト.
+ * @override
+ */
+CanvasTool.DeflateStream.BlockDeflate_.prototype.dynamicHuffman =
+function(dataArray, litLen, dist, stream) {
+  Zlib.RawDeflate.prototype.dynamicHuffman.call(
+    this, dataArray, litLen, dist, stream
+  );
+  this.padding = (8 - stream.bitindex) % 8;
+
+  return stream;
+};
+
+/**
+ * 配列の部分コピー
+ * @param {!(Array|Uint8Array)} dst コピー先.
+ * @param {!(Array|Uint8Array)} src コピー元.
+ * @param {number} offset コピー元の開始位置.
+ * @param {number} length コピーする長さ.
+ * @param {number} pos コピー先の開始位置.
+ */
+function set_(dst, src, offset, length, pos) {
+  var i;
+
+  if (USE_TYPEDARRAY && typeof src.subarray === 'function') {
+    dst.set(src.subarray(offset, offset + length), pos);
+  } else {
+    for (i = 0; i < length; i++) {
+      dst[pos + i] = src[offset + i];
+    }
+  }
+}
+
+// end of scope
+});
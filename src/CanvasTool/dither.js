@@ -0,0 +1,240 @@
+/**
+ * @fileoverview 減色時のディザリングの実装.
+ */
+
+goog.provide('CanvasTool.Dither');
+
+goog.scope(function() {
+
+/**
+ * ディザリング
+ * ピクセルをラスタ順に adjust -> (量子化) -> diffuse の順で処理する.
+ * @param {CanvasTool.Dither.Method} method ディザリング方法.
+ * @param {number} width 横幅.
+ * @param {number} channels ピクセルあたりのサンプル数.
+ * @param {number} max サンプルの最大値.
+ * @param {number} spread 量子化後の色の間隔 (Ordered Dither で使用する).
+ * @constructor
+ */
+CanvasTool.Dither = function(method, width, channels, max, spread) {
+  /**
+   * ディザリング方法
+   * @type {CanvasTool.Dither.Method}
+   */
+  this.method = method;
+
+  /**
+   * 横幅
+   * @type {number}
+   */
+  this.width = width;
+
+  /**
+   * ピクセルあたりのサンプル数
+   * @type {number}
+   */
+  this.channels = channels;
+
+  /**
+   * サンプルの最大値
+   * @type {number}
+   */
+  this.max = max;
+
+  /**
+   * 量子化後の色の間隔
+   * @type {number}
+   */
+  this.spread = spread;
+
+  /**
+   * 誤差拡散方式の係数テーブル
+   * @type {Array.<Array.<number>>}
+   * @private
+   */
+  this.kernel_;
+
+  /**
+   * 誤差拡散用の 3 ライン分のバッファ
+   * @type {!Array.<Array.<number>>}
+   * @private
+   */
+  this.errors_ = [];
+
+  /**
+   * バッファの先頭にあたるライン
+   * @type {number}
+   * @private
+   */
+  this.errorLine_ = 0;
+
+  switch (method) {
+    case CanvasTool.Dither.Method.FLOYD_STEINBERG:
+      this.kernel_ = CanvasTool.Dither.FloydSteinberg_;
+      break;
+    case CanvasTool.Dither.Method.ATKINSON:
+      this.kernel_ = CanvasTool.Dither.Atkinson_;
+      break;
+    case CanvasTool.Dither.Method.ORDERED:
+      this.kernel_ = null;
+      break;
+    default:
+      throw new Error('unknown dither method');
+  }
+
+  if (this.kernel_ !== null) {
+    this.errors_ = [
+      this.makeErrorLine_(),
+      this.makeErrorLine_(),
+      this.makeErrorLine_()
+    ];
+  }
+};
+
+/**
+ * ディザリング方法
+ * @enum {number}
+ */
+CanvasTool.Dither.Method = {
+  NONE: 0,
+  FLOYD_STEINBERG: 1,
+  ATKINSON: 2,
+  ORDERED: 3
+};
+
+/**
+ * Floyd-Steinberg の係数テーブル ([x 方向, y 方向, 係数])
+ * @type {!Array.<Array.<number>>}
+ * @const
+ * @private
+ */
+CanvasTool.Dither.FloydSteinberg_ = [
+  [1, 0, 7 / 16],
+  [-1, 1, 3 / 16],
+  [0, 1, 5 / 16],
+  [1, 1, 1 / 16]
+];
+
+/**
+ * Atkinson の係数テーブル ([x 方向, y 方向, 係数])
+ * 誤差の 3/4 のみを拡散する
+ * @type {!Array.<Array.<number>>}
+ * @const
+ * @private
+ */
+CanvasTool.Dither.Atkinson_ = [
+  [1, 0, 1 / 8],
+  [2, 0, 1 / 8],
+  [-1, 1, 1 / 8],
+  [0, 1, 1 / 8],
+  [1, 1, 1 / 8],
+  [0, 2, 1 / 8]
+];
+
+/**
+ * Ordered Dither で使用する 4x4 の Bayer 行列
+ * @type {!Array.<Array.<number>>}
+ * @const
+ * @private
+ */
+CanvasTool.Dither.Bayer_ = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+/**
+ * 量子化前の色を求める
+ * 誤差拡散方式では蓄積された誤差を、Ordered Dither では閾値を加える.
+ * @param {!Array.<number>} pixel 元の色.
+ * @param {number} x 横方向の位置.
+ * @param {number} y 縦方向の位置.
+ * @return {!Array.<number>} 量子化の対象とする色 (0-max の整数).
+ */
+CanvasTool.Dither.prototype.adjust = function(pixel, x, y) {
+  var adjusted = [],
+      channels = this.channels,
+      max = this.max,
+      errors, offset, value, c;
+
+  if (this.kernel_ === null) {
+    offset = ((CanvasTool.Dither.Bayer_[y & 3][x & 3] + 0.5) / 16 - 0.5) *
+      this.spread;
+  } else {
+    this.advance_(y);
+    errors = this.errors_[0];
+  }
+
+  for (c = 0; c < channels; c++) {
+    value = pixel[c] + (errors ? errors[x * channels + c] : offset);
+    value = value + 0.5 | 0;
+    adjusted[c] = value < 0 ? 0 : value > max ? max : value;
+  }
+
+  return adjusted;
+};
+
+/**
+ * 量子化による誤差を周囲のピクセルに拡散する
+ * @param {!Array.<number>} adjusted adjust で求めた量子化前の色.
+ * @param {!Array.<number>} quantized 量子化後の色.
+ * @param {number} x 横方向の位置 (縦方向は直前の adjust と同じライン).
+ */
+CanvasTool.Dither.prototype.diffuse = function(adjusted, quantized, x) {
+  var kernel = this.kernel_,
+      channels = this.channels,
+      width = this.width,
+      error, tx, errors, index, length, c;
+
+  if (kernel === null) {
+    return;
+  }
+
+  for (c = 0; c < channels; c++) {
+    error = adjusted[c] - quantized[c];
+    if (error === 0) {
+      continue;
+    }
+
+    for (index = 0, length = kernel.length; index < length; index++) {
+      tx = x + kernel[index][0];
+      if (tx < 0 || tx >= width) {
+        continue;
+      }
+      errors = this.errors_[kernel[index][1]];
+      errors[tx * channels + c] += error * kernel[index][2];
+    }
+  }
+};
+
+/**
+ * 誤差バッファを指定したラインまで進める
+ * @param {number} y 縦方向の位置.
+ * @private
+ */
+CanvasTool.Dither.prototype.advance_ = function(y) {
+  while (this.errorLine_ < y) {
+    this.errors_.shift();
+    this.errors_.push(this.makeErrorLine_());
+    this.errorLine_++;
+  }
+};
+
+/**
+ * 1 ライン分の誤差バッファを作成する
+ * @return {!Array.<number>} 0 で初期化された誤差バッファ.
+ * @private
+ */
+CanvasTool.Dither.prototype.makeErrorLine_ = function() {
+  var line = [], i, l;
+
+  for (i = 0, l = this.width * this.channels; i < l; i++) {
+    line[i] = 0;
+  }
+
+  return line;
+};
+
+// end of scope
+});
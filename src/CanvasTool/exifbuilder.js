@@ -0,0 +1,606 @@
+/**
+ * @fileoverview EXIF (TIFF 形式の IFD) バイナリの作成.
+ * PNG の eXIf チャンクに格納するデータを作成する.
+ * @see http://www.cipa.jp/std/documents/e/DC-008-2012_E.pdf
+ */
+
+goog.provide('CanvasTool.ExifBuilder');
+
+goog.require('USE_TYPEDARRAY');
+
+goog.scope(function() {
+
+/**
+ * EXIF Builder
+ * タグ名をキーとしたオブジェクトから IFD0, Exif IFD, GPS IFD を作成する.
+ * 日時のタグには Date (ローカル時刻として記録する) を,
+ * GPSLatitude, GPSLongitude, GPSAltitude には符号付きの 10 進数を指定でき,
+ * その場合は対応する Ref タグを自動で付与する.
+ * @param {!Object} tags タグ名と値のオブジェクト.
+ *     例: {Orientation: 6, DateTimeOriginal: new Date(), Make: 'Maker',
+ *     Model: 'Model', GPSLatitude: 35.681236, GPSLongitude: 139.767125}
+ * @param {Object=} opt_param 変換オプション.
+ *     byteOrder: CanvasTool.ExifBuilder.ByteOrder (省略時は BIG_ENDIAN).
+ * @constructor
+ */
+CanvasTool.ExifBuilder = function(tags, opt_param) {
+  if (typeof tags !== 'object' || tags === null) {
+    throw new Error('need tags object');
+  }
+  if (typeof opt_param !== 'object' || opt_param === null) {
+    opt_param = {};
+  }
+
+  /**
+   * タグ名と値のオブジェクト
+   * @type {!Object}
+   */
+  this.tags = tags;
+
+  /**
+   * バイトオーダー
+   * @type {CanvasTool.ExifBuilder.ByteOrder}
+   */
+  this.byteOrder = (typeof opt_param['byteOrder'] === 'number') ?
+    opt_param['byteOrder'] :
+    CanvasTool.ExifBuilder.ByteOrder.BIG_ENDIAN;
+
+  if (this.byteOrder !== CanvasTool.ExifBuilder.ByteOrder.BIG_ENDIAN &&
+      this.byteOrder !== CanvasTool.ExifBuilder.ByteOrder.LITTLE_ENDIAN) {
+    throw new Error('invalid byte order');
+  }
+};
+
+/**
+ * バイトオーダー (TIFF ヘッダの先頭 2 byte)
+ * @enum {number}
+ */
+CanvasTool.ExifBuilder.ByteOrder = {
+  BIG_ENDIAN: 0x4d4d,   // 'MM'
+  LITTLE_ENDIAN: 0x4949 // 'II'
+};
+
+/**
+ * フィールドのデータ型
+ * @enum {number}
+ */
+CanvasTool.ExifBuilder.FieldType = {
+  BYTE: 1,
+  ASCII: 2,
+  SHORT: 3,
+  LONG: 4,
+  RATIONAL: 5,
+  UNDEFINED: 7
+};
+
+/**
+ * IFD の種類
+ * @enum {number}
+ * @private
+ */
+CanvasTool.ExifBuilder.Ifd_ = {
+  IFD0: 0,
+  EXIF: 1,
+  GPS: 2
+};
+
+/**
+ * タグの定義
+ * @param {CanvasTool.ExifBuilder.Ifd_} ifd 格納する IFD.
+ * @param {number} id タグ ID.
+ * @param {CanvasTool.ExifBuilder.FieldType} type データ型.
+ * @param {number} count 値の個数 (0 の場合は任意).
+ * @constructor
+ * @private
+ */
+CanvasTool.ExifBuilder.TagInfo_ = function(ifd, id, type, count) {
+  /** @type {CanvasTool.ExifBuilder.Ifd_} */
+  this.ifd = ifd;
+  /** @type {number} */
+  this.id = id;
+  /** @type {CanvasTool.ExifBuilder.FieldType} */
+  this.type = type;
+  /** @type {number} */
+  this.count = count;
+};
+
+/**
+ * IFD のエントリ
+ * @param {number} id タグ ID.
+ * @param {CanvasTool.ExifBuilder.FieldType} type データ型.
+ * @param {number} count 値の個数.
+ * @param {!Array.<number>} data バイトオーダーに従って並べた値.
+ * @constructor
+ * @private
+ */
+CanvasTool.ExifBuilder.Entry_ = function(id, type, count, data) {
+  /** @type {number} */
+  this.id = id;
+  /** @type {CanvasTool.ExifBuilder.FieldType} */
+  this.type = type;
+  /** @type {number} */
+  this.count = count;
+  /** @type {!Array.<number>} */
+  this.data = data;
+};
+
+/**
+ * 対応しているタグ (キーはタグ名)
+ * @const
+ * @type {!Object.<string, !CanvasTool.ExifBuilder.TagInfo_>}
+ * @private
+ */
+CanvasTool.ExifBuilder.Tags_ = (function() {
+  var Ifd = CanvasTool.ExifBuilder.Ifd_,
+      Type = CanvasTool.ExifBuilder.FieldType,
+      TagInfo = CanvasTool.ExifBuilder.TagInfo_;
+
+  return {
+    // IFD0
+    'ImageDescription': new TagInfo(Ifd.IFD0, 0x010e, Type.ASCII, 0),
+    'Make': new TagInfo(Ifd.IFD0, 0x010f, Type.ASCII, 0),
+    'Model': new TagInfo(Ifd.IFD0, 0x0110, Type.ASCII, 0),
+    'Orientation': new TagInfo(Ifd.IFD0, 0x0112, Type.SHORT, 1),
+    'XResolution': new TagInfo(Ifd.IFD0, 0x011a, Type.RATIONAL, 1),
+    'YResolution': new TagInfo(Ifd.IFD0, 0x011b, Type.RATIONAL, 1),
+    'ResolutionUnit': new TagInfo(Ifd.IFD0, 0x0128, Type.SHORT, 1),
+    'Software': new TagInfo(Ifd.IFD0, 0x0131, Type.ASCII, 0),
+    'DateTime': new TagInfo(Ifd.IFD0, 0x0132, Type.ASCII, 20),
+    'Artist': new TagInfo(Ifd.IFD0, 0x013b, Type.ASCII, 0),
+    'Copyright': new TagInfo(Ifd.IFD0, 0x8298, Type.ASCII, 0),
+    'ExifIFDPointer': new TagInfo(Ifd.IFD0, 0x8769, Type.LONG, 1),
+    'GPSInfoIFDPointer': new TagInfo(Ifd.IFD0, 0x8825, Type.LONG, 1),
+    // Exif IFD
+    'ExposureTime': new TagInfo(Ifd.EXIF, 0x829a, Type.RATIONAL, 1),
+    'FNumber': new TagInfo(Ifd.EXIF, 0x829d, Type.RATIONAL, 1),
+    'ISOSpeedRatings': new TagInfo(Ifd.EXIF, 0x8827, Type.SHORT, 0),
+    'ExifVersion': new TagInfo(Ifd.EXIF, 0x9000, Type.UNDEFINED, 4),
+    'DateTimeOriginal': new TagInfo(Ifd.EXIF, 0x9003, Type.ASCII, 20),
+    'DateTimeDigitized': new TagInfo(Ifd.EXIF, 0x9004, Type.ASCII, 20),
+    'OffsetTime': new TagInfo(Ifd.EXIF, 0x9010, Type.ASCII, 7),
+    'OffsetTimeOriginal': new TagInfo(Ifd.EXIF, 0x9011, Type.ASCII, 7),
+    'OffsetTimeDigitized': new TagInfo(Ifd.EXIF, 0x9012, Type.ASCII, 7),
+    'FocalLength': new TagInfo(Ifd.EXIF, 0x920a, Type.RATIONAL, 1),
+    'SubSecTimeOriginal': new TagInfo(Ifd.EXIF, 0x9291, Type.ASCII, 0),
+    'ColorSpace': new TagInfo(Ifd.EXIF, 0xa001, Type.SHORT, 1),
+    'PixelXDimension': new TagInfo(Ifd.EXIF, 0xa002, Type.LONG, 1),
+    'PixelYDimension': new TagInfo(Ifd.EXIF, 0xa003, Type.LONG, 1),
+    'LensModel': new TagInfo(Ifd.EXIF, 0xa434, Type.ASCII, 0),
+    // GPS IFD
+    'GPSVersionID': new TagInfo(Ifd.GPS, 0x0000, Type.BYTE, 4),
+    'GPSLatitudeRef': new TagInfo(Ifd.GPS, 0x0001, Type.ASCII, 2),
+    'GPSLatitude': new TagInfo(Ifd.GPS, 0x0002, Type.RATIONAL, 3),
+    'GPSLongitudeRef': new TagInfo(Ifd.GPS, 0x0003, Type.ASCII, 2),
+    'GPSLongitude': new TagInfo(Ifd.GPS, 0x0004, Type.RATIONAL, 3),
+    'GPSAltitudeRef': new TagInfo(Ifd.GPS, 0x0005, Type.BYTE, 1),
+    'GPSAltitude': new TagInfo(Ifd.GPS, 0x0006, Type.RATIONAL, 1),
+    'GPSTimeStamp': new TagInfo(Ifd.GPS, 0x0007, Type.RATIONAL, 3),
+    'GPSImgDirectionRef': new TagInfo(Ifd.GPS, 0x0010, Type.ASCII, 2),
+    'GPSImgDirection': new TagInfo(Ifd.GPS, 0x0011, Type.RATIONAL, 1),
+    'GPSDateStamp': new TagInfo(Ifd.GPS, 0x001d, Type.ASCII, 11)
+  };
+})();
+
+/**
+ * TIFF 形式の EXIF バイナリを作成する
+ * IFD0, Exif IFD, GPS IFD の順に配置し, Exif IFD と GPS IFD へのポインタと
+ * ExifVersion, GPSVersionID は自動で付与する.
+ * @return {!(Array|Uint8Array)} EXIF バイナリ byte array.
+ */
+CanvasTool.ExifBuilder.prototype.build = function() {
+  var Ifd = CanvasTool.ExifBuilder.Ifd_,
+      tags = this.normalizeTags_(this.tags),
+      ifds = [[], [], []],
+      pointers = [],
+      info, entry, size, offset, output, name, index, length;
+
+  for (name in tags) {
+    info = CanvasTool.ExifBuilder.Tags_[name];
+    ifds[info.ifd].push(this.makeEntry_(name, info, tags[name]));
+  }
+
+  // Exif IFD, GPS IFD へのポインタ (オフセットは配置後に設定する)
+  if (ifds[Ifd.EXIF].length > 0) {
+    if (!tags.hasOwnProperty('ExifVersion')) {
+      ifds[Ifd.EXIF].push(this.makeEntry_(
+        'ExifVersion', CanvasTool.ExifBuilder.Tags_['ExifVersion'], '0232'
+      ));
+    }
+    entry = this.makeEntry_(
+      'ExifIFDPointer', CanvasTool.ExifBuilder.Tags_['ExifIFDPointer'], 0
+    );
+    ifds[Ifd.IFD0].push(entry);
+    pointers[Ifd.EXIF] = entry;
+  }
+  if (ifds[Ifd.GPS].length > 0) {
+    if (!tags.hasOwnProperty('GPSVersionID')) {
+      ifds[Ifd.GPS].push(this.makeEntry_(
+        'GPSVersionID', CanvasTool.ExifBuilder.Tags_['GPSVersionID'],
+        [2, 3, 0, 0]
+      ));
+    }
+    entry = this.makeEntry_(
+      'GPSInfoIFDPointer', CanvasTool.ExifBuilder.Tags_['GPSInfoIFDPointer'], 0
+    );
+    ifds[Ifd.IFD0].push(entry);
+    pointers[Ifd.GPS] = entry;
+  }
+
+  // 配置位置の決定 (TIFF ヘッダの後に IFD0 を置く. IFD0 は空でも必須)
+  size = 8;
+  offset = [];
+  for (index = 0, length = ifds.length; index < length; index++) {
+    ifds[index].sort(function(a, b) {
+      return a.id - b.id;
+    });
+    if (index === Ifd.IFD0 || ifds[index].length > 0) {
+      offset[index] = size;
+      size += ifdSize_(ifds[index]);
+    }
+    if (pointers[index] !== void 0) {
+      pointers[index].data = this.bytes_(offset[index], 4);
+    }
+  }
+
+  output = new (USE_TYPEDARRAY ? Uint8Array : Array)(size);
+  if (!USE_TYPEDARRAY) {
+    for (index = 0; index < size; index++) {
+      output[index] = 0;
+    }
+  }
+
+  // TIFF ヘッダ
+  set_(output, this.bytes_(this.byteOrder, 2), 0);
+  set_(output, this.bytes_(42, 2), 2);
+  set_(output, this.bytes_(offset[Ifd.IFD0], 4), 4);
+
+  for (index = 0, length = ifds.length; index < length; index++) {
+    if (offset[index] !== void 0) {
+      this.writeIfd_(output, ifds[index], offset[index]);
+    }
+  }
+
+  return output;
+};
+
+/**
+ * タグの検証と, 日時, 緯度経度, 高度の変換
+ * @param {!Object} tags タグ名と値のオブジェクト.
+ * @return {!Object} 変換したタグ名と値のオブジェクト.
+ * @private
+ */
+CanvasTool.ExifBuilder.prototype.normalizeTags_ = function(tags) {
+  var normalized = {}, name, value;
+
+  for (name in tags) {
+    if (!CanvasTool.ExifBuilder.Tags_.hasOwnProperty(name) ||
+        name === 'ExifIFDPointer' || name === 'GPSInfoIFDPointer') {
+      throw new Error('unknown exif tag: ' + name);
+    }
+    value = tags[name];
+    if (value === void 0 || value === null) {
+      continue;
+    }
+
+    switch (name) {
+      case 'DateTime':
+      case 'DateTimeOriginal':
+      case 'DateTimeDigitized':
+        if (value instanceof Date) {
+          value = [
+            value.getFullYear(), ':', pad_(value.getMonth() + 1), ':',
+            pad_(value.getDate()), ' ', pad_(value.getHours()), ':',
+            pad_(value.getMinutes()), ':', pad_(value.getSeconds())
+          ].join('');
+        }
+        break;
+      case 'GPSTimeStamp':
+        if (value instanceof Date) {
+          value = [
+            value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds()
+          ];
+        }
+        break;
+      case 'GPSDateStamp':
+        if (value instanceof Date) {
+          value = [
+            value.getUTCFullYear(), ':', pad_(value.getUTCMonth() + 1), ':',
+            pad_(value.getUTCDate())
+          ].join('');
+        }
+        break;
+      case 'GPSLatitude':
+      case 'GPSLongitude':
+        // 符号付きの 10 進数は度分秒と Ref (N/S, E/W) に変換する
+        if (typeof value === 'number') {
+          if (!tags.hasOwnProperty(name + 'Ref')) {
+            normalized[name + 'Ref'] = (name === 'GPSLatitude') ?
+              (value < 0 ? 'S' : 'N') :
+              (value < 0 ? 'W' : 'E');
+          }
+          value = degreesToDms_(Math.abs(value));
+        }
+        break;
+      case 'GPSAltitude':
+        // 負数は海面下として GPSAltitudeRef を 1 にする
+        if (typeof value === 'number') {
+          if (!tags.hasOwnProperty('GPSAltitudeRef')) {
+            normalized['GPSAltitudeRef'] = (value < 0) ? 1 : 0;
+          }
+          value = Math.abs(value);
+        }
+        break;
+      default:
+        break;
+    }
+
+    normalized[name] = value;
+  }
+
+  return normalized;
+};
+
+/**
+ * IFD エントリの作成
+ * @param {string} name タグ名.
+ * @param {!CanvasTool.ExifBuilder.TagInfo_} info タグの定義.
+ * @param {*} value 値.
+ * @return {!CanvasTool.ExifBuilder.Entry_} IFD エントリ.
+ * @private
+ */
+CanvasTool.ExifBuilder.prototype.makeEntry_ = function(name, info, value) {
+  var Type = CanvasTool.ExifBuilder.FieldType,
+      data = [], values, rational, count, max, i, l;
+
+  switch (info.type) {
+    case Type.ASCII:
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error('exif tag ' + name + ' must be a string');
+      }
+      data = bytearray_(utf8_(String(value)));
+      data.push(0);
+      count = data.length;
+      break;
+    case Type.UNDEFINED:
+      if (typeof value === 'string') {
+        data = bytearray_(value);
+      } else if (typeof value === 'object' && value !== null &&
+                 typeof value.length === 'number') {
+        data = Array.prototype.slice.call(
+          /** @type {!(Array|Uint8Array)} */(value)
+        );
+      } else {
+        throw new Error('exif tag ' + name + ' must be a string or bytes');
+      }
+      count = data.length;
+      break;
+    case Type.RATIONAL:
+      // 個数 1 のタグでは [分子, 分母] も 1 つの値とする
+      values = (info.count === 1 && value instanceof Array &&
+                value.length === 2 && typeof value[0] === 'number') ?
+        [value] : (value instanceof Array) ? value : [value];
+      for (i = 0, l = values.length; i < l; i++) {
+        rational = toRational_(name, values[i]);
+        data = data.concat(
+          this.bytes_(rational[0], 4),
+          this.bytes_(rational[1], 4)
+        );
+      }
+      count = values.length;
+      break;
+    case Type.BYTE:
+    case Type.SHORT:
+    case Type.LONG:
+      values = (value instanceof Array) ? value : [value];
+      max = (info.type === Type.BYTE) ? 0xff :
+        (info.type === Type.SHORT) ? 0xffff : 0xffffffff;
+      for (i = 0, l = values.length; i < l; i++) {
+        if (typeof values[i] !== 'number' || values[i] < 0 ||
+            values[i] > max || Math.floor(values[i]) !== values[i]) {
+          throw new Error('invalid value for exif tag ' + name);
+        }
+        data = data.concat(this.bytes_(values[i],
+          (info.type === Type.BYTE) ? 1 : (info.type === Type.SHORT) ? 2 : 4));
+      }
+      count = values.length;
+      break;
+    default:
+      throw new Error('unknown field type');
+  }
+
+  if (count === 0 || (info.count > 0 && count !== info.count)) {
+    throw new Error('invalid value count for exif tag ' + name);
+  }
+
+  return new CanvasTool.ExifBuilder.Entry_(info.id, info.type, count, data);
+};
+
+/**
+ * IFD の書き込み
+ * 4 byte を超える値はエントリの後に 2 byte 境界で配置する.
+ * @param {!(Array|Uint8Array)} output 書き込み先.
+ * @param {!Array.<!CanvasTool.ExifBuilder.Entry_>} entries IFD エントリ.
+ * @param {number} offset IFD の位置.
+ * @private
+ */
+CanvasTool.ExifBuilder.prototype.writeIfd_ =
+function(output, entries, offset) {
+  var pos = offset,
+      dataPos = offset + 2 + entries.length * 12 + 4,
+      entry, index, length;
+
+  set_(output, this.bytes_(entries.length, 2), pos);
+  pos += 2;
+
+  for (index = 0, length = entries.length; index < length; index++) {
+    entry = entries[index];
+    set_(output, this.bytes_(entry.id, 2), pos);
+    set_(output, this.bytes_(entry.type, 2), pos + 2);
+    set_(output, this.bytes_(entry.count, 4), pos + 4);
+    if (entry.data.length <= 4) {
+      set_(output, entry.data, pos + 8);
+    } else {
+      set_(output, this.bytes_(dataPos, 4), pos + 8);
+      set_(output, entry.data, dataPos);
+      dataPos += entry.data.length + (entry.data.length & 1);
+    }
+    pos += 12;
+  }
+
+  // 次の IFD は無い
+  set_(output, this.bytes_(0, 4), pos);
+};
+
+/**
+ * 数値をバイトオーダーに従って byte array にする
+ * @param {number} value 数値.
+ * @param {number} size byte 数.
+ * @return {!Array.<number>} byte array.
+ * @private
+ */
+CanvasTool.ExifBuilder.prototype.bytes_ = function(value, size) {
+  var bytes = [], i;
+
+  for (i = size - 1; i >= 0; i--) {
+    bytes.push((value / Math.pow(2, i * 8)) & 0xff);
+  }
+
+  return (this.byteOrder === CanvasTool.ExifBuilder.ByteOrder.LITTLE_ENDIAN) ?
+    bytes.reverse() : bytes;
+};
+
+/**
+ * IFD のサイズ (エントリ外に配置する値を含む)
+ * @param {!Array.<!CanvasTool.ExifBuilder.Entry_>} entries IFD エントリ.
+ * @return {number} byte 数.
+ */
+function ifdSize_(entries) {
+  var size = 2 + entries.length * 12 + 4, length, i, l;
+
+  for (i = 0, l = entries.length; i < l; i++) {
+    length = entries[i].data.length;
+    if (length > 4) {
+      size += length + (length & 1);
+    }
+  }
+
+  return size;
+}
+
+/**
+ * 数値を RATIONAL (分子, 分母) に変換する
+ * 小数は分母を 10 の累乗 (最大 10^6) として約分する.
+ * @param {string} name タグ名.
+ * @param {(number|Array.<number>)} value 数値, もしくは [分子, 分母].
+ * @return {!Array.<number>} [分子, 分母].
+ */
+function toRational_(name, value) {
+  var numerator, denominator = 1, a, b, t;
+
+  if (value instanceof Array) {
+    numerator = value[0];
+    denominator = value[1];
+  } else if (typeof value === 'number' && value >= 0 && isFinite(value)) {
+    while (denominator < 1000000 &&
+           Math.abs(value * denominator - Math.round(value * denominator)) >
+             1e-9) {
+      denominator *= 10;
+    }
+    numerator = Math.round(value * denominator);
+    // 約分
+    a = numerator;
+    b = denominator;
+    while (b > 0) {
+      t = a % b;
+      a = b;
+      b = t;
+    }
+    if (a > 1) {
+      numerator /= a;
+      denominator /= a;
+    }
+  }
+
+  if (typeof numerator !== 'number' || typeof denominator !== 'number' ||
+      numerator < 0 || numerator > 0xffffffff || Math.floor(numerator) !==
+      numerator || denominator < 1 || denominator > 0xffffffff ||
+      Math.floor(denominator) !== denominator) {
+    throw new Error('invalid rational value for exif tag ' + name);
+  }
+
+  return [numerator, denominator];
+}
+
+/**
+ * 10 進数の角度を度分秒 ([度, 分, 秒]) に変換する
+ * 秒は 1/1000 秒単位で丸める.
+ * @param {number} degrees 0 以上の角度.
+ * @return {!Array.<!Array.<number>>} 度分秒の RATIONAL.
+ */
+function degreesToDms_(degrees) {
+  var d = Math.floor(degrees),
+      m = Math.floor((degrees - d) * 60),
+      s = Math.round(((degrees - d) * 60 - m) * 60 * 1000);
+
+  // 丸めによる繰り上がり
+  if (s >= 60000) {
+    s -= 60000;
+    m++;
+  }
+  if (m >= 60) {
+    m -= 60;
+    d++;
+  }
+
+  return [[d, 1], [m, 1], [s, 1000]];
+}
+
+/**
+ * 2 桁の 0 埋め
+ * @param {number} n 数値.
+ * @return {string} 0 埋めした文字列.
+ */
+function pad_(n) {
+  return (n < 10 ? '0' : '') + n;
+}
+
+/**
+ * 配列の指定した位置に別の配列の内容を書き込む
+ * @param {!(Array|Uint8Array)} dst 書き込み先となる配列.
+ * @param {!Array.<number>} src 書き込む配列.
+ * @param {number} pos 書き込み位置.
+ */
+function set_(dst, src, pos) {
+  var i, l;
+
+  for (i = 0, l = src.length; i < l; i++) {
+    dst[pos + i] = src[i];
+  }
+}
+
+/**
+ * 文字列を byte array に変換する
+ * @param {string} str 変換する文字列.
+ * @return {!Array.<number>} byte array.
+ */
+function bytearray_(str) {
+  var bytearray = [], i, l;
+
+  for (i = 0, l = str.length; i < l; i++) {
+    bytearray[i] = str.charCodeAt(i) & 0xff;
+  }
+
+  return bytearray;
+}
+
+/**
+ * 文字列を UTF-8 文字列に変換する
+ * @param {string} str UTF-8 に変換する文字列.
+ * @return {string} UTF-8 文字列.
+ */
+function utf8_(str) {
+  return unescape(encodeURIComponent(str));
+}
+
+// end of scope
+});
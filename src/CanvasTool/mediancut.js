@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Median Cut による減色の実装.
+ */
+
+goog.provide('CanvasTool.MedianCut');
+
+goog.scope(function() {
+
+/**
+ * Median Cut による減色
+ * @param {!Array.<{
+ *   red: number,
+ *   green: number,
+ *   blue: number,
+ *   alpha: number,
+ *   count: number
+ * }>} colours 出現した色と出現回数のリスト (各要素 0-255).
+ * @param {boolean=} opt_withAlpha αチャンネルも減色の対象とするか.
+ * @constructor
+ */
+CanvasTool.MedianCut = function(colours, opt_withAlpha) {
+  /**
+   * 出現した色のリスト
+   * @type {!Array.<Object>}
+   */
+  this.colours = colours;
+
+  /**
+   * αチャンネルも減色の対象とするか
+   * @type {boolean}
+   */
+  this.withAlpha = !!opt_withAlpha;
+
+  /**
+   * 減色後のパレット
+   * @type {!Array.<!Array.<number>>}
+   */
+  this.palette = [];
+
+  /**
+   * 色 -> パレットインデックスのキャッシュ
+   * @type {!Object.<number, number>}
+   * @private
+   */
+  this.cache_ = {};
+
+  /**
+   * 分割中のボックスのリスト (分割中でない場合は null)
+   * @type {Array.<CanvasTool.MedianCut.Box_>}
+   * @private
+   */
+  this.boxes_ = null;
+};
+
+/**
+ * 分割の対象とするチャンネル名
+ * @type {!Array.<string>}
+ * @const
+ * @private
+ */
+CanvasTool.MedianCut.Channels_ = ['red', 'green', 'blue', 'alpha'];
+
+/**
+ * 減色後のパレットを作成する
+ * @param {number} maxColours 減色後の最大色数.
+ * @return {!Array.<!Array.<number>>} [R, G, B, A] 形式のパレット.
+ */
+CanvasTool.MedianCut.prototype.quantize = function(maxColours) {
+  this.quantizeUntil(maxColours, Infinity);
+
+  return this.palette;
+};
+
+/**
+ * 期限まで減色を行う
+ * 期限を過ぎた場合はボックスの分割の区切りで処理を中断し,
+ * 次の呼び出しで続きから再開する.
+ * @param {number} maxColours 減色後の最大色数.
+ * @param {number} deadline 処理を中断する時刻 (Date.now() の値).
+ * @return {boolean} パレットの作成が完了したか.
+ *     完了した場合は palette プロパティに格納される.
+ */
+CanvasTool.MedianCut.prototype.quantizeUntil = function(maxColours, deadline) {
+  var boxes = this.boxes_,
+      palette = [],
+      processed = 0,
+      box, target, priority, maxPriority, divided, index, length;
+
+  if (boxes === null) {
+    boxes = this.boxes_ =
+      [new CanvasTool.MedianCut.Box_(this.colours, this.withAlpha)];
+  }
+
+  // 分割可能なボックスが無くなるか、指定の色数になるまで分割する
+  while (boxes.length < maxColours) {
+    // 最低 1 回は分割する
+    if (processed > 0 && Date.now() >= deadline) {
+      return false;
+    }
+
+    target = -1;
+    maxPriority = 0;
+
+    // 色の範囲と出現回数が大きいボックスから分割する
+    for (index = 0, length = boxes.length; index < length; index++) {
+      box = boxes[index];
+      if (box.colours.length < 2) {
+        continue;
+      }
+      priority = box.range * box.count;
+      if (priority > maxPriority) {
+        maxPriority = priority;
+        target = index;
+      }
+    }
+
+    if (target === -1) {
+      break;
+    }
+
+    divided = boxes[target].divide();
+    boxes.splice(target, 1, divided[0], divided[1]);
+    processed++;
+  }
+
+  for (index = 0, length = boxes.length; index < length; index++) {
+    palette.push(boxes[index].average());
+  }
+
+  this.palette = palette;
+  this.cache_ = {};
+  this.boxes_ = null;
+
+  return true;
+};
+
+/**
+ * 最も近いパレットのインデックスを取得する
+ * @param {number} red 赤要素の値 (0-255).
+ * @param {number} green 緑要素の値 (0-255).
+ * @param {number} blue 青要素の値 (0-255).
+ * @param {number} alpha α値 (0-255).
+ * @return {number} パレットのインデックス.
+ */
+CanvasTool.MedianCut.prototype.nearest = function(red, green, blue, alpha) {
+  var palette = this.palette,
+      key = ((red << 8 | green) << 8 | blue) << 8 | alpha,
+      nearestIndex = this.cache_[key],
+      minDistance = Infinity,
+      colour, distance, dr, dg, db, da, index, length;
+
+  if (nearestIndex !== undefined) {
+    return nearestIndex;
+  }
+
+  if (!this.withAlpha) {
+    alpha = 255;
+  }
+
+  for (index = 0, length = palette.length; index < length; index++) {
+    colour = palette[index];
+    dr = colour[0] - red;
+    dg = colour[1] - green;
+    db = colour[2] - blue;
+    da = colour[3] - alpha;
+    distance = dr * dr + dg * dg + db * db + da * da;
+
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearestIndex = index;
+    }
+  }
+
+  this.cache_[key] = nearestIndex;
+
+  return nearestIndex;
+};
+
+/**
+ * 色空間上の直方体
+ * @param {!Array.<Object>} colours ボックスに含まれる色のリスト.
+ * @param {boolean} withAlpha αチャンネルも分割の対象とするか.
+ * @constructor
+ * @private
+ */
+CanvasTool.MedianCut.Box_ = function(colours, withAlpha) {
+  var channels = CanvasTool.MedianCut.Channels_,
+      channelLength = withAlpha ? 4 : 3,
+      min, max, value, channel, index, length, c;
+
+  /** @type {!Array.<Object>} */
+  this.colours = colours;
+  /** @type {boolean} */
+  this.withAlpha = withAlpha;
+  /** @type {number} 含まれるピクセル数 */
+  this.count = 0;
+  /** @type {number} 最も範囲の広いチャンネルの範囲 */
+  this.range = 0;
+  /** @type {string} 最も範囲の広いチャンネル */
+  this.channel = channels[0];
+
+  for (index = 0, length = colours.length; index < length; index++) {
+    this.count += colours[index].count;
+  }
+
+  for (c = 0; c < channelLength; c++) {
+    channel = channels[c];
+    min = 255;
+    max = 0;
+    for (index = 0, length = colours.length; index < length; index++) {
+      value = colours[index][channel];
+      min = value < min ? value : min;
+      max = value > max ? value : max;
+    }
+    if (max - min > this.range) {
+      this.range = max - min;
+      this.channel = channel;
+    }
+  }
+};
+
+/**
+ * 最も範囲の広いチャンネルの中央値 (出現回数で重み付け) で分割する
+ * @return {!Array.<CanvasTool.MedianCut.Box_>} 分割した 2 つのボックス.
+ */
+CanvasTool.MedianCut.Box_.prototype.divide = function() {
+  var channel = this.channel,
+      colours = this.colours.slice(),
+      half = this.count / 2,
+      sum = 0,
+      index, length;
+
+  colours.sort(function(a, b) {
+    return a[channel] - b[channel];
+  });
+
+  // 両方のボックスに少なくとも 1 色含まれるようにする
+  for (index = 0, length = colours.length - 1; index < length; index++) {
+    sum += colours[index].count;
+    if (sum >= half) {
+      break;
+    }
+  }
+
+  return [
+    new CanvasTool.MedianCut.Box_(colours.slice(0, index + 1), this.withAlpha),
+    new CanvasTool.MedianCut.Box_(colours.slice(index + 1), this.withAlpha)
+  ];
+};
+
+/**
+ * ボックスに含まれる色の平均 (出現回数で重み付け)
+ * @return {!Array.<number>} [R, G, B, A] 形式の色.
+ */
+CanvasTool.MedianCut.Box_.prototype.average = function() {
+  var colours = this.colours,
+      count = this.count,
+      red = 0, green = 0, blue = 0, alpha = 0,
+      colour, index, length;
+
+  for (index = 0, length = colours.length; index < length; index++) {
+    colour = colours[index];
+    red += colour.red * colour.count;
+    green += colour.green * colour.count;
+    blue += colour.blue * colour.count;
+    alpha += colour.alpha * colour.count;
+  }
+
+  return [
+    red / count + 0.5 | 0,
+    green / count + 0.5 | 0,
+    blue / count + 0.5 | 0,
+    this.withAlpha ? alpha / count + 0.5 | 0 : 255
+  ];
+};
+
+// end of scope
+});
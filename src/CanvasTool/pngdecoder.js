@@ -0,0 +1,1149 @@
+/**
+ * @fileoverview JavaScript による PNG Decoder の実装.
+ * @see http://www.w3.org/TR/PNG/
+ */
+
+goog.provide('CanvasTool.PngDecoder');
+
+goog.require('Zlib.Inflate');
+goog.require('Zlib.CRC32');
+goog.require('CanvasTool.PngEncoder');
+
+goog.scope(function() {
+
+/**
+ * PNG to RGBA converter
+ * decode() の後、IHDR の情報と補助チャンクの内容をプロパティとして参照できる.
+ * 補助チャンクのプロパティ名と形式は CanvasTool.PngEncoder に合わせている.
+ * @param {!(Array.<number>|Uint8Array)} input PNG バイナリ byte array.
+ * @constructor
+ */
+CanvasTool.PngDecoder = function(input) {
+  /**
+   * 入力データ
+   * @type {!(Array.<number>|Uint8Array)}
+   */
+  this.input = input;
+
+  /**
+   * 読み込み位置
+   * @type {number}
+   * @private
+   */
+  this.pos_ = 0;
+
+  /**
+   * 横幅
+   * @type {number}
+   */
+  this.width;
+
+  /**
+   * 縦幅
+   * @type {number}
+   */
+  this.height;
+
+  /**
+   * ビット深度
+   * @type {number}
+   */
+  this.bitDepth;
+
+  /**
+   * 色空間
+   * @type {CanvasTool.PngEncoder.ColourType}
+   */
+  this.colourType;
+
+  /**
+   * 圧縮方法
+   * @type {CanvasTool.PngEncoder.CompressionMethod}
+   */
+  this.compressionMethod;
+
+  /**
+   * フィルタ方法
+   * @type {CanvasTool.PngEncoder.FilterMethod}
+   */
+  this.filterMethod;
+
+  /**
+   * インタレース方法
+   * @type {CanvasTool.PngEncoder.InterlaceMethod}
+   */
+  this.interlaceMethod;
+
+  /**
+   * 出力データのサンプル毎のビット数
+   * ビット深度が 16 の場合は 16, それ以外は 8 となる.
+   * @type {number}
+   */
+  this.sampleDepth = 8;
+
+  /**
+   * パレット ([R, G, B] のリスト)
+   * @type {Array.<Array.<number>>}
+   */
+  this.palette = null;
+
+  /**
+   * Indexed-Colour ではパレットエントリ毎のα値,
+   * Grayscale では [Gray], Truecolor では [Red, Green, Blue] の透明色.
+   * @type {Array.<number>}
+   */
+  this.trns = null;
+
+  /**
+   * ガンマ値
+   * @type {number}
+   */
+  this.gamma;
+
+  /**
+   * 基礎色度
+   * @type {{
+   *   whitePointX: number,
+   *   whitePointY: number,
+   *   redX: number,
+   *   redY: number,
+   *   greenX: number,
+   *   greenY: number,
+   *   blueX: number,
+   *   blueY: number}}
+   */
+  this.chrm;
+
+  /**
+   * Significant bits
+   * @type {Array.<number>}
+   */
+  this.sbit;
+
+  /**
+   * Standard RGB colour space
+   * @type {CanvasTool.PngEncoder.RenderingIntent}
+   */
+  this.srgb;
+
+  /**
+   * ICC プロファイル (profile は展開済み)
+   * @type {{
+   *   name: string,
+   *   compressionMethod: CanvasTool.PngEncoder.CompressionMethod,
+   *   profile: !Array.<number>
+   * }}
+   */
+  this.iccp;
+
+  /**
+   * 背景色
+   * グレースケールの際はグレーレベル, それ以外では Red, Green, Blue の配列.
+   * Indexed-Colour ではパレットから引いた色となる.
+   * @type {Array.<number>}
+   */
+  this.bkgd;
+
+  /**
+   * Image Histogram (パレットエントリ毎の出現頻度)
+   * @type {Array.<number>}
+   */
+  this.hist;
+
+  /**
+   * Physical pixel dimensions
+   * @type {{
+   *   x: number,
+   *   y: number,
+   *   unit: CanvasTool.PngEncoder.UnitSpecifier
+   * }}
+   */
+  this.phys;
+
+  /**
+   * Suggested palette のリスト
+   * entries は [Red, Green, Blue, Alpha, Frequency] のリスト.
+   * @type {!Array.<{
+   *   name: string,
+   *   sampleDepth: number,
+   *   entries: !Array.<Array.<number>>
+   * }>}
+   */
+  this.splt = [];
+
+  /**
+   * Image last-modification time
+   * @type {Date}
+   */
+  this.time;
+
+  /**
+   * Textual data のリスト
+   * @type {!Array.<{
+   *   keyword: string,
+   *   text: string
+   * }>}
+   */
+  this.text = [];
+
+  /**
+   * Compressed textual data のリスト
+   * @type {!Array.<{
+   *   keyword: string,
+   *   text: string,
+   *   compressionMethod: CanvasTool.PngEncoder.CompressionMethod
+   * }>}
+   */
+  this.ztxt = [];
+
+  /**
+   * International textual data のリスト
+   * 圧縮されていない場合 compressionMethod は null となる.
+   * @type {!Array.<{
+   *   keyword: string,
+   *   text: string,
+   *   lang: string,
+   *   translatedKeyword: string,
+   *   compressionMethod: ?CanvasTool.PngEncoder.CompressionMethod
+   * }>}
+   */
+  this.itxt = [];
+
+  /**
+   * EXIF データ (TIFF 形式のバイナリ, eXIf チャンクが無い場合は undefined)
+   * @type {!(Array.<number>|Uint8Array)}
+   */
+  this.exif;
+
+  /**
+   * Animation control (APNG でない場合は undefined)
+   * @type {{
+   *   numFrames: number,
+   *   numPlays: number
+   * }}
+   */
+  this.actl;
+
+  /**
+   * Frame control のリスト
+   * フレームの画像データ (fdAT) は展開しない.
+   * @type {!Array.<{
+   *   width: number,
+   *   height: number,
+   *   x: number,
+   *   y: number,
+   *   delay: number,
+   *   disposeOp: number,
+   *   blendOp: number
+   * }>}
+   */
+  this.fctl = [];
+
+  /**
+   * 連結した IDAT チャンクのデータ
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.idat_ = [];
+};
+
+/**
+ * Adam7 で使用する、各パスの初期位置とステップ数のテーブル
+ * @type {!Array.<Object>}
+ * @const
+ * @private
+ */
+CanvasTool.PngDecoder.Adam7Table_ = [
+  /* 1 */ {xStart: 0, yStart: 0, xStep: 8, yStep: 8},
+  /* 2 */ {xStart: 4, yStart: 0, xStep: 8, yStep: 8},
+  /* 3 */ {xStart: 0, yStart: 4, xStep: 4, yStep: 8},
+  /* 4 */ {xStart: 2, yStart: 0, xStep: 4, yStep: 4},
+  /* 5 */ {xStart: 0, yStart: 2, xStep: 2, yStep: 4},
+  /* 6 */ {xStart: 1, yStart: 0, xStep: 2, yStep: 2},
+  /* 7 */ {xStart: 0, yStart: 1, xStep: 1, yStep: 2}
+];
+
+/**
+ * PNG のデコードを行う
+ * @return {!(Array.<number>|Uint8Array|Uint16Array)} RGBA のピクセルデータ.
+ *     サンプルの範囲は sampleDepth に従う.
+ */
+CanvasTool.PngDecoder.prototype.decode = function() {
+  var input = this.input,
+      signature = CanvasTool.PngEncoder.Signature,
+      chunk, i, l;
+
+  // signature
+  for (i = 0, l = signature.length; i < l; i++) {
+    if (input[i] !== signature[i]) {
+      throw new Error('invalid png signature');
+    }
+  }
+  this.pos_ = signature.length;
+
+  // chunks
+  do {
+    chunk = this.readChunk_();
+    this.parseChunk_(chunk.type, chunk.data);
+  } while (chunk.type !== 'IEND');
+
+  if (typeof this.width !== 'number') {
+    throw new Error('IHDR chunk not found');
+  }
+  if (this.idat_.length === 0) {
+    throw new Error('IDAT chunk not found');
+  }
+  if (this.colourType === CanvasTool.PngEncoder.ColourType.INDEXED_COLOR &&
+      this.palette === null) {
+    throw new Error('PLTE chunk not found');
+  }
+
+  return this.decodeImage_(new Zlib.Inflate(this.idat_).decompress());
+};
+
+/**
+ * チャンクの読み込み
+ * @return {!{type: string, data: !Array.<number>}} チャンクタイプとデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.readChunk_ = function() {
+  var input = this.input,
+      pos = this.pos_,
+      length, type, data, crc;
+
+  if (pos + 12 > input.length) {
+    throw new Error('unexpected end of data');
+  }
+
+  length = this.readUint32_(input, pos);
+  pos += 4;
+
+  if (pos + length + 8 > input.length) {
+    throw new Error('unexpected end of data');
+  }
+
+  // CRC はチャンクタイプとデータに対して計算される
+  crc = Zlib.CRC32.calc(slice_(input, pos, length + 4));
+  type = str_(slice_(input, pos, 4));
+  pos += 4;
+  data = slice_(input, pos, length);
+  pos += length;
+
+  if (crc !== this.readUint32_(input, pos)) {
+    throw new Error('wrong crc: ' + type);
+  }
+  pos += 4;
+
+  this.pos_ = pos;
+
+  return {type: type, data: data};
+};
+
+/**
+ * チャンクの解析
+ * 未知の補助チャンクは無視する.
+ * @param {string} type チャンクタイプ.
+ * @param {!Array.<number>} data チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parseChunk_ = function(type, data) {
+  if (type !== 'IHDR' && typeof this.width !== 'number') {
+    throw new Error('first chunk must be IHDR');
+  }
+
+  switch (type) {
+    // 必須チャンク
+    case 'IHDR':
+      this.parseIHDR_(data);
+      break;
+    case 'PLTE':
+      this.parsePLTE_(data);
+      break;
+    case 'IDAT':
+      push_(this.idat_, data);
+      break;
+    case 'IEND':
+      break;
+    // 補助チャンク
+    case 'tRNS':
+      this.parsetRNS_(data);
+      break;
+    case 'gAMA':
+      this.gamma = 100000 / this.readUint32_(data, 0);
+      break;
+    case 'cHRM':
+      this.parsecHRM_(data);
+      break;
+    case 'sBIT':
+      this.sbit = data;
+      break;
+    case 'sRGB':
+      this.srgb = /** @type {CanvasTool.PngEncoder.RenderingIntent} */(
+        data[0]
+      );
+      break;
+    case 'iCCP':
+      this.parseiCCP_(data);
+      break;
+    case 'bKGD':
+      this.parsebKGD_(data);
+      break;
+    case 'hIST':
+      this.parsehIST_(data);
+      break;
+    case 'pHYs':
+      this.phys = {
+        x: this.readUint32_(data, 0),
+        y: this.readUint32_(data, 4),
+        unit: /** @type {CanvasTool.PngEncoder.UnitSpecifier} */(data[8])
+      };
+      break;
+    case 'sPLT':
+      this.parsesPLT_(data);
+      break;
+    case 'tIME':
+      this.time = new Date(Date.UTC(
+        data[0] << 8 | data[1], data[2] - 1, data[3],
+        data[4], data[5], data[6]
+      ));
+      break;
+    case 'tEXt':
+      this.parsetEXt_(data);
+      break;
+    case 'zTXt':
+      this.parsezTXt_(data);
+      break;
+    case 'iTXt':
+      this.parseiTXt_(data);
+      break;
+    case 'eXIf':
+      this.exif = data;
+      break;
+    // APNG
+    case 'acTL':
+      this.actl = {
+        numFrames: this.readUint32_(data, 0),
+        numPlays: this.readUint32_(data, 4)
+      };
+      break;
+    case 'fcTL':
+      this.parsefcTL_(data);
+      break;
+    case 'fdAT':
+      break;
+    default:
+      // チャンクタイプの 1 文字目が大文字のものは必須チャンク
+      if ((type.charCodeAt(0) & 0x20) === 0) {
+        throw new Error('unknown critical chunk: ' + type);
+      }
+      break;
+  }
+};
+
+/**
+ * Image header
+ * @param {!Array.<number>} data IHDR チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parseIHDR_ = function(data) {
+  var allowDepth;
+
+  this.width = this.readUint32_(data, 0);
+  this.height = this.readUint32_(data, 4);
+  this.bitDepth = data[8];
+  this.colourType = /** @type {CanvasTool.PngEncoder.ColourType} */(data[9]);
+  this.compressionMethod =
+    /** @type {CanvasTool.PngEncoder.CompressionMethod} */(data[10]);
+  this.filterMethod =
+    /** @type {CanvasTool.PngEncoder.FilterMethod} */(data[11]);
+  this.interlaceMethod =
+    /** @type {CanvasTool.PngEncoder.InterlaceMethod} */(data[12]);
+  this.sampleDepth = (this.bitDepth === 16) ? 16 : 8;
+
+  if (this.width === 0 || this.height === 0) {
+    throw new Error('invalid image size');
+  }
+
+  switch (this.colourType) {
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
+      allowDepth = [1, 2, 4, 8, 16];
+      break;
+    case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:
+      allowDepth = [1, 2, 4, 8];
+      break;
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR:
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:
+      allowDepth = [8, 16];
+      break;
+    default:
+      throw new Error('invalid colour type');
+  }
+  if (allowDepth.indexOf(this.bitDepth) === -1) {
+    throw new Error('invalid bit depth');
+  }
+
+  if (this.compressionMethod !==
+      CanvasTool.PngEncoder.CompressionMethod.DEFLATE) {
+    throw new Error('unknown compression method');
+  }
+  if (this.filterMethod !== CanvasTool.PngEncoder.FilterMethod.BASIC) {
+    throw new Error('unknown filter method');
+  }
+  switch (this.interlaceMethod) {
+    case CanvasTool.PngEncoder.InterlaceMethod.NONE:
+    case CanvasTool.PngEncoder.InterlaceMethod.ADAM7:
+      break;
+    default:
+      throw new Error('unknown interlace method');
+  }
+};
+
+/**
+ * Palette
+ * @param {!Array.<number>} data PLTE チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parsePLTE_ = function(data) {
+  var palette = [], i, l;
+
+  if (data.length % 3 !== 0 || data.length / 3 > 256) {
+    throw new Error('wrong PLTE length');
+  }
+
+  for (i = 0, l = data.length; i < l; i += 3) {
+    palette.push([data[i], data[i + 1], data[i + 2]]);
+  }
+
+  this.palette = palette;
+};
+
+/**
+ * Transparency
+ * @param {!Array.<number>} data tRNS チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parsetRNS_ = function(data) {
+  switch (this.colourType) {
+    case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:
+      this.trns = data;
+      break;
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
+      this.trns = [this.readUint16_(data, 0)];
+      break;
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR:
+      this.trns = [
+        this.readUint16_(data, 0),
+        this.readUint16_(data, 2),
+        this.readUint16_(data, 4)
+      ];
+      break;
+    default:
+      throw new Error('tRNS chunk is not allowed for this colour type');
+  }
+};
+
+/**
+ * Primary chromaticities and white point
+ * @param {!Array.<number>} data cHRM チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parsecHRM_ = function(data) {
+  this.chrm = {
+    whitePointX: this.readUint32_(data, 0) / 100000,
+    whitePointY: this.readUint32_(data, 4) / 100000,
+    redX: this.readUint32_(data, 8) / 100000,
+    redY: this.readUint32_(data, 12) / 100000,
+    greenX: this.readUint32_(data, 16) / 100000,
+    greenY: this.readUint32_(data, 20) / 100000,
+    blueX: this.readUint32_(data, 24) / 100000,
+    blueY: this.readUint32_(data, 28) / 100000
+  };
+};
+
+/**
+ * ICC プロファイル
+ * @param {!Array.<number>} data iCCP チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parseiCCP_ = function(data) {
+  var separator = this.indexOfNull_(data, 0),
+      compressionMethod = data[separator + 1];
+
+  if (compressionMethod !== CanvasTool.PngEncoder.CompressionMethod.DEFLATE) {
+    throw new Error('unknown ICC Profile compression method');
+  }
+
+  this.iccp = {
+    name: str_(data.slice(0, separator)),
+    compressionMethod: compressionMethod,
+    profile: toArray_(new Zlib.Inflate(data.slice(separator + 2)).decompress())
+  };
+};
+
+/**
+ * Background colour
+ * @param {!Array.<number>} data bKGD チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parsebKGD_ = function(data) {
+  switch (this.colourType) {
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:
+      this.bkgd = [this.readUint16_(data, 0)];
+      break;
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR:
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:
+      this.bkgd = [
+        this.readUint16_(data, 0),
+        this.readUint16_(data, 2),
+        this.readUint16_(data, 4)
+      ];
+      break;
+    case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:
+      if (this.palette === null || data[0] >= this.palette.length) {
+        throw new Error('wrong bKGD palette index');
+      }
+      this.bkgd = this.palette[data[0]].slice();
+      break;
+    default:
+      throw new Error('unknown colour type');
+  }
+};
+
+/**
+ * Image Histogram
+ * @param {!Array.<number>} data hIST チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parsehIST_ = function(data) {
+  var hist = [], i, l;
+
+  for (i = 0, l = data.length; i < l; i += 2) {
+    hist.push(this.readUint16_(data, i));
+  }
+
+  this.hist = hist;
+};
+
+/**
+ * Suggested palette
+ * @param {!Array.<number>} data sPLT チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parsesPLT_ = function(data) {
+  var separator = this.indexOfNull_(data, 0),
+      sampleDepth = data[separator + 1],
+      entries = [],
+      i, l;
+
+  switch (sampleDepth) {
+    case 8:
+      for (i = separator + 2, l = data.length; i + 6 <= l; i += 6) {
+        entries.push([
+          data[i], data[i + 1], data[i + 2], data[i + 3],
+          this.readUint16_(data, i + 4)
+        ]);
+      }
+      break;
+    case 16:
+      for (i = separator + 2, l = data.length; i + 10 <= l; i += 10) {
+        entries.push([
+          this.readUint16_(data, i),
+          this.readUint16_(data, i + 2),
+          this.readUint16_(data, i + 4),
+          this.readUint16_(data, i + 6),
+          this.readUint16_(data, i + 8)
+        ]);
+      }
+      break;
+    default:
+      throw new Error('wrong sPLT sample depth');
+  }
+
+  this.splt.push({
+    name: str_(data.slice(0, separator)),
+    sampleDepth: sampleDepth,
+    entries: entries
+  });
+};
+
+/**
+ * Textual data
+ * @param {!Array.<number>} data tEXt チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parsetEXt_ = function(data) {
+  var separator = this.indexOfNull_(data, 0);
+
+  this.text.push({
+    keyword: str_(data.slice(0, separator)),
+    text: str_(data.slice(separator + 1))
+  });
+};
+
+/**
+ * Compressed textual data
+ * @param {!Array.<number>} data zTXt チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parsezTXt_ = function(data) {
+  var separator = this.indexOfNull_(data, 0),
+      compressionMethod = data[separator + 1];
+
+  if (compressionMethod !== CanvasTool.PngEncoder.CompressionMethod.DEFLATE) {
+    throw new Error('unknown compression method');
+  }
+
+  this.ztxt.push({
+    keyword: str_(data.slice(0, separator)),
+    text: str_(new Zlib.Inflate(data.slice(separator + 2)).decompress()),
+    compressionMethod: compressionMethod
+  });
+};
+
+/**
+ * International textual data
+ * @param {!Array.<number>} data iTXt チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parseiTXt_ = function(data) {
+  var keywordEnd = this.indexOfNull_(data, 0),
+      compressionFlag = data[keywordEnd + 1],
+      compressionMethod = data[keywordEnd + 2],
+      langEnd = this.indexOfNull_(data, keywordEnd + 3),
+      translatedEnd = this.indexOfNull_(data, langEnd + 1),
+      text = data.slice(translatedEnd + 1);
+
+  if (compressionFlag === CanvasTool.PngEncoder.CompressionFlag.COMPRESSED) {
+    if (compressionMethod !==
+        CanvasTool.PngEncoder.CompressionMethod.DEFLATE) {
+      throw new Error('unknown compression method');
+    }
+    text = new Zlib.Inflate(text).decompress();
+  } else {
+    compressionMethod = null;
+  }
+
+  this.itxt.push({
+    keyword: str_(data.slice(0, keywordEnd)),
+    text: utf16_(str_(text)),
+    lang: str_(data.slice(keywordEnd + 3, langEnd)),
+    translatedKeyword: utf16_(str_(data.slice(langEnd + 1, translatedEnd))),
+    compressionMethod: compressionMethod
+  });
+};
+
+/**
+ * Frame control
+ * 遅延時間は CanvasTool.ApngEncoder に合わせてミリ秒に変換する.
+ * @param {!Array.<number>} data fcTL チャンクデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.parsefcTL_ = function(data) {
+  var delayNum = this.readUint16_(data, 20),
+      delayDen = this.readUint16_(data, 22);
+
+  // 分母が 0 の場合は 1/100 秒単位として扱う
+  if (delayDen === 0) {
+    delayDen = 100;
+  }
+
+  this.fctl.push({
+    width: this.readUint32_(data, 4),
+    height: this.readUint32_(data, 8),
+    x: this.readUint32_(data, 12),
+    y: this.readUint32_(data, 16),
+    delay: delayNum * 1000 / delayDen,
+    disposeOp: data[24],
+    blendOp: data[25]
+  });
+};
+
+/**
+ * 展開した画像データから RGBA のピクセルデータを作成する
+ * @param {!(Array.<number>|Uint8Array)} imageData 展開した画像データ.
+ * @return {!(Array.<number>|Uint8Array|Uint16Array)} RGBA のピクセルデータ.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.decodeImage_ = function(imageData) {
+  var width = this.width,
+      height = this.height,
+      pixelArray, passlist, pass, pos = 0, index, length;
+
+  if (this.sampleDepth === 16) {
+    pixelArray = (typeof Uint16Array !== 'undefined') ?
+      new Uint16Array(width * height * 4) : [];
+  } else {
+    pixelArray = (typeof Uint8Array !== 'undefined') ?
+      new Uint8Array(width * height * 4) : [];
+  }
+
+  if (this.interlaceMethod === CanvasTool.PngEncoder.InterlaceMethod.ADAM7) {
+    passlist = CanvasTool.PngDecoder.Adam7Table_;
+  } else {
+    passlist = [{xStart: 0, yStart: 0, xStep: 1, yStep: 1}];
+  }
+
+  for (index = 0, length = passlist.length; index < length; index++) {
+    pass = passlist[index];
+    pos = this.decodePass_(imageData, pos, pixelArray, pass);
+  }
+
+  return pixelArray;
+};
+
+/**
+ * 1 パス分のスキャンラインを復元し、ピクセルデータに書き込む
+ * @param {!(Array.<number>|Uint8Array)} imageData 展開した画像データ.
+ * @param {number} pos パスの開始位置.
+ * @param {!(Array.<number>|Uint8Array|Uint16Array)} pixelArray 出力先.
+ * @param {!{xStart: number, yStart: number, xStep: number, yStep: number}}
+ *     pass パスの初期位置とステップ数.
+ * @return {number} 次のパスの開始位置.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.decodePass_ =
+function(imageData, pos, pixelArray, pass) {
+  var passWidth = Math.ceil((this.width - pass.xStart) / pass.xStep),
+      passHeight = Math.ceil((this.height - pass.yStart) / pass.yStep),
+      bitsPerPixel = this.bitDepth * this.getChannels_(),
+      lineLength = (passWidth * bitsPerPixel + 7) >> 3,
+      bpp = (bitsPerPixel + 7) >> 3,
+      prevLine = null,
+      line, filterType, x, y;
+
+  // 空のパスはスキャンラインを持たない
+  if (passWidth <= 0 || passHeight <= 0) {
+    return pos;
+  }
+
+  for (y = 0; y < passHeight; y++) {
+    if (pos + 1 + lineLength > imageData.length) {
+      throw new Error('unexpected end of image data');
+    }
+
+    filterType = imageData[pos++];
+    line = slice_(imageData, pos, lineLength);
+    pos += lineLength;
+
+    this.unfilter_(filterType, line, prevLine, bpp);
+    prevLine = line;
+
+    for (x = 0; x < passWidth; x++) {
+      this.writePixel_(
+        pixelArray,
+        ((pass.yStart + y * pass.yStep) * this.width +
+          pass.xStart + x * pass.xStep) * 4,
+        line,
+        x
+      );
+    }
+  }
+
+  return pos;
+};
+
+/**
+ * フィルタを元に戻す (スキャンラインを破壊的に変更する)
+ * @param {number} filterType フィルタタイプ.
+ * @param {!Array.<number>} line フィルタ適用済みのスキャンライン.
+ * @param {Array.<number>} prevLine 復元済みの直前のスキャンライン.
+ * @param {number} bpp 1 ピクセルあたりのバイト数 (1 未満は 1).
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.unfilter_ =
+function(filterType, line, prevLine, bpp) {
+  var i, l = line.length, left, up, upperLeft;
+
+  for (i = 0; i < l; i++) {
+    left = (i >= bpp) ? line[i - bpp] : 0;
+    up = prevLine ? prevLine[i] : 0;
+    upperLeft = (prevLine && i >= bpp) ? prevLine[i - bpp] : 0;
+
+    switch (filterType) {
+      case CanvasTool.PngEncoder.BasicFilterType.NONE:
+        return;
+      case CanvasTool.PngEncoder.BasicFilterType.SUB:
+        line[i] = (line[i] + left) & 0xff;
+        break;
+      case CanvasTool.PngEncoder.BasicFilterType.UP:
+        line[i] = (line[i] + up) & 0xff;
+        break;
+      case CanvasTool.PngEncoder.BasicFilterType.AVERAGE:
+        line[i] = (line[i] + ((left + up) >>> 1)) & 0xff;
+        break;
+      case CanvasTool.PngEncoder.BasicFilterType.PAETH:
+        line[i] = (line[i] + paethPredictor_(left, up, upperLeft)) & 0xff;
+        break;
+      default:
+        throw new Error('unknown filter type: ' + filterType);
+    }
+  }
+};
+
+/**
+ * スキャンラインから 1 ピクセル読み込み、RGBA として書き込む
+ * @param {!(Array.<number>|Uint8Array|Uint16Array)} pixelArray 出力先.
+ * @param {number} offset 出力先の位置.
+ * @param {!Array.<number>} line 復元済みのスキャンライン.
+ * @param {number} x スキャンライン内のピクセルの位置.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.writePixel_ =
+function(pixelArray, offset, line, x) {
+  var channels = this.getChannels_(),
+      max = (1 << this.sampleDepth) - 1,
+      trns = this.trns,
+      samples = [],
+      colour, c;
+
+  for (c = 0; c < channels; c++) {
+    samples[c] = this.readSample_(line, x * channels + c);
+  }
+
+  switch (this.colourType) {
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
+      colour = this.scaleSample_(samples[0]);
+      pixelArray[offset    ] = colour;
+      pixelArray[offset + 1] = colour;
+      pixelArray[offset + 2] = colour;
+      pixelArray[offset + 3] =
+        (trns !== null && trns[0] === samples[0]) ? 0 : max;
+      break;
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR:
+      pixelArray[offset    ] = samples[0];
+      pixelArray[offset + 1] = samples[1];
+      pixelArray[offset + 2] = samples[2];
+      pixelArray[offset + 3] =
+        (trns !== null && trns[0] === samples[0] &&
+         trns[1] === samples[1] && trns[2] === samples[2]) ? 0 : max;
+      break;
+    case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:
+      if (samples[0] >= this.palette.length) {
+        throw new Error('palette index out of range');
+      }
+      colour = this.palette[samples[0]];
+      pixelArray[offset    ] = colour[0];
+      pixelArray[offset + 1] = colour[1];
+      pixelArray[offset + 2] = colour[2];
+      pixelArray[offset + 3] =
+        (trns !== null && samples[0] < trns.length) ? trns[samples[0]] : max;
+      break;
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:
+      pixelArray[offset    ] = samples[0];
+      pixelArray[offset + 1] = samples[0];
+      pixelArray[offset + 2] = samples[0];
+      pixelArray[offset + 3] = samples[1];
+      break;
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:
+      pixelArray[offset    ] = samples[0];
+      pixelArray[offset + 1] = samples[1];
+      pixelArray[offset + 2] = samples[2];
+      pixelArray[offset + 3] = samples[3];
+      break;
+    default:
+      throw new Error('unknown colour type');
+  }
+};
+
+/**
+ * スキャンラインから index 番目のサンプルを読み込む
+ * @param {!Array.<number>} line 復元済みのスキャンライン.
+ * @param {number} index サンプルの位置.
+ * @return {number} サンプル値.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.readSample_ = function(line, index) {
+  var bitDepth = this.bitDepth, bitPos;
+
+  switch (bitDepth) {
+    case 16:
+      return line[index * 2] << 8 | line[index * 2 + 1];
+    case 8:
+      return line[index];
+    default:
+      // 8 ビット未満のサンプルは上位ビットから詰められている
+      bitPos = index * bitDepth;
+      return (line[bitPos >> 3] >> (8 - bitDepth - (bitPos & 7))) &
+        ((1 << bitDepth) - 1);
+  }
+};
+
+/**
+ * 8 ビット未満のグレースケールのサンプルを 0-255 に広げる
+ * @param {number} sample bitDepth ビットのサンプル値.
+ * @return {number} sampleDepth ビットのサンプル値.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.scaleSample_ = function(sample) {
+  var bitDepth = this.bitDepth;
+
+  if (bitDepth >= 8) {
+    return sample;
+  }
+
+  return sample * 255 / ((1 << bitDepth) - 1) + 0.5 | 0;
+};
+
+/**
+ * 1 ピクセルあたりのサンプル数を取得する
+ * @return {number} サンプル数.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.getChannels_ = function() {
+  switch (this.colourType) {
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
+    case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:
+      return 1;
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:
+      return 2;
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR:
+      return 3;
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:
+      return 4;
+    default:
+      throw new Error('unknown colour type');
+  }
+};
+
+/**
+ * network byte order の 32 ビット整数を読み込む
+ * @param {!(Array.<number>|Uint8Array)} data 読み込むデータ.
+ * @param {number} pos 読み込み位置.
+ * @return {number} 符号なし整数.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.readUint32_ = function(data, pos) {
+  return (data[pos] << 24 | data[pos + 1] << 16 |
+          data[pos + 2] << 8 | data[pos + 3]) >>> 0;
+};
+
+/**
+ * network byte order の 16 ビット整数を読み込む
+ * @param {!(Array.<number>|Uint8Array)} data 読み込むデータ.
+ * @param {number} pos 読み込み位置.
+ * @return {number} 符号なし整数.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.readUint16_ = function(data, pos) {
+  return data[pos] << 8 | data[pos + 1];
+};
+
+/**
+ * null separator の位置を取得する
+ * @param {!Array.<number>} data チャンクデータ.
+ * @param {number} start 検索の開始位置.
+ * @return {number} null separator の位置.
+ * @private
+ */
+CanvasTool.PngDecoder.prototype.indexOfNull_ = function(data, start) {
+  var index = data.indexOf(0, start);
+
+  if (index === -1) {
+    throw new Error('null separator not found');
+  }
+
+  return index;
+};
+
+/**
+ * 配列の末尾への結合を破壊的に行う.
+ * @param {!Array} dst 結合先となる配列.
+ * @param {!(Array|Uint8Array)} src 結合元となる配列.
+ * @return {number} 結合後の長さ.
+ * @private
+ */
+function push_(dst, src) {
+  var i = 0, l = src.length;
+
+  for (; i < l; i++) {
+    dst.push(src[i]);
+  }
+
+  return dst.length;
+}
+
+/**
+ * 配列の一部を通常の配列として切り出す.
+ * @param {!(Array|Uint8Array)} arraylike 切り出す配列.
+ * @param {number} start 開始 index.
+ * @param {number} length 切り出す長さ.
+ * @return {!Array.<number>} 切り出した配列.
+ * @private
+ */
+function slice_(arraylike, start, length) {
+  return Array.prototype.slice.call(arraylike, start, start + length);
+}
+
+/**
+ * 型付き配列を通常の配列に変換する.
+ * @param {!(Array|Uint8Array)} arraylike 変換する配列.
+ * @return {!Array.<number>} 変換した配列.
+ * @private
+ */
+function toArray_(arraylike) {
+  return Array.prototype.slice.call(arraylike);
+}
+
+/**
+ * bytearray から string へ変換
+ * @param {!(Array|Uint8Array)} bytearray 変換する byte array.
+ * @return {string} 変換した文字列.
+ * @private
+ */
+function str_(bytearray) {
+  var tmp = [], i = 0, l = bytearray.length;
+
+  for (; i < l; i++) {
+    tmp[i] = String.fromCharCode(bytearray[i]);
+  }
+
+  return tmp.join('');
+}
+
+/**
+ * UTF-8 文字列を通常の文字列に変換する
+ * @param {string} str UTF-8 文字列.
+ * @return {string} 変換した文字列.
+ * @private
+ */
+function utf16_(str) {
+  return decodeURIComponent(escape(str));
+}
+
+/**
+ * Paeth 予測
+ * @param {number} a 左のバイト.
+ * @param {number} b 上のバイト.
+ * @param {number} c 左上のバイト.
+ * @return {number} 予測値.
+ * @private
+ */
+function paethPredictor_(a, b, c) {
+  var p = a + b - c,
+      pa = Math.abs(p - a),
+      pb = Math.abs(p - b),
+      pc = Math.abs(p - c);
+
+  return (pa <= pb && pa <= pc) ? a : (pb <= pc) ? b : c;
+}
+
+// end of scope
+});
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+
+if (!CanvasTool.PngEncoder.NO_EXPORT) {
+  goog.exportSymbol(
+    'CanvasTool.PngDecoder',
+    CanvasTool.PngDecoder
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngDecoder.prototype.decode',
+    CanvasTool.PngDecoder.prototype.decode
+  );
+}
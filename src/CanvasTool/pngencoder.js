@@ -5,38 +5,67 @@
 
 goog.provide('CanvasTool.PngEncoder');
 
+goog.require('USE_TYPEDARRAY');
 goog.require('Zlib.Deflate');
 goog.require('Zlib.CRC32');
+goog.require('CanvasTool.DeflateStream');
+goog.require('CanvasTool.MedianCut');
+goog.require('CanvasTool.Dither');
+goog.require('CanvasTool.ExifBuilder');
+goog.require('CanvasTool.XmpBuilder');
 
 goog.scope(function() {
 
 /**
  * Canvas to PNG converter
- * @param {!(Element|Array|Uint8Array|CanvasPixelArray)} canvas 対象となる
- *     Canvas エレメント, もしくはその CanvasPixelArray 互換の配列.
- * @param {!Object=} opt_param 変換オプション. canvas が Canvas エレメントの場合
- *     以外では、かならず width と height が必要となる.
+ * @param {!(Element|Object|Array|Uint8Array|Uint16Array|CanvasPixelArray)}
+ *     canvas 対象となる Canvas エレメント, OffscreenCanvas, ImageData,
+ *     ImageBitmap, 2D コンテキスト, もしくは CanvasPixelArray 互換の配列.
+ *     Uint16Array の場合は 16 ビットのサンプル (0-65535) として扱う.
+ * @param {!Object=} opt_param 変換オプション. canvas が配列の場合は
+ *     かならず width と height が必要となる.
+ *     sourceRect ({x, y, width, height}) を指定した場合は
+ *     その範囲のみを変換する.
+ *     WebGL の readPixels で取得したデータのように下から上に並んでいる場合は
+ *     flipY, RGB にαが乗算済みの場合は premultipliedAlpha を true にする.
+ *     sourceRect は反転前の入力データに対する範囲となる.
+ *     gamma, chrm, srgb, sbit, iccp, bkgd, hist, phys, splt, time, text,
+ *     ztxt, itxt, textEntries, exif, xmp, trns, trnsKey は同名のプロパティと
+ *     同じ形式で指定し, 不正な値の場合は構築時に例外を投げる.
  * @constructor
  */
 CanvasTool.PngEncoder = function(canvas, opt_param) {
-  var ctx, width, height;
+  var rect, image, width, height;
 
   /**
-   * @type {!(Array|CanvasPixelArray|Uint8Array)}
+   * @type {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)}
    */
   this.data;
 
-  if (canvas instanceof Element) {
-    width = canvas.width;
-    height = canvas.height;
+  /**
+   * 入力データのサンプル毎のビット数 (8 or 16)
+   * @type {number}
+   */
+  this.sampleDepth = 8;
 
-    /**
-     * 2D コンテキスト
-     * @type {Object}
-     */
-    ctx = canvas.getContext('2d');
+  /**
+   * addChunk で追加したチャンク
+   * @type {!Array.<{chunk: !(Array|Uint8Array),
+   *     position: CanvasTool.PngEncoder.ChunkPosition}>}
+   * @protected
+   */
+  this.customChunks_ = [];
+
+  if (typeof opt_param === 'object' && opt_param !== null) {
+    rect = opt_param['sourceRect'];
+  }
+
+  image = CanvasTool.PngEncoder.getImageData(canvas, rect);
 
-    this.data = ctx.getImageData(0, 0, width, height).data;
+  if (image !== null) {
+    width = image.width;
+    height = image.height;
+    this.data = image.data;
   } else if (typeof(canvas.length) === 'number') {
     if (typeof opt_param !== 'object') {
       throw new Error('need opt_param object');
@@ -50,14 +79,122 @@ CanvasTool.PngEncoder = function(canvas, opt_param) {
 
     width = opt_param['width'];
     height = opt_param['height'];
-    this.data = canvas;
+    this.data =
+      /** @type {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} */(canvas);
+
+    if (rect !== void 0) {
+      rect = normalizeRect_(rect, width, height);
+      this.data = cropPixels_(this.data, width, rect);
+      width = rect.width;
+      height = rect.height;
+    }
+
+    if (typeof opt_param['sampleDepth'] === 'number') {
+      this.sampleDepth = opt_param['sampleDepth'];
+    } else if (typeof Uint16Array !== 'undefined' &&
+               canvas instanceof Uint16Array) {
+      this.sampleDepth = 16;
+    }
   } else {
     throw new Error('invalid arguments');
   }
 
+  // 上下反転, αの除算 (入力データは変更せずにコピーに対して行う)
+  if (typeof opt_param === 'object' && opt_param !== null &&
+      (opt_param['flipY'] === true ||
+       opt_param['premultipliedAlpha'] === true)) {
+    this.data = convertPixels_(
+      this.data,
+      width,
+      height,
+      opt_param['flipY'] === true,
+      opt_param['premultipliedAlpha'] === true,
+      (1 << this.sampleDepth) - 1
+    );
+  }
+
   this.setParameters(width, height, opt_param);
 };
 
+/**
+ * 画像ソースから RGBA のピクセルデータを取得する
+ * Canvas エレメント, OffscreenCanvas, 2D コンテキストは getImageData で,
+ * ImageBitmap は一時的な Canvas に描画してから取得する.
+ * ImageData はそのピクセルデータを使用し, 範囲指定がある場合のみコピーする.
+ * @param {*} source 画像ソース.
+ * @param {Object=} opt_rect 取得する範囲 ({x, y, width, height}).
+ *     省略時は画像全体.
+ * @return {?{data: !(Array|CanvasPixelArray|Uint8Array|Uint8ClampedArray|
+ *     Uint16Array), width: number, height: number}} ピクセルデータと大きさ.
+ *     画像ソースでない場合 (配列など) は null.
+ */
+CanvasTool.PngEncoder.getImageData = function(source, opt_rect) {
+  var ctx, canvas, rect;
+
+  if (typeof source !== 'object' || source === null) {
+    return null;
+  }
+
+  // ImageData
+  if (typeof ImageData !== 'undefined' && source instanceof ImageData) {
+    if (opt_rect === void 0) {
+      return {data: source.data, width: source.width, height: source.height};
+    }
+    rect = normalizeRect_(opt_rect, source.width, source.height);
+    return {
+      data: cropPixels_(source.data, source.width, rect),
+      width: rect.width,
+      height: rect.height
+    };
+  }
+
+  // ImageBitmap
+  if (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) {
+    rect = normalizeRect_(opt_rect, source.width, source.height);
+    if (typeof OffscreenCanvas !== 'undefined') {
+      canvas = new OffscreenCanvas(rect.width, rect.height);
+    } else {
+      canvas = document.createElement('canvas');
+      canvas.width = rect.width;
+      canvas.height = rect.height;
+    }
+    ctx = canvas.getContext('2d');
+    ctx.drawImage(
+      source,
+      rect.x, rect.y, rect.width, rect.height,
+      0, 0, rect.width, rect.height
+    );
+    return {
+      data: ctx.getImageData(0, 0, rect.width, rect.height).data,
+      width: rect.width,
+      height: rect.height
+    };
+  }
+
+  // CanvasRenderingContext2D, OffscreenCanvasRenderingContext2D
+  if (typeof source.getImageData === 'function') {
+    ctx = source;
+    canvas = source.canvas;
+  // HTMLCanvasElement, OffscreenCanvas
+  } else if (typeof source.getContext === 'function') {
+    ctx = source.getContext('2d');
+    canvas = source;
+    if (!ctx) {
+      throw new Error('2d context not available');
+    }
+  } else {
+    return null;
+  }
+
+  rect = normalizeRect_(opt_rect, canvas.width, canvas.height);
+
+  return {
+    data: ctx.getImageData(rect.x, rect.y, rect.width, rect.height).data,
+    width: rect.width,
+    height: rect.height
+  };
+};
+
 /**
  * PNG パラメータの設定
  * @param {!number} width 横幅.
@@ -118,9 +255,13 @@ function(width, height, opt_param) {
 
   /**
    * 基本フィルタのタイプ
-   * @type {!CanvasTool.PngEncoder.BasicFilterType}
+   * 配列の場合はスキャンライン毎 (Adam7 の場合は各パスのスキャンライン毎) の
+   * フィルタタイプとして扱う
+   * @type {!(CanvasTool.PngEncoder.BasicFilterType|
+   *     Array.<CanvasTool.PngEncoder.BasicFilterType>)}
    */
-  this.filterType = (typeof opt_param['filterType'] === 'number') ?
+  this.filterType = (typeof opt_param['filterType'] === 'number' ||
+                     opt_param['filterType'] instanceof Array) ?
     opt_param['filterType'] :
     CanvasTool.PngEncoder.BasicFilterType.NONE;
 
@@ -136,7 +277,7 @@ function(width, height, opt_param) {
    * ガンマ値 ( undefined の場合 gAMA チャンクは付与されない)
    * @type {!number}
    */
-  this.gamma;
+  this.gamma = opt_param['gamma'];
 
   /**
    * 基礎色度 ( undefined の場合 cHRM チャンクは付与されない)
@@ -151,7 +292,7 @@ function(width, height, opt_param) {
    *   blueX: number,
    *   blueY: number}}
    */
-  this.chrm;
+  this.chrm = opt_param['chrm'];
 
   /**
    * 推奨パレット
@@ -164,19 +305,19 @@ function(width, height, opt_param) {
    *   num: number
    * }}
    */
-  this.splt;
+  this.splt = opt_param['splt'];
 
   /**
    * Standard RGB colour space ( undefined の場合 sRGB チャンクは付与されない)
    * @type {!CanvasTool.PngEncoder.RenderingIntent}
    */
-  this.srgb;
+  this.srgb = opt_param['srgb'];
 
   /**
    * Significant bits ( undefined の場合 sBIT チャンクは付与されない)
    * @type {!Array.<number>}
    */
-  this.sbit;
+  this.sbit = opt_param['sbit'];
 
   /**
    * ICC プロファイル ( undefined の場合 iCCP チャンクは付与されない)
@@ -186,13 +327,23 @@ function(width, height, opt_param) {
    *   profile: !Array
    * }}
    */
-  this.iccp;
+  this.iccp = opt_param['iccp'];
+
+  /**
+   * 背景色 ( undefined の場合 bKGD チャンクは付与されない)
+   * グレースケールでは [Gray], それ以外では [Red, Green, Blue] で指定する.
+   * Indexed-Colour では背景色もパレットに含める.
+   * auto の場合は指定した色空間の入力データのサンプル値で指定し,
+   * 選択された色空間とビット深度に合わせて変換される.
+   * @type {!Array.<number>}
+   */
+  this.bkgd = opt_param['bkgd'];
 
   /**
    * Image Histogram を保存するかどうか (true で hIST チャンクを付与する)
    * @type {boolean}
    */
-  this.hist = false;
+  this.hist = (opt_param['hist'] !== void 0) ? opt_param['hist'] : false;
 
   /**
    * Physical pixel dimensions
@@ -202,13 +353,13 @@ function(width, height, opt_param) {
    *   unit: CanvasTool.PngEncoder.UnitSpecifier
    * }}
    */
-  this.phys;
+  this.phys = opt_param['phys'];
 
   /**
    * Image last-modification time
    * @type {Date}
    */
-  this.time;
+  this.time = opt_param['time'];
 
   /**
    * Textual data
@@ -217,7 +368,7 @@ function(width, height, opt_param) {
    *   text: string
    * }}
    */
-  this.text;
+  this.text = opt_param['text'];
 
   /**
    * Compressed textual data
@@ -227,13 +378,79 @@ function(width, height, opt_param) {
    *   compressionMethod: CanvasTool.PngEncoder.CompressionMethod
    * }}
    */
-  this.ztxt;
+  this.ztxt = opt_param['ztxt'];
+
+  /**
+   * International textual data
+   * compressionMethod が null の場合は圧縮しない.
+   * @type {!{
+   *   keyword: string,
+   *   text: string,
+   *   lang: (string|undefined),
+   *   translatedKeyword: (string|undefined),
+   *   compressionMethod: ?CanvasTool.PngEncoder.CompressionMethod
+   * }}
+   */
+  this.itxt = opt_param['itxt'];
+
+  /**
+   * テキストデータのリスト ( undefined の場合は付与されない)
+   * 各エントリは以下のプロパティを持つオブジェクト.
+   * keyword: キーワード (Latin-1 で 1-79 文字).
+   * text: テキスト.
+   * compressed: 圧縮するか (省略時は TextCompressionThreshold で判定).
+   * lang: 言語タグ (省略可).
+   * translatedKeyword: 翻訳したキーワード (省略可).
+   * テキストが Latin-1 で lang, translatedKeyword の指定がなければ
+   * tEXt (圧縮する場合は zTXt), それ以外では iTXt を使用する.
+   * @type {Array.<!Object>}
+   */
+  this.textEntries = opt_param['textEntries'];
+
+  /**
+   * EXIF データ ( undefined の場合 eXIf チャンクは付与されない)
+   * TIFF 形式のバイナリ, もしくは CanvasTool.ExifBuilder に渡すタグ名と値の
+   * オブジェクト.
+   * @type {!(Array|Uint8Array|Object)}
+   */
+  this.exif = opt_param['exif'];
+
+  /**
+   * XMP データ ( undefined の場合は付与されない)
+   * XMP パケットの文字列, もしくは CanvasTool.XmpBuilder に渡すプロパティ名と
+   * 値のオブジェクト. 非圧縮の iTXt チャンクとして IDAT の前に格納する.
+   * @type {(string|Object)}
+   */
+  this.xmp = opt_param['xmp'];
 
   /**
    * パレット使用時にαチャンネルを保存するか
    * @type {boolean}
    */
-  this.trns = true;
+  this.trns = (opt_param['trns'] !== void 0) ? opt_param['trns'] : true;
+
+  /**
+   * パレット使用時に色数が上限を超える場合に減色するか
+   * @type {boolean}
+   */
+  this.quantize = (opt_param['quantize'] === true);
+
+  /**
+   * 減色時 (パレットの減色, 8 ビット未満のグレースケール) のディザリング方法
+   * @type {CanvasTool.Dither.Method}
+   */
+  this.dither = (typeof opt_param['dither'] === 'number') ?
+    opt_param['dither'] :
+    CanvasTool.Dither.Method.NONE;
+
+  /**
+   * Grayscale, Truecolor で透明として扱う色
+   * ( undefined の場合 tRNS チャンクは付与されない)
+   * Grayscale では [Gray], Truecolor では [Red, Green, Blue] をビット深度に
+   * 合わせた値で指定する.
+   * @type {!Array.<number>}
+   */
+  this.trnsKey = opt_param['trnsKey'];
 
   /**
    * Deflate 設定
@@ -242,22 +459,25 @@ function(width, height, opt_param) {
   this.deflateOption = opt_param['deflateOption'];
 
   /**
-   * フィルタメソッド
-   * @type {function(!Array, number):!Array}
-   * @private
+   * IDAT チャンク 1 つあたりの最大データ長 (byte)
+   * 圧縮したイメージデータをこの長さ毎に複数の IDAT チャンクに分割する.
+   * 0 の場合は分割しない.
+   * @type {number}
    */
-  this.filter_;
+  this.idatChunkSize = (typeof opt_param['idatChunkSize'] === 'number') ?
+    opt_param['idatChunkSize'] : 0;
 
   /**
    * フィルタ(Up, Average, Paeth)で使用する直前のライン
-   * @type {Array}
-   * @private
+   * @type {(Array|Uint8Array)}
+   * @protected
    */
   this.prevLine_ = null;
 
   /**
    * インターレースメソッド
-   * @type {function(!Array.<Array.<number>>):!Array.<number>}
+   * @type {function(!(Array|Uint8Array|Uint16Array), number, number):
+   *     !Array.<CanvasTool.PngEncoder.Pass_>}
    * @private
    */
   this.interlace_;
@@ -291,6 +511,22 @@ function(width, height, opt_param) {
    */
   this.paletteHistogram_ = [];
 
+  /**
+   * パレットの減色に使用した Median Cut (減色していない場合は null)
+   * @type {CanvasTool.MedianCut}
+   * @private
+   */
+  this.quantizer_ = null;
+
+  // 背景色は指定された色空間で検証する (auto で色空間が変わる前に行う)
+  this.validateBackground_();
+
+  // 可逆な範囲で最小の色空間とビット深度を自動で選択する
+  // (colourType, bitDepth の指定は上書きされる)
+  if (opt_param['auto'] === true) {
+    this.selectLosslessFormat_();
+  }
+
   // バリデーション
   this.validate_();
 };
@@ -319,7 +555,24 @@ CanvasTool.PngEncoder.ChunkType = {
   TEXT: bytearray_('tEXt'),
   ZTXT: bytearray_('zTXt'),
   ITXT: bytearray_('iTXt'),
-  TIME: bytearray_('tIME')
+  TIME: bytearray_('tIME'),
+  EXIF: bytearray_('eXIf'),
+  // APNG
+  ACTL: bytearray_('acTL'),
+  FCTL: bytearray_('fcTL'),
+  FDAT: bytearray_('fdAT')
+};
+
+/**
+ * addChunk で追加するチャンクの位置
+ * BEFORE_PLTE は PLTE がない場合も同じ位置 (sRGB などの後) に配置する.
+ * @enum {string}
+ */
+CanvasTool.PngEncoder.ChunkPosition = {
+  AFTER_IHDR: 'afterIHDR',
+  BEFORE_PLTE: 'beforePLTE',
+  BEFORE_IDAT: 'beforeIDAT',
+  AFTER_IDAT: 'afterIDAT'
 };
 
 /**
@@ -365,6 +618,9 @@ CanvasTool.PngEncoder.FilterMethod = {
 
 /**
  * 基本となる 5 種類のフィルタ
+ * ADAPTIVE, BRUTE_FORCE は PNG のフィルタタイプではなく、スキャンライン毎に
+ * 5 種類のフィルタから最適なものを選択するモード.
+ * BRUTE_FORCE は実際に Deflate 圧縮を行って選択するため非常に遅い.
  * @enum {number}
  */
 CanvasTool.PngEncoder.BasicFilterType = {
@@ -372,7 +628,9 @@ CanvasTool.PngEncoder.BasicFilterType = {
   SUB: 1,
   UP: 2,
   AVERAGE: 3,
-  PAETH: 4
+  PAETH: 4,
+  ADAPTIVE: 5,
+  BRUTE_FORCE: 6
 };
 
 /**
@@ -455,7 +713,7 @@ CanvasTool.PngEncoder.Adam7Table_ = [
  * @return {!string} PNGバイナリ.
  */
 CanvasTool.PngEncoder.prototype.convert = function(opt_canvasArray) {
-  return str_(this.convertToArray());
+  return str_(this.makePng_());
 };
 
 /**
@@ -463,64 +721,462 @@ CanvasTool.PngEncoder.prototype.convert = function(opt_canvasArray) {
  * @return {!Array} PNG バイナリ byte array.
  */
 CanvasTool.PngEncoder.prototype.convertToArray = function() {
-  var png = [], imageInfo;
+  var png = this.makePng_();
 
-  imageInfo = this.makeImageArray(this.data);
+  return USE_TYPEDARRAY ?
+    Array.prototype.slice.call(png) : /** @type {!Array} */(png);
+};
+
+/**
+ * PNG の作成
+ * fetch や FileReader, Node.js の Buffer などにそのまま渡すことができる.
+ * 配列の buffer プロパティから ArrayBuffer も取得できる.
+ * @return {!Uint8Array} PNG バイナリ.
+ */
+CanvasTool.PngEncoder.prototype.convertToUint8Array = function() {
+  var png = this.makePng_();
+
+  return USE_TYPEDARRAY ?
+    /** @type {!Uint8Array} */(png) : new Uint8Array(png);
+};
+
+/**
+ * PNG の作成
+ * @return {!Blob} image/png の Blob.
+ */
+CanvasTool.PngEncoder.prototype.convertToBlob = function() {
+  return new Blob([this.convertToUint8Array()], {'type': 'image/png'});
+};
+
+/**
+ * PNG の作成
+ * @return {string} image/png の data URL.
+ */
+CanvasTool.PngEncoder.prototype.convertToDataURL = function() {
+  return 'data:image/png;base64,' + base64_(this.makePng_());
+};
+
+/**
+ * 独自のチャンクを追加する
+ * チャンクタイプは補助 (1 文字目が小文字), 予約ビットなし (3 文字目が大文字)
+ * である必要がある. プライベート (2 文字目が小文字) でない場合は,
+ * エンコーダが作成するチャンクと重複してはならない.
+ * 4 文字目はコピー安全ビットで, 大文字の場合は画像データに依存するチャンクと
+ * して画像を編集したツールからは破棄される. このビットは safeToCopy
+ * オプションと一致している必要がある.
+ * @param {string} type チャンクタイプ (例: 'prVt').
+ * @param {!(Array|Uint8Array)} data チャンクデータ byte array.
+ * @param {Object=} opt_option 以下のプロパティを持つオブジェクト.
+ *     position: 配置する位置 (CanvasTool.PngEncoder.ChunkPosition).
+ *     省略時は IDAT の前.
+ *     safeToCopy: 画像データを編集したツールがチャンクをコピーしてよいか.
+ *     true の場合は 4 文字目が小文字, false の場合は大文字となる.
+ *     省略時は true.
+ */
+CanvasTool.PngEncoder.prototype.addChunk = function(type, data, opt_option) {
+  var position = CanvasTool.PngEncoder.ChunkPosition.BEFORE_IDAT,
+      safeToCopy = true,
+      i, l;
+
+  if (typeof opt_option === 'object' && opt_option !== null) {
+    if (opt_option['position'] !== void 0) {
+      position = opt_option['position'];
+    }
+    if (opt_option['safeToCopy'] !== void 0) {
+      safeToCopy = opt_option['safeToCopy'];
+    }
+  }
+
+  switch (position) {
+    case CanvasTool.PngEncoder.ChunkPosition.AFTER_IHDR:
+    case CanvasTool.PngEncoder.ChunkPosition.BEFORE_PLTE:
+    case CanvasTool.PngEncoder.ChunkPosition.BEFORE_IDAT:
+    case CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT:
+      break;
+    default:
+      throw new Error('invalid chunk position: ' + position);
+  }
+
+  if (typeof safeToCopy !== 'boolean') {
+    throw new Error('safeToCopy must be a boolean');
+  }
+
+  validateChunkType_(type, safeToCopy);
+
+  if (typeof data !== 'object' || data === null ||
+      typeof data.length !== 'number') {
+    throw new Error('chunk data must be a byte array');
+  }
+  if (data.length > 0x7fffffff) {
+    throw new Error('chunk data too long: ' + data.length);
+  }
+  for (i = 0, l = data.length; i < l; i++) {
+    if (!isUint_(data[i], 0xff)) {
+      throw new Error('invalid byte in chunk data: ' + data[i]);
+    }
+  }
+
+  this.customChunks_.push({
+    // 独自のチャンクタイプも ChunkType と同じ byte array として扱う
+    chunk: this.makeChunk_(
+      /** @type {CanvasTool.PngEncoder.ChunkType} */(bytearray_(type)),
+      data
+    ),
+    position: position
+  });
+};
+
+/**
+ * addChunk で追加したチャンクのうち, 指定した位置のものを追加する
+ * @param {!Array} png チャンクを追加する配列.
+ * @param {CanvasTool.PngEncoder.ChunkPosition} position 配置する位置.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.pushCustomChunks_ = function(png, position) {
+  var chunks = this.customChunks_, i, l;
+
+  for (i = 0, l = chunks.length; i < l; i++) {
+    if (chunks[i].position === position) {
+      png.push(chunks[i].chunk);
+    }
+  }
+};
+
+/**
+ * PNG の作成
+ * @return {!(Array|Uint8Array)} PNG バイナリ byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.makePng_ = function() {
+  var imageInfo = this.makeImageArray(this.data),
+      regions = this.getImageRegions_(imageInfo.IDAT),
+      imageData = [],
+      region, index, length;
+
+  for (index = 0, length = regions.length; index < length; index++) {
+    region = regions[index];
+    imageData[index] =
+      this.makeImageData_(region.pixelArray, region.width, region.height);
+  }
+
+  return this.assemblePng_(imageInfo, imageData);
+};
+
+/**
+ * 非同期で PNG の作成を行う
+ * ヒストグラムと減色, スキャンライン毎のフィルタ, 圧縮の各段階を
+ * timeSlice ミリ秒毎に中断し, イベントループに処理を戻す.
+ * @param {Object=} opt_option 以下のプロパティを持つオブジェクト.
+ *     signal: 中断に使用する AbortSignal.
+ *     onProgress: 進捗 (0-1) を受け取るコールバック関数.
+ *     timeSlice: 1 回に処理を行う時間 (ミリ秒).
+ * @return {!Promise.<!Uint8Array>} PNG バイナリを返す Promise.
+ */
+CanvasTool.PngEncoder.prototype.encodeAsync = function(opt_option) {
+  var encoder = this,
+      option = opt_option || {},
+      signal = option['signal'],
+      onProgress = option['onProgress'],
+      timeSlice = (typeof(option['timeSlice']) === 'number') ?
+        option['timeSlice'] : CanvasTool.PngEncoder.TimeSlice;
+
+  return new Promise(function(resolve, reject) {
+    var Phase = CanvasTool.PngEncoder.AsyncPhase_,
+        phase = Phase.IMAGE_ARRAY,
+        imageData = [], state = null,
+        totalRows = 0, doneRows = 0, current = 0,
+        arrayState = null,
+        imageInfo, regions;
+
+    /**
+     * イメージ配列作成の途中経過の取得
+     * @return {!CanvasTool.PngEncoder.ImageArrayState_} 途中経過.
+     */
+    function currentArrayState() {
+      if (arrayState === null) {
+        arrayState = encoder.beginImageArray_(encoder.data);
+      }
+
+      return /** @type {!CanvasTool.PngEncoder.ImageArrayState_} */(
+        arrayState
+      );
+    }
+
+    /**
+     * 処理中の領域の途中経過の取得
+     * @return {!CanvasTool.PngEncoder.ImageDataState_} 途中経過.
+     */
+    function currentState() {
+      var region;
+
+      if (state === null) {
+        region = regions[current];
+        state = encoder.beginImageData_(
+          region.pixelArray, region.width, region.height
+        );
+      }
+
+      return /** @type {!CanvasTool.PngEncoder.ImageDataState_} */(state);
+    }
+
+    /**
+     * 進捗の通知
+     * @param {number} value 全体の進捗 (0-1).
+     */
+    function notify(value) {
+      if (typeof(onProgress) === 'function') {
+        onProgress(value);
+      }
+    }
+
+    /**
+     * 領域の進捗の通知 (ヒストグラム 10%, フィルタ 70%, 圧縮 20% の割合)
+     * @param {number} ratio 処理中の領域の進捗 (0-1).
+     */
+    function progress(ratio) {
+      notify(
+        0.1 + 0.9 * (doneRows + regions[current].height * ratio) / totalRows
+      );
+    }
+
+    function step() {
+      var png, index, length;
+
+      if (signal && signal.aborted) {
+        reject(
+          signal.reason !== void 0 ? signal.reason : new Error('encode aborted')
+        );
+        return;
+      }
+
+      try {
+        switch (phase) {
+          // ヒストグラムの作成, パレットの作成
+          case Phase.IMAGE_ARRAY:
+            if (!encoder.continueImageArray_(
+                  currentArrayState(), Date.now() + timeSlice)) {
+              notify(0.1 * arrayState.progress());
+              break;
+            }
+            imageInfo = {
+              PLTE: arrayState.palette,
+              tRNS: arrayState.alphaPalette,
+              IDAT: arrayState.pixelArray
+            };
+            regions = encoder.getImageRegions_(imageInfo.IDAT);
+            for (index = 0, length = regions.length; index < length; index++) {
+              totalRows += regions[index].height;
+            }
+            progress(0);
+            phase = Phase.FILTER;
+            break;
+          // スキャンライン毎のフィルタ
+          case Phase.FILTER:
+            if (encoder.filterImageData_(
+                  currentState(), Date.now() + timeSlice)) {
+              phase = Phase.COMPRESS;
+            }
+            progress(state.rows > 0 ? 0.8 * state.row / state.rows : 0.8);
+            break;
+          // 圧縮
+          case Phase.COMPRESS:
+            if (!encoder.deflateImageData_(
+                  currentState(), Date.now() + timeSlice)) {
+              progress(0.8 + 0.2 * state.deflatePos / state.idat.length);
+              break;
+            }
+            imageData[current] = state.compressed[0];
+            state = null;
+            progress(1);
+            doneRows += regions[current].height;
+            if (current + 1 < regions.length) {
+              current++;
+              phase = Phase.FILTER;
+            } else {
+              phase = Phase.ASSEMBLE;
+            }
+            break;
+          // チャンクの作成
+          case Phase.ASSEMBLE:
+            png = encoder.assemblePng_(imageInfo, imageData);
+            resolve(USE_TYPEDARRAY ? png : new Uint8Array(png));
+            return;
+          default:
+            throw new Error('unknown phase');
+        }
+      } catch (e) {
+        reject(e);
+        return;
+      }
+
+      setTimeout(step, 0);
+    }
+
+    step();
+  });
+};
+
+/**
+ * encodeAsync の処理段階
+ * @enum {number}
+ * @private
+ */
+CanvasTool.PngEncoder.AsyncPhase_ = {
+  IMAGE_ARRAY: 0,
+  FILTER: 1,
+  COMPRESS: 2,
+  ASSEMBLE: 3
+};
+
+/**
+ * encodeAsync で 1 回に処理を行う時間のデフォルト値 (ミリ秒)
+ * @type {number}
+ * @const
+ */
+CanvasTool.PngEncoder.TimeSlice = 16;
+
+/**
+ * イメージデータの圧縮で圧縮器に一度に渡すデータの長さ
+ * encodeAsync ではこの区切りで圧縮を中断する.
+ * @type {number}
+ * @const
+ */
+CanvasTool.PngEncoder.DeflateSliceSize = 0x8000;
+
+/**
+ * textEntries で compressed を省略した時に圧縮を行うテキストの長さ
+ * (UTF-8 での byte 数)
+ * @type {number}
+ * @const
+ */
+CanvasTool.PngEncoder.TextCompressionThreshold = 1024;
+
+/**
+ * 入力データを構成する領域の大きさのリストを取得する
+ * 入力データは各領域のピクセルを順に連結したものとして扱う.
+ * 静止画では画像全体の 1 領域となる.
+ * @return {!Array.<{width: number, height: number}>} 領域の大きさのリスト.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.getRegionSizes_ = function() {
+  return [{width: this.width, height: this.height}];
+};
+
+/**
+ * イメージデータを作成する領域のリストを取得する
+ * 静止画では画像全体の 1 領域となる.
+ * @param {!(Array|Uint8Array|Uint16Array)} pixelArray イメージのサンプル配列.
+ * @return {!Array.<{
+ *   pixelArray: !(Array|Uint8Array|Uint16Array),
+ *   width: number,
+ *   height: number
+ * }>} 領域のリスト.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.getImageRegions_ = function(pixelArray) {
+  return [{pixelArray: pixelArray, width: this.width, height: this.height}];
+};
+
+/**
+ * 各チャンクを作成した後、最後に 1 つのバッファに連結する.
+ * @param {!Object} imageInfo makeImageArray で作成したイメージ情報.
+ * @param {!Array.<!(Array|Uint8Array)>} imageData
+ *     getImageRegions_ の領域毎の圧縮したイメージデータ.
+ * @return {!(Array|Uint8Array)} PNG バイナリ byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.assemblePng_ = function(imageInfo, imageData) {
+  var png = this.makeLeadingChunks_(imageInfo), chunks, index, length;
+
+  // IDAT
+  chunks = this.makeImageChunks_(imageData);
+  for (index = 0, length = chunks.length; index < length; index++) {
+    png.push(chunks[index]);
+  }
+
+  // addChunk で追加したチャンク
+  this.pushCustomChunks_(png, CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT);
+
+  // IEND
+  png.push(this.makeIEND_());
+
+  return concat_(png);
+};
+
+/**
+ * シグネチャと画像データより前に配置するチャンクの作成
+ * @param {!Object} imageInfo makeImageArray で作成したイメージ情報.
+ * @return {!Array.<!(Array|Uint8Array)>} シグネチャとチャンクバイナリのリスト.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.makeLeadingChunks_ = function(imageInfo) {
+  var png = [], i, l;
 
   // signature
-  push_(png, CanvasTool.PngEncoder.Signature);
+  png.push(CanvasTool.PngEncoder.Signature);
 
   // IHDR
-  push_(png, this.makeIHDR_());
+  png.push(this.makeIHDR_());
+
+  // addChunk で追加したチャンク
+  this.pushCustomChunks_(png, CanvasTool.PngEncoder.ChunkPosition.AFTER_IHDR);
 
   // cHRM
   if (typeof(this.chrm) === 'object' && this.chrm !== null) {
-    push_(png, this.makecHRM_(this.chrm));
+    png.push(this.makecHRM_(this.chrm));
   }
 
   // gAMA
   if (typeof(this.gamma) === 'number') {
-    push_(png, this.makegAMA_(this.gamma));
+    png.push(this.makegAMA_(this.gamma));
   }
 
   // iCCP
   if (typeof(this.iccp) === 'object' && this.iccp !== null) {
-    push_(png, this.makeiCCP_(this.iccp));
+    png.push(this.makeiCCP_(this.iccp));
   }
 
   // sBIT
   if (this.sbit instanceof Array) {
-    push_(png, this.makesBIT_(this.sbit));
+    png.push(this.makesBIT_(this.sbit));
   }
 
   // sRGB
   if (typeof(this.srgb) === 'number') {
-    push_(png, this.makesRGB_(this.srgb));
+    png.push(this.makesRGB_(this.srgb));
   }
 
+  // addChunk で追加したチャンク (PLTE がない場合も同じ位置)
+  this.pushCustomChunks_(png, CanvasTool.PngEncoder.ChunkPosition.BEFORE_PLTE);
+
   // PLTE
   switch (this.colourType) {
     case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:
-      push_(png, this.makePLTE_(imageInfo.PLTE));
+      png.push(this.makePLTE_(imageInfo.PLTE));
       this.palette_ = imageInfo.PLTE;
 
       // bKGD
       if (this.bkgd instanceof Array) {
-        push_(png, this.makebKGD_(this.bkgd, this.palette_));
+        png.push(this.makebKGD_(this.bkgd, this.palette_));
       }
 
       // hIST
       if (this.hist) {
-        push_(png, this.makehIST_(this.paletteHistogram_));
+        png.push(this.makehIST_(this.paletteHistogram_));
       }
 
       // tRNS
       if (this.trns) {
-        push_(png, this.maketRNS_(imageInfo.tRNS));
+        png.push(this.maketRNS_(imageInfo.tRNS));
       }
       break;
     case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
     case CanvasTool.PngEncoder.ColourType.TRUECOLOR:
+      // tRNS
+      if (this.trnsKey instanceof Array) {
+        png.push(this.maketRNS_(this.trnsKey));
+      }
+      break;
     case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:
     case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:
       break;
@@ -528,41 +1184,62 @@ CanvasTool.PngEncoder.prototype.convertToArray = function() {
       throw new Error('unknown colour type');
   }
 
+  // bKGD (Indexed-Colour 以外)
+  if (this.colourType !== CanvasTool.PngEncoder.ColourType.INDEXED_COLOR &&
+      this.bkgd instanceof Array) {
+    png.push(this.makebKGD_(this.bkgd, []));
+  }
+
   // pHYs
   if (typeof(this.phys) === 'object' && this.phys !== null) {
-    push_(png, this.makepHYs_(this.phys));
+    png.push(this.makepHYs_(this.phys));
   }
 
   // sPLT
   if (typeof(this.splt) === 'object' && this.splt !== null) {
-    push_(png, this.makesPLT_(this.splt, this.colourHistogram_));
+    png.push(this.makesPLT_(this.splt, this.colourHistogram_));
   }
 
   // tIME
   if (this.time instanceof Date) {
-    push_(png, this.maketIME_(this.time));
+    png.push(this.maketIME_(this.time));
+  }
+
+  // eXIf
+  if (typeof(this.exif) === 'object' && this.exif !== null) {
+    png.push(this.makeeXIf_(this.exif));
+  }
+
+  // iTXt (XMP)
+  if (typeof(this.xmp) === 'string' ||
+      typeof(this.xmp) === 'object' && this.xmp !== null) {
+    png.push(this.makeXmp_(this.xmp));
   }
 
   // tEXt
   if (typeof(this.text) === 'object' && this.text !== null) {
-    push_(png, this.maketEXt_(this.text));
+    png.push(this.maketEXt_(this.text));
   }
 
   // zTXt
   if (typeof(this.ztxt) === 'object' && this.ztxt !== null) {
-    push_(png, this.makezTXt_(this.ztxt));
+    png.push(this.makezTXt_(this.ztxt));
   }
 
   // iTXt
   if (typeof(this.itxt) === 'object' && this.itxt !== null) {
-    push_(png, this.makeiTXt_(this.itxt));
+    png.push(this.makeiTXt_(this.itxt));
   }
 
-  // IDAT
-  push_(png, this.makeIDAT_(imageInfo.IDAT));
+  // tEXt, zTXt, iTXt
+  if (this.textEntries instanceof Array) {
+    for (i = 0, l = this.textEntries.length; i < l; i++) {
+      png.push(this.makeTextChunk_(this.textEntries[i]));
+    }
+  }
 
-  // IEND
-  push_(png, this.makeIEND_());
+  // addChunk で追加したチャンク
+  this.pushCustomChunks_(png, CanvasTool.PngEncoder.ChunkPosition.BEFORE_IDAT);
 
   return png;
 };
@@ -595,6 +1272,10 @@ CanvasTool.PngEncoder.prototype.getPalette = function() {
 CanvasTool.PngEncoder.prototype.validate_ = function() {
   var allowDepth, i, l, isArrow = false;
 
+  if (this.sampleDepth !== 8 && this.sampleDepth !== 16) {
+    throw new Error('invalid sample depth');
+  }
+
   switch (this.colourType) {
     case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
       allowDepth = [1, 2, 4, 8, 16];
@@ -621,21 +1302,238 @@ CanvasTool.PngEncoder.prototype.validate_ = function() {
   if (isArrow === false) {
     throw new Error('invalid parameter');
   }
+
+  switch (this.dither) {
+    case CanvasTool.Dither.Method.NONE:
+    case CanvasTool.Dither.Method.FLOYD_STEINBERG:
+    case CanvasTool.Dither.Method.ATKINSON:
+    case CanvasTool.Dither.Method.ORDERED:
+      break;
+    default:
+      throw new Error('unknown dither method');
+  }
+
+  // チャンクのデータ長は 2^31 - 1 まで
+  if (!(this.idatChunkSize >= 0 && this.idatChunkSize <= 0x7fffffff) ||
+      this.idatChunkSize % 1 !== 0) {
+    throw new Error('invalid idat chunk size');
+  }
+
+  this.validateAncillaryChunks_();
 };
 
 /**
- * Image Header
- * @return {!Array} IHDR チャンクバイナリ byte array.
+ * 背景色の設定のバリデーション
+ * auto で色空間が変わる前に, 指定された色空間に対して検証する.
  * @private
  */
-CanvasTool.PngEncoder.prototype.makeIHDR_ = function() {
-  var data = [];
+CanvasTool.PngEncoder.prototype.validateBackground_ = function() {
+  var ColourType = CanvasTool.PngEncoder.ColourType,
+      l;
 
-  push_(data, this.networkByteOrder_(this.width, 4));
-  push_(data, this.networkByteOrder_(this.height, 4));
-  push_(data, this.networkByteOrder_(this.bitDepth, 1));
-  push_(data, this.networkByteOrder_(this.colourType, 1));
-  push_(data, this.networkByteOrder_(this.compressionMethod, 1));
+  if (this.bkgd === void 0) {
+    return;
+  }
+
+  validateColour_('bkgd', this.bkgd);
+  l = (this.colourType === ColourType.GRAYSCALE ||
+       this.colourType === ColourType.GRAYSCALE_WITH_ALPHA) ? 1 : 3;
+  if (this.bkgd.length !== l) {
+    throw new Error(
+      'bkgd must be ' + (l === 1 ? '[gray]' : '[red, green, blue]') +
+      ' for colour type ' + this.colourType
+    );
+  }
+};
+
+/**
+ * 補助チャンクの設定のバリデーション
+ * undefined の設定はチャンクを付与しないため検証しない.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.validateAncillaryChunks_ = function() {
+  var ColourType = CanvasTool.PngEncoder.ColourType,
+      channels = this.getChannels_(),
+      chrm = this.chrm,
+      iccp = this.iccp,
+      phys = this.phys,
+      splt = this.splt,
+      itxt = this.itxt,
+      i, l;
+
+  // gAMA
+  if (this.gamma !== void 0 &&
+      !(typeof this.gamma === 'number' && this.gamma > 0 &&
+        isFinite(this.gamma))) {
+    throw new Error('gamma must be a positive number: ' + this.gamma);
+  }
+
+  // cHRM
+  if (chrm !== void 0) {
+    validateObject_('chrm', chrm);
+    validateChromaticity_('chrm.whitePointX', chrm['whitePointX']);
+    validateChromaticity_('chrm.whitePointY', chrm['whitePointY']);
+    validateChromaticity_('chrm.redX', chrm['redX']);
+    validateChromaticity_('chrm.redY', chrm['redY']);
+    validateChromaticity_('chrm.greenX', chrm['greenX']);
+    validateChromaticity_('chrm.greenY', chrm['greenY']);
+    validateChromaticity_('chrm.blueX', chrm['blueX']);
+    validateChromaticity_('chrm.blueY', chrm['blueY']);
+  }
+
+  // sRGB
+  if (this.srgb !== void 0 && !isUint_(this.srgb, 3)) {
+    throw new Error('invalid srgb rendering intent: ' + this.srgb);
+  }
+
+  // sBIT (Indexed-Colour では Red, Green, Blue)
+  if (this.sbit !== void 0) {
+    l = (this.colourType === ColourType.INDEXED_COLOR) ? 3 : channels;
+    if (!(this.sbit instanceof Array) || this.sbit.length !== l) {
+      throw new Error('sbit must be an array of ' + l + ' bit counts');
+    }
+    for (i = 0, l = this.sbit.length; i < l; i++) {
+      if (!isUint_(this.sbit[i], 16) || this.sbit[i] === 0) {
+        throw new Error('sbit must be 1-16: ' + this.sbit[i]);
+      }
+    }
+  }
+
+  // iCCP
+  if (iccp !== void 0) {
+    validateObject_('iccp', iccp);
+    validateKeyword_(iccp['name']);
+    if (iccp['compressionMethod'] !==
+        CanvasTool.PngEncoder.CompressionMethod.DEFLATE) {
+      throw new Error('unknown ICC Profile compression method');
+    }
+    if (typeof iccp['profile'] !== 'object' || iccp['profile'] === null ||
+        typeof iccp['profile'].length !== 'number') {
+      throw new Error('iccp.profile must be a byte array');
+    }
+  }
+
+  // tRNS (bKGD は validateBackground_ で検証する)
+  if (this.trnsKey !== void 0) {
+    validateColour_('trnsKey', this.trnsKey);
+  }
+  if (typeof this.trns !== 'boolean') {
+    throw new Error('trns must be a boolean');
+  }
+
+  // hIST
+  if (typeof this.hist !== 'boolean') {
+    throw new Error('hist must be a boolean');
+  }
+
+  // pHYs
+  if (phys !== void 0) {
+    validateObject_('phys', phys);
+    if (!isUint_(phys['x'], 0xffffffff) || !isUint_(phys['y'], 0xffffffff)) {
+      throw new Error('phys.x and phys.y must be 0-4294967295');
+    }
+    if (phys['unit'] !== CanvasTool.PngEncoder.UnitSpecifier.UNKNOWN &&
+        phys['unit'] !== CanvasTool.PngEncoder.UnitSpecifier.METRE) {
+      throw new Error('invalid phys.unit: ' + phys['unit']);
+    }
+  }
+
+  // sPLT
+  if (splt !== void 0) {
+    validateObject_('splt', splt);
+    validateKeyword_(splt['name']);
+    if (typeof splt['num'] !== 'number' || splt['num'] % 1 !== 0) {
+      throw new Error('splt.num must be an integer: ' + splt['num']);
+    }
+  }
+
+  // tIME
+  if (this.time !== void 0 &&
+      !(this.time instanceof Date && !isNaN(this.time.getTime()))) {
+    throw new Error('time must be a valid Date');
+  }
+
+  // tEXt
+  if (this.text !== void 0) {
+    validateText_('text', this.text);
+    validateLatin1Text_('tEXt', this.text['text']);
+  }
+
+  // zTXt
+  if (this.ztxt !== void 0) {
+    validateText_('ztxt', this.ztxt);
+    validateLatin1Text_('zTXt', this.ztxt['text']);
+    if (this.ztxt['compressionMethod'] !==
+        CanvasTool.PngEncoder.CompressionMethod.DEFLATE) {
+      throw new Error('unknown compression method');
+    }
+  }
+
+  // iTXt
+  if (itxt !== void 0) {
+    validateText_('itxt', itxt);
+    validateLanguageTag_(itxt['lang']);
+    if (itxt['translatedKeyword'] !== void 0 &&
+        typeof itxt['translatedKeyword'] !== 'string') {
+      throw new Error('itxt.translatedKeyword must be a string');
+    }
+    if (itxt['compressionMethod'] !== void 0 &&
+        itxt['compressionMethod'] !== null &&
+        itxt['compressionMethod'] !==
+        CanvasTool.PngEncoder.CompressionMethod.DEFLATE) {
+      throw new Error('unknown compression method');
+    }
+  }
+
+  // textEntries
+  if (this.textEntries !== void 0) {
+    if (!(this.textEntries instanceof Array)) {
+      throw new Error('textEntries must be an array');
+    }
+    for (i = 0, l = this.textEntries.length; i < l; i++) {
+      validateObject_('text entry', this.textEntries[i]);
+      validateKeyword_(this.textEntries[i]['keyword']);
+      if (typeof this.textEntries[i]['text'] !== 'string') {
+        throw new Error('text entry needs keyword and text');
+      }
+      validateLanguageTag_(this.textEntries[i]['lang']);
+      if (this.textEntries[i]['compressed'] !== void 0 &&
+          typeof this.textEntries[i]['compressed'] !== 'boolean') {
+        throw new Error('text entry compressed must be a boolean');
+      }
+      if (this.textEntries[i]['translatedKeyword'] !== void 0 &&
+          typeof this.textEntries[i]['translatedKeyword'] !== 'string') {
+        throw new Error('text entry translatedKeyword must be a string');
+      }
+    }
+  }
+
+  // eXIf
+  if (this.exif !== void 0 &&
+      (typeof this.exif !== 'object' || this.exif === null)) {
+    throw new Error('exif must be a byte array or a tag object');
+  }
+
+  // XMP
+  if (this.xmp !== void 0 && typeof this.xmp !== 'string' &&
+      (typeof this.xmp !== 'object' || this.xmp === null)) {
+    throw new Error('xmp must be a packet string or a property object');
+  }
+};
+
+/**
+ * Image Header
+ * @return {!(Array|Uint8Array)} IHDR チャンクバイナリ byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.makeIHDR_ = function() {
+  var data = [];
+
+  push_(data, this.networkByteOrder_(this.width, 4));
+  push_(data, this.networkByteOrder_(this.height, 4));
+  push_(data, this.networkByteOrder_(this.bitDepth, 1));
+  push_(data, this.networkByteOrder_(this.colourType, 1));
+  push_(data, this.networkByteOrder_(this.compressionMethod, 1));
   push_(data, this.networkByteOrder_(this.filterMethod, 1));
   push_(data, this.networkByteOrder_(this.interlaceMethod, 1));
 
@@ -646,53 +1544,476 @@ CanvasTool.PngEncoder.prototype.makeIHDR_ = function() {
  * make PLTE and IDAT data
  * @return {!Object} PLTE プロパティにパレット、IDAT プロパティにピクセル配列,
  *     tRNS プロパティに透明度パレットを含むオブジェクト.
+ *     ピクセル配列は出力するサンプルを RGBA などの順に並べた一次元配列.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makeImageArray = function(canvasArray) {
-  var pixelArray = [], img = canvasArray,
+  var state = this.beginImageArray_(canvasArray);
+
+  this.continueImageArray_(state, Infinity);
+
+  return {
+    PLTE: state.palette,
+    tRNS: state.alphaPalette,
+    IDAT: state.pixelArray
+  };
+};
+
+/**
+ * イメージ配列作成の段階
+ * @enum {number}
+ * @private
+ */
+CanvasTool.PngEncoder.ImageArrayStep_ = {
+  HISTOGRAM: 0,
+  QUANTIZE: 1,
+  QUANTIZE_TABLE: 2,
+  PALETTE: 3,
+  PIXELS: 4,
+  DONE: 5
+};
+
+/**
+ * イメージ配列作成の途中経過
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} canvasArray
+ *     入力データ.
+ * @param {!(Array|Uint8Array|Uint16Array)} pixelArray
+ *     出力するサンプルを格納する配列.
+ * @constructor
+ * @private
+ */
+CanvasTool.PngEncoder.ImageArrayState_ = function(canvasArray, pixelArray) {
+  /** @type {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} */
+  this.canvasArray = canvasArray;
+  /** @type {!(Array|Uint8Array|Uint16Array)} */
+  this.pixelArray = pixelArray;
+  /** @type {CanvasTool.PngEncoder.ImageArrayStep_} 処理中の段階. */
+  this.step = CanvasTool.PngEncoder.ImageArrayStep_.HISTOGRAM;
+  /** @type {number} 処理中の入力データの位置. */
+  this.index = 0;
+  /** @type {number} pixelArray の書き込み位置. */
+  this.pos = 0;
+  /** @type {!Object.<(number|string), number>} 推奨パレット用の色の位置. */
+  this.histogramIndex = {};
+  /** @type {!Object.<number, number>} パレット用の色のキー毎の出現回数. */
+  this.paletteTemp = {};
+  /** @type {!Array.<Object>} 減色の対象とする色のリスト. */
+  this.colours = [];
+  /** @type {!Array.<number>} colours の色のキー. */
+  this.colourKeys = [];
+  /** @type {!Array.<number>} 減色後のパレットの色のキー. */
+  this.quantizeKeys = [];
+  /** @type {Object.<number, number>} 減色前から減色後の色のキーへの変換. */
+  this.quantizeTable = null;
+  /** @type {!Object.<number, number>} 色のキーからパレットインデックス. */
+  this.revTable = {};
+  /** @type {!Array.<number>} パレット. */
+  this.palette = [];
+  /** @type {!Array.<number>} 透明度パレット. */
+  this.alphaPalette = [];
+  /** @type {CanvasTool.PngEncoder.RegionDither_} 領域毎のディザリング. */
+  this.regionDither = null;
+};
+
+/**
+ * イメージ配列作成の進捗
+ * ヒストグラムの作成と出力するサンプルの作成をそれぞれ半分とする.
+ * @return {number} 進捗 (0-1).
+ */
+CanvasTool.PngEncoder.ImageArrayState_.prototype.progress = function() {
+  var Step = CanvasTool.PngEncoder.ImageArrayStep_,
+      length = this.canvasArray.length,
+      ratio = length > 0 ? this.index / length : 1;
+
+  switch (this.step) {
+    case Step.HISTOGRAM:
+      return 0.5 * ratio;
+    case Step.PIXELS:
+      return 0.5 + 0.5 * ratio;
+    case Step.DONE:
+      return 1;
+    default:
+      return 0.5;
+  }
+};
+
+/**
+ * イメージ配列作成の開始
+ * 出力するサンプルの配列を確保し, 必要な段階を決定する.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} canvasArray
+ *     入力データ.
+ * @return {!CanvasTool.PngEncoder.ImageArrayState_} 途中経過.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.beginImageArray_ = function(canvasArray) {
+  var Step = CanvasTool.PngEncoder.ImageArrayStep_,
+      method = this.dither,
+      state = new CanvasTool.PngEncoder.ImageArrayState_(
+        canvasArray,
+        new (USE_TYPEDARRAY ?
+          (this.bitDepth === 16 ? Uint16Array : Uint8Array) :
+          Array)((canvasArray.length >> 2) * this.getChannels_())
+      ),
+      levels, sampleMax;
+
+  // ヒストグラム (推奨パレットでのみ使用する)
+  if (typeof(this.splt) === 'object' && this.splt !== null) {
+    this.colourHistogram_ = [];
+  } else if (this.colourType !==
+             CanvasTool.PngEncoder.ColourType.INDEXED_COLOR) {
+    state.step = Step.PIXELS;
+  }
+
+  // 8 ビット未満のグレースケールは切り捨てではなくディザリングで量子化する
+  if (method !== CanvasTool.Dither.Method.NONE &&
+      this.colourType === CanvasTool.PngEncoder.ColourType.GRAYSCALE &&
+      this.bitDepth < 8) {
+    levels = (1 << this.bitDepth) - 1;
+    sampleMax = (1 << this.sampleDepth) - 1;
+    state.regionDither = new CanvasTool.PngEncoder.RegionDither_(
+      this.getRegionSizes_(),
+      function(width) {
+        return new CanvasTool.Dither(
+          method, width, 1, sampleMax, sampleMax / levels
+        );
+      }
+    );
+  }
+
+  return state;
+};
+
+/**
+ * イメージ配列作成の処理
+ * 期限を過ぎた場合はスキャンラインや減色の区切りで処理を中断する.
+ * @param {!CanvasTool.PngEncoder.ImageArrayState_} state 途中経過.
+ * @param {number} deadline 処理を中断する時刻 (Date.now() の値).
+ * @return {boolean} イメージ配列の作成が完了したか.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.continueImageArray_ =
+function(state, deadline) {
+  var Step = CanvasTool.PngEncoder.ImageArrayStep_;
+
+  while (state.step !== Step.DONE) {
+    switch (state.step) {
+      // 色毎の出現回数
+      case Step.HISTOGRAM:
+        if (!this.eachImageRow_(state, deadline, this.countColours_)) {
+          return false;
+        }
+        state.index = 0;
+        state.step = this.beginQuantize_(state) ?
+          Step.QUANTIZE : Step.PALETTE;
+        break;
+      // 色数が上限を超える場合は減色したパレットを作成する
+      case Step.QUANTIZE:
+        if (!this.quantizer_.quantizeUntil(
+              this.getMaxPaletteColours_(), deadline)) {
+          return false;
+        }
+        this.beginQuantizeTable_(state);
+        state.step = Step.QUANTIZE_TABLE;
+        break;
+      case Step.QUANTIZE_TABLE:
+        if (!this.makeQuantizeTable_(state, deadline)) {
+          return false;
+        }
+        state.step = Step.PALETTE;
+        break;
+      // パレットの作成
+      case Step.PALETTE:
+        if (this.colourType ===
+            CanvasTool.PngEncoder.ColourType.INDEXED_COLOR) {
+          this.makePalette_(state);
+        }
+        state.step = Step.PIXELS;
+        break;
+      // 出力するサンプルの作成
+      case Step.PIXELS:
+        if (!this.eachImageRow_(state, deadline, this.convertPixels_)) {
+          return false;
+        }
+        state.step = Step.DONE;
+        break;
+      default:
+        throw new Error('unknown image array step');
+    }
+  }
+
+  return true;
+};
+
+/**
+ * 入力データをスキャンライン毎に処理する
+ * 期限を過ぎた場合はスキャンラインの区切りで処理を中断する.
+ * @param {!CanvasTool.PngEncoder.ImageArrayState_} state 途中経過.
+ * @param {number} deadline 処理を中断する時刻 (Date.now() の値).
+ * @param {function(this:CanvasTool.PngEncoder,
+ *     !CanvasTool.PngEncoder.ImageArrayState_, number, number)} process
+ *     入力データの開始位置と終了位置を受け取り処理する関数.
+ * @return {boolean} 全ての入力データの処理が完了したか.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.eachImageRow_ =
+function(state, deadline, process) {
+  var length = state.canvasArray.length,
+      rowLength = this.width * 4,
+      processed = 0,
+      end;
+
+  while (state.index < length) {
+    // 最低 1 スキャンラインは処理する
+    if (processed > 0 && Date.now() >= deadline) {
+      return false;
+    }
+
+    end = Math.min(state.index + rowLength, length);
+    process.call(this, state, state.index, end);
+    state.index = end;
+    processed++;
+  }
+
+  return true;
+};
+
+/**
+ * 入力データの範囲の色毎の出現回数を数える
+ * @param {!CanvasTool.PngEncoder.ImageArrayState_} state 途中経過.
+ * @param {number} start 入力データの開始位置.
+ * @param {number} end 入力データの終了位置.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.countColours_ = function(state, start, end) {
+  var canvasArray = state.canvasArray,
+      paletteTemp = state.paletteTemp,
       saveAlpha = this.trns,
-      depth = this.bitDepth,
-      palette = [], alphaPalette = [], paletteTemp = {}, revTable = {},
-      paletteKeys = [],
-      red = 0, green = 0, blue = 0, alpha = 0,
-      histIndex = {}, hi = 0, hl = 0,
-      color, withAlpha, index, length, tmp, max, mod;
+      key, index;
 
-  /*
-   * パレットの作成を ColourType に関わらず行っているのは
-   * 減色パレットを作成するときの為
-   */
-  for (index = 0, length = canvasArray.length; index < length; index += 4) {
-    if (saveAlpha) {
-      color = this.rgba2str_(this.slice_(canvasArray, index, 4));
-    } else {
-      color = this.rgb2str_(this.slice_(canvasArray, index, 3));
+  if (typeof(this.splt) === 'object' && this.splt !== null) {
+    this.addColourHistogram_(
+      this.colourHistogram_, state.histogramIndex, canvasArray, start, end
+    );
+  }
+
+  if (this.colourType === CanvasTool.PngEncoder.ColourType.INDEXED_COLOR) {
+    for (index = start; index < end; index += 4) {
+      key = this.pixelKey_(canvasArray, index, saveAlpha);
+      paletteTemp[key] = (paletteTemp[key] | 0) + 1;
     }
-    paletteTemp[color] = (paletteTemp[color] | 0) + 1;
+  }
+};
 
-    // ヒストグラム
-    red = canvasArray[index];
-    green = canvasArray[index + 1];
-    blue = canvasArray[index + 2];
-    alpha = canvasArray[index + 3];
-    hi = ((red << 8 | green) << 8 | blue) << 8 | alpha;
+/**
+ * パレットの最大色数
+ * 背景色を指定した場合は背景色を追加するための領域を空けておく.
+ * @return {number} 減色後の最大色数.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.getMaxPaletteColours_ = function() {
+  return (1 << this.bitDepth) - (this.bkgd instanceof Array ? 1 : 0);
+};
 
-    if (histIndex[hi] === undefined) {
-      hl = this.colourHistogram_.length;
-      this.colourHistogram_.push({
-        red: red,
-        green: green,
-        blue: blue,
-        alpha: alpha,
-        count: 0
-      });
-      histIndex[hi] = hl;
+/**
+ * Median Cut による減色の開始
+ * @param {!CanvasTool.PngEncoder.ImageArrayState_} state 途中経過.
+ * @return {boolean} 減色が必要か.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.beginQuantize_ = function(state) {
+  var paletteTemp = state.paletteTemp,
+      saveAlpha = this.trns,
+      colour, key;
+
+  if (!this.quantize ||
+      this.colourType !== CanvasTool.PngEncoder.ColourType.INDEXED_COLOR) {
+    return false;
+  }
+
+  for (key in paletteTemp) {
+    colour = this.keyToColour_(+key, saveAlpha);
+    state.colourKeys.push(+key);
+    state.colours.push({
+      red: colour[0],
+      green: colour[1],
+      blue: colour[2],
+      alpha: colour[3],
+      count: paletteTemp[+key]
+    });
+  }
+
+  if (state.colours.length <= this.getMaxPaletteColours_()) {
+    return false;
+  }
+
+  this.quantizer_ = new CanvasTool.MedianCut(state.colours, saveAlpha);
+
+  return true;
+};
+
+/**
+ * 減色後の色への変換テーブル作成の開始
+ * @param {!CanvasTool.PngEncoder.ImageArrayState_} state 途中経過.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.beginQuantizeTable_ = function(state) {
+  var palette = this.quantizer_.palette,
+      colour, index, length;
+
+  for (index = 0, length = palette.length; index < length; index++) {
+    colour = palette[index];
+    state.quantizeKeys[index] =
+      this.colourKey_(colour[0], colour[1], colour[2], colour[3], this.trns);
+  }
+
+  state.quantizeTable = {};
+};
+
+/**
+ * 減色前の色から減色後の色への変換テーブルの作成
+ * 期限を過ぎた場合は色の区切りで処理を中断する.
+ * @param {!CanvasTool.PngEncoder.ImageArrayState_} state 途中経過.
+ * @param {number} deadline 処理を中断する時刻 (Date.now() の値).
+ * @return {boolean} 全ての色の変換を作成したか.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.makeQuantizeTable_ =
+function(state, deadline) {
+  var colours = state.colours,
+      table = state.quantizeTable,
+      quantizer = this.quantizer_,
+      processed = 0,
+      colour, length;
+
+  for (length = colours.length; state.index < length; state.index++) {
+    // 最低 1 色は処理する
+    if (processed > 0 && Date.now() >= deadline) {
+      return false;
+    }
+
+    colour = colours[state.index];
+    table[state.colourKeys[state.index]] = state.quantizeKeys[
+      quantizer.nearest(colour.red, colour.green, colour.blue, colour.alpha)
+    ];
+    processed++;
+  }
+
+  state.index = 0;
+
+  return true;
+};
+
+/**
+ * インデックスカラーのパレットの作成
+ * @param {!CanvasTool.PngEncoder.ImageArrayState_} state 途中経過.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.makePalette_ = function(state) {
+  var saveAlpha = this.trns,
+      method = this.dither,
+      quantizeTable = state.quantizeTable,
+      paletteTemp = state.paletteTemp,
+      palette = state.palette,
+      alphaPalette = state.alphaPalette,
+      revTable = state.revTable,
+      paletteKeys = [],
+      color, key, index, length, spread, tmp;
+
+  // 減色したパレットの色毎の出現回数に置き換える
+  if (quantizeTable !== null) {
+    tmp = paletteTemp;
+    paletteTemp = {};
+    for (key in tmp) {
+      paletteTemp[quantizeTable[+key]] =
+        (paletteTemp[quantizeTable[+key]] | 0) + tmp[+key];
     }
+  }
+
+  // パレットの作成
+  for (key in paletteTemp) {
+    paletteKeys.push(+key);
+  }
+
+  // tRNS チャンクを付与する際はアルファ値 255 のパレットを後方に配置する
+  // (アルファ値, R, G, B の順に比較する)
+  if (saveAlpha) {
+    paletteKeys.sort(function(a, b) {
+      return ((a & 0xff) - (b & 0xff)) || (a - b);
+    });
+  }
+
+  for (index = 0, length = paletteKeys.length; index < length; index++) {
+    key = paletteKeys[index];
+    color = this.keyToColour_(key, saveAlpha);
+
+    if (color[3] !== 255) {
+      alphaPalette[index] = color[3];
+    }
+    revTable[key] = index;
+    palette.push(color[0]);
+    palette.push(color[1]);
+    palette.push(color[2]);
+  }
+
+  // 背景色が指定されていた場合, 背景色もパレットに含める
+  if (this.bkgd instanceof Array) {
+    if (this.bkgd.length !== 3) {
+      throw new Error('wrong background-color length');
+    }
+    key = this.colourKey_(
+      this.bkgd[0], this.bkgd[1], this.bkgd[2], 255, saveAlpha
+    );
+    if (!(key in paletteTemp)) {
+      if ((palette.length / 3) === (1 << this.bitDepth)) {
+        throw new Error('can not add background-color to palette');
+      }
+      palette.push(this.bkgd[0]);
+      palette.push(this.bkgd[1]);
+      palette.push(this.bkgd[2]);
+    }
+  }
 
-    this.colourHistogram_[histIndex[hi]].count++;
+  // パレット数のチェック
+  if ((palette.length / 3) > (1 << this.bitDepth)) {
+    throw new Error(
+      'over ' + (1 << this.bitDepth) + ' colors: ' + (palette.length / 3)
+    );
   }
 
-  withAlpha = (this.colourType & 0x04) > 0;
+  // ヒストグラムの初期化
+  for (index = 0, length = palette.length / 3; index < length; index++) {
+    this.paletteHistogram_[index] = 0;
+  }
+
+  // 減色した場合はディザリングを行う
+  if (quantizeTable !== null && method !== CanvasTool.Dither.Method.NONE) {
+    spread = 255 / Math.pow(this.quantizer_.palette.length, 1 / 3);
+    state.regionDither = new CanvasTool.PngEncoder.RegionDither_(
+      this.getRegionSizes_(),
+      function(width) {
+        return new CanvasTool.Dither(
+          method, width, saveAlpha ? 4 : 3, 255, spread
+        );
+      }
+    );
+  }
+};
+
+/**
+ * 入力データの範囲を出力するサンプルに変換する
+ * @param {!CanvasTool.PngEncoder.ImageArrayState_} state 途中経過.
+ * @param {number} start 入力データの開始位置.
+ * @param {number} end 入力データの終了位置.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.convertPixels_ = function(state, start, end) {
+  var canvasArray = state.canvasArray,
+      pixelArray = state.pixelArray,
+      regionDither = state.regionDither,
+      saveAlpha = this.trns,
+      withAlpha = (this.colourType & 0x04) > 0,
+      pos = state.pos,
+      ditherer, levels, sampleMax, color, key, index, tmp;
 
   /*
    * ColourType 別に IDAT の未圧縮データを作成する
@@ -701,131 +2022,367 @@ CanvasTool.PngEncoder.prototype.makeImageArray = function(canvasArray) {
     // Grayscale
     case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:
     case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
-      max = (8 / this.bitDepth);
+      levels = (1 << this.bitDepth) - 1;
+      sampleMax = (1 << this.sampleDepth) - 1;
 
-      for (index = 0, length = canvasArray.length; index < length; index += 4) {
-        color = this.rgb2y_.apply(this, this.slice_(canvasArray, index, 3));
-        alpha = canvasArray[index + 3];
+      for (index = start; index < end; index += 4) {
+        color = this.rgb2y_(
+          canvasArray[index], canvasArray[index + 1], canvasArray[index + 2]
+        );
 
-        if (depth < 8) {
-          color >>>= (8 - depth);
-          alpha >>>= (8 - depth);
+        if (regionDither !== null) {
+          ditherer = regionDither.moveTo(index >> 2);
+          tmp = ditherer.adjust([color], regionDither.x, regionDither.y);
+          color = tmp[0] * levels / sampleMax + 0.5 | 0;
+          ditherer.diffuse(tmp, [color * sampleMax / levels], regionDither.x);
+        } else {
+          color = this.scaleSample_(color);
         }
 
-        color = [color];
-
+        pixelArray[pos++] = color;
         if (withAlpha) {
-          color.push(alpha);
+          pixelArray[pos++] = this.scaleSample_(canvasArray[index + 3]);
         }
-
-        pixelArray.push(color);
       }
       break;
     // Truecolor
     case CanvasTool.PngEncoder.ColourType.TRUECOLOR:
     case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:
-      for (index = 0, length = canvasArray.length; index < length; index += 4) {
-        tmp = this.slice_(canvasArray, index, withAlpha ? 4 : 3);
-
-        pixelArray.push(tmp);
+      for (index = start; index < end; index += 4) {
+        pixelArray[pos++] = this.scaleSample_(canvasArray[index]);
+        pixelArray[pos++] = this.scaleSample_(canvasArray[index + 1]);
+        pixelArray[pos++] = this.scaleSample_(canvasArray[index + 2]);
+        if (withAlpha) {
+          pixelArray[pos++] = this.scaleSample_(canvasArray[index + 3]);
+        }
       }
       break;
     // Indexed-Color
     case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:
-      // XXX: 出現回数でsortした方が良いか？
-
-      // パレットの作成
-      for (color in paletteTemp) {
-        paletteKeys.push(color);
-      }
-
-      // tRNS チャンクを付与する際はアルファ値 255 のパレットを後方に配置する
-      if (saveAlpha) {
-        paletteKeys.sort(function(a, b) {
-          return (a.charCodeAt(3) < b.charCodeAt(3)) ? -1 :
-                 (a.charCodeAt(3) > b.charCodeAt(3)) ? 1 :
-                 (a.charCodeAt(0) < b.charCodeAt(0)) ? -1 :
-                 (a.charCodeAt(0) > b.charCodeAt(0)) ? 1 :
-                 (a.charCodeAt(1) < b.charCodeAt(1)) ? -1 :
-                 (a.charCodeAt(1) > b.charCodeAt(1)) ? 1 :
-                 (a.charCodeAt(2) < b.charCodeAt(2)) ? -1 :
-                 (a.charCodeAt(2) > b.charCodeAt(2)) ? 1 :
-                 0;
-        });
-        /*
-        for (index = 0, length = paletteKeys.length; index < length; index++) {
-          if (paletteKeys[index].charCodeAt(3) === 255) {
-            paletteKeys.push(paletteKeys.splice(index, 1).shift());
-            index--; length--;
+      for (index = start; index < end; index += 4) {
+        if (regionDither !== null) {
+          ditherer = regionDither.moveTo(index >> 2);
+          tmp = ditherer.adjust(
+            this.sliceSample8_(canvasArray, index, saveAlpha ? 4 : 3),
+            regionDither.x, regionDither.y
+          );
+          color = this.quantizer_.nearest(
+            tmp[0], tmp[1], tmp[2], saveAlpha ? tmp[3] : 255
+          );
+          ditherer.diffuse(
+            tmp, this.quantizer_.palette[color], regionDither.x
+          );
+          key = state.quantizeKeys[color];
+        } else {
+          key = this.pixelKey_(canvasArray, index, saveAlpha);
+          if (state.quantizeTable !== null) {
+            key = state.quantizeTable[key];
           }
         }
-        */
+        color = state.revTable[key];
+        this.paletteHistogram_[color]++;
+        pixelArray[pos++] = color;
       }
+      break;
+    default:
+      throw new Error('invalid colour type');
+  }
 
-      for (index = 0, length = paletteKeys.length; index < length; index++) {
-        color = paletteKeys[index];
+  state.pos = pos;
+};
 
-        if (saveAlpha) {
-          if (color.charCodeAt(3) !== 255) {
-            alphaPalette[index] = color.charCodeAt(3);
-          }
-          revTable[color] = index;
-        } else {
-          revTable[color.slice(0, 3)] = index;
-        }
-        palette.push(color.charCodeAt(0));
-        palette.push(color.charCodeAt(1));
-        palette.push(color.charCodeAt(2));
-      }
+/**
+ * 8 ビットの色をパレット用の整数のキーに変換する
+ * αチャンネルを含む場合は 0xRRGGBBAA, 含まない場合は 0xRRGGBB となる.
+ * @param {number} red 赤要素の値 (0-255).
+ * @param {number} green 緑要素の値 (0-255).
+ * @param {number} blue 青要素の値 (0-255).
+ * @param {number} alpha α値 (0-255).
+ * @param {boolean} withAlpha αチャンネルを含めるか.
+ * @return {number} 色のキー.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.colourKey_ =
+function(red, green, blue, alpha, withAlpha) {
+  var key = (red << 16 | green << 8 | blue);
 
-      // 背景色が指定されていた場合, 背景色もパレットに含める
-      if (this.bkgd instanceof Array) {
-        if (this.bkgd.length !== 3) {
-          throw new Error('wrong background-color length');
-        }
-        if (!(this.rgb2str_(this.bkgd) in paletteTemp)) {
-          if ((palette.length / 3) === (1 << this.bitDepth)) {
-            throw new Error('can not add background-color to palette');
-          }
-          palette.push(this.bkgd[0]);
-          palette.push(this.bkgd[1]);
-          palette.push(this.bkgd[2]);
-        }
-      }
+  return withAlpha ? (key * 256 + alpha) : key;
+};
 
-      // パレット数のチェック
-      if ((palette.length / 3) > (1 << this.bitDepth)) {
-        throw new Error(
-          'over ' + (1 << this.bitDepth) + ' colors: ' + (palette.length / 3)
-        );
-      }
+/**
+ * 入力データのピクセルをパレット用の整数のキーに変換する
+ * 16 ビットのサンプルは上位 8 ビットを使用する.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} canvasArray
+ *     入力データ.
+ * @param {number} index ピクセルの開始 index.
+ * @param {boolean} withAlpha αチャンネルを含めるか.
+ * @return {number} 色のキー.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.pixelKey_ =
+function(canvasArray, index, withAlpha) {
+  var shift = this.sampleDepth - 8;
+
+  return this.colourKey_(
+    canvasArray[index] >>> shift,
+    canvasArray[index + 1] >>> shift,
+    canvasArray[index + 2] >>> shift,
+    canvasArray[index + 3] >>> shift,
+    withAlpha
+  );
+};
+
+/**
+ * パレット用の整数のキーを色に変換する
+ * @param {number} key 色のキー.
+ * @param {boolean} withAlpha キーがαチャンネルを含むか.
+ * @return {!Array.<number>} [R, G, B, A] 形式の色.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.keyToColour_ = function(key, withAlpha) {
+  var alpha = 255;
+
+  if (withAlpha) {
+    alpha = key % 256;
+    key = (key - alpha) / 256;
+  }
+
+  return [key >>> 16 & 0xff, key >>> 8 & 0xff, key & 0xff, alpha];
+};
+
+/**
+ * 色毎の出現回数を数える
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} canvasArray
+ *     RGBA の順に並んだ入力データ.
+ * @return {
+ *   !Array.<{
+ *     red: number,
+ *     green: number,
+ *     blue: number,
+ *     alpha: number,
+ *     count: number
+ *   }>
+ * } 出現した色毎の出現回数.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.makeColourHistogram_ = function(canvasArray) {
+  var histogram = [];
+
+  this.addColourHistogram_(histogram, {}, canvasArray, 0, canvasArray.length);
+
+  return histogram;
+};
+
+/**
+ * 入力データの範囲の色をヒストグラムに追加する
+ * @param {!Array.<Object>} histogram 追加先のヒストグラム.
+ * @param {!Object.<(number|string), number>} histIndex 色からヒストグラム内の
+ *     位置への変換テーブル.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} canvasArray
+ *     RGBA の順に並んだ入力データ.
+ * @param {number} start 入力データの開始位置.
+ * @param {number} end 入力データの終了位置.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.addColourHistogram_ =
+function(histogram, histIndex, canvasArray, start, end) {
+  var wideSample = (this.sampleDepth === 16),
+      red = 0, green = 0, blue = 0, alpha = 0,
+      hi = 0, hl = 0,
+      index;
+
+  for (index = start; index < end; index += 4) {
+    red = canvasArray[index];
+    green = canvasArray[index + 1];
+    blue = canvasArray[index + 2];
+    alpha = canvasArray[index + 3];
+    // 16 ビットのサンプルは 32 ビット整数に収まらないので文字列をキーにする
+    hi = wideSample ?
+      [red, green, blue, alpha].join(',') :
+      ((red << 8 | green) << 8 | blue) << 8 | alpha;
 
-      // ヒストグラムの初期化
-      for (index = 0, length = palette.length / 3; index < length; index++) {
-        this.paletteHistogram_[index] = 0;
+    if (histIndex[hi] === undefined) {
+      hl = histogram.length;
+      histogram.push({
+        red: red,
+        green: green,
+        blue: blue,
+        alpha: alpha,
+        count: 0
+      });
+      histIndex[hi] = hl;
+    }
+
+    histogram[histIndex[hi]].count++;
+  }
+};
+
+/**
+ * 全てのピクセルを走査し、可逆となる範囲で最小の色空間とビット深度を設定する.
+ * αチャンネルは全て不透明なら除去し、透明な色が 1 色のみなら tRNS で表現する.
+ * R=G=B ならグレースケールに、256 色以下ならパレットを使用する.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.selectLosslessFormat_ = function() {
+  var histogram = this.makeColourHistogram_(this.data),
+      wideSample = (this.sampleDepth === 16),
+      maxSample = (1 << this.sampleDepth) - 1,
+      isSampleDepth8 = true,
+      isGray = true,
+      isOpaque = true,
+      isBinaryAlpha = true,
+      transparent = [],
+      opaqueColours = {},
+      grayDepth = 1,
+      background = null,
+      sampleBits, useKey, colour, value, depth, bits, pixels,
+      colourType, bitDepth, index, length;
+
+  // 背景色も不透明な色として色空間とビット深度の選択に含める
+  if (this.bkgd instanceof Array) {
+    background = {
+      red: this.bkgd[0],
+      green: this.bkgd[this.bkgd.length === 3 ? 1 : 0],
+      blue: this.bkgd[this.bkgd.length === 3 ? 2 : 0],
+      alpha: maxSample,
+      count: 0
+    };
+    for (index = 0, length = histogram.length; index < length; index++) {
+      colour = histogram[index];
+      if (colour.red === background.red && colour.green === background.green &&
+          colour.blue === background.blue && colour.alpha === maxSample) {
+        break;
       }
+    }
+    if (index === length) {
+      histogram.push(background);
+    }
+  }
 
-      // make image array
-      for (index = 0, length = canvasArray.length; index < length; index += 4) {
-        if (saveAlpha) {
-          color = this.rgba2str_(this.slice_(canvasArray, index, 4));
-        } else {
-          color = this.rgb2str_(this.slice_(canvasArray, index, 3));
-        }
-        this.paletteHistogram_[revTable[color]]++;
-        pixelArray.push([revTable[color]]);
+  for (index = 0, length = histogram.length; index < length; index++) {
+    colour = histogram[index];
+
+    // 16 ビットのサンプルが上位・下位 byte で同じ値なら 8 ビットで表現できる
+    if (wideSample &&
+        (colour.red % 257 || colour.green % 257 ||
+         colour.blue % 257 || colour.alpha % 257)) {
+      isSampleDepth8 = false;
+    }
+
+    if (colour.red !== colour.green || colour.red !== colour.blue) {
+      isGray = false;
+    }
+
+    if (colour.alpha === maxSample) {
+      opaqueColours[[colour.red, colour.green, colour.blue].join(',')] = true;
+    } else {
+      isOpaque = false;
+      if (colour.alpha === 0) {
+        transparent.push(colour);
+      } else {
+        isBinaryAlpha = false;
       }
+    }
+  }
 
-      break;
-    default:
-      throw new Error('invalid colour type');
+  sampleBits = isSampleDepth8 ? 8 : 16;
+
+  // 透明な色が 1 色だけで、不透明なピクセルに同じ色が無ければ tRNS で表現できる
+  useKey = !isOpaque && isBinaryAlpha && transparent.length === 1 &&
+    !opaqueColours[
+      [transparent[0].red, transparent[0].green, transparent[0].blue].join(',')
+    ];
+
+  // グレーレベルが下位のビット深度を拡張した値になっているか調べる
+  if (isGray && isSampleDepth8) {
+    for (index = 0, length = histogram.length; index < length; index++) {
+      value = wideSample ? histogram[index].red >>> 8 : histogram[index].red;
+      depth = (value === 0 || value === 255) ? 1 :
+              (value % 85 === 0) ? 2 :
+              (value % 17 === 0) ? 4 :
+              8;
+      grayDepth = depth > grayDepth ? depth : grayDepth;
+    }
+  } else {
+    grayDepth = sampleBits;
   }
 
-  return {
-    PLTE: palette,
-    tRNS: alphaPalette,
-    IDAT: pixelArray
-  };
+  // Truecolor
+  if (isOpaque || useKey) {
+    colourType = CanvasTool.PngEncoder.ColourType.TRUECOLOR;
+    bits = sampleBits * 3;
+  } else {
+    colourType = CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA;
+    bits = sampleBits * 4;
+  }
+  bitDepth = sampleBits;
+
+  // Grayscale
+  if (isGray) {
+    if (isOpaque || useKey) {
+      colourType = CanvasTool.PngEncoder.ColourType.GRAYSCALE;
+      bitDepth = bits = grayDepth;
+    } else {
+      colourType = CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA;
+      bits = sampleBits * 2;
+    }
+  }
+
+  // Indexed-Color
+  // PLTE, tRNS チャンクの分を含めても小さくなる場合のみパレットを使用する
+  if (isSampleDepth8 && histogram.length <= 256) {
+    length = histogram.length;
+    depth = (length <= 2) ? 1 : (length <= 4) ? 2 : (length <= 16) ? 4 : 8;
+    pixels = this.width * this.height;
+
+    if (pixels * depth / 8 + length * (isOpaque ? 3 : 4) < pixels * bits / 8) {
+      colourType = CanvasTool.PngEncoder.ColourType.INDEXED_COLOR;
+      bitDepth = bits = depth;
+      useKey = false;
+      this.trns = !isOpaque;
+    }
+  }
+
+  this.colourType = colourType;
+  this.bitDepth = bitDepth;
+
+  // 背景色を選択した色空間とビット深度に合わせる
+  // (パレットは 8 ビットのサンプルで作成される)
+  if (background !== null) {
+    switch (colourType) {
+      case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
+      case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:
+        this.bkgd = [this.scaleSample_(background.red)];
+        break;
+      case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:
+        this.bkgd = [background.red, background.green, background.blue];
+        if (wideSample) {
+          this.bkgd = this.bkgd.map(function(sample) {
+            return sample >>> 8;
+          });
+        }
+        break;
+      default:
+        this.bkgd = [
+          this.scaleSample_(background.red),
+          this.scaleSample_(background.green),
+          this.scaleSample_(background.blue)
+        ];
+        break;
+    }
+  }
+
+  if (useKey) {
+    colour = transparent[0];
+    this.trnsKey =
+      (colourType === CanvasTool.PngEncoder.ColourType.GRAYSCALE) ?
+      [this.scaleSample_(colour.red)] :
+      [
+        this.scaleSample_(colour.red),
+        this.scaleSample_(colour.green),
+        this.scaleSample_(colour.blue)
+      ];
+  }
 };
 
 /**
@@ -839,20 +2396,21 @@ CanvasTool.PngEncoder.prototype.makeImageArray = function(canvasArray) {
  *   greenY: !number,
  *   blueX: !number,
  *   blueY: !number}} chrm 基礎色度情報.
- * @return {!Array} cHRM チャンク byte array.
+ * @return {!(Array|Uint8Array)} cHRM チャンク byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makecHRM_ = function(chrm) {
-  var data = [];
+  var data = [],
+      keys = [
+        'whitePointX', 'whitePointY', 'redX', 'redY',
+        'greenX', 'greenY', 'blueX', 'blueY'
+      ],
+      i, l;
 
-  push_(data, this.networkByteOrder_(chrm.whitePointX * 10000 | 0, 4));
-  push_(data, this.networkByteOrder_(chrm.whitePointY * 10000 | 0, 4));
-  push_(data, this.networkByteOrder_(chrm.redX * 10000 | 0, 4));
-  push_(data, this.networkByteOrder_(chrm.redY * 10000 | 0, 4));
-  push_(data, this.networkByteOrder_(chrm.greenX * 10000 | 0, 4));
-  push_(data, this.networkByteOrder_(chrm.greenY * 10000 | 0, 4));
-  push_(data, this.networkByteOrder_(chrm.blueX * 10000 | 0, 4));
-  push_(data, this.networkByteOrder_(chrm.blueY * 10000 | 0, 4));
+  // 値は 100000 倍した整数で格納する
+  for (i = 0, l = keys.length; i < l; i++) {
+    push_(data, this.networkByteOrder_(chrm[keys[i]] * 100000 + 0.5 | 0, 4));
+  }
 
   return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.CHRM, data);
 };
@@ -860,7 +2418,7 @@ CanvasTool.PngEncoder.prototype.makecHRM_ = function(chrm) {
 /**
  * ガンマ値
  * @param {!number} gamma ガンマ値.
- * @return {!Array} gAMA チャンク byte array.
+ * @return {!(Array|Uint8Array)} gAMA チャンク byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makegAMA_ = function(gamma) {
@@ -872,7 +2430,7 @@ CanvasTool.PngEncoder.prototype.makegAMA_ = function(gamma) {
 /**
  * Significant bits
  * @param {!Array.<number>} sbit 元データの各色の有効ビット数を格納した配列.
- * @return {!Array} sBIT チャンク byte array.
+ * @return {!(Array|Uint8Array)} sBIT チャンク byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makesBIT_ = function(sbit) {
@@ -927,7 +2485,7 @@ CanvasTool.PngEncoder.prototype.makesBIT_ = function(sbit) {
 /**
  * Standard RGB colour space.
  * @param {!CanvasTool.PngEncoder.RenderingIntent} ri レンダリング時の解釈仕様.
- * @return {!Array} sRGB チャンク byte array.
+ * @return {!(Array|Uint8Array)} sRGB チャンク byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makesRGB_ = function(ri) {
@@ -945,36 +2503,26 @@ CanvasTool.PngEncoder.prototype.makesRGB_ = function(ri) {
  *   compressionMethod: !CanvasTool.PngEncoder.CompressionMethod,
  *   profile: !Array
  * }} iccp ICCP プロファイル.
- * @return {!Array} iCCP チャンク byte array.
+ * @return {!(Array|Uint8Array)} iCCP チャンク byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makeiCCP_ = function(iccp) {
-  var data = [],
-      namearray, c, i, l;
+  var data = [];
 
   // profile name
-  namearray = bytearray_(iccp.name);
-  l = namearray.length;
-  if (l > 79) {
-    throw new Error('ICCP Profile name is over 79 characters');
-  }
-  for (i = 0; i < l; i++) {
-    if (!isLatin1Printable_(namearray[i])) {
-      throw new Error('wrong iccp profile name.');
-    }
-  }
-  push_(data, namearray);
+  validateKeyword_(iccp['name']);
+  push_(data, bytearray_(iccp['name']));
 
   // null separator
   data.push(0);
 
   // compression method
-  data.push(iccp.compressionMethod);
+  data.push(iccp['compressionMethod']);
 
   // profile
-  switch (iccp.compressionMethod) {
+  switch (iccp['compressionMethod']) {
     case CanvasTool.PngEncoder.CompressionMethod.DEFLATE:
-      push_(data, new Zlib.Deflate(iccp.profile, this.deflateOption).compress());
+      push_(data, new Zlib.Deflate(iccp['profile'], this.deflateOption).compress());
       break;
     default:
       throw new Error('unknown ICC Profile compression method');
@@ -994,7 +2542,7 @@ CanvasTool.PngEncoder.prototype.makeiCCP_ = function(iccp) {
  *     それ以外では Red, Green, Blue (0-65535) の順に格納された配列.
  *     ビット深度が16未満の際は下位ビットのみ使用される.
  * @param {!Array.<number>} palette Indexed-Colour の際に使用するパレット配列.
- * @return {!Array.<number>} bKGD チャンク byte array.
+ * @return {!(Array|Uint8Array)} bKGD チャンク byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makebKGD_ =
@@ -1056,7 +2604,7 @@ function(backgroundColour, palette) {
 /**
  * Image Histogram
  * @param {!Array.<number>} hist パレットエントリ毎の出現回数配列.
- * @return {!Array.<number>} hIST チャンク byte array.
+ * @return {!(Array|Uint8Array)} hIST チャンク byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makehIST_ = function(hist) {
@@ -1087,8 +2635,16 @@ CanvasTool.PngEncoder.prototype.makehIST_ = function(hist) {
  *   name: string,
  *   num: number
  * }} splt sPLT 設定オブジェクト.
- * @param {!Array.<number>} hist パレットエントリ毎の出現回数配列.
- * @return {!Array.<number>} sPLT チャンク byte array.
+ * @param {
+ *   !Array.<{
+ *     red: number,
+ *     green: number,
+ *     blue: number,
+ *     alpha: number,
+ *     count: number
+ *   }>
+ * } hist 出現した色毎の出現回数配列.
+ * @return {!(Array|Uint8Array)} sPLT チャンク byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makesPLT_ = function(splt, hist) {
@@ -1096,8 +2652,9 @@ CanvasTool.PngEncoder.prototype.makesPLT_ = function(splt, hist) {
       sortedHist,
       max = 0,
       i = 0,
-      l = splt.num < 0 ? hist.length : splt.num,
+      l = splt['num'] < 0 ? hist.length : splt['num'],
       freq = 0,
+      wideSample = (this.sampleDepth === 16),
       red, green, blue, alpha;
 
   // チャンクを付与しない
@@ -1106,7 +2663,7 @@ CanvasTool.PngEncoder.prototype.makesPLT_ = function(splt, hist) {
   }
 
   // name
-  push_(data, bytearray_(splt.name));
+  push_(data, bytearray_(splt['name']));
 
   // null separator
   data.push(0);
@@ -1141,19 +2698,23 @@ CanvasTool.PngEncoder.prototype.makesPLT_ = function(splt, hist) {
     switch (this.bitDepth) {
       // RGBA
       case 16:
-        push_(data, this.networkByteOrder_(hist.red << 8 | hist.red, 2));
-        push_(data, this.networkByteOrder_(hist.green << 8 | hist.green, 2));
-        push_(data, this.networkByteOrder_(hist.blue << 8 | hist.blue, 2));
-        push_(data, this.networkByteOrder_(hist.alpha << 8 | hist.alpha, 2));
+        red = wideSample ? hist.red : hist.red << 8 | hist.red;
+        green = wideSample ? hist.green : hist.green << 8 | hist.green;
+        blue = wideSample ? hist.blue : hist.blue << 8 | hist.blue;
+        alpha = wideSample ? hist.alpha : hist.alpha << 8 | hist.alpha;
+        push_(data, this.networkByteOrder_(red, 2));
+        push_(data, this.networkByteOrder_(green, 2));
+        push_(data, this.networkByteOrder_(blue, 2));
+        push_(data, this.networkByteOrder_(alpha, 2));
         break;
       case 8:
       case 4:
       case 2:
       case 1:
-        data.push(hist.red);
-        data.push(hist.green);
-        data.push(hist.blue);
-        data.push(hist.alpha);
+        data.push(wideSample ? hist.red >>> 8 : hist.red);
+        data.push(wideSample ? hist.green >>> 8 : hist.green);
+        data.push(wideSample ? hist.blue >>> 8 : hist.blue);
+        data.push(wideSample ? hist.alpha >>> 8 : hist.alpha);
         break;
       default:
         throw new Error('invalid bit depth');
@@ -1173,7 +2734,7 @@ CanvasTool.PngEncoder.prototype.makesPLT_ = function(splt, hist) {
 /**
  * Palette
  * @param {!Array} palette パレット配列.
- * @return {!Array} PLTE チャンクバイナリ byte array.
+ * @return {!(Array|Uint8Array)} PLTE チャンクバイナリ byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makePLTE_ = function(palette) {
@@ -1194,15 +2755,15 @@ CanvasTool.PngEncoder.prototype.makePLTE_ = function(palette) {
  *   y: number,
  *   unit: CanvasTool.PngEncoder.UnitSpecifier
  * }} phys phisical pixel dimensions settings.
- * @return {!Array} pHYs チャンクバイナリ byte array.
+ * @return {!(Array|Uint8Array)} pHYs チャンクバイナリ byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makepHYs_ = function(phys) {
   var data = [];
 
-  push_(data, this.networkByteOrder_(phys.x, 4));
-  push_(data, this.networkByteOrder_(phys.y, 4));
-  data.push(phys.unit);
+  push_(data, this.networkByteOrder_(phys['x'], 4));
+  push_(data, this.networkByteOrder_(phys['y'], 4));
+  data.push(phys['unit']);
 
   return this.makeChunk_(
     CanvasTool.PngEncoder.ChunkType.PHYS,
@@ -1216,20 +2777,23 @@ CanvasTool.PngEncoder.prototype.makepHYs_ = function(phys) {
  *   keyword: string,
  *   text: string
  * }} text text data.
- * @return {!Array} tEXt チャンクバイナリ byte array.
+ * @return {!(Array|Uint8Array)} tEXt チャンクバイナリ byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.maketEXt_ = function(text) {
   var data = [];
 
+  validateLatin1Text_('tEXt', text['text']);
+
   // keyword
-  push_(data, bytearray_(text.keyword));
+  validateKeyword_(text['keyword']);
+  push_(data, bytearray_(text['keyword']));
 
   // null separator
   data.push(0);
 
   // text string
-  push_(data, bytearray_(text.text));
+  push_(data, bytearray_(text['text']));
 
   return this.makeChunk_(
     CanvasTool.PngEncoder.ChunkType.TEXT,
@@ -1245,25 +2809,28 @@ CanvasTool.PngEncoder.prototype.maketEXt_ = function(text) {
  *   text: string,
  *   compressionMethod: CanvasTool.PngEncoder.CompressionMethod
  * }} text text data.
- * @return {!Array} zTXt チャンクバイナリ byte array.
+ * @return {!(Array|Uint8Array)} zTXt チャンクバイナリ byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makezTXt_ = function(text) {
   var data = [];
 
+  validateLatin1Text_('zTXt', text['text']);
+
   // keyword
-  push_(data, bytearray_(text.keyword));
+  validateKeyword_(text['keyword']);
+  push_(data, bytearray_(text['keyword']));
 
   // null separator
   data.push(0);
 
   // compression method
-  data.push(text.compressionMethod);
+  data.push(text['compressionMethod']);
 
   // data
-  switch (text.compressionMethod) {
+  switch (text['compressionMethod']) {
     case CanvasTool.PngEncoder.CompressionMethod.DEFLATE:
-      push_(data, new Zlib.Deflate(bytearray_(text.text), this.deflateOption).compress());
+      push_(data, new Zlib.Deflate(bytearray_(text['text']), this.deflateOption).compress());
       break;
     default:
       throw new Error('unknown compression method');
@@ -1281,34 +2848,41 @@ CanvasTool.PngEncoder.prototype.makezTXt_ = function(text) {
  * @param {?{
  *   keyword: string,
  *   text: string,
- *   lang: string,
- *   translatedKeyword: string,
+ *   lang: (string|undefined),
+ *   translatedKeyword: (string|undefined),
  *   compressionMethod: ?CanvasTool.PngEncoder.CompressionMethod
  * }} text text data.
- * @return {!Array} iTXt チャンクバイナリ byte array.
+ * @return {!(Array|Uint8Array)} iTXt チャンクバイナリ byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.makeiTXt_ = function(text) {
-  var data = [], compressedText;
+  var data = [],
+      lang = (typeof(text['lang']) === 'string') ? text['lang'] : '',
+      compressedText;
+
+  if (!/^[A-Za-z0-9-]*$/.test(lang)) {
+    throw new Error('invalid language tag: ' + lang);
+  }
 
   // keyword
-  push_(data, bytearray_(text.keyword));
+  validateKeyword_(text['keyword']);
+  push_(data, bytearray_(text['keyword']));
 
   // null separator
   data.push(0);
 
-  if (typeof(text.compressionMethod) === 'number') {
+  if (typeof(text['compressionMethod']) === 'number') {
     // compression flag
     data.push(CanvasTool.PngEncoder.CompressionFlag.COMPRESSED);
 
     // compression method
-    data.push(text.compressionMethod);
+    data.push(text['compressionMethod']);
 
     // text compression
-    switch (text.compressionMethod) {
+    switch (text['compressionMethod']) {
       case CanvasTool.PngEncoder.CompressionMethod.DEFLATE:
         compressedText = new
-          Zlib.Deflate(bytearray_(utf8_(text.text)), this.deflateOption).compress();
+          Zlib.Deflate(bytearray_(utf8_(text['text'])), this.deflateOption).compress();
         break;
       default:
         throw new Error('unknown compression method');
@@ -1321,18 +2895,18 @@ CanvasTool.PngEncoder.prototype.makeiTXt_ = function(text) {
     data.push(0);
 
     // text
-    compressedText = bytearray_(utf8_(text.text));
+    compressedText = bytearray_(utf8_(text['text']));
   }
 
   // language tag
-  push_(data, bytearray_(text.lang));
+  push_(data, bytearray_(lang));
 
   // null separator
   data.push(0);
 
   // translated keyword
-  if (typeof(text.translatedKeyword) === 'string') {
-    push_(data, bytearray_(utf8_(text.translatedKeyword)));
+  if (typeof(text['translatedKeyword']) === 'string') {
+    push_(data, bytearray_(utf8_(text['translatedKeyword'])));
   }
 
   // null separator
@@ -1347,11 +2921,105 @@ CanvasTool.PngEncoder.prototype.makeiTXt_ = function(text) {
   );
 };
 
+/**
+ * textEntries のエントリからテキストチャンクを作成する
+ * 内容に応じて tEXt, zTXt, iTXt のいずれかを選択する.
+ * @param {!Object} entry テキストデータのエントリ.
+ * @return {!(Array|Uint8Array)} tEXt, zTXt, もしくは iTXt チャンクバイナリ
+ *     byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.makeTextChunk_ = function(entry) {
+  var keyword = entry['keyword'],
+      text = entry['text'],
+      compressed = entry['compressed'],
+      lang = entry['lang'],
+      translatedKeyword = entry['translatedKeyword'];
+
+  if (typeof keyword !== 'string' || typeof text !== 'string') {
+    throw new Error('text entry needs keyword and text');
+  }
+
+  if (typeof compressed !== 'boolean') {
+    compressed =
+      utf8_(text).length >= CanvasTool.PngEncoder.TextCompressionThreshold;
+  }
+
+  // Latin-1 で表現できないテキストと言語の指定があるものは iTXt
+  if (typeof lang === 'string' || typeof translatedKeyword === 'string' ||
+      !isLatin1_(text)) {
+    return this.makeiTXt_({
+      'keyword': keyword,
+      'text': text,
+      'lang': lang,
+      'translatedKeyword': translatedKeyword,
+      'compressionMethod': compressed ?
+        CanvasTool.PngEncoder.CompressionMethod.DEFLATE : null
+    });
+  }
+
+  if (compressed) {
+    return this.makezTXt_({
+      'keyword': keyword,
+      'text': text,
+      'compressionMethod': CanvasTool.PngEncoder.CompressionMethod.DEFLATE
+    });
+  }
+
+  return this.maketEXt_({'keyword': keyword, 'text': text});
+};
+
+/**
+ * Exchangeable Image File (Exif) Profile
+ * @param {!(Array|Uint8Array|Object)} exif TIFF 形式のバイナリ, もしくは
+ *     CanvasTool.ExifBuilder に渡すタグ名と値のオブジェクト.
+ * @return {!(Array|Uint8Array)} eXIf チャンクバイナリ byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.makeeXIf_ = function(exif) {
+  var data = (typeof(exif.length) === 'number') ?
+    /** @type {!(Array|Uint8Array)} */(exif) :
+    new CanvasTool.ExifBuilder(exif).build();
+
+  // TIFF ヘッダ ("MM\0*" もしくは "II*\0")
+  if (data.length < 8 ||
+      !(data[0] === 0x4d && data[1] === 0x4d &&
+        data[2] === 0 && data[3] === 42) &&
+      !(data[0] === 0x49 && data[1] === 0x49 &&
+        data[2] === 42 && data[3] === 0)) {
+    throw new Error('invalid exif data');
+  }
+
+  return this.makeChunk_(
+    CanvasTool.PngEncoder.ChunkType.EXIF,
+    data
+  );
+};
+
+/**
+ * Extensible Metadata Platform (XMP)
+ * 読み取り側がパケットを走査できるよう, 非圧縮で言語タグと翻訳した
+ * キーワードが空の iTXt チャンクとする.
+ * @param {(string|!Object)} xmp XMP パケットの文字列, もしくは
+ *     CanvasTool.XmpBuilder に渡すプロパティ名と値のオブジェクト.
+ * @return {!(Array|Uint8Array)} iTXt チャンクバイナリ byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.makeXmp_ = function(xmp) {
+  var packet = (typeof(xmp) === 'string') ?
+    xmp : new CanvasTool.XmpBuilder(xmp).build();
+
+  return this.makeiTXt_({
+    'keyword': CanvasTool.XmpBuilder.Keyword,
+    'text': packet,
+    'compressionMethod': null
+  });
+};
 
 /**
  * Image last-modification time
  * @param {Date} time last-modification time.
- * @return {!Array} tIME チャンクバイナリ byte array.
+ * @return {!(Array|Uint8Array)} tIME チャンクバイナリ byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.maketIME_ = function(time) {
@@ -1370,35 +3038,181 @@ CanvasTool.PngEncoder.prototype.maketIME_ = function(time) {
   );
 };
 
+/**
+ * 画像データを格納するチャンクの作成
+ * 静止画では IDAT チャンクのみを作成する.
+ * @param {!Array.<!(Array|Uint8Array)>} imageData
+ *     getImageRegions_ の領域毎の圧縮したイメージデータ.
+ * @return {!Array.<!(Array|Uint8Array)>} チャンクバイナリのリスト.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.makeImageChunks_ = function(imageData) {
+  var chunks = [],
+      list = this.splitImageData_(imageData[0]),
+      index, length;
+
+  for (index = 0, length = list.length; index < length; index++) {
+    chunks.push(this.makeIDAT_(list[index]));
+  }
+
+  return chunks;
+};
+
+/**
+ * 圧縮したイメージデータを idatChunkSize 毎に分割する
+ * @param {!(Array|Uint8Array)} imageData 圧縮したイメージデータ.
+ * @return {!Array.<!(Array|Uint8Array)>} 分割したイメージデータのリスト.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.splitImageData_ = function(imageData) {
+  var size = this.idatChunkSize,
+      length = imageData.length,
+      list = [],
+      pos;
+
+  if (size === 0 || length <= size) {
+    return [imageData];
+  }
+
+  for (pos = 0; pos < length; pos += size) {
+    list.push(
+      USE_TYPEDARRAY ?
+        imageData.subarray(pos, pos + size) :
+        imageData.slice(pos, pos + size)
+    );
+  }
+
+  return list;
+};
+
 /**
  * Image Data
- * @param {!Array} pixelArray イメージのバイナリ配列.
- * @return {!Array} IDAT チャンクバイナリ Array.
+ * @param {!(Array|Uint8Array)} imageData 圧縮したイメージデータ.
+ * @return {!(Array|Uint8Array)} IDAT チャンクバイナリ Array.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.makeIDAT_ = function(imageData) {
+  return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.IDAT, imageData);
+};
+
+/**
+ * フィルタ, インターレース処理を行い圧縮したイメージデータの作成
+ * @param {!(Array|Uint8Array|Uint16Array)} pixelArray イメージのサンプル配列.
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
+ * @return {!(Array|Uint8Array)} 圧縮したイメージデータ.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.makeImageData_ =
+function(pixelArray, width, height) {
+  var state = this.beginImageData_(pixelArray, width, height);
+
+  this.filterImageData_(state, Infinity);
+
+  return this.compressImageData_(state);
+};
+
+/**
+ * イメージデータ作成の途中経過
+ * @param {!Array.<CanvasTool.PngEncoder.Pass_>} passlist パスのリスト.
+ * @param {!(Array|Uint8Array)} idat フィルタ適用後のデータを格納する配列.
+ * @param {number} rows 全パスのスキャンライン数.
+ * @constructor
  * @private
  */
-CanvasTool.PngEncoder.prototype.makeIDAT_ = function(pixelArray) {
-  var idat = [],
-      filterMethod = this.filterMethod,
-      filterType = this.filterType,
-      interlaceMethod = this.interlaceMethod,
-      width, y, lines, line, bpp,
+CanvasTool.PngEncoder.ImageDataState_ = function(passlist, idat, rows) {
+  /** @type {!Array.<CanvasTool.PngEncoder.Pass_>} */
+  this.passlist = passlist;
+  /** @type {!(Array|Uint8Array)} */
+  this.idat = idat;
+  /** @type {number} */
+  this.rows = rows;
+  /** @type {number} 処理済みのスキャンライン数. */
+  this.row = 0;
+  /** @type {number} 処理中のパス. */
+  this.pass = 0;
+  /** @type {number} 処理中のパス内の y 座標. */
+  this.y = 0;
+  /** @type {number} idat の書き込み位置. */
+  this.pos = 0;
+  /** @type {(Array|Uint8Array)} 直前のスキャンライン. */
+  this.prevLine = null;
+  /** @type {CanvasTool.DeflateStream} 逐次圧縮に使用する圧縮器. */
+  this.deflate = null;
+  /** @type {number} 圧縮済みの idat の位置. */
+  this.deflatePos = 0;
+  /** @type {!Array.<!(Array|Uint8Array)>} 逐次圧縮したデータのリスト. */
+  this.compressed = [];
+};
+
+/**
+ * イメージデータ作成の開始
+ * インターレース処理を行い, フィルタ適用後のデータ領域を確保する.
+ * @param {!(Array|Uint8Array|Uint16Array)} pixelArray イメージのサンプル配列.
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
+ * @return {!CanvasTool.PngEncoder.ImageDataState_} 途中経過.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.beginImageData_ =
+function(pixelArray, width, height) {
+  var filterType = this.filterType,
+      size = 0, rows = 0,
       passlist, pass, index, length;
 
   // インターレースの決定
   this.interlace_ = this.getInterlace_();
 
-  // フィルタの決定
-  this.filter_ = this.getFilter_();
+  // インターレース処理 (パスの作成)
+  passlist = this.interlace_(pixelArray, width, height);
+
+  // フィルタ適用後のデータ長 (スキャンライン毎にフィルタタイプの 1 byte)
+  // 空のパスはスキャンラインを持たない
+  for (index = 0, length = passlist.length; index < length; index++) {
+    pass = passlist[index];
+    if (pass.pixelArray.length > 0) {
+      size += (this.getLineLength_(pass.width) + 1) * pass.height;
+      rows += pass.height;
+    }
+  }
+
+  // スキャンライン毎のフィルタタイプ指定の検証
+  if (filterType instanceof Array) {
+    this.validateFilterTypeList_(filterType, rows);
+  }
+
+  return new CanvasTool.PngEncoder.ImageDataState_(
+    passlist,
+    new (USE_TYPEDARRAY ? Uint8Array : Array)(size),
+    rows
+  );
+};
+
+/**
+ * スキャンライン毎のフィルタ処理
+ * 期限を過ぎた場合はスキャンラインの区切りで処理を中断する.
+ * @param {!CanvasTool.PngEncoder.ImageDataState_} state 途中経過.
+ * @param {number} deadline 処理を中断する時刻 (Date.now() の値).
+ * @return {boolean} 全てのスキャンラインの処理が完了したか.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.filterImageData_ = function(state, deadline) {
+  var filterMethod = this.filterMethod,
+      filterType = this.filterType,
+      channels = this.getChannels_(),
+      passlist = state.passlist,
+      idat = state.idat,
+      processed = 0,
+      line, filteredLine, bpp, pass, pixelArray, width;
 
   // データ幅を決定する(左のピクセルの Byte との距離)
   bpp = this.getBytesPerCompletePixel_();
 
-  // インターレース処理 (パスの作成)
-  passlist = this.interlace_(pixelArray);
+  this.prevLine_ = state.prevLine;
 
   // 各パスの処理
-  for (index = 0, length = passlist.length; index < length; index++) {
-    pass = passlist[index];
+  for (; state.pass < passlist.length; state.pass++, state.y = 0) {
+    pass = passlist[state.pass];
     pixelArray = pass.pixelArray;
 
     // 空のパスはスキップする
@@ -1409,43 +3223,191 @@ CanvasTool.PngEncoder.prototype.makeIDAT_ = function(pixelArray) {
     width = pass.width;
 
     // データ領域の作成
-    this.prevLine_ = null;
-    for (y = 0, lines = pass.height; y < lines; y++) {
-      line = this.slice_(pixelArray, y * width, width);
+    if (state.y === 0) {
+      this.prevLine_ = null;
+    }
+    for (; state.y < pass.height; state.y++) {
+      // 最低 1 スキャンラインは処理する
+      if (processed > 0 && Date.now() >= deadline) {
+        state.prevLine = this.prevLine_;
+        return false;
+      }
 
       // Pixel Array -> Byte Array
-      // おそらくスキャンライン単位で行うのが正しい
-      line = this.pixelArrayToByteArray_(line);
+      line = this.pixelArrayToByteArray_(
+        pixelArray, state.y * width * channels, width
+      );
 
       switch (filterMethod) {
         case CanvasTool.PngEncoder.FilterMethod.BASIC:
-          idat.push(filterType);
-          push_(idat, this.filter_(line, bpp));
+          filteredLine = this.filterLine_(
+            line,
+            bpp,
+            (filterType instanceof Array) ? filterType[state.row] : filterType
+          );
           break;
         default:
           throw new Error('unknown filter method');
       }
 
+      set_(idat, filteredLine, state.pos);
+      state.pos += filteredLine.length;
+
       this.prevLine_ = line;
+      state.row++;
+      processed++;
     }
   }
 
-  // データの圧縮
+  state.prevLine = this.prevLine_;
+
+  return true;
+};
+
+/**
+ * フィルタ適用後のイメージデータの圧縮
+ * encodeAsync と同じ結果となるよう deflateImageData_ で圧縮する.
+ * @param {!CanvasTool.PngEncoder.ImageDataState_} state 途中経過.
+ * @return {!(Array|Uint8Array)} 圧縮したイメージデータ.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.compressImageData_ = function(state) {
+  this.deflateImageData_(state, Infinity);
+
+  return state.compressed[0];
+};
+
+/**
+ * フィルタ適用後のイメージデータの逐次圧縮
+ * 期限を過ぎた場合は DeflateSliceSize byte 毎の区切りで処理を中断する.
+ * @param {!CanvasTool.PngEncoder.ImageDataState_} state 途中経過.
+ * @param {number} deadline 処理を中断する時刻 (Date.now() の値).
+ * @return {boolean} 全てのデータの圧縮が完了したか.
+ *     完了した場合は state.compressed に圧縮したデータが格納される.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.deflateImageData_ = function(state, deadline) {
+  var idat = state.idat,
+      size = CanvasTool.PngEncoder.DeflateSliceSize,
+      processed = 0,
+      end;
+
   switch (this.compressionMethod) {
     case CanvasTool.PngEncoder.CompressionMethod.DEFLATE:
-      idat = new Zlib.Deflate(idat, this.deflateOption).compress();
       break;
     default:
       throw new Error('unknown compression method');
   }
 
-  return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.IDAT, idat);
+  if (state.deflate === null) {
+    state.deflate = new CanvasTool.DeflateStream(this.deflateOption);
+  }
+
+  while (state.deflatePos < idat.length) {
+    // 最低 1 回は圧縮する
+    if (processed > 0 && Date.now() >= deadline) {
+      return false;
+    }
+
+    end = Math.min(state.deflatePos + size, idat.length);
+    state.compressed.push(state.deflate.write(USE_TYPEDARRAY ?
+      idat.subarray(state.deflatePos, end) :
+      idat.slice(state.deflatePos, end)
+    ));
+    state.deflatePos = end;
+    processed++;
+  }
+
+  state.compressed.push(state.deflate.finish());
+  state.compressed = [concat_(state.compressed)];
+
+  return true;
+};
+
+/**
+ * 入力データのスキャンラインにフィルタを適用する
+ * インターレースを行わない場合に, 入力データを行単位で分割して処理するために
+ * 使用する. 直前のスキャンラインは呼び出しを跨いで prevLine_ に保持する.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} canvasArray
+ *     1 行以上のスキャンラインからなる入力データ.
+ * @param {number} row 先頭のスキャンラインの番号.
+ * @return {!(Array|Uint8Array)} フィルタ適用後のデータ.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.filterRows_ = function(canvasArray, row) {
+  var filterType = this.filterType,
+      width = this.width,
+      channels = this.getChannels_(),
+      bpp = this.getBytesPerCompletePixel_(),
+      pixelArray = this.makeImageArray(canvasArray).IDAT,
+      lines = pixelArray.length / (width * channels),
+      filtered = new (USE_TYPEDARRAY ? Uint8Array : Array)(
+        (this.getLineLength_(width) + 1) * lines
+      ),
+      pos = 0,
+      line, filteredLine, y;
+
+  for (y = 0; y < lines; y++) {
+    // Pixel Array -> Byte Array
+    line = this.pixelArrayToByteArray_(pixelArray, y * width * channels, width);
+
+    switch (this.filterMethod) {
+      case CanvasTool.PngEncoder.FilterMethod.BASIC:
+        filteredLine = this.filterLine_(
+          line,
+          bpp,
+          (filterType instanceof Array) ? filterType[row + y] : filterType
+        );
+        break;
+      default:
+        throw new Error('unknown filter method');
+    }
+
+    set_(filtered, filteredLine, pos);
+    pos += filteredLine.length;
+
+    this.prevLine_ = line;
+  }
+
+  return filtered;
+};
+
+/**
+ * スキャンライン毎のフィルタタイプ指定の検証
+ * @param {!Array.<CanvasTool.PngEncoder.BasicFilterType>} filterTypes
+ *     スキャンライン毎のフィルタタイプ.
+ * @param {number} lines 全パスのスキャンライン数.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.validateFilterTypeList_ =
+function(filterTypes, lines) {
+  var filterType, index, length;
+
+  if (filterTypes.length !== lines) {
+    throw new Error(
+      'wrong filter type list length: ' + filterTypes.length +
+      ' (expected ' + lines + ')'
+    );
+  }
+
+  for (index = 0, length = filterTypes.length; index < length; index++) {
+    filterType = filterTypes[index];
+    if (filterType !== CanvasTool.PngEncoder.BasicFilterType.NONE &&
+        filterType !== CanvasTool.PngEncoder.BasicFilterType.SUB &&
+        filterType !== CanvasTool.PngEncoder.BasicFilterType.UP &&
+        filterType !== CanvasTool.PngEncoder.BasicFilterType.AVERAGE &&
+        filterType !== CanvasTool.PngEncoder.BasicFilterType.PAETH) {
+      throw new Error(
+        'unknown filter type at scanline ' + index + ': ' + filterType
+      );
+    }
+  }
 };
 
 /**
  * Image End
- * @return {!Array} IEND チャンクバイナリ Array.
- * @private
+ * @return {!(Array|Uint8Array)} IEND チャンクバイナリ Array.
+ * @protected
  */
 CanvasTool.PngEncoder.prototype.makeIEND_ = function() {
   return this.makeChunk_(CanvasTool.PngEncoder.ChunkType.IEND, []);
@@ -1457,7 +3419,7 @@ CanvasTool.PngEncoder.prototype.makeIEND_ = function() {
  *     Indexed-Color では Palette に対応するα値の配列,
  *     Grayscale では透明として扱うグレーレベルを [Gray],
  *     Truecolor では透明として扱う色を [Red, Green, Blue] で指定.
- * @return {!Array.<number>} tRNS チャンクバイナリ byte array.
+ * @return {!(Array|Uint8Array)} tRNS チャンクバイナリ byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.maketRNS_ = function(alpha) {
@@ -1525,9 +3487,31 @@ CanvasTool.PngEncoder.prototype.getBytesPerCompletePixel_ = function() {
   return bpp;
 };
 
+/**
+ * 1 ピクセルあたりのサンプル数の取得
+ * @return {number} サンプル数.
+ * @protected
+ */
+CanvasTool.PngEncoder.prototype.getChannels_ = function() {
+  switch (this.colourType) {
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE:
+    case CanvasTool.PngEncoder.ColourType.INDEXED_COLOR:
+      return 1;
+    case CanvasTool.PngEncoder.ColourType.GRAYSCALE_WITH_ALPHA:
+      return 2;
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR:
+      return 3;
+    case CanvasTool.PngEncoder.ColourType.TRUECOLOR_WITH_ALPHA:
+      return 4;
+    default:
+      throw new Error('unknown colour type');
+  }
+};
+
 /**
  * インターレースメソッドの取得
- * @return {function(!Array):!Array.<CanvasTool.PngEncoder.Pass_>} 描画パスのリスト.
+ * @return {function(!(Array|Uint8Array|Uint16Array), number, number):
+ *     !Array.<CanvasTool.PngEncoder.Pass_>} 描画パスのリスト.
  * @private
  */
 CanvasTool.PngEncoder.prototype.getInterlace_ = function() {
@@ -1551,7 +3535,7 @@ CanvasTool.PngEncoder.prototype.getInterlace_ = function() {
  * Pass
  * @param {number} width パスの横幅.
  * @param {number} height パスの縦幅.
- * @param {!Array.<Array.<number>>} pixelArray ピクセル単位の配列.
+ * @param {!(Array|Uint8Array|Uint16Array)} pixelArray パスのサンプル配列.
  * @constructor
  */
 CanvasTool.PngEncoder.Pass_ = function(width, height, pixelArray) {
@@ -1560,71 +3544,154 @@ CanvasTool.PngEncoder.Pass_ = function(width, height, pixelArray) {
   this.pixelArray = pixelArray;
 };
 
+/**
+ * 領域毎のディザリング
+ * 連結した入力データの領域毎に CanvasTool.Dither を作成し,
+ * ピクセル位置を領域内の座標に変換する.
+ * @param {!Array.<{width: number, height: number}>} regions
+ *     getRegionSizes_ による領域の大きさのリスト.
+ * @param {function(number): !CanvasTool.Dither} create 領域の横幅から
+ *     CanvasTool.Dither を作成する関数.
+ * @constructor
+ */
+CanvasTool.PngEncoder.RegionDither_ = function(regions, create) {
+  /**
+   * 領域の大きさのリスト
+   * @type {!Array.<{width: number, height: number}>}
+   * @private
+   */
+  this.regions_ = regions;
+
+  /**
+   * CanvasTool.Dither を作成する関数
+   * @type {function(number): !CanvasTool.Dither}
+   * @private
+   */
+  this.create_ = create;
+
+  /**
+   * 現在の領域の番号
+   * @type {number}
+   * @private
+   */
+  this.index_ = -1;
+
+  /**
+   * 現在の領域の先頭のピクセルの位置
+   * @type {number}
+   * @private
+   */
+  this.start_ = 0;
+
+  /**
+   * 次の領域の先頭のピクセルの位置
+   * @type {number}
+   * @private
+   */
+  this.end_ = 0;
+
+  /**
+   * 現在の領域のディザリング
+   * @type {CanvasTool.Dither}
+   * @private
+   */
+  this.dither_ = null;
+
+  /**
+   * 領域内の横方向の位置
+   * @type {number}
+   */
+  this.x = 0;
+
+  /**
+   * 領域内の縦方向の位置
+   * @type {number}
+   */
+  this.y = 0;
+};
+
+/**
+ * ピクセルの位置に移動する
+ * 次の領域に移った場合は誤差を持ち越さないよう CanvasTool.Dither を作り直す.
+ * @param {number} pixel 入力データ全体でのピクセルの位置.
+ * @return {!CanvasTool.Dither} 領域のディザリング.
+ */
+CanvasTool.PngEncoder.RegionDither_.prototype.moveTo = function(pixel) {
+  var width = this.regions_[this.index_ < 0 ? 0 : this.index_].width,
+      region, offset;
+
+  while (pixel >= this.end_) {
+    region = this.regions_[++this.index_];
+    width = region.width;
+    this.start_ = this.end_;
+    this.end_ += width * region.height;
+    this.dither_ = this.create_(width);
+  }
+
+  offset = pixel - this.start_;
+  this.x = offset % width;
+  this.y = offset / width | 0;
+
+  return /** @type {!CanvasTool.Dither} */(this.dither_);
+};
+
 /**
  * Interlace None
- * @param {!Array.<Array.<number>>} pixelArray ピクセル単位の配列.
+ * @param {!(Array|Uint8Array|Uint16Array)} pixelArray イメージのサンプル配列.
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
  * @return {!Array.<CanvasTool.PngEncoder.Pass_>} 描画パスのリスト.
  * @private
  */
-CanvasTool.PngEncoder.prototype.interlaceNone_ = function(pixelArray) {
-  return [new CanvasTool.PngEncoder.Pass_(this.width, this.height, pixelArray)];
+CanvasTool.PngEncoder.prototype.interlaceNone_ =
+function(pixelArray, width, height) {
+  return [new CanvasTool.PngEncoder.Pass_(width, height, pixelArray)];
 };
 
 /**
  * Interlace Adam7
- * @param {!Array.<Array.<number>>} pixelArray ピクセル単位の配列.
+ * @param {!(Array|Uint8Array|Uint16Array)} pixelArray イメージのサンプル配列.
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
  * @return {!Array.<CanvasTool.PngEncoder.Pass_>} 描画パスのリスト.
  * @private
  */
-CanvasTool.PngEncoder.prototype.interlaceAdam7_ = function(pixelArray) {
-  var height = this.height,
-      width = pixelArray.length / height,
-      x, y, blockx, blocky, passx, passy, linex, liney,
-      pixel,
-      index, length,
+CanvasTool.PngEncoder.prototype.interlaceAdam7_ =
+function(pixelArray, width, height) {
+  var channels = this.getChannels_(),
       table = CanvasTool.PngEncoder.Adam7Table_, config,
-      passlist, pass;
+      passlist = [], passPixelArray, passWidth, passHeight,
+      x, y, src, dst, c, index, length;
 
   // 7 回分のパスを作成
-  passlist = [
-    new CanvasTool.PngEncoder.Pass_(0, 0, []),
-    new CanvasTool.PngEncoder.Pass_(0, 0, []),
-    new CanvasTool.PngEncoder.Pass_(0, 0, []),
-    new CanvasTool.PngEncoder.Pass_(0, 0, []),
-    new CanvasTool.PngEncoder.Pass_(0, 0, []),
-    new CanvasTool.PngEncoder.Pass_(0, 0, []),
-    new CanvasTool.PngEncoder.Pass_(0, 0, [])
-  ];
-
-  // 各パスの処理
   for (index = 0, length = table.length; index < length; index++) {
-    pass = passlist[index];
     config = table[index];
-    linex = liney = 0;
+    passWidth = Math.ceil((width - config.xStart) / config.xStep);
+    passHeight = Math.ceil((height - config.yStart) / config.yStep);
 
-    // Y 方向にブロック→パスの順に進めていく
-    for (blocky = 0; blocky < height; blocky += 8) {
-      for (passy = config.yStart; passy < 8; passy += config.yStep) {
+    // 画像が小さい場合は空のパスになる
+    if (passWidth <= 0 || passHeight <= 0) {
+      passlist.push(new CanvasTool.PngEncoder.Pass_(0, 0, []));
+      continue;
+    }
 
-        // X 方向にブロック→パスの順に進めていく
-        for (blockx = 0; blockx < width; blockx += 8) {
-          for (passx = config.xStart; passx < 8; passx += config.xStep) {
-            pixel = pixelArray[(blockx + passx) + (blocky + passy) * width];
+    passPixelArray = new (USE_TYPEDARRAY ? pixelArray.constructor : Array)(
+      passWidth * passHeight * channels
+    );
 
-            if (pixel) {
-              linex = (blockx + passx - config.xStart) / config.xStep;
-              liney = (blocky + passy - config.yStart) / config.yStep;
-              pass.pixelArray.push(pixel);
-            }
-          }
+    for (y = 0, dst = 0; y < passHeight; y++) {
+      for (x = 0; x < passWidth; x++) {
+        src = ((config.yStart + y * config.yStep) * width +
+               config.xStart + x * config.xStep) * channels;
+        for (c = 0; c < channels; c++) {
+          passPixelArray[dst++] = pixelArray[src + c];
         }
-
       }
     }
-    // linex, liny は終了時に現時点での最大 x, y を取るので +1 することで
-    // 縦横の長さが求まる
-    pass.width = linex + 1;
-    pass.height = liney + 1;
+
+    passlist.push(
+      new CanvasTool.PngEncoder.Pass_(passWidth, passHeight, passPixelArray)
+    );
   }
 
   return passlist;
@@ -1632,53 +3699,180 @@ CanvasTool.PngEncoder.prototype.interlaceAdam7_ = function(pixelArray) {
 
 /**
  * Pixel Array to Byte Array
- * @param {!(Array|CanvasPixelArray)} pixelArray canvas pixel array like.
- * @return {!Array} pixel byte array.
- */
-CanvasTool.PngEncoder.prototype.pixelArrayToByteArray_ = function(pixelArray) {
-  var byteArray = [], pixel, color,
-      index, length, pIndex, pLength,
-      depth = this.bitDepth, colourType = this.colourType, sep, current;
-
-  sep = 8 / depth;
-  for (index = 0, length = pixelArray.length; index < length; index++) {
-    pixel = pixelArray[index];
-    // Bit Depth 8 未満は GRAYSCALE か INDEXED_COLORのみなので、
-    // サンプル数は 1 を前提として良い
-    // αチャンネルが付く場合も 8 以上しか許容しないので考えないで良い
-    if (depth < 8) {
+ * サンプル配列からスキャンライン 1 本分のバイト列を作成する.
+ * @param {!(Array|Uint8Array|Uint16Array)} pixelArray サンプル配列.
+ * @param {number} start スキャンラインの開始 index.
+ * @param {number} width スキャンラインのピクセル数.
+ * @return {!(Array|Uint8Array)} pixel byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.pixelArrayToByteArray_ =
+function(pixelArray, start, width) {
+  var depth = this.bitDepth,
+      count = width * this.getChannels_(),
+      byteArray = new (USE_TYPEDARRAY ? Uint8Array : Array)(
+        this.getLineLength_(width)
+      ),
+      sample, sep, current, index;
+
+  // Bit Depth 8 未満は GRAYSCALE か INDEXED_COLORのみなので、
+  // サンプル数は 1 を前提として良い
+  if (depth < 8) {
+    sep = 8 / depth;
+    for (index = 0; index < count; index++) {
       if ((index % sep) === 0) {
         current = index / sep;
         byteArray[current] = 0;
       }
-      byteArray[current] |= pixel[0] << ((sep - (index % sep) - 1) * depth);
-      continue;
+      byteArray[current] |=
+        pixelArray[start + index] << ((sep - (index % sep) - 1) * depth);
     }
+    return byteArray;
+  }
 
-    // Bit Depth 8 以上はピクセルをそのまま ByteArray に放り込んでいけば良い
-    for (pIndex = 0, pLength = pixel.length; pIndex < pLength; pIndex++) {
-      color = pixel[pIndex];
-      byteArray.push(color);
-      if (depth === 16) {
-        byteArray.push(color);
-      }
+  // Bit Depth 16 の場合は network byte order で 2 byte 書き込む
+  if (depth === 16) {
+    for (index = 0; index < count; index++) {
+      sample = pixelArray[start + index];
+      byteArray[index * 2] = sample >>> 8 & 0xff;
+      byteArray[index * 2 + 1] = sample & 0xff;
     }
+    return byteArray;
+  }
+
+  // Bit Depth 8 はサンプルをそのまま ByteArray に放り込んでいけば良い
+  for (index = 0; index < count; index++) {
+    byteArray[index] = pixelArray[start + index];
   }
 
   return byteArray;
 };
 
+/**
+ * スキャンライン 1 本分のバイト数 (フィルタタイプを除く) の取得
+ * @param {number} width スキャンラインのピクセル数.
+ * @return {number} バイト数.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.getLineLength_ = function(width) {
+  return (width * this.getChannels_() * this.bitDepth + 7) >> 3;
+};
+
+/**
+ * スキャンラインにフィルタを適用する
+ * @param {!(Array|Uint8Array)} lineByteArray line byte array.
+ * @param {number} sub 左のピクセルとの距離.
+ * @param {CanvasTool.PngEncoder.BasicFilterType} filterType フィルタタイプ.
+ * @return {!(Array|Uint8Array)} 先頭にフィルタタイプを付与した
+ *     filtered line byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.filterLine_ =
+function(lineByteArray, sub, filterType) {
+  switch (filterType) {
+    case CanvasTool.PngEncoder.BasicFilterType.ADAPTIVE:
+      return this.filterAdaptive_(lineByteArray, sub);
+    case CanvasTool.PngEncoder.BasicFilterType.BRUTE_FORCE:
+      return this.filterBruteForce_(lineByteArray, sub);
+    default:
+      break;
+  }
+
+  return prependFilterType_(
+    filterType,
+    this.getFilter_(filterType).call(this, lineByteArray, sub)
+  );
+};
+
+/**
+ * Adaptive Filter
+ * 5 種類のフィルタを全て試し、フィルタ後のバイト列を符号付きとみなした
+ * 絶対値の和が最小となるもの (libpng と同じ判定方法) を選択する.
+ * @param {!(Array|Uint8Array)} lineByteArray line byte array.
+ * @param {number} sub 左のピクセルとの距離.
+ * @return {!(Array|Uint8Array)} 先頭にフィルタタイプを付与した
+ *     filtered line byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.filterAdaptive_ = function(lineByteArray, sub) {
+  var bestType = CanvasTool.PngEncoder.BasicFilterType.NONE,
+      bestLine = null,
+      bestSum = Infinity,
+      filteredLine, filterType, sum, octet, index, length;
+
+  for (filterType = CanvasTool.PngEncoder.BasicFilterType.NONE;
+       filterType <= CanvasTool.PngEncoder.BasicFilterType.PAETH;
+       filterType++) {
+    filteredLine = this.getFilter_(filterType).call(this, lineByteArray, sub);
+
+    // 現時点での最小値を超えた時点で打ち切る
+    for (sum = 0, index = 0, length = filteredLine.length;
+         index < length && sum < bestSum; index++) {
+      octet = filteredLine[index];
+      sum += octet < 128 ? octet : 256 - octet;
+    }
+
+    if (sum < bestSum) {
+      bestSum = sum;
+      bestType = filterType;
+      bestLine = filteredLine;
+    }
+  }
+
+  return prependFilterType_(
+    bestType,
+    /** @type {!(Array|Uint8Array)} */(bestLine)
+  );
+};
+
+/**
+ * Brute Force Filter
+ * 5 種類のフィルタを全て試し、フィルタ後のスキャンラインを個別に
+ * Deflate 圧縮した結果が最も小さくなるものを選択する.
+ * @param {!(Array|Uint8Array)} lineByteArray line byte array.
+ * @param {number} sub 左のピクセルとの距離.
+ * @return {!(Array|Uint8Array)} 先頭にフィルタタイプを付与した
+ *     filtered line byte array.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.filterBruteForce_ =
+function(lineByteArray, sub) {
+  var bestLine = null,
+      bestSize = Infinity,
+      filteredLine, filterType, size;
+
+  for (filterType = CanvasTool.PngEncoder.BasicFilterType.NONE;
+       filterType <= CanvasTool.PngEncoder.BasicFilterType.PAETH;
+       filterType++) {
+    filteredLine = prependFilterType_(
+      filterType,
+      this.getFilter_(filterType).call(this, lineByteArray, sub)
+    );
+
+    size = new Zlib.Deflate(filteredLine, this.deflateOption).compress().length;
+
+    if (size < bestSize) {
+      bestSize = size;
+      bestLine = filteredLine;
+    }
+  }
+
+  return /** @type {!(Array|Uint8Array)} */(bestLine);
+};
+
 /**
  * フィルタメソッドの取得
- * @return {function(!Array.<number>, number):!Array} フィルタメソッド.
+ * @param {CanvasTool.PngEncoder.BasicFilterType} filterType フィルタタイプ.
+ * @return {function(!(Array|Uint8Array), number):!(Array|Uint8Array)}
+ *     フィルタメソッド.
  * @private
  */
-CanvasTool.PngEncoder.prototype.getFilter_ = function() {
+CanvasTool.PngEncoder.prototype.getFilter_ = function(filterType) {
   var filter;
 
   switch (this.filterMethod) {
     case CanvasTool.PngEncoder.FilterMethod.BASIC:
-      switch (this.filterType) {
+      switch (filterType) {
         case CanvasTool.PngEncoder.BasicFilterType.NONE:
           filter = this.filterNone_;
           break;
@@ -1707,32 +3901,30 @@ CanvasTool.PngEncoder.prototype.getFilter_ = function() {
 
 /**
  * Filter None
- * @param {!Array.<number>} lineByteArray line byte array.
+ * @param {!(Array|Uint8Array)} lineByteArray line byte array.
  * @param {number} sub 左のピクセルとの距離.
- * @return {!Array} filtered line byte array.
+ * @return {!(Array|Uint8Array)} filtered line byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.filterNone_ = function(lineByteArray, sub) {
-  var filteredImageLine = lineByteArray;
-
-  filteredImageLine = lineByteArray;
-
-  return filteredImageLine;
+  return lineByteArray;
 };
 
 /**
  * Filter Sub
- * @param {!Array.<number>} lineByteArray line array.
+ * @param {!(Array|Uint8Array)} lineByteArray line array.
  * @param {number} sub 左のピクセルとの距離.
- * @return {!Array} filtered line byte array.
+ * @return {!(Array|Uint8Array)} filtered line byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.filterSub_ = function(lineByteArray, sub) {
-  var filteredImageLine = [], left = 0, index, length;
+  var length = lineByteArray.length,
+      filteredImageLine = new (USE_TYPEDARRAY ? Uint8Array : Array)(length),
+      left, index;
 
-  for (index = 0, length = lineByteArray.length; index < length; index++) {
-    left = lineByteArray[index - sub] || 0;
-    filteredImageLine.push((lineByteArray[index] - left + 0x0100) & 0xff);
+  for (index = 0; index < length; index++) {
+    left = index >= sub ? lineByteArray[index - sub] : 0;
+    filteredImageLine[index] = (lineByteArray[index] - left + 0x0100) & 0xff;
   }
 
   return filteredImageLine;
@@ -1740,17 +3932,20 @@ CanvasTool.PngEncoder.prototype.filterSub_ = function(lineByteArray, sub) {
 
 /**
  * Filter Up
- * @param {!Array.<number>} lineByteArray line array.
+ * @param {!(Array|Uint8Array)} lineByteArray line array.
  * @param {number} sub 左のピクセルとの距離.
- * @return {!Array} filtered line byte array.
+ * @return {!(Array|Uint8Array)} filtered line byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.filterUp_ = function(lineByteArray, sub) {
-  var filteredImageLine = [], up, prevLine = this.prevLine_, index, length;
-
-  for (index = 0, length = lineByteArray.length; index < length; index++) {
-    up = (prevLine && prevLine[index]) ? prevLine[index] : 0;
-    filteredImageLine.push((lineByteArray[index] - up + 0x0100) & 0xff);
+  var length = lineByteArray.length,
+      filteredImageLine = new (USE_TYPEDARRAY ? Uint8Array : Array)(length),
+      prevLine = this.prevLine_,
+      up, index;
+
+  for (index = 0; index < length; index++) {
+    up = prevLine ? prevLine[index] : 0;
+    filteredImageLine[index] = (lineByteArray[index] - up + 0x0100) & 0xff;
   }
 
   return filteredImageLine;
@@ -1758,22 +3953,23 @@ CanvasTool.PngEncoder.prototype.filterUp_ = function(lineByteArray, sub) {
 
 /**
  * Filter Average
- * @param {!Array.<number>} lineByteArray line array.
+ * @param {!(Array|Uint8Array)} lineByteArray line array.
  * @param {number} sub 左のピクセルとの距離.
- * @return {!Array} filtered line byte array.
+ * @return {!(Array|Uint8Array)} filtered line byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.filterAverage_ = function(lineByteArray, sub) {
-  var filteredImageLine = [],
-      left, up, average,
-      prevLine = this.prevLine_, index, length;
-
-  for (index = 0, length = lineByteArray.length; index < length; index++) {
-    left = lineByteArray[index - sub] || 0;
-    up = prevLine && prevLine[index] || 0;
+  var length = lineByteArray.length,
+      filteredImageLine = new (USE_TYPEDARRAY ? Uint8Array : Array)(length),
+      prevLine = this.prevLine_,
+      left, up, average, index;
+
+  for (index = 0; index < length; index++) {
+    left = index >= sub ? lineByteArray[index - sub] : 0;
+    up = prevLine ? prevLine[index] : 0;
     average = (left + up) >>> 1;
 
-    filteredImageLine.push((lineByteArray[index] + 0x0100 - average) & 0xff);
+    filteredImageLine[index] = (lineByteArray[index] + 0x0100 - average) & 0xff;
   }
 
   return filteredImageLine;
@@ -1781,47 +3977,35 @@ CanvasTool.PngEncoder.prototype.filterAverage_ = function(lineByteArray, sub) {
 
 /**
  * Filter Paeth
- * @param {!Array.<number>} lineByteArray line array.
+ * @param {!(Array|Uint8Array)} lineByteArray line array.
  * @param {number} sub 左のピクセルとの距離.
- * @return {!Array} filtered line byte array.
+ * @return {!(Array|Uint8Array)} filtered line byte array.
  * @private
  */
 CanvasTool.PngEncoder.prototype.filterPaeth_ = function(lineByteArray, sub) {
-  var filteredImageLine = [],
-      left, up, leftup, paeth,
-      prevLine = this.prevLine_, index, length;
-
-  for (index = 0, length = lineByteArray.length; index < length; index++) {
-    left = lineByteArray[index - sub] || 0;
-    up = prevLine && prevLine[index] || 0;
-    leftup = prevLine && prevLine[index - sub] || 0;
-    paeth = this.paethPredictor_(left, up, leftup);
-
-    filteredImageLine.push((lineByteArray[index] - paeth + 0x0100) & 0xff);
+  var length = lineByteArray.length,
+      filteredImageLine = new (USE_TYPEDARRAY ? Uint8Array : Array)(length),
+      prevLine = this.prevLine_,
+      left, up, leftup, paeth, p, pa, pb, pc, index;
+
+  for (index = 0; index < length; index++) {
+    left = index >= sub ? lineByteArray[index - sub] : 0;
+    up = prevLine ? prevLine[index] : 0;
+    leftup = (prevLine && index >= sub) ? prevLine[index - sub] : 0;
+
+    // Paeth Algorithm (関数呼び出しを避けるためインライン展開している)
+    p = left + up - leftup;
+    pa = p > left ? p - left : left - p;
+    pb = p > up ? p - up : up - p;
+    pc = p > leftup ? p - leftup : leftup - p;
+    paeth = (pa <= pb && pa <= pc) ? left : (pb <= pc) ? up : leftup;
+
+    filteredImageLine[index] = (lineByteArray[index] - paeth + 0x0100) & 0xff;
   }
 
   return filteredImageLine;
 };
 
-/**
- * Paeth Algorithm
- * @param {number} a 1st byte.
- * @param {number} b 2nd byte.
- * @param {number} c 3rd byte.
- * @return {number} nearest byte.
- * @private
- */
-CanvasTool.PngEncoder.prototype.paethPredictor_ = function(a, b, c) {
-  var p, pa, pb, pc;
-
-  p = a + b - c;
-  pa = Math.abs(p - a);
-  pb = Math.abs(p - b);
-  pc = Math.abs(p - c);
-
-  return (pa <= pb && pa <= pc) ? a : (pb <= pc) ? b : c;
-};
-
 /**
  * Array 風のオブジェクトに対する slice 実装.
  * CanvasPixelArray 用に使用する.
@@ -1837,26 +4021,75 @@ CanvasTool.PngEncoder.prototype.slice_ = function(arraylike, start, length) {
     Array.prototype.slice.call(arraylike, start, start + length);
 };
 
+/**
+ * 入力データの 1 サンプルを出力のビット深度に合わせる
+ * @param {number} sample sampleDepth ビットのサンプル値.
+ * @return {number} bitDepth ビットのサンプル値.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.scaleSample_ = function(sample) {
+  var sampleDepth = this.sampleDepth, depth = this.bitDepth;
+
+  // 精度を落とす場合は上位ビットを使用する
+  if (sampleDepth > depth) {
+    return sample >>> (sampleDepth - depth);
+  }
+
+  // 8 -> 16 ビットは上位・下位 byte に同じ値を入れて 0-65535 に広げる
+  if (sampleDepth < depth) {
+    return sample << 8 | sample;
+  }
+
+  return sample;
+};
+
+/**
+ * 入力データから 8 ビットのサンプルとして切り出す.
+ * パレットは 8 ビットなので 16 ビットのサンプルは上位 8 ビットを使用する.
+ * @param {!(Array|Object)} arraylike 入力データ.
+ * @param {number} start 開始 index.
+ * @param {number} length 切り出す長さ.
+ * @return {!Array.<number>} 8 ビットのサンプル配列.
+ * @private
+ */
+CanvasTool.PngEncoder.prototype.sliceSample8_ =
+function(arraylike, start, length) {
+  var samples = [], i;
+
+  if (this.sampleDepth !== 16) {
+    return this.slice_(arraylike, start, length);
+  }
+
+  for (i = 0; i < length; i++) {
+    samples[i] = arraylike[start + i] >>> 8;
+  }
+
+  return samples;
+};
+
 /**
  * チャンクの作成
  * @param {!CanvasTool.PngEncoder.ChunkType} type Chunk type.
  * @param {!(Array|Uint8Array)} data Chunk data byte array.
- * @return {!Array} Chunk byte array.
- * @private
+ * @return {!(Array|Uint8Array)} Chunk byte array.
+ * @protected
  */
 CanvasTool.PngEncoder.prototype.makeChunk_ = function(type, data) {
-  var chunk = [], length = data.length, crcTarget = [];
+  var length = data.length,
+      chunk = new (USE_TYPEDARRAY ? Uint8Array : Array)(length + 12),
+      crc;
 
   // Length
-  push_(chunk, this.networkByteOrder_(length, 4));
+  set_(chunk, this.networkByteOrder_(length, 4), 0);
   // Type
-  push_(chunk, type);
+  set_(chunk, type, 4);
   // Data
-  push_(chunk, data);
-  // CRC
-  push_(crcTarget, type);
-  push_(crcTarget, data);
-  push_(chunk, this.networkByteOrder_(Zlib.CRC32.calc(crcTarget), 4));
+  set_(chunk, data, 8);
+  // CRC (Type と Data が対象)
+  crc = Zlib.CRC32.calc(
+    USE_TYPEDARRAY ? chunk.subarray(4, length + 8) : chunk.slice(4, length + 8)
+  );
+  set_(chunk, this.networkByteOrder_(crc, 4), length + 8);
 
   return chunk;
 };
@@ -1866,7 +4099,7 @@ CanvasTool.PngEncoder.prototype.makeChunk_ = function(type, data) {
  * @param {number} number source number.
  * @param {number=} size size.
  * @return {!Array} network byte order byte array.
- * @private
+ * @protected
  */
 CanvasTool.PngEncoder.prototype.networkByteOrder_ = function(number, size) {
   var tmp = [], octet, nullchar;
@@ -1889,53 +4122,23 @@ CanvasTool.PngEncoder.prototype.networkByteOrder_ = function(number, size) {
 
 /**
  * RGB -> Y 変換
- * @param {number} red 赤要素の値 (0-255).
- * @param {number} green 緑要素の値 (0-255).
- * @param {number} blue 青要素の値 (0-255).
- * @return {number} 輝度 (0-255).
+ * サンプルの範囲は sampleDepth に従う
+ * (8 ビットなら 0-255, 16 ビットなら 0-65535)
+ * @param {number} red 赤要素の値.
+ * @param {number} green 緑要素の値.
+ * @param {number} blue 青要素の値.
+ * @return {number} 輝度.
  * @private
  */
 CanvasTool.PngEncoder.prototype.rgb2y_ = function(red, green, blue) {
-  var y;
+  var y, max = (1 << this.sampleDepth) - 1;
 
   y = red * CanvasTool.PngEncoder.RedWeight_ +
       green * CanvasTool.PngEncoder.GreenWeight_ +
       blue * CanvasTool.PngEncoder.BlueWeight_ +
       0.0001; // 丸め
 
-  return (y > 255 ? 255 : y) | 0;
-};
-
-/**
- * [R, G, B(, A)]の形に並んでいる配列からバイナリ文字列に変換する
- * @param {!Array.<number>} color [R, G, B(, A)]形式の配列.
- * @return {string} 変換されたバイナリ文字列.
- * @private
- */
-CanvasTool.PngEncoder.prototype.rgb2str_ = function(color) {
-  return color.slice(0, 3).map(this.fromCharCode_).join('');
-};
-
-/**
- * [R, G, B, A]の形に並んでいる配列からバイナリ文字列に変換する
- * @param {!Array.<number>} color [R, G, B, A]形式の配列.
- * @return {string} 変換されたバイナリ文字列.
- * @private
- */
-CanvasTool.PngEncoder.prototype.rgba2str_ = function(color) {
-  return color.map(this.fromCharCode_).join('');
-};
-
-/**
- * XXX: 必要?
- * String.fromCharCode を使用するとゴミが混じる事があるので、
- * 先頭文字だけを切り出す
- * @param {number} code 変換するキャラクタコード.
- * @return {string} 変換された文字列.
- * @private
- */
-CanvasTool.PngEncoder.prototype.fromCharCode_ = function(code) {
-  return String.fromCharCode(code).charAt(0);
+  return (y > max ? max : y) | 0;
 };
 
 /**
@@ -1959,6 +4162,181 @@ function push_(dst, src) {
   return dst.length;
 }
 
+/**
+ * 画像の範囲指定の検証
+ * @param {Object|undefined} rect 範囲 ({x, y, width, height}).
+ *     undefined の場合は画像全体とする.
+ * @param {number} width 画像の横幅.
+ * @param {number} height 画像の縦幅.
+ * @return {!{x: number, y: number, width: number, height: number}} 範囲.
+ * @private
+ */
+function normalizeRect_(rect, width, height) {
+  var x, y, w, h;
+
+  if (rect === void 0) {
+    return {x: 0, y: 0, width: width, height: height};
+  }
+  if (typeof rect !== 'object' || rect === null) {
+    throw new Error('invalid source rect');
+  }
+
+  x = rect['x'];
+  y = rect['y'];
+  w = rect['width'];
+  h = rect['height'];
+
+  if ((x | 0) !== x || (y | 0) !== y || (w | 0) !== w || (h | 0) !== h ||
+      x < 0 || y < 0 || w <= 0 || h <= 0 ||
+      x + w > width || y + h > height) {
+    throw new Error('invalid source rect');
+  }
+
+  return {x: x, y: y, width: w, height: h};
+}
+
+/**
+ * RGBA のピクセルデータから指定した範囲を切り出す.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} data
+ *     ピクセルデータ.
+ * @param {number} width ピクセルデータの横幅.
+ * @param {!{x: number, y: number, width: number, height: number}} rect 範囲.
+ * @return {!(Array|Uint8Array|Uint16Array)} 切り出したピクセルデータ.
+ * @private
+ */
+function cropPixels_(data, width, rect) {
+  var rowLength = rect.width * 4,
+      cropped = newPixelArray_(data, rowLength * rect.height),
+      op = 0, ip, y, i;
+
+  for (y = 0; y < rect.height; y++) {
+    ip = ((rect.y + y) * width + rect.x) * 4;
+    for (i = 0; i < rowLength; i++) {
+      cropped[op++] = data[ip++];
+    }
+  }
+
+  return cropped;
+}
+
+/**
+ * RGBA のピクセルデータの上下反転とαの除算を行う.
+ * αが 0 のピクセルは RGB も 0 とする.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} data
+ *     ピクセルデータ.
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
+ * @param {boolean} flipY スキャンラインの順序を反転するか.
+ * @param {boolean} premultiplied RGB にαが乗算済みか.
+ * @param {number} maxSample サンプルの最大値.
+ * @return {!(Array|Uint8Array|Uint16Array)} 変換したピクセルデータ.
+ * @private
+ */
+function convertPixels_(data, width, height, flipY, premultiplied, maxSample) {
+  var rowLength = width * 4,
+      converted = newPixelArray_(data, rowLength * height),
+      op = 0, ip, alpha, y, x, i;
+
+  for (y = 0; y < height; y++) {
+    ip = (flipY ? height - 1 - y : y) * rowLength;
+    for (x = 0; x < width; x++, ip += 4, op += 4) {
+      alpha = data[ip + 3];
+      if (!premultiplied || alpha === maxSample) {
+        for (i = 0; i < 4; i++) {
+          converted[op + i] = data[ip + i];
+        }
+      } else if (alpha === 0) {
+        for (i = 0; i < 4; i++) {
+          converted[op + i] = 0;
+        }
+      } else {
+        for (i = 0; i < 3; i++) {
+          converted[op + i] = Math.min(
+            maxSample, (data[ip + i] * maxSample / alpha + 0.5) | 0
+          );
+        }
+        converted[op + 3] = alpha;
+      }
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * ピクセルデータと同じ種類の配列を作成する.
+ * Uint16Array の場合は Uint16Array, それ以外は byte array となる.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} data
+ *     ピクセルデータ.
+ * @param {number} length 配列の長さ.
+ * @return {!(Array|Uint8Array|Uint16Array)} 作成した配列.
+ * @private
+ */
+function newPixelArray_(data, length) {
+  return (typeof Uint16Array !== 'undefined' && data instanceof Uint16Array) ?
+    new Uint16Array(length) :
+    new (USE_TYPEDARRAY ? Uint8Array : Array)(length);
+}
+
+/**
+ * 配列の指定した位置に別の配列の内容を書き込む.
+ * @param {!(Array|Uint8Array)} dst 書き込み先となる配列.
+ * @param {!(Array|Uint8Array)} src 書き込む配列.
+ * @param {number} pos 書き込み位置.
+ * @private
+ */
+function set_(dst, src, pos) {
+  var i = 0, l = src.length;
+
+  if (USE_TYPEDARRAY) {
+    dst.set(src, pos);
+    return;
+  }
+
+  for (; i < l; i++) {
+    dst[pos + i] = src[i];
+  }
+}
+
+/**
+ * 配列のリストを 1 つの配列に連結する.
+ * @param {!Array.<!(Array|Uint8Array)>} arrays 連結する配列のリスト.
+ * @return {!(Array|Uint8Array)} 連結した配列.
+ * @private
+ */
+function concat_(arrays) {
+  var size = 0, pos = 0, buffer, index, length;
+
+  for (index = 0, length = arrays.length; index < length; index++) {
+    size += arrays[index].length;
+  }
+
+  buffer = new (USE_TYPEDARRAY ? Uint8Array : Array)(size);
+  for (index = 0, length = arrays.length; index < length; index++) {
+    set_(buffer, arrays[index], pos);
+    pos += arrays[index].length;
+  }
+
+  return buffer;
+}
+
+/**
+ * スキャンラインの先頭にフィルタタイプを付与する.
+ * @param {CanvasTool.PngEncoder.BasicFilterType} filterType フィルタタイプ.
+ * @param {!(Array|Uint8Array)} line filtered line byte array.
+ * @return {!(Array|Uint8Array)} 先頭にフィルタタイプを付与した
+ *     filtered line byte array.
+ * @private
+ */
+function prependFilterType_(filterType, line) {
+  var filteredLine = new (USE_TYPEDARRAY ? Uint8Array : Array)(line.length + 1);
+
+  filteredLine[0] = filterType;
+  set_(filteredLine, line, 1);
+
+  return filteredLine;
+}
+
 /**
  * 文字列から bytearray への変換
  * @param {string} str byte array に変換する文字列.
@@ -2008,6 +4386,65 @@ function str_(bytearray) {
   return tmp.join('');
 }
 
+/**
+ * Base64 で使用する文字
+ * @type {string}
+ * @const
+ * @private
+ */
+CanvasTool.PngEncoder.Base64Table_ =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * bytearray を Base64 文字列に変換する
+ * @param {!(Array|Uint8Array)} bytearray 変換する byte array.
+ * @return {string} Base64 文字列.
+ * @private
+ */
+function base64_(bytearray) {
+  var tmp = [],
+      table = CanvasTool.PngEncoder.Base64Table_,
+      i = 0,
+      l = bytearray.length,
+      bits;
+
+  // 3 byte ずつ 4 文字に変換する
+  for (; i + 2 < l; i += 3) {
+    bits = bytearray[i] << 16 | bytearray[i + 1] << 8 | bytearray[i + 2];
+    tmp.push(
+      table.charAt(bits >> 18 & 0x3f) +
+      table.charAt(bits >> 12 & 0x3f) +
+      table.charAt(bits >> 6 & 0x3f) +
+      table.charAt(bits & 0x3f)
+    );
+  }
+
+  // 端数は = で埋める
+  switch (l - i) {
+    case 1:
+      bits = bytearray[i] << 16;
+      tmp.push(
+        table.charAt(bits >> 18 & 0x3f) +
+        table.charAt(bits >> 12 & 0x3f) +
+        '=='
+      );
+      break;
+    case 2:
+      bits = bytearray[i] << 16 | bytearray[i + 1] << 8;
+      tmp.push(
+        table.charAt(bits >> 18 & 0x3f) +
+        table.charAt(bits >> 12 & 0x3f) +
+        table.charAt(bits >> 6 & 0x3f) +
+        '='
+      );
+      break;
+    default:
+      break;
+  }
+
+  return tmp.join('');
+}
+
 /**
  * Latin-1 で表示可能な文字か判別する.
  * @param {number} charCode check character code.
@@ -2020,6 +4457,179 @@ function isLatin1Printable_(charCode) {
            (charCode > 255));
 }
 
+/**
+ * 文字列が Latin-1 で表現できるか判別する.
+ * @param {string} str check string.
+ * @return {boolean} 全ての文字が Latin-1 の範囲内ならば true.
+ * @private
+ */
+function isLatin1_(str) {
+  return !/[^\u0000-\u00ff]/.test(str);
+}
+
+/**
+ * addChunk で追加するチャンクタイプの検証
+ * @param {*} type チャンクタイプ.
+ * @param {boolean} safeToCopy コピー安全ビットが立っている (4 文字目が
+ *     小文字) べきか.
+ * @private
+ */
+function validateChunkType_(type, safeToCopy) {
+  var name;
+
+  if (typeof type !== 'string' || !/^[A-Za-z]{4}$/.test(type)) {
+    throw new Error('chunk type must be 4 ASCII letters: ' + type);
+  }
+  // 補助ビット
+  if (/^[A-Z]/.test(type)) {
+    throw new Error('critical chunk can not be added: ' + type);
+  }
+  // 予約ビット
+  if (/^..[a-z]/.test(type)) {
+    throw new Error('reserved bit must not be set: ' + type);
+  }
+  // プライベートビット
+  if (/^.[A-Z]/.test(type)) {
+    for (name in CanvasTool.PngEncoder.ChunkType) {
+      if (type === String.fromCharCode.apply(
+            null, CanvasTool.PngEncoder.ChunkType[name])) {
+        throw new Error('chunk type is written by the encoder: ' + type);
+      }
+    }
+  }
+  // コピー安全ビット
+  if (/^...[a-z]/.test(type) !== safeToCopy) {
+    throw new Error(
+      (safeToCopy ? 'chunk type is not safe to copy: ' :
+                    'chunk type is safe to copy: ') + type
+    );
+  }
+}
+
+/**
+ * 0 以上 max 以下の整数かどうか
+ * @param {*} value 対象となる値.
+ * @param {number} max 最大値.
+ * @return {boolean} 範囲内の整数なら true.
+ * @private
+ */
+function isUint_(value, max) {
+  return typeof value === 'number' && value % 1 === 0 &&
+    value >= 0 && value <= max;
+}
+
+/**
+ * 設定がオブジェクトであるかの検証
+ * @param {string} name 設定名.
+ * @param {*} value 対象となる値.
+ * @private
+ */
+function validateObject_(name, value) {
+  if (typeof value !== 'object' || value === null) {
+    throw new Error(name + ' must be an object');
+  }
+}
+
+/**
+ * 色度 (cHRM の各値) の検証
+ * CIE 1931 の xy 色度座標 (0-1) で指定する.
+ * @param {string} name 設定名.
+ * @param {*} value 対象となる値.
+ * @private
+ */
+function validateChromaticity_(name, value) {
+  if (!(typeof value === 'number' && value >= 0 && value <= 1)) {
+    throw new Error(name + ' must be 0-1: ' + value);
+  }
+}
+
+/**
+ * 色 (bKGD, tRNS の値) の検証
+ * @param {string} name 設定名.
+ * @param {*} colour 対象となる値.
+ * @private
+ */
+function validateColour_(name, colour) {
+  var i, l;
+
+  if (!(colour instanceof Array) ||
+      (colour.length !== 1 && colour.length !== 3)) {
+    throw new Error(name + ' must be [gray] or [red, green, blue]');
+  }
+  for (i = 0, l = colour.length; i < l; i++) {
+    if (!isUint_(colour[i], 0xffff)) {
+      throw new Error(name + ' must be 0-65535: ' + colour[i]);
+    }
+  }
+}
+
+/**
+ * テキストデータ (tEXt, zTXt, iTXt の設定) の検証
+ * @param {string} name 設定名.
+ * @param {*} text 対象となる値.
+ * @private
+ */
+function validateText_(name, text) {
+  validateObject_(name, text);
+  validateKeyword_(text['keyword']);
+  if (typeof text['text'] !== 'string') {
+    throw new Error(name + '.text must be a string');
+  }
+}
+
+/**
+ * tEXt, zTXt のテキストの検証
+ * Latin-1 で表現できない文字と, 区切り文字として使われる NUL は使用できない.
+ * @param {string} type チャンクタイプ.
+ * @param {string} text 対象となるテキスト.
+ * @private
+ */
+function validateLatin1Text_(type, text) {
+  if (!isLatin1_(text)) {
+    throw new Error(type + ' text must be Latin-1');
+  }
+  if (text.indexOf('\u0000') !== -1) {
+    throw new Error(type + ' text must not contain a null character (U+0000)');
+  }
+}
+
+/**
+ * 言語タグ (iTXt の設定, textEntries の lang) の検証
+ * undefined は言語の指定なしとして扱う.
+ * @param {*} lang 対象となる値.
+ * @private
+ */
+function validateLanguageTag_(lang) {
+  if (lang !== void 0 &&
+      !(typeof lang === 'string' && /^[A-Za-z0-9-]*$/.test(lang))) {
+    throw new Error('invalid language tag: ' + lang);
+  }
+}
+
+/**
+ * キーワード (iCCP のプロファイル名, テキストのキーワード) の検証
+ * Latin-1 の表示可能な文字 1-79 文字で, 先頭と末尾の空白, 連続する空白は
+ * 使用できない.
+ * @param {string} keyword check keyword.
+ * @private
+ */
+function validateKeyword_(keyword) {
+  var i, l;
+
+  if (typeof keyword !== 'string' || keyword.length < 1 ||
+      keyword.length > 79) {
+    throw new Error('keyword must be 1-79 characters: ' + keyword);
+  }
+  for (i = 0, l = keyword.length; i < l; i++) {
+    if (!isLatin1Printable_(keyword.charCodeAt(i))) {
+      throw new Error('invalid character in keyword: ' + keyword);
+    }
+  }
+  if (/^ | $|  /.test(keyword)) {
+    throw new Error('invalid space in keyword: ' + keyword);
+  }
+}
+
 /**
  * 文字列を UTF-8 文字列に変換する
  * @param {string} str UTF-8 に変換する文字列.
@@ -2087,10 +4697,55 @@ if (!CanvasTool.PngEncoder.NO_EXPORT) {
       'SUB': CanvasTool.PngEncoder.BasicFilterType.SUB,
       'UP': CanvasTool.PngEncoder.BasicFilterType.UP,
       'AVERAGE': CanvasTool.PngEncoder.BasicFilterType.AVERAGE,
-      'PAETH': CanvasTool.PngEncoder.BasicFilterType.PAETH
+      'PAETH': CanvasTool.PngEncoder.BasicFilterType.PAETH,
+      'ADAPTIVE': CanvasTool.PngEncoder.BasicFilterType.ADAPTIVE,
+      'BRUTE_FORCE': CanvasTool.PngEncoder.BasicFilterType.BRUTE_FORCE
+    }
+  );
+
+  exportEnum(
+    'CanvasTool.Dither.Method',
+    {
+      'NONE': CanvasTool.Dither.Method.NONE,
+      'FLOYD_STEINBERG': CanvasTool.Dither.Method.FLOYD_STEINBERG,
+      'ATKINSON': CanvasTool.Dither.Method.ATKINSON,
+      'ORDERED': CanvasTool.Dither.Method.ORDERED
+    }
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.ExifBuilder',
+    CanvasTool.ExifBuilder
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.ExifBuilder.prototype.build',
+    CanvasTool.ExifBuilder.prototype.build
+  );
+
+  exportEnum(
+    'CanvasTool.ExifBuilder.ByteOrder',
+    {
+      'BIG_ENDIAN': CanvasTool.ExifBuilder.ByteOrder.BIG_ENDIAN,
+      'LITTLE_ENDIAN': CanvasTool.ExifBuilder.ByteOrder.LITTLE_ENDIAN
     }
   );
 
+  goog.exportSymbol(
+    'CanvasTool.XmpBuilder',
+    CanvasTool.XmpBuilder
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.XmpBuilder.prototype.build',
+    CanvasTool.XmpBuilder.prototype.build
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.XmpBuilder.Keyword',
+    CanvasTool.XmpBuilder.Keyword
+  );
+
   exportEnum(
     'CanvasTool.PngEncoder.InterlaceMethod',
     {
@@ -2108,6 +4763,56 @@ if (!CanvasTool.PngEncoder.NO_EXPORT) {
     'CanvasTool.PngEncoder.prototype.convertToArray',
     CanvasTool.PngEncoder.prototype.convertToArray
   );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoder.prototype.convertToUint8Array',
+    CanvasTool.PngEncoder.prototype.convertToUint8Array
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoder.prototype.convertToBlob',
+    CanvasTool.PngEncoder.prototype.convertToBlob
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoder.prototype.convertToDataURL',
+    CanvasTool.PngEncoder.prototype.convertToDataURL
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoder.prototype.encodeAsync',
+    CanvasTool.PngEncoder.prototype.encodeAsync
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoder.prototype.addChunk',
+    CanvasTool.PngEncoder.prototype.addChunk
+  );
+
+  exportEnum(
+    'CanvasTool.PngEncoder.ChunkPosition',
+    {
+      'AFTER_IHDR': CanvasTool.PngEncoder.ChunkPosition.AFTER_IHDR,
+      'BEFORE_PLTE': CanvasTool.PngEncoder.ChunkPosition.BEFORE_PLTE,
+      'BEFORE_IDAT': CanvasTool.PngEncoder.ChunkPosition.BEFORE_IDAT,
+      'AFTER_IDAT': CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT
+    }
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoder.TimeSlice',
+    CanvasTool.PngEncoder.TimeSlice
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoder.getImageData',
+    CanvasTool.PngEncoder.getImageData
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoder.TextCompressionThreshold',
+    CanvasTool.PngEncoder.TextCompressionThreshold
+  );
 }
 
 // end of scope
@@ -0,0 +1,427 @@
+/**
+ * @fileoverview Web Worker / worker_threads 上で PNG の変換を行うための
+ * メインスレッド側のプロキシと Worker 側のエントリポイント.
+ *
+ * Worker 側のスクリプトではライブラリを読み込んだ後に
+ * CanvasTool.PngEncoderWorker.listen() を呼び出す.
+ * メインスレッド側では CanvasTool.PngEncoderWorker にそのスクリプトを渡し,
+ * encode で変換を行う.
+ */
+
+goog.provide('CanvasTool.PngEncoderWorker');
+
+goog.require('CanvasTool.PngEncoder');
+
+goog.scope(function() {
+
+/**
+ * Worker で PNG の変換を行うプロキシ
+ * ブラウザでは Web Worker, Node.js では worker_threads の Worker を使用する.
+ * @param {!(string|Object)} worker Worker のスクリプトのパス,
+ *     もしくは作成済みの Worker オブジェクト.
+ * @constructor
+ */
+CanvasTool.PngEncoderWorker = function(worker) {
+  var proxy = this;
+
+  if (typeof worker === 'string') {
+    worker = (typeof Worker !== 'undefined') ?
+      new Worker(worker) :
+      new (require('worker_threads').Worker)(worker);
+  }
+
+  /**
+   * Worker オブジェクト
+   * @type {!Object}
+   */
+  this.worker = worker;
+
+  /**
+   * 変換中のリクエスト (キーはリクエスト ID)
+   * @type {!Object.<number, CanvasTool.PngEncoderWorker.Request_>}
+   * @private
+   */
+  this.requests_ = {};
+
+  /**
+   * 次のリクエスト ID
+   * @type {number}
+   * @private
+   */
+  this.nextId_ = 0;
+
+  addListener_(worker, 'message', function(message) {
+    proxy.onMessage_(/** @type {!Object} */(message));
+  });
+  addListener_(worker, 'error', function(error) {
+    proxy.rejectAll_((error instanceof Error) ?
+      error : new Error(error.message || 'worker error'));
+  });
+  // worker_threads の Worker は終了時に exit イベントを発生させる
+  addListener_(worker, 'exit', function(code) {
+    proxy.rejectAll_(new Error('worker exited with code ' + code));
+  });
+};
+
+/**
+ * メッセージの種類
+ * @enum {string}
+ */
+CanvasTool.PngEncoderWorker.MessageType = {
+  ENCODE: 'encode',
+  ABORT: 'abort',
+  PROGRESS: 'progress',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+/**
+ * 変換中のリクエスト
+ * @param {function(!Uint8Array)} resolve 変換結果を受け取る関数.
+ * @param {function(*)} reject エラーを受け取る関数.
+ * @param {Function} onProgress 進捗を受け取るコールバック関数.
+ * @constructor
+ * @private
+ */
+CanvasTool.PngEncoderWorker.Request_ = function(resolve, reject, onProgress) {
+  /** @type {function(!Uint8Array)} */
+  this.resolve = resolve;
+  /** @type {function(*)} */
+  this.reject = reject;
+  /** @type {Function} */
+  this.onProgress = onProgress;
+  /**
+   * 登録した abort イベントのリスナを解除する関数
+   * @type {?function()}
+   */
+  this.detach = null;
+};
+
+/**
+ * Worker で PNG の変換を行う
+ * Canvas エレメントなどの画像ソースの場合は取得したピクセルデータのバッファを
+ * Worker に移動する. 配列と ImageData の場合は transfer オプションが true の
+ * 時のみバッファを移動し, それ以外ではコピーを渡す.
+ * @param {!(Element|Object|Array|Uint8Array|Uint16Array|CanvasPixelArray)}
+ *     canvas 対象となる Canvas エレメント, OffscreenCanvas, ImageData,
+ *     ImageBitmap, 2D コンテキスト, もしくは CanvasPixelArray 互換の配列.
+ * @param {!Object=} opt_param CanvasTool.PngEncoder の変換オプション.
+ *     構造化複製できる値のみ指定できる.
+ * @param {Object=} opt_option 以下のプロパティを持つオブジェクト.
+ *     signal: 中断に使用する AbortSignal.
+ *     onProgress: 進捗 (0-1) を受け取るコールバック関数.
+ *     transfer: 配列のバッファを Worker に移動するか.
+ * @return {!Promise.<!Uint8Array>} PNG バイナリを返す Promise.
+ */
+CanvasTool.PngEncoderWorker.prototype.encode =
+function(canvas, opt_param, opt_option) {
+  var proxy = this,
+      option = opt_option || {},
+      signal = option['signal'],
+      id = this.nextId_++,
+      param = {},
+      transfer = [],
+      image, data, key;
+
+  if (typeof opt_param === 'object') {
+    for (key in opt_param) {
+      param[key] = opt_param[key];
+    }
+  }
+
+  image = CanvasTool.PngEncoder.getImageData(canvas, param['sourceRect']);
+
+  if (image !== null) {
+    // 範囲指定はここで適用済み
+    delete param['sourceRect'];
+    param['width'] = image.width;
+    param['height'] = image.height;
+    data = image.data;
+    // 新たに取得したピクセルデータは移動する
+    // (ImageData のデータをそのまま使う場合は transfer 指定時のみ)
+    if (data !== canvas.data || option['transfer'] === true) {
+      transfer.push(data.buffer);
+    }
+  } else if (typeof(canvas.length) === 'number') {
+    data = canvas;
+    if (option['transfer'] === true && canvas.buffer instanceof ArrayBuffer) {
+      transfer.push(canvas.buffer);
+    }
+  } else {
+    throw new Error('invalid arguments');
+  }
+
+  return new Promise(function(resolve, reject) {
+    var request, onAbort;
+
+    if (signal && signal.aborted) {
+      reject(abortReason_(signal));
+      return;
+    }
+
+    request = proxy.requests_[id] = new CanvasTool.PngEncoderWorker.Request_(
+      resolve, reject, option['onProgress']
+    );
+
+    if (signal) {
+      onAbort = function() {
+        if (proxy.removeRequest_(id) !== void 0) {
+          proxy.worker.postMessage({
+            'type': CanvasTool.PngEncoderWorker.MessageType.ABORT,
+            'id': id
+          });
+          reject(abortReason_(signal));
+        }
+      };
+      addListener_(signal, 'abort', onAbort);
+      // 変換の終了後は signal からリスナを参照させない
+      request.detach = function() {
+        removeListener_(signal, 'abort', onAbort);
+      };
+    }
+
+    proxy.worker.postMessage({
+      'type': CanvasTool.PngEncoderWorker.MessageType.ENCODE,
+      'id': id,
+      'data': data,
+      'param': param
+    }, transfer);
+  });
+};
+
+/**
+ * Worker を終了する
+ * 変換中のリクエストは全てエラーとなる.
+ */
+CanvasTool.PngEncoderWorker.prototype.terminate = function() {
+  this.rejectAll_(new Error('worker terminated'));
+  this.worker.terminate();
+};
+
+/**
+ * Worker からのメッセージの処理
+ * @param {!Object} message 受信したメッセージ.
+ * @private
+ */
+CanvasTool.PngEncoderWorker.prototype.onMessage_ = function(message) {
+  var id = message['id'],
+      request = this.requests_[id];
+
+  // 中断されたリクエスト
+  if (request === void 0) {
+    return;
+  }
+
+  switch (message['type']) {
+    case CanvasTool.PngEncoderWorker.MessageType.PROGRESS:
+      if (typeof(request.onProgress) === 'function') {
+        request.onProgress(message['ratio']);
+      }
+      break;
+    case CanvasTool.PngEncoderWorker.MessageType.DONE:
+      this.removeRequest_(id);
+      request.resolve(message['png']);
+      break;
+    case CanvasTool.PngEncoderWorker.MessageType.ERROR:
+      this.removeRequest_(id);
+      request.reject(new Error(message['message']));
+      break;
+    default:
+      // 不明なメッセージは対応するリクエストのエラーとする
+      this.removeRequest_(id);
+      request.reject(new Error('unknown message type: ' + message['type']));
+      break;
+  }
+};
+
+/**
+ * 変換中のリクエストを取り除く
+ * abort イベントのリスナも解除する.
+ * @param {number} id リクエスト ID.
+ * @return {CanvasTool.PngEncoderWorker.Request_|undefined} 取り除いた
+ *     リクエスト. 存在しない場合は undefined.
+ * @private
+ */
+CanvasTool.PngEncoderWorker.prototype.removeRequest_ = function(id) {
+  var request = this.requests_[id];
+
+  if (request !== void 0) {
+    delete this.requests_[id];
+    if (request.detach !== null) {
+      request.detach();
+    }
+  }
+
+  return request;
+};
+
+/**
+ * 変換中の全てのリクエストをエラーにする
+ * @param {*} error エラー.
+ * @private
+ */
+CanvasTool.PngEncoderWorker.prototype.rejectAll_ = function(error) {
+  var ids = Object.keys(this.requests_),
+      request, i, l;
+
+  for (i = 0, l = ids.length; i < l; i++) {
+    request = this.removeRequest_(+ids[i]);
+    if (request !== void 0) {
+      request.reject(error);
+    }
+  }
+};
+
+/**
+ * Worker 側のエントリポイント
+ * メインスレッドからの変換リクエストを待ち受け, encodeAsync で変換した結果の
+ * バッファをメインスレッドに移動する.
+ * @param {Object=} opt_port メッセージを送受信するポート. 省略時は
+ *     Web Worker では self, Node.js では worker_threads の parentPort.
+ */
+CanvasTool.PngEncoderWorker.listen = function(opt_port) {
+  var port = opt_port,
+      signals = {};
+
+  if (port === void 0) {
+    port = (typeof self !== 'undefined' &&
+            typeof self.postMessage === 'function') ?
+      self :
+      require('worker_threads')['parentPort'];
+  }
+
+  addListener_(port, 'message', function(message) {
+    var id = message['id'],
+        signal;
+
+    switch (message['type']) {
+      case CanvasTool.PngEncoderWorker.MessageType.ENCODE:
+        // encodeAsync は AbortSignal の aborted のみを参照する
+        signal = signals[id] = {'aborted': false};
+
+        new Promise(function(resolve) {
+          resolve(
+            new CanvasTool.PngEncoder(message['data'], message['param'])
+          );
+        }).then(function(encoder) {
+          return encoder.encodeAsync({
+            'signal': signal,
+            'onProgress': function(ratio) {
+              port.postMessage({
+                'type': CanvasTool.PngEncoderWorker.MessageType.PROGRESS,
+                'id': id,
+                'ratio': ratio
+              });
+            }
+          });
+        }).then(function(png) {
+          delete signals[id];
+          port.postMessage({
+            'type': CanvasTool.PngEncoderWorker.MessageType.DONE,
+            'id': id,
+            'png': png
+          }, [png.buffer]);
+        }, function(error) {
+          delete signals[id];
+          // 中断された場合はメインスレッド側で既にエラーとしている
+          if (!signal['aborted']) {
+            port.postMessage({
+              'type': CanvasTool.PngEncoderWorker.MessageType.ERROR,
+              'id': id,
+              'message': (error instanceof Error) ?
+                error.message : String(error)
+            });
+          }
+        });
+        break;
+      case CanvasTool.PngEncoderWorker.MessageType.ABORT:
+        if (id in signals) {
+          signals[id]['aborted'] = true;
+        }
+        break;
+      default:
+        // 不明なメッセージは対応するリクエストのエラーとして返す
+        port.postMessage({
+          'type': CanvasTool.PngEncoderWorker.MessageType.ERROR,
+          'id': id,
+          'message': 'unknown message type: ' + message['type']
+        });
+        break;
+    }
+  });
+};
+
+/**
+ * イベントリスナの登録
+ * EventEmitter (Node.js) と EventTarget (ブラウザ) の違いを吸収する.
+ * EventTarget の message イベントではイベントの data を渡す.
+ * @param {!Object} target イベントの発生元.
+ * @param {string} type イベントの種類.
+ * @param {function(*)} listener イベントリスナ.
+ */
+function addListener_(target, type, listener) {
+  if (typeof target.on === 'function') {
+    target.on(type, listener);
+  } else if (type === 'message') {
+    target.addEventListener(type, function(event) {
+      listener(event.data);
+    });
+  } else {
+    target.addEventListener(type, listener);
+  }
+}
+
+/**
+ * イベントリスナの解除
+ * addListener_ で登録した message 以外のイベントリスナを解除する.
+ * @param {!Object} target イベントの発生元.
+ * @param {string} type イベントの種類.
+ * @param {function(*)} listener イベントリスナ.
+ */
+function removeListener_(target, type, listener) {
+  if (typeof target.on === 'function') {
+    target.removeListener(type, listener);
+  } else {
+    target.removeEventListener(type, listener);
+  }
+}
+
+/**
+ * 中断時のエラーの取得
+ * @param {!Object} signal AbortSignal.
+ * @return {*} AbortSignal の reason, もしくはエラー.
+ */
+function abortReason_(signal) {
+  return (signal.reason !== void 0) ?
+    signal.reason : new Error('encode aborted');
+}
+
+// end of scope
+});
+
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+
+if (!CanvasTool.PngEncoder.NO_EXPORT) {
+  goog.exportSymbol(
+    'CanvasTool.PngEncoderWorker',
+    CanvasTool.PngEncoderWorker
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoderWorker.listen',
+    CanvasTool.PngEncoderWorker.listen
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoderWorker.prototype.encode',
+    CanvasTool.PngEncoderWorker.prototype.encode
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngEncoderWorker.prototype.terminate',
+    CanvasTool.PngEncoderWorker.prototype.terminate
+  );
+}
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview スキャンライン単位で入力を受け付ける PNG Encoder の実装.
+ * 画像全体の入力データを保持せずに PNG の作成を行う.
+ */
+
+goog.provide('CanvasTool.PngStreamEncoder');
+
+goog.require('CanvasTool.DeflateStream');
+goog.require('CanvasTool.PngEncoder');
+goog.require('CanvasTool.Dither');
+goog.require('USE_TYPEDARRAY');
+
+goog.scope(function() {
+
+/**
+ * 逐次入力による PNG Encoder
+ * begin でヘッダを指定し, writeRows で上から順にスキャンラインを与え,
+ * finish で終了する. 作成したシグネチャとチャンクは順に onChunk に渡され,
+ * 全てを連結したものが PNG ファイルとなる.
+ * 画像全体を必要とするインデックスカラー, インターレース, sPLT, ディザリング,
+ * 減色 (quantize), 自動選択 (auto) には対応しない.
+ * @param {function(!(Array|Uint8Array))} onChunk シグネチャとチャンクバイナリを
+ *     受け取るコールバック関数.
+ * @constructor
+ * @extends {CanvasTool.PngEncoder}
+ */
+CanvasTool.PngStreamEncoder = function(onChunk) {
+  if (typeof onChunk !== 'function') {
+    throw new Error('need onChunk function');
+  }
+
+  /**
+   * チャンクを受け取るコールバック関数
+   * @type {function(!(Array|Uint8Array))}
+   * @private
+   */
+  this.onChunk_ = onChunk;
+
+  /**
+   * 画像データの圧縮 (begin から finish までの間のみ存在する)
+   * @type {CanvasTool.DeflateStream}
+   * @private
+   */
+  this.deflate_ = null;
+
+  /**
+   * 書き込み済みのスキャンライン数
+   * @type {number}
+   * @private
+   */
+  this.row_ = 0;
+
+  /**
+   * idatChunkSize に満たないため出力していない圧縮データ
+   * @type {!(Array|Uint8Array)}
+   * @private
+   */
+  this.pending_ = [];
+
+  // addChunk で追加したチャンク
+  this.customChunks_ = [];
+};
+goog.inherits(CanvasTool.PngStreamEncoder, CanvasTool.PngEncoder);
+
+/**
+ * 変換を開始し, 画像データより前に配置するチャンクを出力する
+ * @param {!Object} header 変換オプション. CanvasTool.PngEncoder の
+ *     オプションと同様で width と height が必要となる.
+ *     sampleDepth で入力データのサンプル毎のビット数 (8 or 16) を指定できる.
+ */
+CanvasTool.PngStreamEncoder.prototype.begin = function(header) {
+  var chunks, index, length;
+
+  if (this.deflate_ !== null) {
+    throw new Error('stream already started');
+  }
+  if (typeof header !== 'object' || header === null) {
+    throw new Error('need header object');
+  }
+  if (typeof header['width'] !== 'number') {
+    throw new Error('width property not found');
+  }
+  if (typeof header['height'] !== 'number') {
+    throw new Error('height property not found');
+  }
+
+  // 画像全体を必要とするため setParameters の前に拒否する
+  if (header['auto'] === true) {
+    throw new Error('auto is not supported in streaming');
+  }
+  if (header['quantize'] === true) {
+    throw new Error('quantize is not supported in streaming');
+  }
+
+  this.sampleDepth = (typeof header['sampleDepth'] === 'number') ?
+    header['sampleDepth'] : 8;
+  this.setParameters(header['width'], header['height'], header);
+  this.validateStreamParameters_();
+
+  // スキャンライン毎のフィルタタイプ指定の検証
+  if (this.filterType instanceof Array) {
+    this.validateFilterTypeList_(this.filterType, this.height);
+  }
+
+  this.prevLine_ = null;
+  this.row_ = 0;
+  this.pending_ = [];
+  this.deflate_ = new CanvasTool.DeflateStream(this.deflateOption);
+
+  chunks = this.makeLeadingChunks_({PLTE: [], tRNS: []});
+  for (index = 0, length = chunks.length; index < length; index++) {
+    this.onChunk_(chunks[index]);
+  }
+};
+
+/**
+ * スキャンラインを書き込む
+ * フィルタを適用して圧縮し, 出力可能になった圧縮データを IDAT として出力する.
+ * @param {!(Array|CanvasPixelArray|Uint8Array|Uint16Array)} rows
+ *     1 行以上のスキャンラインからなる RGBA の入力データ.
+ */
+CanvasTool.PngStreamEncoder.prototype.writeRows = function(rows) {
+  var rowLength = this.width * 4, lines;
+
+  if (this.deflate_ === null) {
+    throw new Error('stream not started');
+  }
+  if (rows.length % rowLength !== 0) {
+    throw new Error('rows length must be a multiple of width * 4');
+  }
+
+  lines = rows.length / rowLength;
+  if (this.row_ + lines > this.height) {
+    throw new Error('too many rows: ' + (this.row_ + lines));
+  }
+
+  this.writeImageData_(
+    this.deflate_.write(this.filterRows_(rows, this.row_))
+  );
+  this.row_ += lines;
+};
+
+/**
+ * 独自のチャンクを追加する
+ * 画像データより前に配置するチャンクは begin の前に追加する必要がある.
+ * @param {string} type チャンクタイプ.
+ * @param {!(Array|Uint8Array)} data チャンクデータ byte array.
+ * @param {Object=} opt_option 以下のプロパティを持つオブジェクト.
+ *     position: 配置する位置 (CanvasTool.PngEncoder.ChunkPosition).
+ * @override
+ */
+CanvasTool.PngStreamEncoder.prototype.addChunk =
+function(type, data, opt_option) {
+  if (this.deflate_ !== null &&
+      !(typeof opt_option === 'object' && opt_option !== null &&
+        opt_option['position'] ===
+        CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT)) {
+    throw new Error('stream already started');
+  }
+
+  CanvasTool.PngEncoder.prototype.addChunk.call(
+    this, type, data, opt_option
+  );
+};
+
+/**
+ * 変換を終了し, 残りの IDAT と IEND を出力する
+ */
+CanvasTool.PngStreamEncoder.prototype.finish = function() {
+  var deflate = this.deflate_, chunks, index, length;
+
+  if (deflate === null) {
+    throw new Error('stream not started');
+  }
+  if (this.row_ !== this.height) {
+    throw new Error('missing rows: ' + this.row_ + ' of ' + this.height);
+  }
+
+  this.deflate_ = null;
+  this.writeImageData_(deflate.finish(), true);
+
+  // addChunk で追加したチャンク
+  chunks = [];
+  this.pushCustomChunks_(
+    chunks,
+    CanvasTool.PngEncoder.ChunkPosition.AFTER_IDAT
+  );
+  for (index = 0, length = chunks.length; index < length; index++) {
+    this.onChunk_(chunks[index]);
+  }
+
+  this.onChunk_(this.makeIEND_());
+};
+
+/**
+ * 逐次入力で使用できない変換オプションの検証
+ * @private
+ */
+CanvasTool.PngStreamEncoder.prototype.validateStreamParameters_ = function() {
+  if (this.colourType === CanvasTool.PngEncoder.ColourType.INDEXED_COLOR) {
+    throw new Error('indexed colour is not supported in streaming');
+  }
+  if (this.interlaceMethod !== CanvasTool.PngEncoder.InterlaceMethod.NONE) {
+    throw new Error('interlace is not supported in streaming');
+  }
+  if (this.compressionMethod !==
+      CanvasTool.PngEncoder.CompressionMethod.DEFLATE) {
+    throw new Error('unknown compression method');
+  }
+  if (typeof(this.splt) === 'object' && this.splt !== null) {
+    throw new Error('sPLT is not supported in streaming');
+  }
+  if (this.dither !== CanvasTool.Dither.Method.NONE) {
+    throw new Error('dither is not supported in streaming');
+  }
+};
+
+/**
+ * 圧縮データを IDAT として出力する
+ * idatChunkSize を指定した場合は, その長さに満たない分を次の出力まで保持する.
+ * @param {!(Array|Uint8Array)} data 圧縮データ.
+ * @param {boolean=} opt_flush 保持している圧縮データを全て出力するか.
+ * @private
+ */
+CanvasTool.PngStreamEncoder.prototype.writeImageData_ =
+function(data, opt_flush) {
+  var size = this.idatChunkSize,
+      pending = this.pending_,
+      buffer, list, index, length;
+
+  if (size === 0) {
+    if (data.length > 0) {
+      this.onChunk_(this.makeIDAT_(data));
+    }
+    return;
+  }
+
+  // 保持している圧縮データと連結する
+  buffer = new (USE_TYPEDARRAY ? Uint8Array : Array)(
+    pending.length + data.length
+  );
+  for (index = 0, length = pending.length; index < length; index++) {
+    buffer[index] = pending[index];
+  }
+  for (index = 0, length = data.length; index < length; index++) {
+    buffer[pending.length + index] = data[index];
+  }
+
+  list = this.splitImageData_(buffer);
+  length = list.length;
+
+  // 最後の断片が idatChunkSize に満たない場合は保持する
+  if (!opt_flush && list[length - 1].length < size) {
+    this.pending_ = list[--length];
+  } else {
+    this.pending_ = [];
+  }
+
+  for (index = 0; index < length; index++) {
+    if (list[index].length > 0) {
+      this.onChunk_(this.makeIDAT_(list[index]));
+    }
+  }
+};
+
+// end of scope
+});
+
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+
+if (!CanvasTool.PngEncoder.NO_EXPORT) {
+  goog.exportSymbol(
+    'CanvasTool.PngStreamEncoder',
+    CanvasTool.PngStreamEncoder
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngStreamEncoder.prototype.begin',
+    CanvasTool.PngStreamEncoder.prototype.begin
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngStreamEncoder.prototype.writeRows',
+    CanvasTool.PngStreamEncoder.prototype.writeRows
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngStreamEncoder.prototype.finish',
+    CanvasTool.PngStreamEncoder.prototype.finish
+  );
+
+  goog.exportSymbol(
+    'CanvasTool.PngStreamEncoder.prototype.addChunk',
+    CanvasTool.PngStreamEncoder.prototype.addChunk
+  );
+}
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview XMP パケットの作成.
+ * PNG では iTXt チャンク (キーワード "XML:com.adobe.xmp") に格納する.
+ * @see http://www.adobe.com/devnet/xmp.html
+ */
+
+goog.provide('CanvasTool.XmpBuilder');
+
+goog.scope(function() {
+
+/**
+ * XMP Builder
+ * Dublin Core (dc) と XMP Rights Management (xmpRights) のプロパティを
+ * RDF/XML の XMP パケットにする.
+ * @param {!Object} properties 接頭辞付きのプロパティ名と値のオブジェクト.
+ *     例: {'dc:title': 'Title', 'dc:creator': ['Alice', 'Bob'],
+ *     'dc:rights': {'x-default': 'Copyright', 'ja': '著作権'},
+ *     'xmpRights:Marked': true,
+ *     'xmpRights:WebStatement': 'https://example.com/license'}
+ *     言語別の値 (Alt) は文字列 (x-default) か言語をキーとしたオブジェクト,
+ *     配列の値 (Seq, Bag) は文字列か文字列の配列で指定する.
+ * @constructor
+ */
+CanvasTool.XmpBuilder = function(properties) {
+  if (typeof properties !== 'object' || properties === null) {
+    throw new Error('need properties object');
+  }
+
+  /**
+   * プロパティ名と値のオブジェクト
+   * @type {!Object}
+   */
+  this.properties = properties;
+};
+
+/**
+ * PNG の iTXt チャンクで使用するキーワード
+ * @const
+ * @type {string}
+ */
+CanvasTool.XmpBuilder.Keyword = 'XML:com.adobe.xmp';
+
+/**
+ * 名前空間 (キーは接頭辞)
+ * @const
+ * @type {!Object.<string, string>}
+ * @private
+ */
+CanvasTool.XmpBuilder.Namespaces_ = {
+  'dc': 'http://purl.org/dc/elements/1.1/',
+  'xmpRights': 'http://ns.adobe.com/xap/1.0/rights/'
+};
+
+/**
+ * プロパティの値の種類
+ * @enum {number}
+ * @private
+ */
+CanvasTool.XmpBuilder.ValueType_ = {
+  TEXT: 0,
+  BOOLEAN: 1,
+  LANG_ALT: 2,
+  SEQ: 3,
+  BAG: 4,
+  DATE_SEQ: 5
+};
+
+/**
+ * 対応しているプロパティ (キーは接頭辞付きのプロパティ名)
+ * @const
+ * @type {!Object.<string, CanvasTool.XmpBuilder.ValueType_>}
+ * @private
+ */
+CanvasTool.XmpBuilder.Properties_ = (function() {
+  var Type = CanvasTool.XmpBuilder.ValueType_;
+
+  return {
+    // Dublin Core
+    'dc:contributor': Type.BAG,
+    'dc:coverage': Type.TEXT,
+    'dc:creator': Type.SEQ,
+    'dc:date': Type.DATE_SEQ,
+    'dc:description': Type.LANG_ALT,
+    'dc:format': Type.TEXT,
+    'dc:identifier': Type.TEXT,
+    'dc:language': Type.BAG,
+    'dc:publisher': Type.BAG,
+    'dc:relation': Type.BAG,
+    'dc:rights': Type.LANG_ALT,
+    'dc:source': Type.TEXT,
+    'dc:subject': Type.BAG,
+    'dc:title': Type.LANG_ALT,
+    'dc:type': Type.BAG,
+    // XMP Rights Management
+    'xmpRights:Certificate': Type.TEXT,
+    'xmpRights:Marked': Type.BOOLEAN,
+    'xmpRights:Owner': Type.BAG,
+    'xmpRights:UsageTerms': Type.LANG_ALT,
+    'xmpRights:WebStatement': Type.TEXT
+  };
+})();
+
+/**
+ * XMP パケットを作成する
+ * @return {string} XMP パケット.
+ */
+CanvasTool.XmpBuilder.prototype.build = function() {
+  var properties = this.properties,
+      namespaces = CanvasTool.XmpBuilder.Namespaces_,
+      used = {},
+      body = [],
+      header, name, prefix;
+
+  for (name in properties) {
+    if (!CanvasTool.XmpBuilder.Properties_.hasOwnProperty(name)) {
+      throw new Error('unknown xmp property: ' + name);
+    }
+    if (properties[name] === void 0 || properties[name] === null) {
+      continue;
+    }
+    used[name.split(':')[0]] = true;
+    body.push(this.serializeProperty_(name, properties[name]));
+  }
+
+  header = ['  <rdf:Description rdf:about=""'];
+  for (prefix in namespaces) {
+    if (used[prefix]) {
+      header.push(
+        '    xmlns:' + prefix + '="' + namespaces[prefix] + '"'
+      );
+    }
+  }
+
+  return [
+    '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    header.join('\n') + '>'
+  ].concat(body, [
+    '  </rdf:Description>',
+    ' </rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ]).join('\n');
+};
+
+/**
+ * プロパティを RDF/XML にする
+ * @param {string} name 接頭辞付きのプロパティ名.
+ * @param {*} value 値.
+ * @return {string} RDF/XML.
+ * @private
+ */
+CanvasTool.XmpBuilder.prototype.serializeProperty_ = function(name, value) {
+  var Type = CanvasTool.XmpBuilder.ValueType_,
+      type = CanvasTool.XmpBuilder.Properties_[name],
+      items = [],
+      container, values, lang, i, l;
+
+  switch (type) {
+    case Type.TEXT:
+      return '   <' + name + '>' + escape_(toText_(name, value)) +
+        '</' + name + '>';
+    case Type.BOOLEAN:
+      if (typeof value !== 'boolean') {
+        throw new Error('xmp property ' + name + ' must be a boolean');
+      }
+      return '   <' + name + '>' + (value ? 'True' : 'False') +
+        '</' + name + '>';
+    case Type.LANG_ALT:
+      container = 'rdf:Alt';
+      values = (typeof value === 'object' && value !== null) ?
+        value : {'x-default': toText_(name, value)};
+      // x-default は先頭に置く
+      if (values.hasOwnProperty('x-default')) {
+        items.push(
+          langItem_('x-default', toText_(name, values['x-default']))
+        );
+      }
+      for (lang in values) {
+        if (lang !== 'x-default') {
+          items.push(langItem_(lang, toText_(name, values[lang])));
+        }
+      }
+      break;
+    case Type.SEQ:
+    case Type.BAG:
+    case Type.DATE_SEQ:
+      container = (type === Type.BAG) ? 'rdf:Bag' : 'rdf:Seq';
+      values = (value instanceof Array) ? value : [value];
+      for (i = 0, l = values.length; i < l; i++) {
+        items.push('     <rdf:li>' + escape_(
+          (values[i] instanceof Date) ?
+            values[i].toISOString() : toText_(name, values[i])
+        ) + '</rdf:li>');
+      }
+      break;
+    default:
+      throw new Error('unknown xmp value type');
+  }
+
+  if (items.length === 0) {
+    throw new Error('xmp property ' + name + ' is empty');
+  }
+
+  return [
+    '   <' + name + '>',
+    '    <' + container + '>'
+  ].concat(items, [
+    '    </' + container + '>',
+    '   </' + name + '>'
+  ]).join('\n');
+};
+
+/**
+ * 言語別の値の要素
+ * @param {string} lang 言語タグ.
+ * @param {string} text 値.
+ * @return {string} rdf:li 要素.
+ */
+function langItem_(lang, text) {
+  if (!/^[A-Za-z0-9-]+$/.test(lang)) {
+    throw new Error('invalid language tag: ' + lang);
+  }
+  return '     <rdf:li xml:lang="' + lang + '">' + escape_(text) +
+    '</rdf:li>';
+}
+
+/**
+ * 文字列の値の取得
+ * @param {string} name プロパティ名.
+ * @param {*} value 値.
+ * @return {string} 文字列.
+ */
+function toText_(name, value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error('xmp property ' + name + ' must be a string');
+  }
+  return String(value);
+}
+
+/**
+ * XML の特殊文字のエスケープ
+ * @param {string} str 文字列.
+ * @return {string} エスケープした文字列.
+ */
+function escape_(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// end of scope
+});
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview bin/canvastool-pngencoder のテスト.
+ * raw, PNM, PNG の入力を変換し, 出力した PNG をデコードして比較する.
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var pngencoder = require('../../node/pngencoder.js');
+var png = require('./png.js');
+
+/**
+ * コマンドラインツールのパス
+ * @type {string}
+ */
+var CLI = path.join(__dirname, '..', '..', 'bin', 'canvastool-pngencoder');
+
+/**
+ * コマンドラインツールを実行する
+ * @param {!Array.<string>} args コマンドライン引数.
+ * @param {Buffer=} opt_input 標準入力.
+ * @return {!{status: number, stdout: !Buffer, stderr: string}} 実行結果.
+ */
+function run(args, opt_input) {
+  var result = childProcess.spawnSync(process.execPath, [CLI].concat(args), {
+    input: opt_input,
+    timeout: 60000
+  });
+
+  return {
+    status: result.status,
+    stdout: result.stdout,
+    stderr: result.stderr.toString()
+  };
+}
+
+/**
+ * 一時ディレクトリを作成し, テスト終了時に削除する
+ * @param {!Object} t テストコンテキスト.
+ * @return {string} 一時ディレクトリのパス.
+ */
+function tempDir(t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvastool-pngencoder-'));
+
+  t.after(function() {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  return dir;
+}
+
+/**
+ * テスト用の RGBA のピクセルデータ
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
+ * @return {!Buffer} ピクセルデータ.
+ */
+function makePixels(width, height) {
+  var pixels = Buffer.alloc(width * height * 4),
+      i, l;
+
+  for (i = 0, l = pixels.length; i < l; i++) {
+    pixels[i] = (i * 53 + 7) & 0xff;
+  }
+
+  return pixels;
+}
+
+/**
+ * RGBA からチャンネルを取り出す
+ * @param {!Buffer} rgba RGBA のピクセルデータ.
+ * @param {!Array.<number>} channels 取り出すチャンネルの位置.
+ * @return {!Buffer} 取り出したピクセルデータ.
+ */
+function pick(rgba, channels) {
+  var output = [],
+      i, j, l;
+
+  for (i = 0, l = rgba.length; i < l; i += 4) {
+    for (j = 0; j < channels.length; j++) {
+      output.push(rgba[i + channels[j]]);
+    }
+  }
+
+  return Buffer.from(output);
+}
+
+/**
+ * RGBA の RGB を残して不透明にする
+ * @param {!Buffer} rgba RGBA のピクセルデータ (αの値は使用しない).
+ * @return {!Array.<number>} 不透明にしたピクセルデータ.
+ */
+function opaque(rgba) {
+  return Array.from(rgba).map(function(value, i) {
+    return (i % 4 === 3) ? 255 : value;
+  });
+}
+
+test('converts raw rgba from stdin to stdout', function() {
+  var pixels = makePixels(5, 3),
+      result = run(['--width', '5', '--height', '3', '-', '-'], pixels);
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.deepStrictEqual(png.decode(result.stdout).pixels, Array.from(pixels));
+});
+
+test('converts raw rgb and flips the scanlines', function() {
+  var pixels = makePixels(2, 2),
+      flipped = Buffer.concat([pixels.subarray(8), pixels.subarray(0, 8)]),
+      result = run([
+        '--input-format', 'raw', '--raw-format', 'rgb',
+        '--width', '2', '--height', '2', '--flip-y', '-', '-'
+      ], pick(pixels, [0, 1, 2]));
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.deepStrictEqual(png.decode(result.stdout).pixels, opaque(flipped));
+});
+
+test('converts 16-bit big-endian raw gray', function() {
+  var samples = [0, 0x1234, 0xabcd, 0xffff],
+      input = Buffer.alloc(samples.length * 2),
+      result, decoded, i;
+
+  for (i = 0; i < samples.length; i++) {
+    input.writeUInt16BE(samples[i], i * 2);
+  }
+  result = run([
+    '--raw-format', 'gray', '--raw-depth', '16',
+    '--width', '2', '--height', '2',
+    '--colour-type', 'gray', '--bit-depth', '16', '-', '-'
+  ], input);
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  decoded = png.decode(result.stdout);
+  assert.strictEqual(decoded.decoder.colourType, 0);
+  assert.strictEqual(decoded.decoder.bitDepth, 16);
+  assert.deepStrictEqual(decoded.pixels, [].concat.apply([], samples.map(
+    function(sample) {
+      return [sample, sample, sample, 0xffff];
+    }
+  )));
+});
+
+test('converts PPM, PGM and PAM files', function(t) {
+  var dir = tempDir(t),
+      pixels = makePixels(3, 2),
+      cases = [
+        {
+          name: 'image.ppm',
+          data: Buffer.concat([
+            Buffer.from('P6\n# comment\n3 2\n255\n'), pick(pixels, [0, 1, 2])
+          ]),
+          expected: opaque(pixels)
+        },
+        {
+          name: 'image.pgm',
+          data: Buffer.concat([
+            Buffer.from('P5 3 2 255\n'), pick(pixels, [0])
+          ]),
+          expected: opaque(pick(pixels, [0, 0, 0, 0]))
+        },
+        {
+          name: 'image.pam',
+          data: Buffer.concat([
+            Buffer.from(
+              'P7\nWIDTH 3\nHEIGHT 2\nDEPTH 4\nMAXVAL 255\n' +
+              'TUPLTYPE RGB_ALPHA\nENDHDR\n'
+            ),
+            pixels
+          ]),
+          expected: Array.from(pixels)
+        }
+      ];
+
+  cases.forEach(function(item) {
+    var input = path.join(dir, item.name),
+        output = path.join(dir, item.name + '.png'),
+        result;
+
+    fs.writeFileSync(input, item.data);
+    result = run([input, output]);
+
+    assert.strictEqual(result.status, 0, item.name + ': ' + result.stderr);
+    assert.deepStrictEqual(
+      png.decode(fs.readFileSync(output)).pixels, item.expected, item.name
+    );
+  });
+});
+
+test('keeps metadata of png input', function(t) {
+  var dir = tempDir(t),
+      input = path.join(dir, 'input.png'),
+      output = path.join(dir, 'output.png'),
+      pixels = makePixels(4, 4),
+      chrm = {
+        whitePointX: 0.3127, whitePointY: 0.329,
+        redX: 0.64, redY: 0.33,
+        greenX: 0.3, greenY: 0.6,
+        blueX: 0.15, blueY: 0.06
+      },
+      time = new Date(Date.UTC(2020, 1, 3, 4, 5, 6)),
+      result, decoded;
+
+  fs.writeFileSync(input, pngencoder.encode(pixels, {
+    width: 4,
+    height: 4,
+    gamma: 2.2,
+    chrm: chrm,
+    phys: {x: 2835, y: 2835, unit: 1},
+    time: time,
+    textEntries: [
+      {keyword: 'Title', text: 'cli'},
+      {keyword: 'Comment', text: '日本語'}
+    ]
+  }));
+  result = run(['--keep-metadata', '--interlace', 'adam7', input, output]);
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  decoded = png.decode(fs.readFileSync(output));
+  assert.deepStrictEqual(decoded.pixels, Array.from(pixels));
+  assert.strictEqual(decoded.decoder.interlaceMethod, 1);
+  assert.ok(Math.abs(decoded.decoder.gamma - 2.2) < 1e-4);
+  assert.deepStrictEqual(decoded.decoder.chrm, chrm);
+  assert.deepStrictEqual(decoded.decoder.phys, {x: 2835, y: 2835, unit: 1});
+  assert.strictEqual(decoded.decoder.time.getTime(), time.getTime());
+  assert.deepStrictEqual(decoded.decoder.text,
+                         [{keyword: 'Title', text: 'cli'}]);
+  assert.strictEqual(decoded.decoder.itxt[0].text, '日本語');
+});
+
+test('drops metadata of png input by default', function(t) {
+  var dir = tempDir(t),
+      input = path.join(dir, 'input.png'),
+      output = path.join(dir, 'output.png'),
+      result;
+
+  fs.writeFileSync(input, pngencoder.encode(makePixels(2, 2), {
+    width: 2,
+    height: 2,
+    gamma: 2.2
+  }));
+  result = run([input, output]);
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.deepStrictEqual(
+    png.chunkTypes(fs.readFileSync(output)), ['IHDR', 'IDAT', 'IEND']
+  );
+});
+
+test('reports invalid arguments', function() {
+  var result = run(['--filter', 'unknown', '-', '-'], makePixels(1, 1));
+
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stderr, /invalid --filter: unknown/);
+  assert.strictEqual(run([]).status, 2);
+});
@@ -0,0 +1,7 @@
+/**
+ * @fileoverview worker_test.js で使用する worker_threads 側のスクリプト.
+ */
+
+'use strict';
+
+require('../../node/pngencoder.js').PngEncoderWorker.listen();
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Node.js のテストで使用する PNG の読み込み.
+ * 出力した PNG をチャンクに分割し, PngDecoder でピクセルデータに戻す.
+ */
+
+'use strict';
+
+var zlib = require('zlib');
+var PngDecoder = require('../../node/pngencoder.js').PngDecoder;
+
+/**
+ * PNG シグネチャ
+ * @type {!Buffer}
+ */
+var SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * PNG をチャンクに分割する
+ * シグネチャ, 長さ, IEND で終わることを確認する.
+ * @param {!(Buffer|Uint8Array)} png PNG バイナリ.
+ * @return {!Array.<{type: string, data: !Buffer}>} チャンクの配列.
+ */
+function chunks(png) {
+  var buffer = Buffer.from(png.buffer, png.byteOffset, png.length),
+      result = [],
+      pos = SIGNATURE.length,
+      length, type;
+
+  if (buffer.subarray(0, pos).compare(SIGNATURE) !== 0) {
+    throw new Error('invalid png signature');
+  }
+
+  while (pos < buffer.length) {
+    length = buffer.readUInt32BE(pos);
+    type = buffer.toString('latin1', pos + 4, pos + 8);
+    if (pos + 12 + length > buffer.length) {
+      throw new Error('truncated chunk: ' + type);
+    }
+    result.push({
+      type: type,
+      data: buffer.subarray(pos + 8, pos + 8 + length)
+    });
+    pos += 12 + length;
+  }
+
+  if (result.length === 0 || result[result.length - 1].type !== 'IEND') {
+    throw new Error('IEND not found');
+  }
+
+  return result;
+}
+
+/**
+ * チャンクタイプの一覧
+ * @param {!(Buffer|Uint8Array)} png PNG バイナリ.
+ * @return {!Array.<string>} チャンクタイプの配列.
+ */
+function chunkTypes(png) {
+  return chunks(png).map(function(chunk) {
+    return chunk.type;
+  });
+}
+
+/**
+ * 連結した IDAT を zlib で展開する
+ * エンコーダとは別の実装で, 圧縮データが正しいことを確認するために使用する.
+ * @param {!(Buffer|Uint8Array)} png PNG バイナリ.
+ * @return {!Buffer} フィルタ付きのスキャンライン.
+ */
+function inflateIDAT(png) {
+  return zlib.inflateSync(Buffer.concat(chunks(png).filter(function(chunk) {
+    return chunk.type === 'IDAT';
+  }).map(function(chunk) {
+    return chunk.data;
+  })));
+}
+
+/**
+ * PNG を RGBA のピクセルデータに戻す
+ * @param {!(Buffer|Uint8Array)} png PNG バイナリ.
+ * @return {{decoder: !Object, pixels: !Array.<number>}} 補助チャンクの内容を
+ *     持つデコーダと RGBA のピクセルデータ.
+ */
+function decode(png) {
+  var decoder = new PngDecoder(new Uint8Array(png));
+
+  return {
+    decoder: decoder,
+    pixels: Array.prototype.slice.call(decoder.decode())
+  };
+}
+
+module.exports = {
+  chunks: chunks,
+  chunkTypes: chunkTypes,
+  inflateIDAT: inflateIDAT,
+  decode: decode
+};
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview node/pngencoder.js (ビルド済みのライブラリ) のテスト.
+ * 出力した PNG をデコードして入力のピクセルデータと比較する.
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var path = require('path');
+var url = require('url');
+var pngencoder = require('../../node/pngencoder.js');
+var png = require('./png.js');
+
+/**
+ * テスト用の RGBA のピクセルデータ
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
+ * @return {!Buffer} ピクセルデータ.
+ */
+function makePixels(width, height) {
+  var pixels = Buffer.alloc(width * height * 4),
+      i, l;
+
+  for (i = 0, l = pixels.length; i < l; i++) {
+    pixels[i] = (i * 37 + (i >> 2) * 11) & 0xff;
+  }
+
+  return pixels;
+}
+
+/**
+ * ストリームの出力を全て読み込む
+ * @param {!stream.Readable} stream 読み込むストリーム.
+ * @return {!Promise.<!Buffer>} 出力を連結した Buffer.
+ */
+function readAll(stream) {
+  return new Promise(function(resolve, reject) {
+    var buffers = [];
+
+    stream.on('data', function(buffer) {
+      buffers.push(buffer);
+    });
+    stream.on('error', reject);
+    stream.on('end', function() {
+      resolve(Buffer.concat(buffers));
+    });
+  });
+}
+
+test('exports the built classes', function() {
+  assert.strictEqual(typeof pngencoder.PngEncoder, 'function');
+  assert.strictEqual(typeof pngencoder.ApngEncoder, 'function');
+  assert.strictEqual(typeof pngencoder.PngDecoder, 'function');
+  assert.strictEqual(typeof pngencoder.PngStreamEncoder, 'function');
+  assert.strictEqual(typeof pngencoder.PngEncoderWorker, 'function');
+  assert.strictEqual(pngencoder.PngEncoder, pngencoder.CanvasTool.PngEncoder);
+});
+
+test('encode returns a png that decodes to the input', function() {
+  var pixels = makePixels(7, 5),
+      output = pngencoder.encode(pixels, {width: 7, height: 5}),
+      result;
+
+  assert.ok(Buffer.isBuffer(output));
+  assert.deepStrictEqual(png.chunkTypes(output), ['IHDR', 'IDAT', 'IEND']);
+  assert.strictEqual(png.inflateIDAT(output).length, 5 * (1 + 7 * 4));
+
+  result = png.decode(output);
+  assert.strictEqual(result.decoder.width, 7);
+  assert.strictEqual(result.decoder.height, 5);
+  assert.deepStrictEqual(result.pixels, Array.from(pixels));
+});
+
+test('encode keeps 16-bit samples', function() {
+  var pixels = new Uint16Array(3 * 2 * 4),
+      output, result, i;
+
+  for (i = 0; i < pixels.length; i++) {
+    pixels[i] = i * 2731;
+  }
+  output = pngencoder.encode(pixels, {width: 3, height: 2, bitDepth: 16});
+  result = png.decode(output);
+
+  assert.strictEqual(result.decoder.bitDepth, 16);
+  assert.deepStrictEqual(result.pixels, Array.from(pixels));
+});
+
+test('EncodeStream accepts rows split at any position', function() {
+  var pixels = makePixels(6, 4),
+      stream = pngencoder.createEncodeStream({width: 6, height: 4}),
+      output = readAll(stream);
+
+  stream.write(pixels.subarray(0, 5));
+  stream.write(pixels.subarray(5, 30));
+  stream.end(pixels.subarray(30));
+
+  return output.then(function(buffer) {
+    var types = png.chunkTypes(buffer);
+
+    assert.strictEqual(types[0], 'IHDR');
+    assert.strictEqual(types[types.length - 1], 'IEND');
+    assert.strictEqual(png.inflateIDAT(buffer).length, 4 * (1 + 6 * 4));
+    assert.deepStrictEqual(png.decode(buffer).pixels, Array.from(pixels));
+  });
+});
+
+test('EncodeStream can be called without new', function() {
+  var pixels = makePixels(2, 2),
+      stream = pngencoder.EncodeStream({width: 2, height: 2}),
+      output = readAll(stream);
+
+  assert.ok(stream instanceof pngencoder.EncodeStream);
+  stream.end(pixels);
+
+  return output.then(function(buffer) {
+    assert.deepStrictEqual(png.decode(buffer).pixels, Array.from(pixels));
+  });
+});
+
+test('EncodeStream rejects an incomplete row', function() {
+  var stream = pngencoder.createEncodeStream({width: 2, height: 2});
+
+  stream.resume();
+  stream.end(makePixels(2, 2).subarray(0, 13));
+
+  return new Promise(function(resolve) {
+    stream.on('error', function(error) {
+      assert.match(error.message, /incomplete row/);
+      resolve();
+    });
+  });
+});
+
+test('the es module exports the same functions', function() {
+  var entry = url.pathToFileURL(
+    path.join(__dirname, '..', '..', 'node', 'pngencoder.mjs')
+  ).href;
+
+  return import(entry).then(function(module) {
+    assert.strictEqual(module.default, pngencoder);
+    assert.strictEqual(module.encode, pngencoder.encode);
+    assert.strictEqual(module.PngEncoder, pngencoder.PngEncoder);
+    assert.strictEqual(module.createEncodeStream,
+                       pngencoder.createEncodeStream);
+  });
+});
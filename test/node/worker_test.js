@@ -0,0 +1,146 @@
+/**
+ * @fileoverview CanvasTool.PngEncoderWorker の worker_threads でのテスト.
+ * Worker で変換した PNG をデコードして入力のピクセルデータと比較する.
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var path = require('path');
+var pngencoder = require('../../node/pngencoder.js');
+var png = require('./png.js');
+
+/**
+ * Worker のスクリプト
+ * @type {string}
+ */
+var WORKER = path.join(__dirname, 'encode_worker.js');
+
+/**
+ * Worker を作成し, テスト終了時に終了する
+ * @param {!Object} t テストコンテキスト.
+ * @return {!CanvasTool.PngEncoderWorker} Worker のプロキシ.
+ */
+function createWorker(t) {
+  var worker = new pngencoder.PngEncoderWorker(WORKER);
+
+  t.after(function() {
+    worker.terminate();
+  });
+
+  return worker;
+}
+
+/**
+ * テスト用の RGBA のピクセルデータ
+ * @param {number} width 横幅.
+ * @param {number} height 縦幅.
+ * @return {!Uint8Array} ピクセルデータ.
+ */
+function makePixels(width, height) {
+  var pixels = new Uint8Array(width * height * 4),
+      i, l;
+
+  for (i = 0, l = pixels.length; i < l; i++) {
+    pixels[i] = (i * 29 + 3) & 0xff;
+  }
+
+  return pixels;
+}
+
+test('encodes in a worker thread', function(t) {
+  var worker = createWorker(t),
+      pixels = makePixels(16, 12),
+      ratios = [];
+
+  return worker.encode(pixels, {width: 16, height: 12}, {
+    onProgress: function(ratio) {
+      ratios.push(ratio);
+    }
+  }).then(function(output) {
+    assert.ok(output instanceof Uint8Array);
+    assert.deepStrictEqual(png.decode(output).pixels, Array.from(pixels));
+    // 入力は移動せずにコピーを渡す
+    assert.strictEqual(pixels.length, 16 * 12 * 4);
+    assert.ok(ratios.length > 0);
+    ratios.forEach(function(ratio, i) {
+      assert.ok(ratio >= 0 && ratio <= 1);
+      assert.ok(i === 0 || ratio >= ratios[i - 1]);
+    });
+  });
+});
+
+test('moves the input buffer with the transfer option', function(t) {
+  var worker = createWorker(t),
+      pixels = makePixels(4, 4),
+      expected = Array.from(pixels),
+      promise = worker.encode(pixels, {width: 4, height: 4}, {transfer: true});
+
+  assert.strictEqual(pixels.buffer.byteLength, 0);
+
+  return promise.then(function(output) {
+    assert.deepStrictEqual(png.decode(output).pixels, expected);
+  });
+});
+
+test('handles concurrent requests', function(t) {
+  var worker = createWorker(t),
+      inputs = [makePixels(3, 3), makePixels(5, 2), makePixels(1, 7)],
+      sizes = [[3, 3], [5, 2], [1, 7]];
+
+  return Promise.all(inputs.map(function(pixels, i) {
+    return worker.encode(pixels, {width: sizes[i][0], height: sizes[i][1]});
+  })).then(function(outputs) {
+    outputs.forEach(function(output, i) {
+      assert.deepStrictEqual(png.decode(output).pixels, Array.from(inputs[i]));
+    });
+  });
+});
+
+test('rejects errors thrown in the worker', function(t) {
+  var worker = createWorker(t);
+
+  return assert.rejects(
+    worker.encode(makePixels(2, 2), {width: 2, height: 2, filterType: 99}),
+    /filter/
+  );
+});
+
+test('aborts with an AbortSignal', function(t) {
+  var worker = createWorker(t),
+      controller = new AbortController(),
+      aborted = new AbortController(),
+      promise = worker.encode(makePixels(64, 64), {width: 64, height: 64}, {
+        signal: controller.signal
+      });
+
+  aborted.abort();
+  controller.abort();
+
+  return Promise.all([
+    assert.rejects(promise, {name: 'AbortError'}),
+    assert.rejects(
+      worker.encode(makePixels(1, 1), {width: 1, height: 1}, {
+        signal: aborted.signal
+      }),
+      {name: 'AbortError'}
+    )
+  ]).then(function() {
+    // 中断後も同じ Worker で変換できる
+    return worker.encode(makePixels(2, 2), {width: 2, height: 2});
+  }).then(function(output) {
+    assert.deepStrictEqual(
+      png.decode(output).pixels, Array.from(makePixels(2, 2))
+    );
+  });
+});
+
+test('terminate rejects pending requests', function() {
+  var worker = new pngencoder.PngEncoderWorker(WORKER),
+      promise = worker.encode(makePixels(8, 8), {width: 8, height: 8});
+
+  worker.terminate();
+
+  return assert.rejects(promise, /worker terminated/);
+});
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview pngencoder_worker_test.html で使用する Worker のスクリプト.
+ * テストページと同じソースを読み込み, 変換リクエストを待ち受ける.
+ * Worker では document.write が使えないため, goog.require は importScripts
+ * で読み込む.
+ */
+
+var CLOSURE_BASE_PATH = '../closure-primitives/';
+
+// 読み込み中のスクリプトの goog.require から再び呼ばれることがあるため,
+// 読み込みを始めた時点で記録する
+var importedScripts = {};
+
+var CLOSURE_IMPORT_SCRIPT = function(src) {
+  if (!importedScripts[src]) {
+    importedScripts[src] = true;
+    importScripts(src);
+  }
+  return true;
+};
+
+importScripts(CLOSURE_BASE_PATH + 'base.js', CLOSURE_BASE_PATH + 'deps.js');
+
+goog.require('CanvasTool.PngEncoderWorker');
+
+CanvasTool.PngEncoderWorker.listen();
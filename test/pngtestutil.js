@@ -0,0 +1,135 @@
+/**
+ * @fileoverview PNG のテストページで使用するヘルパ.
+ * 出力した PNG をチャンクに分割し, CanvasTool.PngDecoder でピクセルデータに
+ * 戻す. 使用するページでは CanvasTool.PngDecoder を goog.require しておく.
+ * makeChunk を使用するページでは Zlib.CRC32 も goog.require しておく.
+ */
+
+(function(global) {
+  'use strict';
+
+  /**
+   * PNG シグネチャ
+   * @type {!Array.<number>}
+   */
+  var SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+  /**
+   * PNG をチャンクに分割する
+   * @param {!(Array.<number>|Uint8Array)} png PNG バイナリ.
+   * @return {!Array.<{type: string, data: !Array.<number>}>} チャンクの配列.
+   */
+  function chunks(png) {
+    var result = [],
+        pos = SIGNATURE.length,
+        length, i;
+
+    for (i = 0; i < SIGNATURE.length; i++) {
+      if (png[i] !== SIGNATURE[i]) {
+        throw new Error('invalid png signature');
+      }
+    }
+
+    while (pos < png.length) {
+      length = (png[pos] << 24 | png[pos + 1] << 16 |
+                png[pos + 2] << 8 | png[pos + 3]) >>> 0;
+      result.push({
+        type: String.fromCharCode(
+          png[pos + 4], png[pos + 5], png[pos + 6], png[pos + 7]
+        ),
+        data: Array.prototype.slice.call(png, pos + 8, pos + 8 + length)
+      });
+      pos += 12 + length;
+    }
+
+    return result;
+  }
+
+  /**
+   * チャンクタイプの一覧
+   * @param {!(Array.<number>|Uint8Array)} png PNG バイナリ.
+   * @return {!Array.<string>} チャンクタイプの配列.
+   */
+  function chunkTypes(png) {
+    return chunks(png).map(function(chunk) {
+      return chunk.type;
+    });
+  }
+
+  /**
+   * 指定したタイプのチャンクのデータ
+   * @param {!(Array.<number>|Uint8Array)} png PNG バイナリ.
+   * @param {string} type チャンクタイプ.
+   * @return {!Array.<!Array.<number>>} チャンクのデータの配列.
+   */
+  function chunkData(png, type) {
+    return chunks(png).filter(function(chunk) {
+      return chunk.type === type;
+    }).map(function(chunk) {
+      return chunk.data;
+    });
+  }
+
+  /**
+   * チャンクを作成する
+   * @param {string} type チャンクタイプ.
+   * @param {!Array.<number>} data チャンクデータ.
+   * @return {!Array.<number>} 長さと CRC を含むチャンクのバイナリ.
+   */
+  function makeChunk(type, data) {
+    var typeData = [], crc, i;
+
+    for (i = 0; i < 4; i++) {
+      typeData.push(type.charCodeAt(i));
+    }
+    crc = Zlib.CRC32.calc(typeData.concat(data)) >>> 0;
+
+    return [
+      data.length >>> 24, data.length >> 16 & 0xff,
+      data.length >> 8 & 0xff, data.length & 0xff
+    ].concat(typeData, data, [
+      crc >>> 24, crc >> 16 & 0xff, crc >> 8 & 0xff, crc & 0xff
+    ]);
+  }
+
+  /**
+   * PNG をデコードする
+   * @param {!(Array.<number>|Uint8Array)} png PNG バイナリ.
+   * @return {!{decoder: !CanvasTool.PngDecoder, pixels: !Array.<number>}}
+   *     補助チャンクの内容を持つデコーダと RGBA のピクセルデータ.
+   */
+  function decodePng(png) {
+    var decoder = new CanvasTool.PngDecoder(png);
+
+    return {
+      decoder: decoder,
+      pixels: Array.prototype.slice.call(decoder.decode())
+    };
+  }
+
+  /**
+   * テスト用の RGBA のピクセルデータ
+   * @param {number} width 横幅.
+   * @param {number} height 縦幅.
+   * @param {number=} opt_seed 値を変えるための種.
+   * @return {!Uint8Array} ピクセルデータ.
+   */
+  function makePixels(width, height, opt_seed) {
+    var pixels = new Uint8Array(width * height * 4),
+        seed = opt_seed || 0,
+        i, l;
+
+    for (i = 0, l = pixels.length; i < l; i++) {
+      pixels[i] = (i * 37 + (i >> 2) * 11 + seed * 101) & 0xff;
+    }
+
+    return pixels;
+  }
+
+  global.chunks = chunks;
+  global.chunkTypes = chunkTypes;
+  global.chunkData = chunkData;
+  global.makeChunk = makeChunk;
+  global.decodePng = decodePng;
+  global.makePixels = makePixels;
+})(this);
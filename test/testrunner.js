@@ -0,0 +1,216 @@
+/**
+ * @fileoverview テストページで使用する簡易テストランナー.
+ * closure-primitives には goog.testing が含まれないため, jsunit と同じ名前と
+ * 引数のアサーションを提供する (最初の引数は省略可能なコメント).
+ * ページの読み込み後に test で始まるグローバル関数を定義順に実行し,
+ * 結果を id="result" の要素に出力する. Promise を返すテストは完了を
+ * 待ってから次のテストを実行する. setUp, tearDown があれば前後に呼び出す.
+ */
+
+(function(global) {
+  'use strict';
+
+  /**
+   * アサーションの失敗
+   * @param {string} message エラーメッセージ.
+   * @constructor
+   * @extends {Error}
+   */
+  function AssertionError(message) {
+    this.message = message;
+    this.stack = (new Error(message)).stack;
+  }
+  AssertionError.prototype = Object.create(Error.prototype);
+  AssertionError.prototype.constructor = AssertionError;
+  AssertionError.prototype.name = 'AssertionError';
+
+  /**
+   * 省略可能なコメントを取り出す
+   * @param {!Arguments} args アサーションの引数.
+   * @param {number} count コメントを除いた引数の数.
+   * @return {!{comment: string, args: !Array}} コメントと残りの引数.
+   */
+  function splitComment(args, count) {
+    var list = Array.prototype.slice.call(args);
+
+    return (list.length > count) ?
+      {comment: list[0] + ': ', args: list.slice(1)} :
+      {comment: '', args: list};
+  }
+
+  /**
+   * 表示用の文字列
+   * @param {*} value 値.
+   * @return {string} 文字列.
+   */
+  function display(value) {
+    if (value !== null && typeof value === 'object' &&
+        typeof value.length === 'number') {
+      return '[' + Array.prototype.join.call(value, ', ') + ']';
+    }
+    return (typeof value === 'string') ? '"' + value + '"' : String(value);
+  }
+
+  /**
+   * 失敗させる
+   * @param {string} message エラーメッセージ.
+   */
+  function fail(message) {
+    throw new AssertionError(message);
+  }
+
+  /**
+   * 値が等しいか (===)
+   * @param {...*} var_args [コメント], 期待値, 実際の値.
+   */
+  function assertEquals(var_args) {
+    var a = splitComment(arguments, 2);
+
+    if (a.args[0] !== a.args[1]) {
+      fail(a.comment + 'expected ' + display(a.args[0]) +
+           ' but was ' + display(a.args[1]));
+    }
+  }
+
+  /**
+   * 配列 (array-like) の要素が全て等しいか
+   * @param {...*} var_args [コメント], 期待値, 実際の値.
+   */
+  function assertArrayEquals(var_args) {
+    var a = splitComment(arguments, 2),
+        expected = a.args[0],
+        actual = a.args[1],
+        i, l;
+
+    if (actual === null || typeof actual !== 'object' ||
+        typeof actual.length !== 'number') {
+      fail(a.comment + 'expected an array but was ' + display(actual));
+    }
+    if (expected.length !== actual.length) {
+      fail(a.comment + 'expected length ' + expected.length +
+           ' but was ' + actual.length);
+    }
+    for (i = 0, l = expected.length; i < l; i++) {
+      if (expected[i] !== actual[i]) {
+        fail(a.comment + 'index ' + i + ': expected ' + display(expected[i]) +
+             ' but was ' + display(actual[i]));
+      }
+    }
+  }
+
+  /**
+   * 値が true か
+   * @param {...*} var_args [コメント], 実際の値.
+   */
+  function assertTrue(var_args) {
+    var a = splitComment(arguments, 1);
+
+    if (a.args[0] !== true) {
+      fail(a.comment + 'expected true but was ' + display(a.args[0]));
+    }
+  }
+
+  /**
+   * 値が false か
+   * @param {...*} var_args [コメント], 実際の値.
+   */
+  function assertFalse(var_args) {
+    var a = splitComment(arguments, 1);
+
+    if (a.args[0] !== false) {
+      fail(a.comment + 'expected false but was ' + display(a.args[0]));
+    }
+  }
+
+  /**
+   * 関数が例外を投げるか
+   * @param {...*} var_args [コメント], 実行する関数.
+   * @return {*} 投げられた例外.
+   */
+  function assertThrows(var_args) {
+    var a = splitComment(arguments, 1);
+
+    try {
+      a.args[0]();
+    } catch (e) {
+      return e;
+    }
+    fail(a.comment + 'expected an exception');
+  }
+
+  /**
+   * Promise が reject されるか
+   * @param {...*} var_args [コメント], 対象となる Promise.
+   * @return {!Promise} reject された理由で resolve される Promise.
+   */
+  function assertRejects(var_args) {
+    var a = splitComment(arguments, 1);
+
+    return a.args[0].then(function() {
+      fail(a.comment + 'expected the promise to be rejected');
+    }, function(error) {
+      return error;
+    });
+  }
+
+  /**
+   * 結果の出力
+   * @param {string} message 出力するメッセージ.
+   */
+  function log(message) {
+    var result = global.document.getElementById('result');
+
+    result.appendChild(global.document.createTextNode(message + '\n'));
+  }
+
+  /**
+   * test で始まるグローバル関数を順に実行する
+   * @return {!Promise.<number>} 失敗したテストの数を返す Promise.
+   */
+  function run() {
+    var names = Object.keys(global).filter(function(name) {
+          return /^test/.test(name) && typeof global[name] === 'function';
+        }),
+        failures = 0;
+
+    return names.reduce(function(previous, name) {
+      return previous.then(function() {
+        return new Promise(function(resolve) {
+          if (typeof global['setUp'] === 'function') {
+            global['setUp']();
+          }
+          resolve(global[name]());
+        }).then(function() {
+          log('PASS ' + name);
+        }, function(error) {
+          failures++;
+          log('FAIL ' + name + ': ' +
+              ((error && error.message) ? error.message : String(error)));
+        }).then(function() {
+          if (typeof global['tearDown'] === 'function') {
+            global['tearDown']();
+          }
+        });
+      });
+    }, Promise.resolve()).then(function() {
+      log((names.length - failures) + ' passed, ' + failures + ' failed');
+      global.document.title = (failures === 0 ? 'PASS' : 'FAIL') + ' - ' +
+        global.document.title;
+      return failures;
+    });
+  }
+
+  global.fail = fail;
+  global.assertEquals = assertEquals;
+  global.assertArrayEquals = assertArrayEquals;
+  global.assertTrue = assertTrue;
+  global.assertFalse = assertFalse;
+  global.assertThrows = assertThrows;
+  global.assertRejects = assertRejects;
+  global.log = log;
+  global.runTests = run;
+
+  global.addEventListener('load', function() {
+    run();
+  });
+})(this);